@@ -15,6 +15,7 @@ CREATE TABLE apps (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
   name TEXT NOT NULL,
   api_key TEXT UNIQUE,
+  api_key_id TEXT,
   is_active BOOLEAN DEFAULT true,
   api_key_rotated_at TIMESTAMP,
   created_at TIMESTAMP DEFAULT now(),
@@ -34,17 +35,47 @@ CREATE TABLE dialpad_connections (
   updated_at TIMESTAMP DEFAULT now()
 );
 
+-- API keys: Many named, scoped keys per app
+CREATE TABLE api_keys (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  app_id UUID NOT NULL REFERENCES apps(id) ON DELETE CASCADE,
+  key_id TEXT,
+  secret_hash TEXT NOT NULL,
+  label TEXT NOT NULL,
+  scopes TEXT[] NOT NULL DEFAULT '{}',
+  expires_at TIMESTAMP DEFAULT NULL,
+  grace_expires_at TIMESTAMP DEFAULT NULL,
+  replaced_by UUID REFERENCES api_keys(id) ON DELETE SET NULL,
+  last_used_at TIMESTAMP DEFAULT NULL,
+  last_used_ip TEXT DEFAULT NULL,
+  revoked_at TIMESTAMP DEFAULT NULL,
+  created_at TIMESTAMP DEFAULT now(),
+  updated_at TIMESTAMP DEFAULT now()
+);
+
 -- API key audit log: Tracks all key generation, rotation, revocation
 CREATE TABLE api_key_audit_log (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
   app_id UUID NOT NULL REFERENCES apps(id) ON DELETE CASCADE,
-  action TEXT NOT NULL CHECK (action IN ('created', 'rotated', 'revoked')),
+  api_key_id UUID REFERENCES api_keys(id) ON DELETE SET NULL,
+  action TEXT NOT NULL CHECK (action IN (
+    'created', 'rotated', 'rotated_with_grace', 'grace_expired', 'updated', 'revoked'
+  )),
   old_key_hint TEXT,
   new_key_hint TEXT,
+  details JSONB DEFAULT NULL,
   performed_at TIMESTAMP DEFAULT now(),
   created_at TIMESTAMP DEFAULT now()
 );
 
+-- WebSocket tickets: Redeemed single-use tickets (replay protection)
+CREATE TABLE ws_ticket_redemptions (
+  ticket_id UUID PRIMARY KEY,
+  app_id UUID NOT NULL REFERENCES apps(id) ON DELETE CASCADE,
+  expires_at TIMESTAMP NOT NULL,
+  redeemed_at TIMESTAMP DEFAULT now()
+);
+
 -- ============================================================================
 -- TABLES: User Management & Mappings
 -- ============================================================================
@@ -82,6 +113,8 @@ CREATE TABLE calls (
   direction TEXT CHECK (direction IN ('inbound', 'outbound')),
   from_number TEXT,
   to_number TEXT,
+  from_number_e164 TEXT DEFAULT NULL,
+  to_number_e164 TEXT DEFAULT NULL,
   status TEXT,
   dialpad_user_id BIGINT,
   started_at TIMESTAMP,
@@ -92,9 +125,53 @@ CREATE TABLE calls (
   voicemail_audio_url TEXT,
   voicemail_transcript TEXT,
   raw_payload JSONB,
+  status_changed_at TIMESTAMP DEFAULT NULL,
+  outcome TEXT DEFAULT NULL,
+  entry_point_call_id BIGINT DEFAULT NULL,
+  answered_at TIMESTAMP DEFAULT NULL,
+  ring_duration_seconds INTEGER DEFAULT NULL,
+  talk_duration_seconds INTEGER DEFAULT NULL,
+  hold_duration_seconds INTEGER DEFAULT NULL,
+  stats_bucket_start TIMESTAMP DEFAULT NULL,
   created_at TIMESTAMP DEFAULT now()
 );
 
+-- Call state history: Every status transition evaluated by the call handlers
+CREATE TABLE call_state_history (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  app_id UUID NOT NULL REFERENCES apps(id) ON DELETE CASCADE,
+  call_id UUID REFERENCES calls(id) ON DELETE CASCADE,
+  dialpad_call_id BIGINT NOT NULL,
+  from_status TEXT,
+  to_status TEXT NOT NULL,
+  applied BOOLEAN NOT NULL,
+  rejection_reason TEXT,
+  event_type TEXT,
+  webhook_event_id UUID,
+  occurred_at TIMESTAMP NOT NULL,
+  recorded_at TIMESTAMP NOT NULL DEFAULT now()
+);
+
+-- Conversations table: SMS threads per (app, owner, external number)
+-- owner_key: 'user:<dialpad_user_id>', or 'line:<our number>' without a user
+CREATE TABLE conversations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  app_id UUID NOT NULL REFERENCES apps(id) ON DELETE CASCADE,
+  owner_key TEXT NOT NULL,
+  dialpad_user_id BIGINT,
+  line_number TEXT,
+  external_number TEXT NOT NULL,
+  message_count INTEGER NOT NULL DEFAULT 0,
+  unread_count INTEGER NOT NULL DEFAULT 0,
+  last_message_id UUID,
+  last_message_at TIMESTAMP,
+  last_message_direction TEXT,
+  last_message_preview TEXT,
+  last_read_at TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT now(),
+  updated_at TIMESTAMP NOT NULL DEFAULT now()
+);
+
 -- Messages table: Stores SMS/messaging records
 CREATE TABLE messages (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -103,10 +180,14 @@ CREATE TABLE messages (
   direction TEXT CHECK (direction IN ('inbound', 'outbound')),
   from_number TEXT,
   to_number TEXT,
+  from_number_e164 TEXT DEFAULT NULL,
+  to_number_e164 TEXT DEFAULT NULL,
   text TEXT,
   dialpad_user_id BIGINT,
+  conversation_id UUID REFERENCES conversations(id) ON DELETE SET NULL,
   sent_at TIMESTAMP,
-  created_at TIMESTAMP DEFAULT now()
+  created_at TIMESTAMP DEFAULT now(),
+  text_search tsvector GENERATED ALWAYS AS (to_tsvector('english', COALESCE(text, ''))) STORED
 );
 
 -- Voicemails table: Dedicated voicemail records
@@ -117,11 +198,48 @@ CREATE TABLE voicemails (
   dialpad_user_id BIGINT,
   from_number TEXT,
   to_number TEXT,
+  from_number_e164 TEXT DEFAULT NULL,
+  to_number_e164 TEXT DEFAULT NULL,
   recording_url TEXT,
   transcript TEXT,
   duration_seconds INTEGER,
   created_at TIMESTAMP DEFAULT now(),
-  updated_at TIMESTAMP DEFAULT now()
+  updated_at TIMESTAMP DEFAULT now(),
+  transcript_search tsvector GENERATED ALWAYS AS (to_tsvector('english', COALESCE(transcript, ''))) STORED
+);
+
+-- ============================================================================
+-- TABLES: Call Analytics
+-- ============================================================================
+
+-- Call stats rollups: Hourly aggregates per app / direction / status / user
+CREATE TABLE call_stats_hourly (
+  app_id UUID NOT NULL REFERENCES apps(id) ON DELETE CASCADE,
+  bucket_start TIMESTAMP NOT NULL,
+  direction TEXT,
+  status TEXT,
+  dialpad_user_id BIGINT,
+  call_count INTEGER NOT NULL,
+  completed_count INTEGER NOT NULL,
+  answered_count INTEGER NOT NULL,
+  missed_count INTEGER NOT NULL,
+  abandoned_count INTEGER NOT NULL,
+  talk_count INTEGER NOT NULL,
+  talk_seconds_sum BIGINT NOT NULL,
+  talk_histogram INTEGER[] NOT NULL,
+  answer_count INTEGER NOT NULL,
+  answer_seconds_sum BIGINT NOT NULL,
+  answer_histogram INTEGER[] NOT NULL,
+  hold_seconds_sum BIGINT NOT NULL,
+  refreshed_at TIMESTAMP NOT NULL DEFAULT now()
+);
+
+-- Call stats dirty buckets: Rollup hours to rebuild
+CREATE TABLE call_stats_dirty (
+  app_id UUID NOT NULL REFERENCES apps(id) ON DELETE CASCADE,
+  bucket_start TIMESTAMP NOT NULL,
+  marked_at TIMESTAMP NOT NULL DEFAULT now(),
+  PRIMARY KEY (app_id, bucket_start)
 );
 
 -- ============================================================================
@@ -136,7 +254,45 @@ CREATE TABLE webhook_events (
   dialpad_event_id TEXT UNIQUE,
   payload JSONB NOT NULL,
   processed_at TIMESTAMP DEFAULT NULL,
-  received_at TIMESTAMP DEFAULT now()
+  received_at TIMESTAMP DEFAULT now(),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  next_attempt_at TIMESTAMP DEFAULT NULL,
+  dead_lettered_at TIMESTAMP DEFAULT NULL,
+  claimed_by TEXT DEFAULT NULL,
+  claimed_at TIMESTAMP DEFAULT NULL,
+  dialpad_call_id TEXT DEFAULT NULL,
+  event_timestamp TIMESTAMP DEFAULT NULL,
+  handler_results JSONB NOT NULL DEFAULT '{}'::jsonb,
+  unhandled_at TIMESTAMP DEFAULT NULL
+);
+
+-- ============================================================================
+-- TABLES: Data Retention
+-- ============================================================================
+
+-- Retention policies: Per-app retention for webhook_events and calls.raw_payload
+CREATE TABLE retention_policies (
+  app_id UUID PRIMARY KEY REFERENCES apps(id) ON DELETE CASCADE,
+  webhook_events_days INTEGER CHECK (webhook_events_days > 0),
+  raw_payload_days INTEGER CHECK (raw_payload_days > 0),
+  archive_enabled BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMP DEFAULT now(),
+  updated_at TIMESTAMP DEFAULT now()
+);
+
+-- Retention runs: What each retention run removed, per app
+CREATE TABLE retention_runs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  app_id UUID REFERENCES apps(id) ON DELETE CASCADE,
+  started_at TIMESTAMP NOT NULL DEFAULT now(),
+  finished_at TIMESTAMP,
+  webhook_events_days INTEGER,
+  raw_payload_days INTEGER,
+  events_deleted INTEGER NOT NULL DEFAULT 0,
+  payloads_cleared INTEGER NOT NULL DEFAULT 0,
+  archive_files JSONB NOT NULL DEFAULT '[]'::jsonb,
+  error TEXT
 );
 
 -- ============================================================================
@@ -150,6 +306,20 @@ CREATE INDEX idx_apps_name ON apps(name);
 -- Fast lookup of active apps
 CREATE INDEX idx_apps_active ON apps(is_active) WHERE is_active = true;
 
+-- API key authentication by public key id
+CREATE UNIQUE INDEX idx_apps_api_key_id ON apps(api_key_id) WHERE api_key_id IS NOT NULL;
+CREATE UNIQUE INDEX idx_api_keys_key_id ON api_keys(key_id) WHERE key_id IS NOT NULL;
+
+-- Keys of an app, and the legacy key scan
+CREATE INDEX idx_api_keys_app ON api_keys(app_id, created_at DESC);
+CREATE INDEX idx_api_keys_legacy ON api_keys(app_id) WHERE key_id IS NULL AND revoked_at IS NULL;
+
+-- Keys still in their rotation grace period (expiry scheduler)
+CREATE INDEX idx_api_keys_grace ON api_keys(grace_expires_at) WHERE grace_expires_at IS NOT NULL AND revoked_at IS NULL;
+
+-- Purge of expired WebSocket ticket redemptions
+CREATE INDEX idx_ws_ticket_redemptions_expires ON ws_ticket_redemptions(expires_at);
+
 -- ============================================================================
 -- INDEXES: Dialpad Connections
 -- ============================================================================
@@ -188,8 +358,9 @@ CREATE INDEX idx_user_mappings_app_crm ON dialpad_user_mappings(app_id, crm_user
 -- ============================================================================
 
 -- Primary index for listing calls by app, ordered by start time (DESC)
--- Covers query: SELECT * FROM calls WHERE app_id = ? ORDER BY started_at DESC
-CREATE INDEX idx_calls_app_started ON calls(app_id, started_at DESC NULLS LAST);
+-- Covers query: SELECT * FROM calls WHERE app_id = ? ORDER BY started_at DESC, id DESC
+-- (id keeps cursor pagination on a single index range)
+CREATE INDEX idx_calls_app_started_id ON calls(app_id, started_at DESC NULLS LAST, id DESC);
 
 -- Index for filtering calls by app + status
 -- Covers query: SELECT * FROM calls WHERE app_id = ? AND status = ?
@@ -200,9 +371,13 @@ CREATE INDEX idx_calls_app_status_started ON calls(app_id, status, started_at DE
 CREATE INDEX idx_calls_app_direction_started ON calls(app_id, direction, started_at DESC NULLS LAST);
 
 -- Partial index for active calls only (hot query optimization)
--- Covers: SELECT * FROM calls WHERE app_id = ? AND status IN ('ringing', 'active')
+-- Covers: SELECT * FROM calls WHERE app_id = ? AND status IN (<in-progress states>)
 CREATE INDEX idx_calls_active ON calls(app_id, started_at DESC NULLS LAST)
-WHERE status IN ('ringing', 'active');
+WHERE status IN ('ringing', 'queued', 'active', 'hold', 'transferring', 'parked');
+
+-- Index for filtering calls by agent (dialpad_user_id / crm_user_id)
+-- Covers query: SELECT * FROM calls WHERE app_id = ? AND dialpad_user_id = ? ORDER BY started_at DESC
+CREATE INDEX idx_calls_app_user_started ON calls(app_id, dialpad_user_id, started_at DESC NULLS LAST);
 
 -- Index for phone number lookups (from_number)
 CREATE INDEX idx_calls_from_number ON calls(app_id, from_number);
@@ -210,9 +385,42 @@ CREATE INDEX idx_calls_from_number ON calls(app_id, from_number);
 -- Index for phone number lookups (to_number)
 CREATE INDEX idx_calls_to_number ON calls(app_id, to_number);
 
+-- Index for phone number lookups in E.164 (from / to filters)
+CREATE INDEX idx_calls_from_e164 ON calls(app_id, from_number_e164);
+CREATE INDEX idx_calls_to_e164 ON calls(app_id, to_number_e164);
+
 -- Index for JSONB payload searching
 CREATE INDEX idx_calls_raw_payload ON calls USING GIN (raw_payload);
 
+-- Index for sibling legs of the same inbound call (answered elsewhere)
+CREATE INDEX idx_calls_entry_point ON calls(app_id, entry_point_call_id)
+WHERE entry_point_call_id IS NOT NULL;
+
+-- Index for missed / abandoned call lists
+CREATE INDEX idx_calls_app_outcome_started ON calls(app_id, outcome, started_at DESC NULLS LAST)
+WHERE outcome IS NOT NULL;
+
+-- Index for rebuilding call stats rollups (calls by start hour)
+CREATE INDEX idx_calls_app_stats_bucket ON calls(app_id, (COALESCE(started_at, created_at)));
+
+-- ============================================================================
+-- INDEXES: Call Analytics
+-- ============================================================================
+
+-- Stats queries by app and time range
+CREATE INDEX idx_call_stats_hourly_app_bucket ON call_stats_hourly(app_id, bucket_start);
+
+-- ============================================================================
+-- INDEXES: Call State History
+-- ============================================================================
+
+-- Timeline lookup for a call
+CREATE INDEX idx_call_state_history_call ON call_state_history(call_id, occurred_at, recorded_at);
+
+-- One entry per webhook event and target status (replays update in place)
+CREATE UNIQUE INDEX idx_call_state_history_event ON call_state_history(webhook_event_id, to_status)
+WHERE webhook_event_id IS NOT NULL;
+
 -- ============================================================================
 -- INDEXES: Messages
 -- ============================================================================
@@ -221,7 +429,32 @@ CREATE INDEX idx_calls_raw_payload ON calls USING GIN (raw_payload);
 CREATE INDEX idx_messages_app_id ON messages(app_id);
 
 -- Fast lookup of messages by sent time
-CREATE INDEX idx_messages_app_sent ON messages(app_id, sent_at DESC NULLS LAST);
+CREATE INDEX idx_messages_app_sent_id ON messages(app_id, sent_at DESC NULLS LAST, id DESC);
+
+-- Phone number lookups (from / to filters: E.164, or raw when not normalizable)
+CREATE INDEX idx_messages_from_e164 ON messages(app_id, from_number_e164);
+CREATE INDEX idx_messages_to_e164 ON messages(app_id, to_number_e164);
+CREATE INDEX idx_messages_from_number ON messages(app_id, from_number);
+CREATE INDEX idx_messages_to_number ON messages(app_id, to_number);
+
+-- Full-text search on message text (/api/search)
+CREATE INDEX idx_messages_text_search ON messages USING GIN (text_search);
+
+-- Messages of a conversation, newest first
+CREATE INDEX idx_messages_conversation ON messages(conversation_id, sent_at DESC NULLS LAST, id DESC);
+
+-- ============================================================================
+-- INDEXES: Conversations
+-- ============================================================================
+
+-- One conversation per thread
+CREATE UNIQUE INDEX idx_conversations_thread ON conversations(app_id, owner_key, external_number);
+
+-- Conversation list, most recent first (cursor pagination on last_message_at, id)
+CREATE INDEX idx_conversations_app_last_message ON conversations(app_id, last_message_at DESC NULLS LAST, id DESC);
+
+-- Conversations of a Dialpad user
+CREATE INDEX idx_conversations_app_user ON conversations(app_id, dialpad_user_id, last_message_at DESC NULLS LAST);
 
 -- ============================================================================
 -- INDEXES: Voicemails
@@ -231,7 +464,7 @@ CREATE INDEX idx_messages_app_sent ON messages(app_id, sent_at DESC NULLS LAST);
 CREATE INDEX idx_voicemails_app_id ON voicemails(app_id);
 
 -- Fast lookup of voicemails with timeline
-CREATE INDEX idx_voicemails_app_created ON voicemails(app_id, created_at DESC);
+CREATE INDEX idx_voicemails_app_created_id ON voicemails(app_id, created_at DESC, id DESC);
 
 -- Fast lookup of voicemails by Dialpad call
 CREATE INDEX idx_voicemails_dialpad_call ON voicemails(app_id, dialpad_call_id);
@@ -239,14 +472,42 @@ CREATE INDEX idx_voicemails_dialpad_call ON voicemails(app_id, dialpad_call_id);
 -- Fast lookup of voicemails by user
 CREATE INDEX idx_voicemails_user ON voicemails(app_id, dialpad_user_id);
 
+-- Phone number lookups (contact timeline: E.164, or raw when not normalizable)
+CREATE INDEX idx_voicemails_from_e164 ON voicemails(app_id, from_number_e164);
+CREATE INDEX idx_voicemails_to_e164 ON voicemails(app_id, to_number_e164);
+CREATE INDEX idx_voicemails_from_number ON voicemails(app_id, from_number);
+CREATE INDEX idx_voicemails_to_number ON voicemails(app_id, to_number);
+
+-- Full-text search on transcripts (/api/search)
+CREATE INDEX idx_voicemails_transcript_search ON voicemails USING GIN (transcript_search);
+
 -- ============================================================================
 -- INDEXES: Webhook Events (Processing Pipeline)
 -- ============================================================================
 
--- Most critical index: Find unprocessed events efficiently
+-- Most critical index: Find unprocessed events that are due for an attempt
 -- Covers: SELECT * FROM webhook_events WHERE processed_at IS NULL
-CREATE INDEX idx_webhook_events_processed_at ON webhook_events(processed_at)
-WHERE processed_at IS NULL;
+--         AND dead_lettered_at IS NULL AND next_attempt_at <= now()
+CREATE INDEX idx_webhook_events_processed_at
+ON webhook_events(next_attempt_at NULLS FIRST, received_at)
+WHERE processed_at IS NULL AND dead_lettered_at IS NULL;
+
+-- Dead-letter queue listing
+CREATE INDEX idx_webhook_events_dead_letter ON webhook_events(dead_lettered_at DESC)
+WHERE dead_lettered_at IS NOT NULL;
+
+-- Per-call ordering: find earlier pending events of the same call
+CREATE INDEX idx_webhook_events_call_pending
+ON webhook_events(dialpad_call_id, event_timestamp, received_at)
+WHERE processed_at IS NULL AND dead_lettered_at IS NULL;
+
+-- Unhandled event listing
+CREATE INDEX idx_webhook_events_unhandled ON webhook_events(event_type, unhandled_at DESC)
+WHERE unhandled_at IS NOT NULL;
+
+-- Release of a worker's claims on shutdown
+CREATE INDEX idx_webhook_events_claimed_by ON webhook_events(claimed_by)
+WHERE claimed_by IS NOT NULL;
 
 -- Index for routing events by type
 CREATE INDEX idx_webhook_events_event_type ON webhook_events(event_type);
@@ -257,34 +518,105 @@ CREATE INDEX idx_webhook_events_received ON webhook_events(received_at DESC);
 -- Index for app-specific event queries
 CREATE INDEX idx_webhook_events_app_id ON webhook_events(app_id);
 
+-- Retention purge scan: processed events per app by age
+CREATE INDEX idx_webhook_events_retention ON webhook_events(app_id, processed_at)
+WHERE processed_at IS NOT NULL;
+
+-- ============================================================================
+-- INDEXES: Retention
+-- ============================================================================
+
+CREATE INDEX idx_retention_runs_started_at ON retention_runs(started_at DESC);
+CREATE INDEX idx_retention_runs_app_id ON retention_runs(app_id, started_at DESC);
+
 -- ============================================================================
 -- COMMENTS: Documentation
 -- ============================================================================
 
 COMMENT ON TABLE apps IS 'Multi-tenant app records. Each app is completely isolated.';
-COMMENT ON COLUMN apps.api_key IS 'Bcrypt-hashed API key. Plain key never stored.';
+COMMENT ON COLUMN apps.api_key IS 'Superseded by api_keys (migration 025). No longer read.';
+COMMENT ON COLUMN apps.api_key_id IS 'Superseded by api_keys (migration 025). No longer read.';
 COMMENT ON COLUMN apps.api_key_rotated_at IS 'Timestamp of last key rotation/generation.';
 
 COMMENT ON TABLE dialpad_connections IS 'OAuth token storage per app. Refreshed automatically before expiry.';
 COMMENT ON COLUMN dialpad_connections.dialpad_org_id IS 'Dialpad organization ID. Used for webhook routing.';
 
+COMMENT ON TABLE api_keys IS 'API keys of apps. Many per app, each with its own scopes and expiry.';
+COMMENT ON COLUMN api_keys.key_id IS 'Public key id (<key_id>.<secret>), indexed for lookup. NULL for legacy raw_ keys.';
+COMMENT ON COLUMN api_keys.secret_hash IS 'Bcrypt hash of the secret (of the whole key for legacy keys).';
+COMMENT ON COLUMN api_keys.scopes IS 'Granted scopes: calls:read, calls:write, messages:read, messages:write, voicemails:read, voicemails:write, webhooks:write, ws:connect.';
+COMMENT ON COLUMN api_keys.expires_at IS 'Key stops working after this time. NULL = never.';
+COMMENT ON COLUMN api_keys.grace_expires_at IS 'Set on rotation with a grace period: the key works until then, next to its replacement.';
+COMMENT ON COLUMN api_keys.replaced_by IS 'Key that replaced this one on rotation.';
+COMMENT ON COLUMN api_keys.last_used_ip IS 'Client IP of the last authenticated request (updated at most once a minute).';
+COMMENT ON COLUMN api_keys.revoked_at IS 'Set when the key is revoked. Revoked keys are kept for the audit trail.';
+
+COMMENT ON TABLE ws_ticket_redemptions IS 'Redeemed WebSocket tickets (replay protection). Purged after expires_at.';
+
 COMMENT ON TABLE api_key_audit_log IS 'Immutable audit trail of all API key operations for compliance.';
-COMMENT ON COLUMN api_key_audit_log.action IS 'Operation: created (initial), rotated (new key), revoked (disabled).';
-COMMENT ON COLUMN api_key_audit_log.old_key_hint IS 'First 8 + last 4 chars of old key (for identification).';
+COMMENT ON COLUMN api_key_audit_log.action IS 'Operation: created (new key), rotated (replacement key issued), rotated_with_grace (old key replaced, works until its grace ends), grace_expired (grace ended, key revoked), updated (label/scopes/expiry), revoked (disabled).';
+COMMENT ON COLUMN api_key_audit_log.api_key_id IS 'Key the entry is about (NULL for entries before migration 025).';
+COMMENT ON COLUMN api_key_audit_log.details IS 'Label, scopes and expiry on create; changed fields on update.';
+COMMENT ON COLUMN api_key_audit_log.old_key_hint IS 'Old or affected key: its key id, or first 8 + last 4 chars before migration 025 (for identification).';
 COMMENT ON COLUMN api_key_audit_log.new_key_hint IS 'First 8 + last 4 chars of new key (for identification).';
 
 COMMENT ON TABLE calls IS 'Call records created from Dialpad webhook events and API queries.';
 COMMENT ON COLUMN calls.dialpad_call_id IS 'Unique call ID from Dialpad. Used to prevent duplicate insertions.';
-COMMENT ON COLUMN calls.status IS 'Call state: ringing, active, ended, held, etc.';
+COMMENT ON COLUMN calls.from_number IS 'Caller number as sent by Dialpad (raw).';
+COMMENT ON COLUMN calls.from_number_e164 IS 'from_number in E.164, NULL if it could not be normalized.';
+COMMENT ON COLUMN calls.to_number_e164 IS 'to_number in E.164, NULL if it could not be normalized.';
+COMMENT ON COLUMN calls.status IS 'Call state: ringing, queued, active, hold, transferring, parked, ended, missed, rejected, voicemail.';
+COMMENT ON COLUMN calls.status_changed_at IS 'When the call last changed status.';
+COMMENT ON COLUMN calls.outcome IS 'How the call ended: answered, answered_elsewhere, missed, abandoned, rejected, no_answer. NULL while in progress or when unknown.';
+COMMENT ON COLUMN calls.entry_point_call_id IS 'Dialpad entry point call ID, shared by all legs of the same inbound call.';
+COMMENT ON COLUMN calls.answered_at IS 'When the call was first answered (first transition to active).';
+COMMENT ON COLUMN calls.ring_duration_seconds IS 'Seconds from first ring (including queue time) until answered, or until the end for unanswered calls.';
+COMMENT ON COLUMN calls.talk_duration_seconds IS 'Seconds from answered until the end, excluding hold. NULL while in progress.';
+COMMENT ON COLUMN calls.hold_duration_seconds IS 'Seconds spent on hold or parked. NULL while in progress.';
+COMMENT ON COLUMN calls.stats_bucket_start IS 'call_stats_hourly bucket the call was last counted in; marked dirty with the new bucket when the call moves.';
 COMMENT ON COLUMN calls.raw_payload IS 'Sanitized Dialpad webhook payload for debugging/auditing.';
 
+COMMENT ON TABLE call_state_history IS 'Every call status transition evaluated by the event handlers, applied or rejected.';
+COMMENT ON COLUMN call_state_history.applied IS 'false = rejected by isValidStatusTransition (call status left unchanged).';
+COMMENT ON COLUMN call_state_history.webhook_event_id IS 'Source webhook_events.id (may no longer exist after retention purges).';
+COMMENT ON COLUMN call_state_history.occurred_at IS 'Dialpad event timestamp, or processing time when the payload has none.';
+
+COMMENT ON TABLE call_stats_hourly IS 'Hourly call rollups for /api/calls/stats. Rebuilt per (app, hour) from calls; never edit by hand.';
+COMMENT ON COLUMN call_stats_hourly.bucket_start IS 'Hour of the call start (started_at, else created_at).';
+COMMENT ON COLUMN call_stats_hourly.completed_count IS 'Calls in a terminal status (ended, missed, rejected, voicemail); denominator of answer / missed rates.';
+COMMENT ON COLUMN call_stats_hourly.talk_histogram IS 'Talk time counts of answered calls per duration bucket (DURATION_BUCKETS in callStatsService.js).';
+COMMENT ON COLUMN call_stats_hourly.answer_histogram IS 'Ring time (speed to answer) counts of answered calls per duration bucket.';
+COMMENT ON TABLE call_stats_dirty IS 'Rollup buckets to rebuild, marked by the call event handlers.';
+
+COMMENT ON TABLE conversations IS 'SMS threads per (app, owner, external number), maintained by handleMessageEvent.';
+COMMENT ON COLUMN conversations.owner_key IS 'user:<dialpad_user_id>, or line:<our number> for messages without a Dialpad user.';
+COMMENT ON COLUMN conversations.external_number IS 'The other party: E.164 when normalizable, else the raw number.';
+COMMENT ON COLUMN conversations.unread_count IS 'Inbound messages since the conversation was last read or replied to.';
+COMMENT ON COLUMN messages.conversation_id IS 'Conversation the message belongs to (NULL if its numbers are missing).';
+
 COMMENT ON TABLE webhook_events IS 'Incoming Dialpad webhook events awaiting async processing.';
 COMMENT ON COLUMN webhook_events.event_type IS 'Determines which handler processes this event (call.ring, call.started, etc).';
-COMMENT ON COLUMN webhook_events.dialpad_event_id IS 'Unique event ID from Dialpad. Prevents duplicate processing.';
+COMMENT ON COLUMN webhook_events.dialpad_event_id IS 'Per-event idempotency key (dialpad:<app id>:<event id>, sha256:<hash> or legacy:<row id>). Unique; redelivered events are dropped.';
 COMMENT ON COLUMN webhook_events.processed_at IS 'NULL = unprocessed. Set when handler completes.';
+COMMENT ON COLUMN webhook_events.attempts IS 'Number of failed processing attempts.';
+COMMENT ON COLUMN webhook_events.last_error IS 'Error message from the most recent failed attempt.';
+COMMENT ON COLUMN webhook_events.next_attempt_at IS 'Earliest retry time (exponential backoff). NULL = eligible now.';
+COMMENT ON COLUMN webhook_events.dead_lettered_at IS 'Set when retries are exhausted. Dead-lettered events are not retried until requeued.';
+COMMENT ON COLUMN webhook_events.claimed_by IS 'Worker id holding the event. NULL = unclaimed.';
+COMMENT ON COLUMN webhook_events.claimed_at IS 'Lease start. Claims older than EVENT_CLAIM_LEASE_MS are reclaimed by other workers.';
+COMMENT ON COLUMN webhook_events.dialpad_call_id IS 'Ordering partition. Events of one call are processed one at a time, oldest first.';
+COMMENT ON COLUMN webhook_events.event_timestamp IS 'Dialpad event timestamp. Orders events within a call; received_at is the fallback.';
+COMMENT ON COLUMN webhook_events.handler_results IS 'Per-handler outcome. Handlers that succeeded are skipped when the event is retried.';
+COMMENT ON COLUMN webhook_events.unhandled_at IS 'Set when no handler matched the event type. Requeue after registering a handler to process it.';
+
+COMMENT ON TABLE retention_policies IS 'Per-app retention. NULL days = keep forever (unless RETENTION_* env defaults apply).';
+COMMENT ON COLUMN retention_policies.webhook_events_days IS 'Delete processed webhook_events older than this many days.';
+COMMENT ON COLUMN retention_policies.raw_payload_days IS 'Set calls.raw_payload to NULL for calls older than this many days.';
+COMMENT ON COLUMN retention_policies.archive_enabled IS 'Write removed data to gzipped NDJSON under RETENTION_ARCHIVE_DIR before deleting.';
+COMMENT ON TABLE retention_runs IS 'Audit log of retention job runs (one row per app per run).';
 
 COMMENT ON INDEX idx_calls_active IS 'Hot query optimization. Active calls dashboard query runs very frequently.';
-COMMENT ON INDEX idx_webhook_events_processed_at IS 'Critical for event processor performance. Used every 5 seconds.';
+COMMENT ON INDEX idx_webhook_events_processed_at IS 'Critical for event processor performance. Used on every NOTIFY wakeup and fallback poll.';
 
 -- ============================================================================
 -- GRANT PERMISSIONS (if using separate DB user)
@@ -4,9 +4,13 @@
  * INTERNAL-ONLY endpoints for API key generation, rotation, and revocation
  * Designed for sandbox testing but production-safe
  *
+ * An app can have many named keys (table api_keys), each with its own
+ * scopes and optional expiry, so one integration's key can be replaced
+ * without breaking the others.
+ *
  * Production-Grade Security:
- * - API keys are hashed using bcrypt (cost 10) before database storage
- * - Raw keys prefixed with "raw_" for identification during development
+ * - Keys are `<key_id>.<secret>`; the key id is stored in clear (indexed
+ *   lookup), the secret is hashed using bcrypt (cost 10)
  * - Only plaintext key returned once at generation - cannot be recovered
  * - Audit log tracks all key operations for compliance
  *
@@ -14,57 +18,46 @@
  * in production (e.g., JWT, Basic Auth) and not exposed publicly
  */
 
-import crypto from "node:crypto";
-import bcrypt from "bcrypt";
 import pool from "../db.js";
 import { logger } from "../utils/logger.js";
 import { isValidUUID } from "../utils/validators.js";
-
-const BCRYPT_COST = 10; // Standard cost factor for bcrypt
-
-/**
- * Generate a cryptographically secure API key
- * Format: raw_<random_32_bytes_hex> (raw prefix indicates plaintext form)
- * @returns {string} - Generated API key with "raw_" prefix
- */
-function generateApiKey() {
-  const randomBytes = crypto.randomBytes(32).toString("hex");
-  return `raw_${randomBytes}`;
-}
-
-/**
- * Hash an API key using bcrypt
- * @param {string} key - Plain text API key
- * @returns {Promise<string>} - Hashed key for storage
- */
-async function hashApiKey(key) {
-  return bcrypt.hash(key, BCRYPT_COST);
-}
-
-/**
- * Verify an API key against its hash
- * @param {string} plainKey - Plain text API key to verify
- * @param {string} hashedKey - Hashed key from database
- * @returns {Promise<boolean>} - True if keys match
- */
-async function verifyApiKey(plainKey, hashedKey) {
-  return bcrypt.compare(plainKey, hashedKey);
-}
-
-/**
- * Extract first 8 and last 4 chars of key for audit logging
- * @param {string} key - Full API key
- * @returns {string} - Redacted key hint
- */
-function getKeyHint(key) {
-  if (!key || key.length < 12) return "***";
-  return `${key.substring(0, 8)}...${key.substring(key.length - 4)}`;
+import {
+  API_KEY_SCOPES,
+  createApiKey,
+  getApiKeyById,
+  invalidateApiKeyCache,
+  listApiKeys,
+  revokeApiKeys,
+  rotateApiKeys,
+  updateApiKey,
+  validateApiKeyInput,
+  validateGracePeriod,
+} from "../services/apiKeyService.js";
+
+// Label and scopes of the key issued by the single-key endpoints
+const DEFAULT_KEY_LABEL = "default";
+
+const KEY_DISPLAY_WARNING =
+  "This is the ONLY time this key will be displayed. Store it immediately in a secure location.";
+const KEY_USAGE =
+  "Include this key in the 'x-app-api-key' header when making API requests";
+
+function invalidAppId(res) {
+  return res.status(400).json({
+    error: "Invalid request",
+    message: "app_id must be a valid UUID",
+  });
 }
 
 /**
  * POST /internal/apps/:app_id/api-key
- * Generate a new API key for an app
- * Rotates existing key if one is already present
+ * Replace all keys of an app with one new key
+ * Body (optional): { label, scopes, expires_at, grace_period_seconds }
+ *   - default: all scopes, API_KEY_ROTATION_GRACE_SECONDS grace
+ *
+ * The old keys keep working until the grace period ends (0 = revoked at
+ * once, e.g. for a leaked key). To add a key without touching the others,
+ * use POST /internal/apps/:app_id/api-keys.
  *
  * Returns the new key ONCE - never logged or stored in plaintext
  */
@@ -73,16 +66,27 @@ export async function generateApiKey_handler(req, res) {
 
   // Validate UUID format
   if (!isValidUUID(app_id)) {
+    return invalidAppId(res);
+  }
+
+  const validated = validateApiKeyInput({
+    label: req.body?.label ?? DEFAULT_KEY_LABEL,
+    scopes: req.body?.scopes ?? API_KEY_SCOPES,
+    expires_at: req.body?.expires_at ?? null,
+  });
+  const grace = validateGracePeriod(req.body?.grace_period_seconds);
+  const inputError = validated.error || grace.error;
+  if (inputError) {
     return res.status(400).json({
       error: "Invalid request",
-      message: "app_id must be a valid UUID",
+      message: inputError,
     });
   }
 
   try {
     // Verify app exists and is active
     const appResult = await pool.query(
-      `SELECT id, api_key, name, is_active FROM apps WHERE id = $1 LIMIT 1`,
+      `SELECT id, name, is_active FROM apps WHERE id = $1 LIMIT 1`,
       [app_id],
     );
 
@@ -97,56 +101,50 @@ export async function generateApiKey_handler(req, res) {
     }
 
     const app = appResult.rows[0];
-    const oldKeyHash = app.api_key;
-    const oldKeyHint = oldKeyHash ? getKeyHint(oldKeyHash) : null;
-
-    // Generate new key (plaintext with raw_ prefix)
-    const newKeyPlain = generateApiKey();
-
-    // Hash for storage in database
-    const newKeyHash = await hashApiKey(newKeyPlain);
 
     const client = await pool.connect();
     try {
       await client.query("BEGIN");
 
-      // Update apps table with hashed key
-      await client.query(
-        `UPDATE apps SET 
-           api_key = $1,
-           api_key_rotated_at = now()
-         WHERE id = $2`,
-        [newKeyHash, app_id],
-      );
+      const created = await rotateApiKeys(client, app_id, {
+        input: validated,
+        grace_period_seconds: grace.grace_period_seconds,
+      });
+      const action = created.replaced.length > 0 ? "rotated" : "created";
 
-      // Log the rotation in audit table
-      const action = oldKeyHash ? "rotated" : "created";
       await client.query(
-        `INSERT INTO api_key_audit_log (app_id, action, old_key_hint, new_key_hint)
-         VALUES ($1, $2, $3, $4)`,
-        [app_id, action, oldKeyHint, getKeyHint(newKeyPlain)],
+        `UPDATE apps SET api_key_rotated_at = now() WHERE id = $1`,
+        [app_id],
       );
 
       await client.query("COMMIT");
+      invalidateApiKeyCache(app_id);
 
       logger.info(`API key ${action} for app`, {
         app_id,
         app_name: app.name,
         action,
+        api_key_id: created.api_key.id,
+        replaced_keys: created.replaced.length,
+        grace_expires_at: created.grace_expires_at,
       });
 
       // Return the KEY ONCE - it cannot be recovered later (only hash is stored)
       return res.status(200).json({
         success: true,
         message: `API key ${action} successfully. Store this securely - it CANNOT be retrieved again.`,
-        api_key: newKeyPlain,
+        api_key: created.key,
+        api_key_id: created.api_key.id,
+        label: created.api_key.label,
+        scopes: created.api_key.scopes,
+        expires_at: created.api_key.expires_at,
+        replaced_keys: created.replaced.length,
+        old_keys_valid_until: created.grace_expires_at,
         app_id,
         app_name: app.name,
         generated_at: new Date().toISOString(),
-        warning:
-          "This is the ONLY time this key will be displayed. Store it immediately in a secure location.",
-        usage:
-          "Include this key in the 'x-app-api-key' header when making API requests",
+        warning: KEY_DISPLAY_WARNING,
+        usage: KEY_USAGE,
       });
     } catch (err) {
       await client.query("ROLLBACK");
@@ -162,7 +160,7 @@ export async function generateApiKey_handler(req, res) {
 
 /**
  * POST /internal/apps/:app_id/api-key/revoke
- * Revoke the current API key for an app
+ * Revoke every active API key of an app
  * Prevents further API access until a new key is generated
  */
 export async function revokeApiKey_handler(req, res) {
@@ -170,16 +168,13 @@ export async function revokeApiKey_handler(req, res) {
 
   // Validate UUID format
   if (!isValidUUID(app_id)) {
-    return res.status(400).json({
-      error: "Invalid request",
-      message: "app_id must be a valid UUID",
-    });
+    return invalidAppId(res);
   }
 
   try {
     // Verify app exists
     const appResult = await pool.query(
-      `SELECT id, api_key, name FROM apps WHERE id = $1 LIMIT 1`,
+      `SELECT id, name FROM apps WHERE id = $1 LIMIT 1`,
       [app_id],
     );
 
@@ -189,37 +184,27 @@ export async function revokeApiKey_handler(req, res) {
     }
 
     const app = appResult.rows[0];
-    const oldKeyHint = app.api_key ? getKeyHint(app.api_key) : null;
 
     const client = await pool.connect();
     try {
       await client.query("BEGIN");
-
-      // Set api_key to null (revoked)
-      await client.query(`UPDATE apps SET api_key = NULL WHERE id = $1`, [
-        app_id,
-      ]);
-
-      // Log the revocation
-      await client.query(
-        `INSERT INTO api_key_audit_log (app_id, action, old_key_hint)
-         VALUES ($1, $2, $3)`,
-        [app_id, "revoked", oldKeyHint],
-      );
-
+      const revoked = await revokeApiKeys(client, app_id);
       await client.query("COMMIT");
+      invalidateApiKeyCache(app_id);
 
-      logger.info("API key revoked for app", {
+      logger.info("API keys revoked for app", {
         app_id,
         app_name: app.name,
+        revoked_keys: revoked.length,
       });
 
       return res.status(200).json({
         success: true,
         message:
-          "API key revoked. App cannot authenticate until new key is generated.",
+          "API keys revoked. App cannot authenticate until new key is generated.",
         app_id,
         app_name: app.name,
+        revoked_keys: revoked.length,
         revoked_at: new Date().toISOString(),
       });
     } catch (err) {
@@ -244,15 +229,12 @@ export async function checkApiKeyStatus_handler(req, res) {
 
   // Validate UUID format
   if (!isValidUUID(app_id)) {
-    return res.status(400).json({
-      error: "Invalid request",
-      message: "app_id must be a valid UUID",
-    });
+    return invalidAppId(res);
   }
 
   try {
     const result = await pool.query(
-      `SELECT id, api_key, name, api_key_rotated_at FROM apps WHERE id = $1 LIMIT 1`,
+      `SELECT id, name, api_key_rotated_at FROM apps WHERE id = $1 LIMIT 1`,
       [app_id],
     );
 
@@ -262,11 +244,19 @@ export async function checkApiKeyStatus_handler(req, res) {
     }
 
     const app = result.rows[0];
-    const hasKey = !!app.api_key;
+    const now = new Date();
+    const activeKeys = (await listApiKeys(app_id)).filter(
+      (key) =>
+        (!key.expires_at || key.expires_at > now) &&
+        (!key.grace_expires_at || key.grace_expires_at > now),
+    );
+    const hasKey = activeKeys.length > 0;
+    const hasLegacyKey = activeKeys.some((key) => key.key_format === "legacy");
 
     logger.debug("API key status checked", {
       app_id,
       has_active_key: hasKey,
+      active_keys: activeKeys.length,
     });
 
     return res.status(200).json({
@@ -274,9 +264,22 @@ export async function checkApiKeyStatus_handler(req, res) {
       app_id: app.id,
       app_name: app.name,
       has_active_key: hasKey,
-      key_hint: hasKey ? getKeyHint(app.api_key) : null,
+      active_keys: activeKeys.map((key) => ({
+        id: key.id,
+        key_id: key.key_id,
+        key_format: key.key_format,
+        label: key.label,
+        scopes: key.scopes,
+        expires_at: key.expires_at,
+        grace_expires_at: key.grace_expires_at,
+        last_used_at: key.last_used_at,
+      })),
       last_rotated: app.api_key_rotated_at || "Never",
-      action_needed: !hasKey ? "Generate a new API key" : null,
+      action_needed: !hasKey
+        ? "Generate a new API key"
+        : hasLegacyKey
+          ? "Replace legacy keys with keys in the indexed format"
+          : null,
     });
   } catch (err) {
     logger.error("API key status check failed", { app_id, error: err.message });
@@ -286,7 +289,7 @@ export async function checkApiKeyStatus_handler(req, res) {
 
 /**
  * GET /internal/apps/:app_id/api-key/audit
- * Retrieve audit log for API key rotations/revocations
+ * Retrieve audit log of API key operations
  */
 export async function getKeyAuditLog_handler(req, res) {
   const { app_id } = req.params;
@@ -294,10 +297,7 @@ export async function getKeyAuditLog_handler(req, res) {
 
   // Validate UUID format
   if (!isValidUUID(app_id)) {
-    return res.status(400).json({
-      error: "Invalid request",
-      message: "app_id must be a valid UUID",
-    });
+    return invalidAppId(res);
   }
 
   try {
@@ -314,10 +314,11 @@ export async function getKeyAuditLog_handler(req, res) {
 
     const [logResult, countResult] = await Promise.all([
       pool.query(
-        `SELECT id, app_id, action, old_key_hint, new_key_hint, created_at
-         FROM api_key_audit_log 
-         WHERE app_id = $1 
-         ORDER BY created_at DESC 
+        `SELECT id, app_id, api_key_id, action, old_key_hint, new_key_hint,
+                details, created_at
+         FROM api_key_audit_log
+         WHERE app_id = $1
+         ORDER BY created_at DESC
          LIMIT $2 OFFSET $3`,
         [app_id, parseInt(limit, 10), parseInt(offset, 10)],
       ),
@@ -349,6 +350,342 @@ export async function getKeyAuditLog_handler(req, res) {
   }
 }
 
+/**
+ * GET /internal/apps/:app_id/api-keys
+ * List the keys of an app (never the secrets)
+ * Query: include_revoked=true to include revoked keys
+ */
+export async function listApiKeys_handler(req, res) {
+  const { app_id } = req.params;
+
+  if (!isValidUUID(app_id)) {
+    return invalidAppId(res);
+  }
+
+  try {
+    const appResult = await pool.query(
+      `SELECT id FROM apps WHERE id = $1 LIMIT 1`,
+      [app_id],
+    );
+
+    if (appResult.rowCount === 0) {
+      return res.status(404).json({ error: "App not found" });
+    }
+
+    const keys = await listApiKeys(app_id, {
+      include_revoked: req.query.include_revoked === "true",
+    });
+
+    return res.status(200).json({
+      success: true,
+      app_id,
+      api_keys: keys,
+      available_scopes: API_KEY_SCOPES,
+    });
+  } catch (err) {
+    logger.error("API key listing failed", { app_id, error: err.message });
+    return res.status(500).json({ error: "Failed to list API keys" });
+  }
+}
+
+/**
+ * POST /internal/apps/:app_id/api-keys
+ * Add a key to an app; existing keys keep working
+ * Body: { label, scopes, expires_at (optional) }
+ *
+ * Returns the new key ONCE - never logged or stored in plaintext
+ */
+export async function createApiKey_handler(req, res) {
+  const { app_id } = req.params;
+
+  if (!isValidUUID(app_id)) {
+    return invalidAppId(res);
+  }
+
+  const body = req.body || {};
+  if (body.label === undefined || body.scopes === undefined) {
+    return res.status(400).json({
+      error: "Invalid request",
+      message: "label and scopes are required",
+    });
+  }
+
+  const validated = validateApiKeyInput({
+    label: body.label,
+    scopes: body.scopes,
+    expires_at: body.expires_at ?? null,
+  });
+  if (validated.error) {
+    return res.status(400).json({
+      error: "Invalid request",
+      message: validated.error,
+    });
+  }
+
+  try {
+    const appResult = await pool.query(
+      `SELECT id, name, is_active FROM apps WHERE id = $1 LIMIT 1`,
+      [app_id],
+    );
+
+    if (appResult.rowCount === 0) {
+      return res.status(404).json({ error: "App not found" });
+    }
+
+    if (!appResult.rows[0].is_active) {
+      return res.status(403).json({ error: "App is not active" });
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      const created = await createApiKey(client, app_id, validated);
+      await client.query("COMMIT");
+
+      logger.info("API key created for app", {
+        app_id,
+        api_key_id: created.api_key.id,
+        label: created.api_key.label,
+        scopes: created.api_key.scopes,
+      });
+
+      return res.status(201).json({
+        success: true,
+        message:
+          "API key created successfully. Store this securely - it CANNOT be retrieved again.",
+        api_key: created.key,
+        data: created.api_key,
+        warning: KEY_DISPLAY_WARNING,
+        usage: KEY_USAGE,
+      });
+    } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    logger.error("API key creation failed", { app_id, error: err.message });
+    return res.status(500).json({ error: "Failed to create API key" });
+  }
+}
+
+/**
+ * GET /internal/apps/:app_id/api-keys/:api_key_id
+ * Get one key (never the secret)
+ */
+export async function getApiKey_handler(req, res) {
+  const { app_id, api_key_id } = req.params;
+
+  if (!isValidUUID(app_id) || !isValidUUID(api_key_id)) {
+    return res.status(400).json({
+      error: "Invalid request",
+      message: "app_id and api_key_id must be valid UUIDs",
+    });
+  }
+
+  try {
+    const apiKey = await getApiKeyById(app_id, api_key_id);
+    if (!apiKey) {
+      return res.status(404).json({ error: "API key not found" });
+    }
+
+    return res.status(200).json({ success: true, data: apiKey });
+  } catch (err) {
+    logger.error("API key fetch failed", {
+      app_id,
+      api_key_id,
+      error: err.message,
+    });
+    return res.status(500).json({ error: "Failed to fetch API key" });
+  }
+}
+
+/**
+ * PATCH /internal/apps/:app_id/api-keys/:api_key_id
+ * Change the label, scopes or expiry of an active key
+ * Body: { label?, scopes?, expires_at? (null = never) }
+ */
+export async function updateApiKey_handler(req, res) {
+  const { app_id, api_key_id } = req.params;
+
+  if (!isValidUUID(app_id) || !isValidUUID(api_key_id)) {
+    return res.status(400).json({
+      error: "Invalid request",
+      message: "app_id and api_key_id must be valid UUIDs",
+    });
+  }
+
+  const body = req.body || {};
+  const validated = validateApiKeyInput({
+    label: body.label,
+    scopes: body.scopes,
+    expires_at: body.expires_at,
+  });
+  if (validated.error) {
+    return res.status(400).json({
+      error: "Invalid request",
+      message: validated.error,
+    });
+  }
+  if (Object.keys(validated).length === 0) {
+    return res.status(400).json({
+      error: "Invalid request",
+      message: "Provide at least one of label, scopes, expires_at",
+    });
+  }
+
+  try {
+    const apiKey = await updateApiKey(app_id, api_key_id, validated);
+    if (!apiKey) {
+      return res.status(404).json({ error: "API key not found or revoked" });
+    }
+
+    logger.info("API key updated", {
+      app_id,
+      api_key_id,
+      fields: Object.keys(validated),
+    });
+
+    return res.status(200).json({ success: true, data: apiKey });
+  } catch (err) {
+    logger.error("API key update failed", {
+      app_id,
+      api_key_id,
+      error: err.message,
+    });
+    return res.status(500).json({ error: "Failed to update API key" });
+  }
+}
+
+/**
+ * POST /internal/apps/:app_id/api-keys/:api_key_id/rotate
+ * Replace one key with a new key (same label, scopes and expiry)
+ * Body (optional): { grace_period_seconds } - default API_KEY_ROTATION_GRACE_SECONDS
+ *
+ * The old key keeps working until the grace period ends.
+ * Returns the new key ONCE
+ */
+export async function rotateApiKey_handler(req, res) {
+  const { app_id, api_key_id } = req.params;
+
+  if (!isValidUUID(app_id) || !isValidUUID(api_key_id)) {
+    return res.status(400).json({
+      error: "Invalid request",
+      message: "app_id and api_key_id must be valid UUIDs",
+    });
+  }
+
+  const grace = validateGracePeriod(req.body?.grace_period_seconds);
+  if (grace.error) {
+    return res.status(400).json({
+      error: "Invalid request",
+      message: grace.error,
+    });
+  }
+
+  try {
+    const client = await pool.connect();
+    let rotated;
+    try {
+      await client.query("BEGIN");
+      rotated = await rotateApiKeys(client, app_id, {
+        api_key_id,
+        grace_period_seconds: grace.grace_period_seconds,
+      });
+      await client.query("COMMIT");
+    } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    if (!rotated) {
+      return res.status(404).json({ error: "API key not found or revoked" });
+    }
+
+    invalidateApiKeyCache(app_id);
+    logger.info("API key rotated", {
+      app_id,
+      api_key_id,
+      new_api_key_id: rotated.api_key.id,
+      grace_expires_at: rotated.grace_expires_at,
+    });
+
+    return res.status(201).json({
+      success: true,
+      message:
+        "API key rotated successfully. Store this securely - it CANNOT be retrieved again.",
+      api_key: rotated.key,
+      data: rotated.api_key,
+      replaced: rotated.replaced[0],
+      old_key_valid_until: rotated.grace_expires_at,
+      warning: KEY_DISPLAY_WARNING,
+      usage: KEY_USAGE,
+    });
+  } catch (err) {
+    logger.error("API key rotation failed", {
+      app_id,
+      api_key_id,
+      error: err.message,
+    });
+    return res.status(500).json({ error: "Failed to rotate API key" });
+  }
+}
+
+/**
+ * DELETE /internal/apps/:app_id/api-keys/:api_key_id
+ * Revoke one key; the app's other keys keep working
+ */
+export async function deleteApiKey_handler(req, res) {
+  const { app_id, api_key_id } = req.params;
+
+  if (!isValidUUID(app_id) || !isValidUUID(api_key_id)) {
+    return res.status(400).json({
+      error: "Invalid request",
+      message: "app_id and api_key_id must be valid UUIDs",
+    });
+  }
+
+  try {
+    const client = await pool.connect();
+    let revoked;
+    try {
+      await client.query("BEGIN");
+      revoked = await revokeApiKeys(client, app_id, api_key_id);
+      await client.query("COMMIT");
+    } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    if (revoked.length === 0) {
+      return res
+        .status(404)
+        .json({ error: "API key not found or already revoked" });
+    }
+
+    invalidateApiKeyCache(app_id);
+    logger.info("API key revoked", { app_id, api_key_id });
+
+    return res.status(200).json({
+      success: true,
+      message: "API key revoked",
+      data: revoked[0],
+    });
+  } catch (err) {
+    logger.error("API key revocation failed", {
+      app_id,
+      api_key_id,
+      error: err.message,
+    });
+    return res.status(500).json({ error: "Failed to revoke API key" });
+  }
+}
+
 /**
  * POST /internal/apps
  * Create a new app record with auto-generated UUID and initial API key
@@ -368,8 +705,6 @@ export async function createApp_handler(req, res) {
   try {
     const { v4: uuidv4 } = await import("uuid");
     const newAppId = uuidv4();
-    const newKeyPlain = generateApiKey();
-    const newKeyHash = await hashApiKey(newKeyPlain);
 
     const client = await pool.connect();
     try {
@@ -377,17 +712,17 @@ export async function createApp_handler(req, res) {
 
       // Insert new app
       await client.query(
-        `INSERT INTO apps (id, name, api_key, is_active, created_at, updated_at)
-         VALUES ($1, $2, $3, true, now(), now())`,
-        [newAppId, name.trim(), newKeyHash],
+        `INSERT INTO apps (id, name, is_active, created_at, updated_at)
+         VALUES ($1, $2, true, now(), now())`,
+        [newAppId, name.trim()],
       );
 
-      // Log the creation
-      await client.query(
-        `INSERT INTO api_key_audit_log (app_id, action, new_key_hint)
-         VALUES ($1, $2, $3)`,
-        [newAppId, "created", getKeyHint(newKeyPlain)],
-      );
+      // Initial key with all scopes (logged in the audit log)
+      const created = await createApiKey(client, newAppId, {
+        label: DEFAULT_KEY_LABEL,
+        scopes: API_KEY_SCOPES,
+        expires_at: null,
+      });
 
       await client.query("COMMIT");
 
@@ -403,7 +738,9 @@ export async function createApp_handler(req, res) {
           "App created successfully. Store the API key securely - it CANNOT be retrieved again.",
         app_id: newAppId,
         app_name: name.trim(),
-        api_key: newKeyPlain,
+        api_key: created.key,
+        api_key_id: created.api_key.id,
+        scopes: created.api_key.scopes,
         created_at: new Date().toISOString(),
         warning:
           "This is the ONLY time this API key will be displayed. Store it immediately in a secure location.",
@@ -421,24 +758,3 @@ export async function createApp_handler(req, res) {
     return res.status(500).json({ error: "Failed to create app" });
   }
 }
-
-/**
- * EXPORTED HELPER FUNCTIONS for use in other services
- * These should NOT be HTTP endpoints but are used internally
- */
-
-/**
- * Verify an API key against stored hash
- * Used during request authentication
- * @param {string} plainKey - Plain text API key from request
- * @param {string} hashedKey - Hashed key from database
- * @returns {Promise<boolean>} - True if valid
- */
-export async function validateApiKey(plainKey, hashedKey) {
-  try {
-    return await verifyApiKey(plainKey, hashedKey);
-  } catch (err) {
-    logger.error("API key validation error", { error: err.message });
-    return false;
-  }
-}
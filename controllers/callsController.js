@@ -1,8 +1,17 @@
 import {
   listCalls,
   getCallById,
+  getCallTimeline,
   getActiveCalls,
+  isCallsCursor,
 } from "../services/callsService.js";
+import {
+  getCallStats,
+  STATS_INTERVALS,
+  STATS_GROUP_BY,
+  MAX_RANGE_DAYS,
+} from "../services/callStatsService.js";
+import { decodeCursor } from "../utils/pagination.js";
 
 /**
  * Calls API Controller
@@ -11,20 +20,61 @@ import {
  * Assumes req.app_id is set by apiKeyAuth middleware.
  */
 
+/**
+ * Call list filters accepted as query params (validated in callsService)
+ */
+const CALL_FILTER_PARAMS = [
+  "status",
+  "direction",
+  "from",
+  "to",
+  "started_after",
+  "started_before",
+  "min_duration",
+  "max_duration",
+  "dialpad_user_id",
+  "crm_user_id",
+  "has_recording",
+  "sort",
+  "order",
+  "limit",
+  "offset",
+  "include_total",
+];
+
+/**
+ * Pick the call list filters from a request query
+ * @returns {Object|null} - Filters, or null if the cursor is malformed or
+ *   not a calls list cursor
+ */
+function pickCallFilters(query) {
+  const filters = {};
+  for (const param of CALL_FILTER_PARAMS) {
+    filters[param] = query[param];
+  }
+
+  if (query.cursor) {
+    filters.cursor = decodeCursor(query.cursor);
+    if (!isCallsCursor(filters.cursor)) return null;
+  }
+
+  return filters;
+}
+
 /**
  * GET /calls
  * List calls with optional filters
  */
 export async function list(req, res) {
   try {
-    const filters = {
-      status: req.query.status,
-      direction: req.query.direction,
-      from: req.query.from,
-      to: req.query.to,
-      limit: req.query.limit,
-      offset: req.query.offset,
-    };
+    const filters = pickCallFilters(req.query);
+    if (!filters) {
+      return res.status(400).json({
+        success: false,
+        error: "Bad Request",
+        message: "Invalid cursor",
+      });
+    }
 
     const result = await listCalls(req.app_id, filters);
 
@@ -43,6 +93,90 @@ export async function list(req, res) {
   }
 }
 
+/**
+ * GET /calls/stats
+ * Aggregated call stats bucketed by hour, day or week
+ */
+export async function getStats(req, res) {
+  const interval = String(req.query.interval || "day").toLowerCase();
+  const groupBy = req.query.group_by
+    ? String(req.query.group_by).toLowerCase()
+    : null;
+  const direction = req.query.direction
+    ? String(req.query.direction).toLowerCase()
+    : null;
+
+  if (!STATS_INTERVALS.includes(interval)) {
+    return res.status(400).json({
+      success: false,
+      error: "Bad Request",
+      message: `interval must be one of: ${STATS_INTERVALS.join(", ")}`,
+    });
+  }
+
+  if (groupBy && !STATS_GROUP_BY.includes(groupBy)) {
+    return res.status(400).json({
+      success: false,
+      error: "Bad Request",
+      message: `group_by must be one of: ${STATS_GROUP_BY.join(", ")}`,
+    });
+  }
+
+  if (direction && !["inbound", "outbound"].includes(direction)) {
+    return res.status(400).json({
+      success: false,
+      error: "Bad Request",
+      message: "direction must be inbound or outbound",
+    });
+  }
+
+  // Default range: the last 7 days (last 24 hours for hourly buckets)
+  const to = req.query.to ? new Date(req.query.to) : new Date();
+  const defaultDays = interval === "hour" ? 1 : 7;
+  const from = req.query.from
+    ? new Date(req.query.from)
+    : new Date(to.getTime() - defaultDays * 24 * 60 * 60 * 1000);
+
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+    return res.status(400).json({
+      success: false,
+      error: "Bad Request",
+      message: "from and to must be valid dates",
+    });
+  }
+
+  const rangeDays = (to - from) / (24 * 60 * 60 * 1000);
+  if (rangeDays <= 0 || rangeDays > MAX_RANGE_DAYS[interval]) {
+    return res.status(400).json({
+      success: false,
+      error: "Bad Request",
+      message: `from must be before to, and the range at most ${MAX_RANGE_DAYS[interval]} days for interval=${interval}`,
+    });
+  }
+
+  try {
+    const stats = await getCallStats(req.app_id, {
+      interval,
+      from,
+      to,
+      group_by: groupBy,
+      direction,
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: stats,
+    });
+  } catch (err) {
+    console.error("[CallsController] Error fetching call stats:", err);
+    return res.status(500).json({
+      success: false,
+      error: "Internal Server Error",
+      message: "Failed to fetch call stats",
+    });
+  }
+}
+
 /**
  * GET /calls/:id
  * Get a single call by ID
@@ -86,19 +220,64 @@ export async function getById(req, res) {
   }
 }
 
+/**
+ * GET /calls/:id/timeline
+ * Get the status history of a call, including rejected transitions
+ */
+export async function getTimeline(req, res) {
+  try {
+    const { id } = req.params;
+
+    // Basic UUID validation
+    const uuidRegex =
+      /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+    if (!uuidRegex.test(id)) {
+      return res.status(400).json({
+        success: false,
+        error: "Bad Request",
+        message: "Invalid call ID format",
+      });
+    }
+
+    const timeline = await getCallTimeline(req.app_id, id);
+
+    if (!timeline) {
+      return res.status(404).json({
+        success: false,
+        error: "Not Found",
+        message: "Call not found",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: timeline,
+    });
+  } catch (err) {
+    console.error("[CallsController] Error fetching call timeline:", err);
+    return res.status(500).json({
+      success: false,
+      error: "Internal Server Error",
+      message: "Failed to fetch call timeline",
+    });
+  }
+}
+
 /**
  * GET /calls/active
- * Get active calls (ringing or active status)
+ * Get active calls (in-progress: ringing, queued, active, hold, transferring, parked)
  */
 export async function getActive(req, res) {
   try {
-    const filters = {
-      direction: req.query.direction,
-      from: req.query.from,
-      to: req.query.to,
-      limit: req.query.limit,
-      offset: req.query.offset,
-    };
+    // status is ignored: active calls are always the in-progress statuses
+    const filters = pickCallFilters(req.query);
+    if (!filters) {
+      return res.status(400).json({
+        success: false,
+        error: "Bad Request",
+        message: "Invalid cursor",
+      });
+    }
 
     const result = await getActiveCalls(req.app_id, filters);
 
@@ -0,0 +1,74 @@
+import {
+  getContactTimeline,
+  parseContactPhone,
+  TIMELINE_CURSOR_COLUMN,
+  TIMELINE_TYPES,
+} from "../services/contactsService.js";
+import { getReadableTypes } from "../services/apiKeyService.js";
+import { decodeCursor, isCursorFor } from "../utils/pagination.js";
+
+/**
+ * Contacts API Controller
+ * Assumes req.app_id and req.api_key are set by apiKeyAuth middleware.
+ */
+
+export async function getTimeline(req, res) {
+  try {
+    const phone = parseContactPhone(req.params.phone);
+    if (!phone) {
+      return res.status(400).json({
+        success: false,
+        error: "Bad Request",
+        message: "Invalid phone number",
+      });
+    }
+
+    let cursor;
+    if (req.query.cursor) {
+      cursor = decodeCursor(req.query.cursor);
+      if (!isCursorFor(cursor, TIMELINE_CURSOR_COLUMN, "timestamp")) {
+        return res.status(400).json({
+          success: false,
+          error: "Bad Request",
+          message: "Invalid cursor",
+        });
+      }
+    }
+
+    const allowedTypes = getReadableTypes(req.api_key, TIMELINE_TYPES);
+    if (allowedTypes.length === 0) {
+      return res.status(403).json({
+        success: false,
+        error: "Forbidden",
+        message:
+          "API key is missing required scope: calls:read, messages:read or voicemails:read",
+      });
+    }
+
+    const types = [].concat(req.query.types ?? []).join(",");
+
+    const result = await getContactTimeline(req.app_id, phone, {
+      types,
+      allowed_types: allowedTypes,
+      limit: req.query.limit,
+      cursor,
+    });
+
+    return res.status(200).json({
+      success: true,
+      contact: {
+        phone_number: phone.raw,
+        phone_number_e164: phone.e164,
+      },
+      data: result.items,
+      pagination: result.pagination,
+    });
+  } catch (err) {
+    console.error("[ContactsController] Error fetching timeline:", err);
+    return res.status(500).json({
+      success: false,
+      error: "Internal Server Error",
+      message: "Failed to fetch contact timeline",
+    });
+  }
+}
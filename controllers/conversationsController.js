@@ -0,0 +1,162 @@
+import {
+  listConversations,
+  getConversationById,
+  markConversationRead,
+  CONVERSATIONS_CURSOR_COLUMN,
+} from "../services/conversationsService.js";
+import {
+  listMessages,
+  MESSAGES_CURSOR_COLUMN,
+} from "../services/messagesService.js";
+import { decodeCursor, isCursorFor } from "../utils/pagination.js";
+import { isValidUUID } from "../utils/validators.js";
+
+/**
+ * Conversations API Controller
+ * Assumes req.app_id is set by apiKeyAuth middleware.
+ */
+
+function badRequest(res, message) {
+  return res.status(400).json({
+    success: false,
+    error: "Bad Request",
+    message,
+  });
+}
+
+function notFound(res) {
+  return res.status(404).json({
+    success: false,
+    error: "Not Found",
+    message: "Conversation not found",
+  });
+}
+
+function serverError(res, message) {
+  return res.status(500).json({
+    success: false,
+    error: "Internal Server Error",
+    message,
+  });
+}
+
+export async function list(req, res) {
+  try {
+    const filters = {
+      dialpad_user_id: req.query.dialpad_user_id,
+      external_number: req.query.external_number,
+      unread: req.query.unread,
+      limit: req.query.limit,
+      offset: req.query.offset,
+      include_total: req.query.include_total,
+    };
+
+    if (req.query.cursor) {
+      filters.cursor = decodeCursor(req.query.cursor);
+      if (
+        !isCursorFor(filters.cursor, CONVERSATIONS_CURSOR_COLUMN, "timestamp")
+      ) {
+        return badRequest(res, "Invalid cursor");
+      }
+    }
+
+    const result = await listConversations(req.app_id, filters);
+
+    return res.status(200).json({
+      success: true,
+      data: result.conversations,
+      pagination: result.pagination,
+    });
+  } catch (err) {
+    console.error(
+      "[ConversationsController] Error listing conversations:",
+      err,
+    );
+    return serverError(res, "Failed to fetch conversations");
+  }
+}
+
+export async function getById(req, res) {
+  try {
+    const { id } = req.params;
+    if (!isValidUUID(id)) {
+      return badRequest(res, "Invalid conversation ID format");
+    }
+
+    const conversation = await getConversationById(req.app_id, id);
+    if (!conversation) return notFound(res);
+
+    return res.status(200).json({
+      success: true,
+      data: conversation,
+    });
+  } catch (err) {
+    console.error(
+      "[ConversationsController] Error fetching conversation:",
+      err,
+    );
+    return serverError(res, "Failed to fetch conversation");
+  }
+}
+
+export async function getMessages(req, res) {
+  try {
+    const { id } = req.params;
+    if (!isValidUUID(id)) {
+      return badRequest(res, "Invalid conversation ID format");
+    }
+
+    const conversation = await getConversationById(req.app_id, id);
+    if (!conversation) return notFound(res);
+
+    const filters = {
+      conversation_id: id,
+      direction: req.query.direction,
+      limit: req.query.limit,
+      offset: req.query.offset,
+      include_total: req.query.include_total,
+    };
+
+    if (req.query.cursor) {
+      filters.cursor = decodeCursor(req.query.cursor);
+      if (!isCursorFor(filters.cursor, MESSAGES_CURSOR_COLUMN, "timestamp")) {
+        return badRequest(res, "Invalid cursor");
+      }
+    }
+
+    const result = await listMessages(req.app_id, filters);
+
+    return res.status(200).json({
+      success: true,
+      conversation,
+      data: result.messages,
+      pagination: result.pagination,
+    });
+  } catch (err) {
+    console.error(
+      "[ConversationsController] Error fetching conversation messages:",
+      err,
+    );
+    return serverError(res, "Failed to fetch messages");
+  }
+}
+
+export async function markRead(req, res) {
+  try {
+    const { id } = req.params;
+    if (!isValidUUID(id)) {
+      return badRequest(res, "Invalid conversation ID format");
+    }
+
+    const conversation = await markConversationRead(req.app_id, id);
+    if (!conversation) return notFound(res);
+
+    return res.status(200).json({
+      success: true,
+      data: conversation,
+    });
+  } catch (err) {
+    console.error("[ConversationsController] Error marking read:", err);
+    return serverError(res, "Failed to mark conversation read");
+  }
+}
@@ -0,0 +1,25 @@
+/**
+ * Internal Health Controller
+ * Readiness with per-app detail (internal use; the public probes report
+ * counts only)
+ */
+
+import { checkReadiness } from "../services/healthService.js";
+
+/**
+ * GET /internal/health
+ * Readiness checks including the apps whose OAuth tokens expire soon
+ */
+export async function getHealth_handler(req, res) {
+  try {
+    const readiness = await checkReadiness({ detail: true });
+
+    return res.status(readiness.status === "fail" ? 503 : 200).json({
+      success: readiness.status !== "fail",
+      data: readiness,
+    });
+  } catch (err) {
+    console.error("[Health] Error running readiness checks:", err);
+    return res.status(500).json({ error: "Failed to run health checks" });
+  }
+}
@@ -1,4 +1,9 @@
-import { listMessages, getMessageById } from "../services/messagesService.js";
+import {
+  listMessages,
+  getMessageById,
+  MESSAGES_CURSOR_COLUMN,
+} from "../services/messagesService.js";
+import { decodeCursor, isCursorFor } from "../utils/pagination.js";
 
 /**
  * Messages API Controller
@@ -14,8 +19,20 @@ export async function list(req, res) {
       dialpad_user_id: req.query.dialpad_user_id,
       limit: req.query.limit,
       offset: req.query.offset,
+      include_total: req.query.include_total,
     };
 
+    if (req.query.cursor) {
+      filters.cursor = decodeCursor(req.query.cursor);
+      if (!isCursorFor(filters.cursor, MESSAGES_CURSOR_COLUMN, "timestamp")) {
+        return res.status(400).json({
+          success: false,
+          error: "Bad Request",
+          message: "Invalid cursor",
+        });
+      }
+    }
+
     const result = await listMessages(req.app_id, filters);
 
     return res.status(200).json({
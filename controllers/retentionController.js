@@ -0,0 +1,206 @@
+/**
+ * Internal Retention Controller
+ * Endpoints for managing per-app retention policies and running / inspecting
+ * the retention job (internal use)
+ */
+
+import * as retentionService from "../services/retentionService.js";
+import { isValidUUID } from "../utils/validators.js";
+
+/**
+ * Validate a retention day count (positive integer or null = keep forever)
+ * @param {*} value - Value from the request body
+ * @returns {boolean} - True if valid
+ */
+function isValidDays(value) {
+  return value === null || (Number.isInteger(value) && value > 0);
+}
+
+/**
+ * GET /internal/apps/:app_id/retention
+ * Get the effective retention policy for an app
+ */
+export async function getPolicy_handler(req, res) {
+  const { app_id } = req.params;
+
+  if (!isValidUUID(app_id)) {
+    return res.status(400).json({
+      error: "Invalid request",
+      message: "app_id must be a valid UUID",
+    });
+  }
+
+  try {
+    const policy = await retentionService.getRetentionPolicy(app_id);
+
+    return res.status(200).json({
+      success: true,
+      data: policy,
+    });
+  } catch (err) {
+    console.error("[Retention] Error fetching policy:", err);
+    return res.status(500).json({ error: "Failed to fetch retention policy" });
+  }
+}
+
+/**
+ * PUT /internal/apps/:app_id/retention
+ * Create or replace an app's retention policy
+ * Body: { webhook_events_days, raw_payload_days, archive_enabled }
+ */
+export async function putPolicy_handler(req, res) {
+  const { app_id } = req.params;
+  const {
+    webhook_events_days = null,
+    raw_payload_days = null,
+    archive_enabled = false,
+  } = req.body || {};
+
+  if (!isValidUUID(app_id)) {
+    return res.status(400).json({
+      error: "Invalid request",
+      message: "app_id must be a valid UUID",
+    });
+  }
+
+  if (!isValidDays(webhook_events_days) || !isValidDays(raw_payload_days)) {
+    return res.status(400).json({
+      error: "Invalid request",
+      message:
+        "webhook_events_days and raw_payload_days must be positive integers or null",
+    });
+  }
+
+  if (typeof archive_enabled !== "boolean") {
+    return res.status(400).json({
+      error: "Invalid request",
+      message: "archive_enabled must be a boolean",
+    });
+  }
+
+  try {
+    const policy = await retentionService.upsertRetentionPolicy(app_id, {
+      webhook_events_days,
+      raw_payload_days,
+      archive_enabled,
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: policy,
+    });
+  } catch (err) {
+    // Foreign key violation: app does not exist
+    if (err.code === "23503") {
+      return res.status(404).json({ error: "App not found" });
+    }
+    console.error("[Retention] Error updating policy:", err);
+    return res.status(500).json({ error: "Failed to update retention policy" });
+  }
+}
+
+/**
+ * DELETE /internal/apps/:app_id/retention
+ * Remove an app's policy so it falls back to the server defaults
+ */
+export async function deletePolicy_handler(req, res) {
+  const { app_id } = req.params;
+
+  if (!isValidUUID(app_id)) {
+    return res.status(400).json({
+      error: "Invalid request",
+      message: "app_id must be a valid UUID",
+    });
+  }
+
+  try {
+    const deleted = await retentionService.deleteRetentionPolicy(app_id);
+
+    if (!deleted) {
+      return res.status(404).json({ error: "Retention policy not found" });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Retention policy removed, server defaults apply",
+    });
+  } catch (err) {
+    console.error("[Retention] Error deleting policy:", err);
+    return res.status(500).json({ error: "Failed to delete retention policy" });
+  }
+}
+
+/**
+ * POST /internal/retention/run
+ * Run the retention job now
+ * Body (optional): { app_id, dry_run }
+ */
+export async function run_handler(req, res) {
+  const { app_id, dry_run } = req.body || {};
+
+  if (app_id && !isValidUUID(app_id)) {
+    return res.status(400).json({
+      error: "Invalid request",
+      message: "app_id must be a valid UUID",
+    });
+  }
+
+  try {
+    const result = await retentionService.runRetention({
+      app_id,
+      dry_run: dry_run === true || dry_run === "true",
+    });
+
+    if (result.skipped) {
+      return res.status(409).json({
+        error: "Conflict",
+        message: "A retention run is already in progress",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (err) {
+    console.error("[Retention] Error running retention:", err);
+    return res.status(500).json({ error: "Failed to run retention" });
+  }
+}
+
+/**
+ * GET /internal/retention/runs
+ * List recorded retention runs (what each run removed)
+ */
+export async function listRuns_handler(req, res) {
+  const { app_id, limit, offset } = req.query;
+
+  if (app_id && !isValidUUID(app_id)) {
+    return res.status(400).json({
+      error: "Invalid request",
+      message: "app_id must be a valid UUID",
+    });
+  }
+
+  try {
+    const result = await retentionService.listRetentionRuns({
+      app_id,
+      limit,
+      offset,
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: result.runs,
+      pagination: {
+        limit: result.limit,
+        offset: result.offset,
+        total: result.total,
+        has_more: result.offset + result.limit < result.total,
+      },
+    });
+  } catch (err) {
+    console.error("[Retention] Error listing runs:", err);
+    return res.status(500).json({ error: "Failed to list retention runs" });
+  }
+}
@@ -0,0 +1,56 @@
+import {
+  search as searchRecords,
+  SEARCH_TYPES,
+  validateSearchOptions,
+} from "../services/searchService.js";
+import { getReadableTypes } from "../services/apiKeyService.js";
+
+/**
+ * Search API Controller
+ * Assumes req.app_id and req.api_key are set by apiKeyAuth middleware.
+ */
+
+export async function search(req, res) {
+  try {
+    const allowedTypes = getReadableTypes(req.api_key, SEARCH_TYPES);
+    if (allowedTypes.length === 0) {
+      return res.status(403).json({
+        success: false,
+        error: "Forbidden",
+        message:
+          "API key is missing required scope: messages:read or voicemails:read",
+      });
+    }
+
+    const validated = validateSearchOptions({
+      q: req.query.q,
+      types: [].concat(req.query.types ?? []).join(","),
+      limit: req.query.limit,
+      offset: req.query.offset,
+      allowed_types: allowedTypes,
+    });
+
+    if (validated.error) {
+      return res.status(400).json({
+        success: false,
+        error: "Bad Request",
+        message: validated.error,
+      });
+    }
+
+    const result = await searchRecords(req.app_id, validated);
+
+    return res.status(200).json({
+      success: true,
+      data: result.results,
+      pagination: result.pagination,
+    });
+  } catch (err) {
+    console.error("[SearchController] Error searching:", err);
+    return res.status(500).json({
+      success: false,
+      error: "Internal Server Error",
+      message: "Failed to search",
+    });
+  }
+}
@@ -5,6 +5,7 @@
 
 import * as voicemailService from "../services/voicemailService.js";
 import { isValidUUID } from "../utils/validators.js";
+import { decodeCursor, isCursorFor } from "../utils/pagination.js";
 
 /**
  * GET /internal/apps/:app_id/voicemails
@@ -21,26 +22,53 @@ export async function listVoicemails_handler(req, res) {
     });
   }
 
-  const { limit = 50, offset = 0, dialpad_user_id } = req.query;
+  const { limit = 50, offset = 0, dialpad_user_id, include_total } = req.query;
+
+  let cursor;
+  if (req.query.cursor) {
+    cursor = decodeCursor(req.query.cursor);
+    if (
+      !isCursorFor(
+        cursor,
+        voicemailService.VOICEMAILS_CURSOR_COLUMN,
+        "timestamp",
+      )
+    ) {
+      return res.status(400).json({
+        error: "Invalid request",
+        message: "Invalid cursor",
+      });
+    }
+  }
 
   try {
     const result = await voicemailService.getVoicemails(app_id, {
       limit: parseInt(limit, 10),
       offset: parseInt(offset, 10),
+      cursor,
+      include_total:
+        include_total === undefined ? undefined : include_total === "true",
       dialpad_user_id: dialpad_user_id
         ? parseInt(dialpad_user_id, 10)
         : undefined,
     });
 
+    const pagination = {
+      limit: parseInt(limit, 10),
+      has_more: result.has_more,
+      next_cursor: result.next_cursor,
+    };
+    if (!cursor) {
+      pagination.offset = parseInt(offset, 10);
+    }
+    if (result.total !== null) {
+      pagination.total = result.total;
+    }
+
     return res.status(200).json({
       success: true,
       data: result.voicemails,
-      pagination: {
-        limit: parseInt(limit, 10),
-        offset: parseInt(offset, 10),
-        total: result.total,
-        has_more: parseInt(offset, 10) + parseInt(limit, 10) < result.total,
-      },
+      pagination,
     });
   } catch (err) {
     console.error("[Voicemail] Error listing voicemails:", err);
@@ -1,8 +1,14 @@
 import crypto from "node:crypto";
 import pool from "../db.js";
 import { logger } from "../utils/logger.js";
-import { validateApiKey } from "./apiKeyController.js";
+import { authenticateApiKey, hasScope } from "../services/apiKeyService.js";
 import { storeWebhookMetadata } from "../services/webhookService.js";
+import { notifyEventInserted } from "../services/dialpadEventProcessor.js";
+import {
+  buildEventIdempotencyKey,
+  extractEventOrderingKeys,
+  isTerminalCallEvent,
+} from "../utils/callHelpers.js";
 
 // Header names and secret env var
 const SIGNATURE_HEADER =
@@ -10,6 +16,12 @@ const SIGNATURE_HEADER =
 const APP_KEY_HEADER = process.env.DIALPAD_APP_KEY_HEADER || "x-app-api-key";
 const WEBHOOK_SECRET = process.env.DIALPAD_WEBHOOK_SECRET;
 
+// Terminal call events (call.ended) are held back this long so earlier
+// events for the same call that are still in flight can be processed first
+const REORDER_WINDOW_MS = process.env.EVENT_REORDER_WINDOW_MS
+  ? parseInt(process.env.EVENT_REORDER_WINDOW_MS, 10)
+  : 2000;
+
 /**
  * Verify webhook signature using raw body with HMAC-SHA256
  * Signature verification is MANDATORY - all webhooks must be verified
@@ -194,21 +206,15 @@ export async function handleDialpadWebhook(req, res) {
       const appApiKey = req.headers[APP_KEY_HEADER];
       if (appApiKey) {
         try {
-          const r = await pool.query(
-            `SELECT id, api_key, is_active
-             FROM apps
-             WHERE api_key IS NOT NULL AND is_active = true`,
-          );
-
-          for (const app of r.rows) {
-            const isValid = await validateApiKey(appApiKey, app.api_key);
-            if (isValid) {
-              app_id = app.id;
-              break;
-            }
-          }
-
-          if (!app_id) {
+          const apiKey = await authenticateApiKey(appApiKey, { ip: req.ip });
+          if (hasScope(apiKey, "webhooks:write")) {
+            app_id = apiKey.app_id;
+          } else if (apiKey) {
+            logger.warn("Webhook rejected - API key lacks webhooks:write", {
+              ip: req.ip,
+              api_key_id: apiKey.api_key_id,
+            });
+          } else {
             logger.warn("Webhook rejected - unknown API key", { ip: req.ip });
           }
         } catch (err) {
@@ -235,15 +241,22 @@ export async function handleDialpadWebhook(req, res) {
       req.headers["x-event-type"] ||
       null;
 
-    // Dialpad JWT webhooks use call_id as the unique identifier
-    const dialpadEventId =
-      payload.call_id || payload.id || payload.event_id || payload.uuid || null;
+    // One key per event (not per call): redeliveries hit ON CONFLICT below,
+    // later events of the same call are stored
+    const dialpadEventId = buildEventIdempotencyKey(app_id, eventType, payload);
+
+    // Ordering keys: events are processed per call in Dialpad timestamp order
+    const { dialpad_call_id: dialpadCallId, event_timestamp: eventTimestamp } =
+      extractEventOrderingKeys(payload);
+    const reorderDelayMs =
+      dialpadCallId && isTerminalCallEvent(eventType) ? REORDER_WINDOW_MS : 0;
 
     logger.info("Webhook received and verified", {
       app_id,
       dialpad_org_id,
       event_type: eventType,
       dialpad_event_id: dialpadEventId,
+      dialpad_call_id: dialpadCallId,
     });
 
     try {
@@ -259,12 +272,33 @@ export async function handleDialpadWebhook(req, res) {
       }
 
       // Persist webhook event to processing queue
-      await pool.query(
-        `INSERT INTO webhook_events (app_id, event_type, dialpad_event_id, payload)
-         VALUES ($1, $2, $3, $4)
-         ON CONFLICT (dialpad_event_id) DO NOTHING`,
-        [app_id, eventType, dialpadEventId, payload],
+      const inserted = await pool.query(
+        `INSERT INTO webhook_events (
+           app_id, event_type, dialpad_event_id, payload,
+           dialpad_call_id, event_timestamp, next_attempt_at
+         )
+         VALUES ($1, $2, $3, $4, $5, $6,
+           CASE WHEN $7::int > 0
+             THEN now() + ($7::int * interval '1 millisecond')
+             ELSE NULL
+           END)
+         ON CONFLICT (dialpad_event_id) DO NOTHING
+         RETURNING id`,
+        [
+          app_id,
+          eventType,
+          dialpadEventId,
+          payload,
+          dialpadCallId,
+          eventTimestamp,
+          reorderDelayMs,
+        ],
       );
+
+      // Wake the event processor immediately (duplicates insert nothing)
+      if (inserted.rowCount > 0) {
+        await notifyEventInserted(inserted.rows[0].id);
+      }
     } catch (err) {
       logger.error("Failed to persist webhook event", {
         error: err.message,
@@ -0,0 +1,350 @@
+/**
+ * Internal Webhook Events Controller
+ * Endpoints for inspecting the webhook_events queue, managing the
+ * dead-letter queue and unhandled events, listing registered handlers and
+ * replaying stored events (internal use)
+ */
+
+import * as webhookEventsService from "../services/webhookEventsService.js";
+import { getRegisteredHandlers } from "../services/dialpadEventProcessor.js";
+import { replayEvents } from "../services/eventReplayService.js";
+import { isValidUUID } from "../utils/validators.js";
+
+/**
+ * GET /internal/events/dead-letter
+ * List dead-lettered events with pagination
+ */
+export async function listDeadLetters_handler(req, res) {
+  const { app_id, event_type, limit, offset } = req.query;
+
+  if (app_id && !isValidUUID(app_id)) {
+    return res.status(400).json({
+      error: "Invalid request",
+      message: "app_id must be a valid UUID",
+    });
+  }
+
+  try {
+    const result = await webhookEventsService.listDeadLetteredEvents({
+      app_id,
+      event_type,
+      limit,
+      offset,
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: result.events,
+      pagination: {
+        limit: result.limit,
+        offset: result.offset,
+        total: result.total,
+        has_more: result.offset + result.limit < result.total,
+      },
+    });
+  } catch (err) {
+    console.error("[WebhookEvents] Error listing dead letters:", err);
+    return res.status(500).json({ error: "Failed to list dead letters" });
+  }
+}
+
+/**
+ * POST /internal/events/dead-letter/requeue
+ * Requeue all dead-lettered events matching optional app_id / event_type
+ */
+export async function requeueDeadLetters_handler(req, res) {
+  const { app_id, event_type } = req.body || {};
+
+  if (app_id && !isValidUUID(app_id)) {
+    return res.status(400).json({
+      error: "Invalid request",
+      message: "app_id must be a valid UUID",
+    });
+  }
+
+  try {
+    const requeued = await webhookEventsService.requeueDeadLetteredEvents({
+      app_id,
+      event_type,
+    });
+
+    return res.status(200).json({
+      success: true,
+      requeued,
+    });
+  } catch (err) {
+    console.error("[WebhookEvents] Error requeueing dead letters:", err);
+    return res.status(500).json({ error: "Failed to requeue events" });
+  }
+}
+
+/**
+ * GET /internal/events/unhandled
+ * List events no handler matched, with a per-event_type summary
+ */
+export async function listUnhandled_handler(req, res) {
+  const { app_id, event_type, limit, offset } = req.query;
+
+  if (app_id && !isValidUUID(app_id)) {
+    return res.status(400).json({
+      error: "Invalid request",
+      message: "app_id must be a valid UUID",
+    });
+  }
+
+  try {
+    const result = await webhookEventsService.listUnhandledEvents({
+      app_id,
+      event_type,
+      limit,
+      offset,
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: result.events,
+      summary: result.summary,
+      pagination: {
+        limit: result.limit,
+        offset: result.offset,
+        total: result.total,
+        has_more: result.offset + result.limit < result.total,
+      },
+    });
+  } catch (err) {
+    console.error("[WebhookEvents] Error listing unhandled events:", err);
+    return res.status(500).json({ error: "Failed to list unhandled events" });
+  }
+}
+
+/**
+ * POST /internal/events/unhandled/requeue
+ * Requeue unhandled events matching optional app_id / event_type
+ */
+export async function requeueUnhandled_handler(req, res) {
+  const { app_id, event_type } = req.body || {};
+
+  if (app_id && !isValidUUID(app_id)) {
+    return res.status(400).json({
+      error: "Invalid request",
+      message: "app_id must be a valid UUID",
+    });
+  }
+
+  try {
+    const requeued = await webhookEventsService.requeueUnhandledEvents({
+      app_id,
+      event_type,
+    });
+
+    return res.status(200).json({
+      success: true,
+      requeued,
+    });
+  } catch (err) {
+    console.error("[WebhookEvents] Error requeueing unhandled events:", err);
+    return res.status(500).json({ error: "Failed to requeue events" });
+  }
+}
+
+/**
+ * GET /internal/events/handlers
+ * List registered event handlers with per-handler success/failure stats
+ * (stats are per server instance, since process start)
+ */
+export async function listHandlers_handler(req, res) {
+  try {
+    const handlers = getRegisteredHandlers();
+
+    return res.status(200).json({
+      success: true,
+      count: handlers.length,
+      data: handlers,
+    });
+  } catch (err) {
+    console.error("[WebhookEvents] Error listing handlers:", err);
+    return res.status(500).json({ error: "Failed to list handlers" });
+  }
+}
+
+/**
+ * POST /internal/events/replay
+ * Re-run handlers for stored events matching the filters
+ * Body: { app_id, event_type, from, to, dialpad_event_id, after_id, dry_run, limit }
+ * At least one filter is required. dry_run reports the calls diffs without
+ * applying them. A truncated replay returns next_after_id; pass it as
+ * after_id with the same filters to continue.
+ */
+export async function replay_handler(req, res) {
+  const {
+    app_id,
+    event_type,
+    from,
+    to,
+    dialpad_event_id,
+    after_id,
+    dry_run,
+    limit,
+  } = req.body || {};
+
+  if (!app_id && !event_type && !from && !to && !dialpad_event_id) {
+    return res.status(400).json({
+      error: "Invalid request",
+      message:
+        "At least one filter is required: app_id, event_type, from, to, dialpad_event_id",
+    });
+  }
+
+  if (app_id && !isValidUUID(app_id)) {
+    return res.status(400).json({
+      error: "Invalid request",
+      message: "app_id must be a valid UUID",
+    });
+  }
+
+  if (after_id && !isValidUUID(after_id)) {
+    return res.status(400).json({
+      error: "Invalid request",
+      message: "after_id must be a valid UUID",
+    });
+  }
+
+  for (const [key, value] of Object.entries({ from, to })) {
+    if (value && Number.isNaN(new Date(value).getTime())) {
+      return res.status(400).json({
+        error: "Invalid request",
+        message: `${key} must be a valid date`,
+      });
+    }
+  }
+
+  try {
+    const result = await replayEvents({
+      app_id,
+      event_type,
+      from,
+      to,
+      dialpad_event_id,
+      after_id,
+      dry_run: dry_run === true || dry_run === "true",
+      limit,
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (err) {
+    console.error("[WebhookEvents] Error replaying events:", err);
+    return res.status(500).json({ error: "Failed to replay events" });
+  }
+}
+
+/**
+ * GET /internal/events/:event_id
+ * Get a webhook event including payload, attempts and last error
+ */
+export async function getEvent_handler(req, res) {
+  const { event_id } = req.params;
+
+  if (!isValidUUID(event_id)) {
+    return res.status(400).json({
+      error: "Invalid request",
+      message: "event_id must be a valid UUID",
+    });
+  }
+
+  try {
+    const event = await webhookEventsService.getWebhookEventById(event_id);
+
+    if (!event) {
+      return res.status(404).json({ error: "Event not found" });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: event,
+    });
+  } catch (err) {
+    console.error("[WebhookEvents] Error fetching event:", err);
+    return res.status(500).json({ error: "Failed to fetch event" });
+  }
+}
+
+/**
+ * POST /internal/events/:event_id/requeue
+ * Requeue a single dead-lettered event
+ */
+export async function requeueEvent_handler(req, res) {
+  const { event_id } = req.params;
+
+  if (!isValidUUID(event_id)) {
+    return res.status(400).json({
+      error: "Invalid request",
+      message: "event_id must be a valid UUID",
+    });
+  }
+
+  try {
+    const event = await webhookEventsService.requeueDeadLetteredEvent(event_id);
+
+    if (!event) {
+      const existing = await webhookEventsService.getWebhookEventById(event_id);
+      if (!existing) {
+        return res.status(404).json({ error: "Event not found" });
+      }
+      return res.status(409).json({
+        error: "Conflict",
+        message: "Only dead-lettered events can be requeued",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: event,
+      message: "Event requeued",
+    });
+  } catch (err) {
+    console.error("[WebhookEvents] Error requeueing event:", err);
+    return res.status(500).json({ error: "Failed to requeue event" });
+  }
+}
+
+/**
+ * DELETE /internal/events/:event_id
+ * Discard a dead-lettered event permanently
+ */
+export async function discardEvent_handler(req, res) {
+  const { event_id } = req.params;
+
+  if (!isValidUUID(event_id)) {
+    return res.status(400).json({
+      error: "Invalid request",
+      message: "event_id must be a valid UUID",
+    });
+  }
+
+  try {
+    const deleted =
+      await webhookEventsService.discardDeadLetteredEvent(event_id);
+
+    if (!deleted) {
+      const existing = await webhookEventsService.getWebhookEventById(event_id);
+      if (!existing) {
+        return res.status(404).json({ error: "Event not found" });
+      }
+      return res.status(409).json({
+        error: "Conflict",
+        message: "Only dead-lettered events can be discarded",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Event discarded",
+    });
+  } catch (err) {
+    console.error("[WebhookEvents] Error discarding event:", err);
+    return res.status(500).json({ error: "Failed to discard event" });
+  }
+}
@@ -0,0 +1,44 @@
+import {
+  issueTicket,
+  validateTicketInput,
+} from "../services/wsTicketService.js";
+
+/**
+ * WebSocket Ticket API Controller
+ * Assumes req.app_id and req.api_key are set by apiKeyAuth middleware.
+ */
+
+export async function createTicket(req, res) {
+  try {
+    const validated = validateTicketInput(req.body || {});
+    if (validated.error) {
+      return res.status(400).json({
+        success: false,
+        error: "Bad Request",
+        message: validated.error,
+      });
+    }
+
+    const { ticket, expires_at } = issueTicket({
+      app_id: req.app_id,
+      api_key_id: req.api_key.id,
+      crm_user_id: validated.crm_user_id,
+    });
+
+    return res.status(201).json({
+      success: true,
+      data: {
+        ticket,
+        expires_at,
+        crm_user_id: validated.crm_user_id,
+      },
+    });
+  } catch (err) {
+    console.error("[WsTicketController] Error issuing ticket:", err);
+    return res.status(500).json({
+      success: false,
+      error: "Internal Server Error",
+      message: "Failed to issue WebSocket ticket",
+    });
+  }
+}
@@ -2,7 +2,8 @@ import dotenv from "dotenv";
 dotenv.config();
 
 import pkg from "pg";
-const { Pool } = pkg;
+import { getContext } from "./utils/executionContext.js";
+const { Pool, Client } = pkg;
 
 /*
   Create a Postgres connection pool using `pg`.
@@ -20,7 +21,7 @@ const { Pool } = pkg;
 
   All numeric env vars are parsed to integers to avoid type issues.
 */
-const pool = new Pool({
+const poolConfig = {
   host: process.env.DB_HOST || process.env.PGHOST || "localhost",
   user: process.env.DB_USER || process.env.PGUSER,
   password: process.env.DB_PASSWORD || process.env.PGPASSWORD,
@@ -41,10 +42,10 @@ const pool = new Pool({
     : 2000,
   // Enable a simple SSL option when DB_SSL=true. For production, provide
   // a proper SSL configuration and certificate verification as needed.
-  ssl:
-   { rejectUnauthorized: false},
-});
+  ssl: { rejectUnauthorized: false },
+};
 
+const pool = new Pool(poolConfig);
 
 // Log unexpected errors emitted by a client in the pool.
 pool.on("error", (err) => {
@@ -54,20 +55,45 @@ pool.on("error", (err) => {
 /*
   testConnection(): Acquire a client from the pool, run a lightweight query,
   and release the client. This is useful for quick health checks.
+  Pass { silent: true } to skip the success log (readiness probes).
 */
-async function testConnection() {
+async function testConnection(options = {}) {
   const client = await pool.connect();
   try {
     await client.query("SELECT 1");
-    console.log("Database connection OK");
+    if (!options.silent) {
+      console.log("Database connection OK");
+    }
   } finally {
     client.release();
   }
 }
 
+/*
+  createDedicatedClient(): Create a standalone (non-pooled) client with the
+  same connection settings as the pool. Used for long-lived sessions such as
+  LISTEN, which would otherwise hold a pool slot forever. The caller is
+  responsible for connect() and end().
+*/
+function createDedicatedClient() {
+  const { max, idleTimeoutMillis, ...clientConfig } = poolConfig;
+  return new Client(clientConfig);
+}
+
+/*
+  query(text, params): Run a query on the client bound to the current
+  execution context (see utils/executionContext.js), or on the pool when
+  none is bound. Event handlers use this so replay can run them inside a
+  transaction (and roll back for dry runs).
+*/
+function query(text, params) {
+  const { client } = getContext();
+  return (client || pool).query(text, params);
+}
+
 // Default export is the pool for convenience; also export named bindings
 export default pool;
-export { pool, testConnection };
+export { pool, query, testConnection, createDedicatedClient };
 
 // If `db.js` is executed directly (node db.js), run a quick connection test.
 if (process.argv[1] && process.argv[1].endsWith("db.js")) {
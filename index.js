@@ -9,17 +9,29 @@ import dialpadAuthRouter from "./routes/dialpadAuth.js";
 import webhooksRouter from "./routes/webhooks.js";
 import callsRouter from "./routes/calls.js";
 import messagesRouter from "./routes/messages.js";
+import contactsRouter from "./routes/contacts.js";
+import searchRouter from "./routes/search.js";
+import conversationsRouter from "./routes/conversations.js";
+import wsRouter from "./routes/ws.js";
 import internalRouter from "./routes/internal.js";
 
 // Import event processing
 import { startEventProcessor } from "./services/dialpadEventProcessor.js";
 import { registerCallHandlers } from "./services/callEventHandlers.js";
+import { startRetentionScheduler } from "./services/retentionService.js";
+import { startApiKeyExpiryScheduler } from "./services/apiKeyService.js";
 
 // Import WebSocket manager
 import { initializeWebSocketServer } from "./services/websocketManager.js";
 
+// Import metrics and health checks
+import { collectMetrics } from "./services/metricsService.js";
+import { checkLiveness, checkReadiness } from "./services/healthService.js";
+import { internalAuth } from "./middleware/internalAuth.js";
+
 // Import utilities
 import { logger } from "./utils/logger.js";
+import { METRICS_CONTENT_TYPE } from "./utils/metrics.js";
 import { testConnection } from "./db.js";
 
 // =============================================================================
@@ -131,6 +143,15 @@ const internalLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+// Rate limiting for public health probes (each readiness check queries the DB)
+const healthLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 120, // 120 requests per minute
+  message: "Too many health check requests, please try again later.",
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 // Rate limiting for OAuth endpoints (stricter - prevent OAuth flow attacks)
 const authLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -178,36 +199,58 @@ app.get("/", (req, res) => {
   res.json({ message: "CTI Server is running" });
 });
 
+// Liveness probe - process is up (restart the instance if this fails)
+app.get("/health/live", (req, res) => {
+  res.status(200).json(checkLiveness());
+});
+
+// Readiness probe - DB, event processor heartbeat, backlog age, OAuth tokens
+// (stop routing to the instance while this returns 503)
+app.get("/health/ready", healthLimiter, async (req, res) => {
+  try {
+    const readiness = await checkReadiness();
+    res.status(readiness.status === "fail" ? 503 : 200).json(readiness);
+  } catch (err) {
+    logger.error("Readiness check error", { err: err.message });
+    res.status(503).json({ status: "fail", error: err.message });
+  }
+});
+
 // Health check endpoint - used by load balancers and monitoring
-app.get("/health", async (req, res) => {
+// Reports readiness, plus basic instance info (counts only; per-app detail
+// is on /internal/health)
+app.get("/health", healthLimiter, async (req, res) => {
   try {
-    const health = {
-      status: "healthy",
-      timestamp: new Date().toISOString(),
+    const readiness = await checkReadiness();
+    const healthy = readiness.status !== "fail";
+
+    res.status(healthy ? 200 : 503).json({
+      status: healthy ? "healthy" : "unhealthy",
+      timestamp: readiness.timestamp,
       uptime: process.uptime(),
       environment: process.env.NODE_ENV || "sandbox",
       port: PORT,
-    };
-
-    res.status(200).json(health);
+      checks: readiness.checks,
+    });
   } catch (err) {
     logger.error("Health check error", { err: err.message });
     res.status(503).json({ status: "unhealthy", error: err.message });
   }
 });
 
-// Metrics endpoint - WebSocket and memory stats
-app.get("/metrics", (req, res) => {
-  const memUsage = process.memoryUsage();
-  res.json({
-    timestamp: new Date().toISOString(),
-    memory: {
-      heap_used_mb: Math.round(memUsage.heapUsed / 1024 / 1024),
-      heap_total_mb: Math.round(memUsage.heapTotal / 1024 / 1024),
-      external_mb: Math.round(memUsage.external / 1024 / 1024),
-    },
-    uptime_seconds: process.uptime(),
-  });
+// Metrics endpoint - Prometheus text format: event processing counters,
+// handler latency, queue depth / backlog age, WebSocket and DB pool stats.
+// Each scrape queries the DB and labels include app ids, so it needs the
+// internal secret (Authorization: Bearer <INTERNAL_API_SECRET>)
+app.get("/metrics", internalLimiter, internalAuth, async (req, res) => {
+  try {
+    const body = await collectMetrics();
+    res.set("Content-Type", METRICS_CONTENT_TYPE);
+    res.send(body);
+  } catch (err) {
+    logger.error("Metrics collection error", { err: err.message });
+    res.status(500).send("# metrics collection failed\n");
+  }
 });
 
 // Dialpad OAuth routes (protected by auth rate limiter)
@@ -222,6 +265,18 @@ app.use("/api/calls", apiLimiter, callsRouter);
 // Messages API (read-only, API key authenticated, rate limited)
 app.use("/api/messages", apiLimiter, messagesRouter);
 
+// Conversations API (API key authenticated, rate limited)
+app.use("/api/conversations", apiLimiter, conversationsRouter);
+
+// Contacts API (read-only, API key authenticated, rate limited)
+app.use("/api/contacts", apiLimiter, contactsRouter);
+
+// Search API (read-only, API key authenticated, rate limited)
+app.use("/api/search", apiLimiter, searchRouter);
+
+// WebSocket tickets (API key authenticated, rate limited)
+app.use("/api/ws", apiLimiter, wsRouter);
+
 // Internal routes (protected by auth + rate limited)
 app.use("/internal", internalLimiter, internalRouter);
 
@@ -246,19 +301,45 @@ logger.info("✓ WebSocket server initialized on /ws (upgrade endpoint)");
 registerCallHandlers(); // Register all call event handlers
 logger.info("✓ Call event handlers registered");
 
-// Start the event processor with 5-second polling interval
+// Start the event processor: wakes on NOTIFY from the webhook route,
+// with a 30-second poll as fallback
 const stopProcessor = startEventProcessor({
-  intervalMs: 5000, // Poll every 5 seconds
+  intervalMs: 30000, // Fallback poll every 30 seconds
   batchSize: 50, // Process up to 50 events per batch
+  listen: true, // LISTEN for new-event notifications
+});
+logger.info(
+  "✓ Webhook event processor started (LISTEN/NOTIFY, fallback poll every 30s)",
+);
+
+// Start the retention job (purges old webhook_events / raw payloads per app policy)
+const retentionIntervalMs =
+  parseInt(process.env.RETENTION_INTERVAL_MS, 10) || 6 * 60 * 60 * 1000;
+const stopRetention = startRetentionScheduler({
+  intervalMs: retentionIntervalMs,
+});
+logger.info("✓ Retention scheduler started", {
+  interval_ms: retentionIntervalMs,
+});
+
+// Revoke rotated API keys whose grace period has ended
+const apiKeyExpiryIntervalMs =
+  parseInt(process.env.API_KEY_EXPIRY_INTERVAL_MS, 10) || 60 * 1000;
+const stopApiKeyExpiry = startApiKeyExpiryScheduler({
+  intervalMs: apiKeyExpiryIntervalMs,
+});
+logger.info("✓ API key expiry scheduler started", {
+  interval_ms: apiKeyExpiryIntervalMs,
 });
-logger.info("✓ Webhook event processor started (polling every 5s)");
 
 // =============================================================================
 // GRACEFUL SHUTDOWN
 // =============================================================================
-process.on("SIGTERM", () => {
+process.on("SIGTERM", async () => {
   logger.info("SIGTERM received, initiating graceful shutdown...");
-  stopProcessor();
+  await stopProcessor(); // Releases this worker's event claims
+  await stopRetention(); // Waits for an in-progress retention run
+  await stopApiKeyExpiry();
   wsServer.heartbeatInterval && clearInterval(wsServer.heartbeatInterval);
   httpServer.close(() => {
     logger.info("✓ Server closed successfully");
@@ -266,9 +347,11 @@ process.on("SIGTERM", () => {
   });
 });
 
-process.on("SIGINT", () => {
+process.on("SIGINT", async () => {
   logger.info("SIGINT received, initiating graceful shutdown...");
-  stopProcessor();
+  await stopProcessor(); // Releases this worker's event claims
+  await stopRetention(); // Waits for an in-progress retention run
+  await stopApiKeyExpiry();
   wsServer.heartbeatInterval && clearInterval(wsServer.heartbeatInterval);
   httpServer.close(() => {
     logger.info("✓ Server closed successfully");
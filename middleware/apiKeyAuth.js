@@ -1,5 +1,4 @@
-import pool from "../db.js";
-import { validateApiKey } from "../controllers/apiKeyController.js";
+import { authenticateApiKey, hasScope } from "../services/apiKeyService.js";
 import { logger } from "../utils/logger.js";
 
 /**
@@ -9,12 +8,14 @@ import { logger } from "../utils/logger.js";
  * Ensures tenant isolation by rejecting invalid or inactive apps.
  *
  * SECURITY: API keys are stored hashed (bcrypt) in database.
- * This middleware verifies the plain key from headers against the hash.
+ * Keys are `<key_id>.<secret>`: the key is found by its key id and only its
+ * hash is checked (see services/apiKeyService.js). Revoked and expired keys
+ * are rejected.
  *
  * Usage:
- *   router.get('/calls', apiKeyAuth, callsController.list);
+ *   router.get('/calls', apiKeyAuth, requireScope('calls:read'), callsController.list);
  *
- * Sets req.app_id for downstream handlers.
+ * Sets req.app_id and req.api_key (key id, label, scopes) for downstream handlers.
  */
 export async function apiKeyAuth(req, res, next) {
   const apiKey = req.headers["x-app-api-key"];
@@ -27,32 +28,9 @@ export async function apiKeyAuth(req, res, next) {
   }
 
   try {
-    // Fetch all active apps with API keys
-    // We need to check the hash against each one since we can't query by hash
-    const result = await pool.query(
-      `SELECT id, name, is_active, api_key 
-       FROM apps 
-       WHERE api_key IS NOT NULL AND is_active = true`,
-    );
+    const matchedKey = await authenticateApiKey(apiKey, { ip: req.ip });
 
-    if (result.rowCount === 0) {
-      return res.status(401).json({
-        error: "Unauthorized",
-        message: "Invalid API key",
-      });
-    }
-
-    // Find the matching app by verifying the bcrypt hash
-    let matchedApp = null;
-    for (const app of result.rows) {
-      const isValid = await validateApiKey(apiKey, app.api_key);
-      if (isValid) {
-        matchedApp = app;
-        break;
-      }
-    }
-
-    if (!matchedApp) {
+    if (!matchedKey) {
       logger.warn("API key authentication failed - invalid key");
       return res.status(401).json({
         error: "Unauthorized",
@@ -61,12 +39,18 @@ export async function apiKeyAuth(req, res, next) {
     }
 
     // Attach app_id to request for downstream use
-    req.app_id = matchedApp.id;
-    req.app_name = matchedApp.name;
+    req.app_id = matchedKey.app_id;
+    req.app_name = matchedKey.app_name;
+    req.api_key = {
+      id: matchedKey.api_key_id,
+      label: matchedKey.label,
+      scopes: matchedKey.scopes,
+    };
 
     logger.debug("API key authenticated successfully", {
-      app_id: matchedApp.id,
-      app_name: matchedApp.name,
+      app_id: matchedKey.app_id,
+      app_name: matchedKey.app_name,
+      api_key_id: matchedKey.api_key_id,
     });
 
     next();
@@ -78,3 +62,30 @@ export async function apiKeyAuth(req, res, next) {
     });
   }
 }
+
+/**
+ * Scope check for a route (use after apiKeyAuth)
+ * Rejects with 403 unless the key has every listed scope.
+ *
+ * @param {...string} scopes - e.g. "calls:read"
+ * @returns {Function} - Express middleware
+ */
+export function requireScope(...scopes) {
+  return (req, res, next) => {
+    const missing = scopes.filter((scope) => !hasScope(req.api_key, scope));
+
+    if (missing.length > 0) {
+      logger.warn("API key rejected - missing scope", {
+        app_id: req.app_id,
+        api_key_id: req.api_key?.id,
+        missing,
+      });
+      return res.status(403).json({
+        error: "Forbidden",
+        message: `API key is missing required scope: ${missing.join(", ")}`,
+      });
+    }
+
+    next();
+  };
+}
@@ -0,0 +1,38 @@
+-- Migration 007: Retry with exponential backoff and dead-letter queue for webhook_events
+-- Purpose: Stop retrying a failing (poison) event on every poll forever.
+-- Failed events are rescheduled with exponential backoff and moved to a
+-- dead-letter state once they exceed the maximum number of attempts.
+-- Date: 2026-10-19
+
+-- Number of failed processing attempts so far
+ALTER TABLE webhook_events
+ADD COLUMN IF NOT EXISTS attempts INTEGER NOT NULL DEFAULT 0;
+
+-- Error message captured from the most recent failed attempt
+ALTER TABLE webhook_events
+ADD COLUMN IF NOT EXISTS last_error TEXT;
+
+-- Earliest time the event may be retried (NULL = eligible immediately)
+ALTER TABLE webhook_events
+ADD COLUMN IF NOT EXISTS next_attempt_at TIMESTAMP DEFAULT NULL;
+
+-- Set when the event exhausted its retries and was moved to the dead-letter queue
+ALTER TABLE webhook_events
+ADD COLUMN IF NOT EXISTS dead_lettered_at TIMESTAMP DEFAULT NULL;
+
+-- Replace the pending-events index so it excludes dead-lettered events
+-- and supports the next_attempt_at scheduling check
+DROP INDEX IF EXISTS idx_webhook_events_processed_at;
+CREATE INDEX idx_webhook_events_processed_at
+ON webhook_events(next_attempt_at NULLS FIRST, received_at)
+WHERE processed_at IS NULL AND dead_lettered_at IS NULL;
+
+-- Fast listing of the dead-letter queue
+CREATE INDEX IF NOT EXISTS idx_webhook_events_dead_letter
+ON webhook_events(dead_lettered_at DESC)
+WHERE dead_lettered_at IS NOT NULL;
+
+COMMENT ON COLUMN webhook_events.attempts IS 'Number of failed processing attempts.';
+COMMENT ON COLUMN webhook_events.last_error IS 'Error message from the most recent failed attempt.';
+COMMENT ON COLUMN webhook_events.next_attempt_at IS 'Earliest retry time (exponential backoff). NULL = eligible now.';
+COMMENT ON COLUMN webhook_events.dead_lettered_at IS 'Set when retries are exhausted. Dead-lettered events are not retried until requeued.';
@@ -0,0 +1,23 @@
+-- Migration 008: Claim-based locking for webhook event processing
+-- Purpose: Let multiple server instances process webhook_events concurrently
+-- without double-processing. A worker claims a batch of events inside a
+-- transaction (FOR UPDATE SKIP LOCKED), stamps them with its worker id and a
+-- lease timestamp, then processes them outside the transaction. Claims older
+-- than the lease are considered abandoned (crashed worker) and are reclaimed.
+-- Date: 2026-10-19
+
+-- Worker id of the processor instance currently holding the event
+ALTER TABLE webhook_events
+ADD COLUMN IF NOT EXISTS claimed_by TEXT DEFAULT NULL;
+
+-- When the claim was taken (lease start)
+ALTER TABLE webhook_events
+ADD COLUMN IF NOT EXISTS claimed_at TIMESTAMP DEFAULT NULL;
+
+-- Fast release of a worker's claims on shutdown
+CREATE INDEX IF NOT EXISTS idx_webhook_events_claimed_by
+ON webhook_events(claimed_by)
+WHERE claimed_by IS NOT NULL;
+
+COMMENT ON COLUMN webhook_events.claimed_by IS 'Worker id holding the event. NULL = unclaimed.';
+COMMENT ON COLUMN webhook_events.claimed_at IS 'Lease start. Claims older than EVENT_CLAIM_LEASE_MS are reclaimed by other workers.';
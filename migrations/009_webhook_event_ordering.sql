@@ -0,0 +1,41 @@
+-- Migration 009: Per-call ordering for webhook event processing
+-- Purpose: Process events for the same call in the order Dialpad generated
+-- them, not the order they were received. Events are partitioned by
+-- dialpad_call_id; only the earliest pending event of each call (ordered by
+-- Dialpad's event timestamp) is eligible to be claimed.
+-- Date: 2026-10-19
+
+-- Partition key: the Dialpad call this event belongs to (NULL = not call-scoped)
+ALTER TABLE webhook_events
+ADD COLUMN IF NOT EXISTS dialpad_call_id TEXT DEFAULT NULL;
+
+-- Dialpad's own event timestamp (falls back to received_at for ordering)
+ALTER TABLE webhook_events
+ADD COLUMN IF NOT EXISTS event_timestamp TIMESTAMP DEFAULT NULL;
+
+-- Backfill ordering keys for events that have not been processed yet
+UPDATE webhook_events
+SET dialpad_call_id = COALESCE(
+      payload->>'call_id',
+      payload->'call'->>'id',
+      payload->'call'->>'call_id',
+      payload->'data'->'call'->>'id',
+      payload->'recording'->>'call_id',
+      payload->'voicemail'->>'call_id'
+    ),
+    event_timestamp = CASE
+      WHEN payload->>'event_timestamp' ~ '^\d{13}$'
+        THEN to_timestamp((payload->>'event_timestamp')::bigint / 1000.0) AT TIME ZONE 'UTC'
+      WHEN payload->>'event_timestamp' ~ '^\d{10}$'
+        THEN to_timestamp((payload->>'event_timestamp')::bigint) AT TIME ZONE 'UTC'
+      ELSE NULL
+    END
+WHERE processed_at IS NULL;
+
+-- Fast check for earlier pending events of the same call
+CREATE INDEX IF NOT EXISTS idx_webhook_events_call_pending
+ON webhook_events(dialpad_call_id, event_timestamp, received_at)
+WHERE processed_at IS NULL AND dead_lettered_at IS NULL;
+
+COMMENT ON COLUMN webhook_events.dialpad_call_id IS 'Ordering partition. Events of one call are processed one at a time, oldest first.';
+COMMENT ON COLUMN webhook_events.event_timestamp IS 'Dialpad event timestamp. Orders events within a call; received_at is the fallback.';
@@ -0,0 +1,22 @@
+-- Migration 010: Pluggable handler registry support for webhook_events
+-- Purpose: Several handlers can subscribe to one event type. Track the
+-- outcome of each handler per event so a retry only re-runs the handlers
+-- that failed, and keep events without any matching handler in a queryable
+-- "unhandled" state instead of silently marking them processed.
+-- Date: 2026-10-19
+
+-- Per-handler outcome: { "<handler name>": { "status": "succeeded"|"failed", "at": ..., "error": ... } }
+ALTER TABLE webhook_events
+ADD COLUMN IF NOT EXISTS handler_results JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+-- Set (together with processed_at) when no registered handler matched the event type
+ALTER TABLE webhook_events
+ADD COLUMN IF NOT EXISTS unhandled_at TIMESTAMP DEFAULT NULL;
+
+-- Fast listing of unhandled events
+CREATE INDEX IF NOT EXISTS idx_webhook_events_unhandled
+ON webhook_events(event_type, unhandled_at DESC)
+WHERE unhandled_at IS NOT NULL;
+
+COMMENT ON COLUMN webhook_events.handler_results IS 'Per-handler outcome. Handlers that succeeded are skipped when the event is retried.';
+COMMENT ON COLUMN webhook_events.unhandled_at IS 'Set when no handler matched the event type. Requeue after registering a handler to process it.';
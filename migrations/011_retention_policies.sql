@@ -0,0 +1,47 @@
+-- Migration 011: Retention policies for webhook_events and calls.raw_payload
+-- Purpose: webhook_events keeps every payload forever and calls.raw_payload
+-- (GIN indexed) grows without bound. Per-app policies let the retention job
+-- purge processed events and clear raw payloads after N days, optionally
+-- archiving them to gzipped NDJSON files first. Every run is recorded.
+-- Date: 2026-10-19
+
+-- Per-app retention policy (apps without a row use the RETENTION_* env defaults)
+CREATE TABLE IF NOT EXISTS retention_policies (
+  app_id UUID PRIMARY KEY REFERENCES apps(id) ON DELETE CASCADE,
+  webhook_events_days INTEGER CHECK (webhook_events_days > 0),
+  raw_payload_days INTEGER CHECK (raw_payload_days > 0),
+  archive_enabled BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMP DEFAULT now(),
+  updated_at TIMESTAMP DEFAULT now()
+);
+
+-- One row per app per retention run: what was removed and where it was archived
+CREATE TABLE IF NOT EXISTS retention_runs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  app_id UUID REFERENCES apps(id) ON DELETE CASCADE,
+  started_at TIMESTAMP NOT NULL DEFAULT now(),
+  finished_at TIMESTAMP,
+  webhook_events_days INTEGER,
+  raw_payload_days INTEGER,
+  events_deleted INTEGER NOT NULL DEFAULT 0,
+  payloads_cleared INTEGER NOT NULL DEFAULT 0,
+  archive_files JSONB NOT NULL DEFAULT '[]'::jsonb,
+  error TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_retention_runs_started_at
+ON retention_runs(started_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_retention_runs_app_id
+ON retention_runs(app_id, started_at DESC);
+
+-- Purge scan: processed events per app by age
+CREATE INDEX IF NOT EXISTS idx_webhook_events_retention
+ON webhook_events(app_id, processed_at)
+WHERE processed_at IS NOT NULL;
+
+COMMENT ON TABLE retention_policies IS 'Per-app retention. NULL days = keep forever (unless RETENTION_* env defaults apply).';
+COMMENT ON COLUMN retention_policies.webhook_events_days IS 'Delete processed webhook_events older than this many days.';
+COMMENT ON COLUMN retention_policies.raw_payload_days IS 'Set calls.raw_payload to NULL for calls older than this many days.';
+COMMENT ON COLUMN retention_policies.archive_enabled IS 'Write removed data to gzipped NDJSON under RETENTION_ARCHIVE_DIR before deleting.';
+COMMENT ON TABLE retention_runs IS 'Audit log of retention job runs (one row per app per run).';
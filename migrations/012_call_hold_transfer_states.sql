@@ -0,0 +1,20 @@
+-- Migration 012: Hold, transfer, queue and park call states
+-- Purpose: Calls can now be queued, put on hold, transferred and parked
+-- (see STATUS_TRANSITIONS in utils/callHelpers.js). Each status change
+-- stamps status_changed_at, and the active-calls index covers every
+-- in-progress state so held / transferring calls still show up as live.
+-- Date: 2026-10-19
+
+-- When the call last changed status
+ALTER TABLE calls
+ADD COLUMN IF NOT EXISTS status_changed_at TIMESTAMP DEFAULT NULL;
+
+-- Active calls now include the mid-call states
+DROP INDEX IF EXISTS idx_calls_active;
+CREATE INDEX idx_calls_active
+ON calls(app_id, started_at DESC NULLS LAST)
+WHERE status IN ('ringing', 'queued', 'active', 'hold', 'transferring', 'parked');
+
+COMMENT ON COLUMN calls.status IS 'Call state: ringing, queued, active, hold, transferring, parked, ended, missed, rejected, voicemail.';
+COMMENT ON COLUMN calls.status_changed_at IS 'When the call last changed status.';
+COMMENT ON INDEX idx_calls_active IS 'Partial index for active calls dashboard (hot query). Covers all in-progress states.';
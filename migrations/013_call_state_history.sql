@@ -0,0 +1,37 @@
+-- Migration 013: Call state history
+-- Purpose: calls only stores the latest status. call_state_history records
+-- every status transition the call handlers evaluate - applied or rejected
+-- by isValidStatusTransition - with the webhook_event that caused it, so
+-- ring time, hold periods, etc. can be reconstructed.
+-- Date: 2026-10-19
+
+CREATE TABLE IF NOT EXISTS call_state_history (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  app_id UUID NOT NULL REFERENCES apps(id) ON DELETE CASCADE,
+  call_id UUID REFERENCES calls(id) ON DELETE CASCADE,
+  dialpad_call_id BIGINT NOT NULL,
+  from_status TEXT,
+  to_status TEXT NOT NULL,
+  applied BOOLEAN NOT NULL,
+  rejection_reason TEXT,
+  event_type TEXT,
+  -- Not a foreign key: history outlives webhook_events purged by retention
+  webhook_event_id UUID,
+  occurred_at TIMESTAMP NOT NULL,
+  recorded_at TIMESTAMP NOT NULL DEFAULT now()
+);
+
+-- Timeline lookup
+CREATE INDEX IF NOT EXISTS idx_call_state_history_call
+ON call_state_history(call_id, occurred_at, recorded_at);
+
+-- One entry per event and target status, so replaying an event updates its
+-- entry instead of duplicating it
+CREATE UNIQUE INDEX IF NOT EXISTS idx_call_state_history_event
+ON call_state_history(webhook_event_id, to_status)
+WHERE webhook_event_id IS NOT NULL;
+
+COMMENT ON TABLE call_state_history IS 'Every call status transition evaluated by the event handlers, applied or rejected.';
+COMMENT ON COLUMN call_state_history.applied IS 'false = rejected by isValidStatusTransition (call status left unchanged).';
+COMMENT ON COLUMN call_state_history.webhook_event_id IS 'Source webhook_events.id (may no longer exist after retention purges).';
+COMMENT ON COLUMN call_state_history.occurred_at IS 'Dialpad event timestamp, or processing time when the payload has none.';
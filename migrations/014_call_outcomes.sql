@@ -0,0 +1,27 @@
+-- Migration 014: Call outcomes
+-- Purpose: call.ended used to leave every call as 'ended'. The final status
+-- is now derived from the observed sequence and Dialpad fields
+-- (classifyCallOutcome in utils/callHelpers.js): unanswered inbound calls
+-- end as 'missed', declined calls as 'rejected'. calls.outcome keeps the
+-- finer classification, and entry_point_call_id links the legs of a group /
+-- call center ring so a leg answered by someone else is not a missed call.
+-- Date: 2026-10-19
+
+ALTER TABLE calls
+ADD COLUMN IF NOT EXISTS outcome TEXT DEFAULT NULL;
+
+ALTER TABLE calls
+ADD COLUMN IF NOT EXISTS entry_point_call_id BIGINT DEFAULT NULL;
+
+-- Sibling legs lookup (answered elsewhere)
+CREATE INDEX IF NOT EXISTS idx_calls_entry_point
+ON calls(app_id, entry_point_call_id)
+WHERE entry_point_call_id IS NOT NULL;
+
+-- Missed / abandoned calls by app (callback lists)
+CREATE INDEX IF NOT EXISTS idx_calls_app_outcome_started
+ON calls(app_id, outcome, started_at DESC NULLS LAST)
+WHERE outcome IS NOT NULL;
+
+COMMENT ON COLUMN calls.outcome IS 'How the call ended: answered, answered_elsewhere, missed, abandoned, rejected, no_answer. NULL while in progress or when unknown.';
+COMMENT ON COLUMN calls.entry_point_call_id IS 'Dialpad entry point call ID, shared by all legs of the same inbound call.';
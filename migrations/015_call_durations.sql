@@ -0,0 +1,24 @@
+-- Migration 015: Call durations
+-- Purpose: duration_seconds is whatever Dialpad reports. answered_at and the
+-- ring / talk / hold durations are computed from call_state_history by the
+-- call handlers (computeCallDurations in utils/callHelpers.js) when a call is
+-- answered and when it ends, for speed-to-answer and handle time reports.
+-- Calls that ended before this migration keep NULL durations.
+-- Date: 2026-10-19
+
+ALTER TABLE calls
+ADD COLUMN IF NOT EXISTS answered_at TIMESTAMP DEFAULT NULL;
+
+ALTER TABLE calls
+ADD COLUMN IF NOT EXISTS ring_duration_seconds INTEGER DEFAULT NULL;
+
+ALTER TABLE calls
+ADD COLUMN IF NOT EXISTS talk_duration_seconds INTEGER DEFAULT NULL;
+
+ALTER TABLE calls
+ADD COLUMN IF NOT EXISTS hold_duration_seconds INTEGER DEFAULT NULL;
+
+COMMENT ON COLUMN calls.answered_at IS 'When the call was first answered (first transition to active).';
+COMMENT ON COLUMN calls.ring_duration_seconds IS 'Seconds from first ring (including queue time) until answered, or until the end for unanswered calls.';
+COMMENT ON COLUMN calls.talk_duration_seconds IS 'Seconds from answered until the end, excluding hold. NULL while in progress.';
+COMMENT ON COLUMN calls.hold_duration_seconds IS 'Seconds spent on hold or parked. NULL while in progress.';
@@ -0,0 +1,56 @@
+-- Migration 016: Call stats rollups
+-- Purpose: /api/calls/stats aggregates hourly rollups instead of scanning
+-- calls. call_stats_hourly holds counts, duration sums and duration
+-- histograms per app, hour, direction, status and Dialpad user.
+-- call_stats_dirty lists the (app, hour) buckets whose calls changed; the
+-- event processor rebuilds them (see services/callStatsService.js).
+-- Date: 2026-10-19
+
+CREATE TABLE IF NOT EXISTS call_stats_hourly (
+  app_id UUID NOT NULL REFERENCES apps(id) ON DELETE CASCADE,
+  bucket_start TIMESTAMP NOT NULL,
+  direction TEXT,
+  status TEXT,
+  dialpad_user_id BIGINT,
+  call_count INTEGER NOT NULL,
+  completed_count INTEGER NOT NULL,
+  answered_count INTEGER NOT NULL,
+  missed_count INTEGER NOT NULL,
+  abandoned_count INTEGER NOT NULL,
+  talk_count INTEGER NOT NULL,
+  talk_seconds_sum BIGINT NOT NULL,
+  talk_histogram INTEGER[] NOT NULL,
+  answer_count INTEGER NOT NULL,
+  answer_seconds_sum BIGINT NOT NULL,
+  answer_histogram INTEGER[] NOT NULL,
+  hold_seconds_sum BIGINT NOT NULL,
+  refreshed_at TIMESTAMP NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_call_stats_hourly_app_bucket
+ON call_stats_hourly(app_id, bucket_start);
+
+CREATE TABLE IF NOT EXISTS call_stats_dirty (
+  app_id UUID NOT NULL REFERENCES apps(id) ON DELETE CASCADE,
+  bucket_start TIMESTAMP NOT NULL,
+  marked_at TIMESTAMP NOT NULL DEFAULT now(),
+  PRIMARY KEY (app_id, bucket_start)
+);
+
+-- Rebuilding a bucket selects its calls by start hour
+CREATE INDEX IF NOT EXISTS idx_calls_app_stats_bucket
+ON calls(app_id, (COALESCE(started_at, created_at)));
+
+-- Build rollups for existing calls (the event processor works through
+-- these in batches)
+INSERT INTO call_stats_dirty (app_id, bucket_start)
+SELECT DISTINCT app_id, date_trunc('hour', COALESCE(started_at, created_at))
+FROM calls
+ON CONFLICT (app_id, bucket_start) DO NOTHING;
+
+COMMENT ON TABLE call_stats_hourly IS 'Hourly call rollups for /api/calls/stats. Rebuilt per (app, hour) from calls; never edit by hand.';
+COMMENT ON COLUMN call_stats_hourly.bucket_start IS 'Hour of the call start (started_at, else created_at).';
+COMMENT ON COLUMN call_stats_hourly.completed_count IS 'Calls in a terminal status (ended, missed, rejected, voicemail); denominator of answer / missed rates.';
+COMMENT ON COLUMN call_stats_hourly.talk_histogram IS 'Talk time counts of answered calls per duration bucket (DURATION_BUCKETS in callStatsService.js).';
+COMMENT ON COLUMN call_stats_hourly.answer_histogram IS 'Ring time (speed to answer) counts of answered calls per duration bucket.';
+COMMENT ON TABLE call_stats_dirty IS 'Rollup buckets to rebuild, marked by the call event handlers.';
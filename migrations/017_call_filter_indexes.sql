@@ -0,0 +1,10 @@
+-- Migration 017: Call list filter indexes
+-- Purpose: /api/calls can now filter by agent (dialpad_user_id, or
+-- crm_user_id resolved through dialpad_user_mappings). Index the per-agent
+-- listing, ordered like the default sort.
+-- Date: 2026-10-19
+
+CREATE INDEX IF NOT EXISTS idx_calls_app_user_started
+ON calls(app_id, dialpad_user_id, started_at DESC NULLS LAST);
+
+COMMENT ON INDEX idx_calls_app_user_started IS 'Calls of one agent (dialpad_user_id / crm_user_id filters), newest first.';
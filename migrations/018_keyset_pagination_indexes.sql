@@ -0,0 +1,24 @@
+-- Migration 018: Keyset pagination indexes
+-- Purpose: list endpoints page with cursors on (sort column, id). Add id to
+-- the listing indexes so a page is a single index range scan, and drop the
+-- indexes they supersede.
+-- Date: 2026-10-19
+
+CREATE INDEX IF NOT EXISTS idx_calls_app_started_id
+ON calls(app_id, started_at DESC NULLS LAST, id DESC);
+
+DROP INDEX IF EXISTS idx_calls_app_started;
+
+CREATE INDEX IF NOT EXISTS idx_messages_app_sent_id
+ON messages(app_id, sent_at DESC NULLS LAST, id DESC);
+
+DROP INDEX IF EXISTS idx_messages_app_sent;
+
+CREATE INDEX IF NOT EXISTS idx_voicemails_app_created_id
+ON voicemails(app_id, created_at DESC, id DESC);
+
+DROP INDEX IF EXISTS idx_voicemails_app_created;
+
+COMMENT ON INDEX idx_calls_app_started_id IS 'Primary index for listing calls by app, ordered by (started_at, id) for cursor pagination';
+COMMENT ON INDEX idx_messages_app_sent_id IS 'Messages by app, ordered by (sent_at, id) for cursor pagination';
+COMMENT ON INDEX idx_voicemails_app_created_id IS 'Voicemails by app, ordered by (created_at, id) for cursor pagination';
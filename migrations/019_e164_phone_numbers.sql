@@ -0,0 +1,80 @@
+-- Migration 019: E.164 phone numbers
+-- Purpose: from_number / to_number keep the raw value Dialpad sent, so the
+-- same number can be stored as "+1 (555) 123-4567" or "15551234567". The
+-- event handlers now also store the E.164 form (utils/phone.js, national
+-- numbers read in DEFAULT_PHONE_REGION) and the from / to filters match on it.
+-- Backfill: numbers already written with a "+" prefix. Other existing rows
+-- are still matched on their raw value and get an E.164 form on their next
+-- event.
+-- Date: 2026-10-19
+
+ALTER TABLE calls
+ADD COLUMN IF NOT EXISTS from_number_e164 TEXT DEFAULT NULL;
+
+ALTER TABLE calls
+ADD COLUMN IF NOT EXISTS to_number_e164 TEXT DEFAULT NULL;
+
+ALTER TABLE messages
+ADD COLUMN IF NOT EXISTS from_number_e164 TEXT DEFAULT NULL;
+
+ALTER TABLE messages
+ADD COLUMN IF NOT EXISTS to_number_e164 TEXT DEFAULT NULL;
+
+ALTER TABLE voicemails
+ADD COLUMN IF NOT EXISTS from_number_e164 TEXT DEFAULT NULL;
+
+ALTER TABLE voicemails
+ADD COLUMN IF NOT EXISTS to_number_e164 TEXT DEFAULT NULL;
+
+UPDATE calls
+SET from_number_e164 = '+' || regexp_replace(from_number, '\D', '', 'g')
+WHERE from_number_e164 IS NULL
+  AND from_number ~ '^\+[0-9 ().-]+$'
+  AND length(regexp_replace(from_number, '\D', '', 'g')) BETWEEN 7 AND 15;
+
+UPDATE calls
+SET to_number_e164 = '+' || regexp_replace(to_number, '\D', '', 'g')
+WHERE to_number_e164 IS NULL
+  AND to_number ~ '^\+[0-9 ().-]+$'
+  AND length(regexp_replace(to_number, '\D', '', 'g')) BETWEEN 7 AND 15;
+
+UPDATE messages
+SET from_number_e164 = '+' || regexp_replace(from_number, '\D', '', 'g')
+WHERE from_number_e164 IS NULL
+  AND from_number ~ '^\+[0-9 ().-]+$'
+  AND length(regexp_replace(from_number, '\D', '', 'g')) BETWEEN 7 AND 15;
+
+UPDATE messages
+SET to_number_e164 = '+' || regexp_replace(to_number, '\D', '', 'g')
+WHERE to_number_e164 IS NULL
+  AND to_number ~ '^\+[0-9 ().-]+$'
+  AND length(regexp_replace(to_number, '\D', '', 'g')) BETWEEN 7 AND 15;
+
+UPDATE voicemails
+SET from_number_e164 = '+' || regexp_replace(from_number, '\D', '', 'g')
+WHERE from_number_e164 IS NULL
+  AND from_number ~ '^\+[0-9 ().-]+$'
+  AND length(regexp_replace(from_number, '\D', '', 'g')) BETWEEN 7 AND 15;
+
+UPDATE voicemails
+SET to_number_e164 = '+' || regexp_replace(to_number, '\D', '', 'g')
+WHERE to_number_e164 IS NULL
+  AND to_number ~ '^\+[0-9 ().-]+$'
+  AND length(regexp_replace(to_number, '\D', '', 'g')) BETWEEN 7 AND 15;
+
+CREATE INDEX IF NOT EXISTS idx_calls_from_e164 ON calls(app_id, from_number_e164);
+CREATE INDEX IF NOT EXISTS idx_calls_to_e164 ON calls(app_id, to_number_e164);
+CREATE INDEX IF NOT EXISTS idx_messages_from_e164 ON messages(app_id, from_number_e164);
+CREATE INDEX IF NOT EXISTS idx_messages_to_e164 ON messages(app_id, to_number_e164);
+CREATE INDEX IF NOT EXISTS idx_messages_from_number ON messages(app_id, from_number);
+CREATE INDEX IF NOT EXISTS idx_messages_to_number ON messages(app_id, to_number);
+CREATE INDEX IF NOT EXISTS idx_voicemails_from_e164 ON voicemails(app_id, from_number_e164);
+
+COMMENT ON COLUMN calls.from_number_e164 IS 'from_number in E.164, NULL if it could not be normalized (from_number keeps the raw value).';
+COMMENT ON COLUMN calls.to_number_e164 IS 'to_number in E.164, NULL if it could not be normalized (to_number keeps the raw value).';
+
+COMMENT ON COLUMN messages.from_number_e164 IS 'from_number in E.164, NULL if it could not be normalized (from_number keeps the raw value).';
+COMMENT ON COLUMN messages.to_number_e164 IS 'to_number in E.164, NULL if it could not be normalized (to_number keeps the raw value).';
+
+COMMENT ON COLUMN voicemails.from_number_e164 IS 'from_number in E.164, NULL if it could not be normalized (from_number keeps the raw value).';
+COMMENT ON COLUMN voicemails.to_number_e164 IS 'to_number in E.164, NULL if it could not be normalized (to_number keeps the raw value).';
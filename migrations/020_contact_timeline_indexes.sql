@@ -0,0 +1,14 @@
+-- Migration 020: Contact timeline indexes
+-- Purpose: GET /api/contacts/:phone/timeline matches a number against the
+-- E.164 and raw from / to columns of calls, messages and voicemails. Calls
+-- and messages already have all four indexes; add the missing voicemail ones.
+-- Date: 2026-10-19
+
+CREATE INDEX IF NOT EXISTS idx_voicemails_to_e164
+ON voicemails(app_id, to_number_e164);
+
+CREATE INDEX IF NOT EXISTS idx_voicemails_from_number
+ON voicemails(app_id, from_number);
+
+CREATE INDEX IF NOT EXISTS idx_voicemails_to_number
+ON voicemails(app_id, to_number);
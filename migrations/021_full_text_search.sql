@@ -0,0 +1,23 @@
+-- Migration 021: Full-text search
+-- Purpose: /api/search matches SMS text and voicemail transcripts. Store the
+-- tsvectors as generated columns (kept in sync by Postgres on every write)
+-- and index them with GIN. The 'english' configuration must match
+-- SEARCH_CONFIG in services/searchService.js.
+-- Date: 2026-10-19
+
+ALTER TABLE messages
+ADD COLUMN IF NOT EXISTS text_search tsvector
+GENERATED ALWAYS AS (to_tsvector('english', COALESCE(text, ''))) STORED;
+
+ALTER TABLE voicemails
+ADD COLUMN IF NOT EXISTS transcript_search tsvector
+GENERATED ALWAYS AS (to_tsvector('english', COALESCE(transcript, ''))) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_messages_text_search
+ON messages USING GIN (text_search);
+
+CREATE INDEX IF NOT EXISTS idx_voicemails_transcript_search
+ON voicemails USING GIN (transcript_search);
+
+COMMENT ON COLUMN messages.text_search IS 'Full-text search vector of text (generated).';
+COMMENT ON COLUMN voicemails.transcript_search IS 'Full-text search vector of transcript (generated).';
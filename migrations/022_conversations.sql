@@ -0,0 +1,145 @@
+-- Migration 022: SMS conversations
+-- Purpose: group messages into threads per (app, owner, external party).
+-- The owner is the Dialpad user of the message ('user:<id>') or, for
+-- messages without one, our line number ('line:<number>'). The external
+-- party is the other side: from_number for inbound, to_number for outbound
+-- (E.164 when normalizable, else raw). handleMessageEvent assigns new
+-- messages and keeps the counters and last-message preview up to date.
+-- Backfill: existing messages are threaded with unread_count 0.
+-- Date: 2026-10-19
+
+CREATE TABLE IF NOT EXISTS conversations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  app_id UUID NOT NULL REFERENCES apps(id) ON DELETE CASCADE,
+  owner_key TEXT NOT NULL,
+  dialpad_user_id BIGINT,
+  line_number TEXT,
+  external_number TEXT NOT NULL,
+  message_count INTEGER NOT NULL DEFAULT 0,
+  unread_count INTEGER NOT NULL DEFAULT 0,
+  last_message_id UUID,
+  last_message_at TIMESTAMP,
+  last_message_direction TEXT,
+  last_message_preview TEXT,
+  last_read_at TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT now(),
+  updated_at TIMESTAMP NOT NULL DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_conversations_thread
+ON conversations(app_id, owner_key, external_number);
+
+-- Conversation list, most recent first (cursor pagination on last_message_at, id)
+CREATE INDEX IF NOT EXISTS idx_conversations_app_last_message
+ON conversations(app_id, last_message_at DESC NULLS LAST, id DESC);
+
+CREATE INDEX IF NOT EXISTS idx_conversations_app_user
+ON conversations(app_id, dialpad_user_id, last_message_at DESC NULLS LAST);
+
+ALTER TABLE messages
+ADD COLUMN IF NOT EXISTS conversation_id UUID REFERENCES conversations(id) ON DELETE SET NULL;
+
+-- Messages of a conversation, newest first
+CREATE INDEX IF NOT EXISTS idx_messages_conversation
+ON messages(conversation_id, sent_at DESC NULLS LAST, id DESC);
+
+-- Backfill 1/3: one conversation per thread of existing messages
+WITH threaded AS (
+  SELECT
+    id,
+    app_id,
+    dialpad_user_id,
+    CASE WHEN direction = 'outbound'
+      THEN COALESCE(from_number_e164, from_number)
+      ELSE COALESCE(to_number_e164, to_number)
+    END AS line_number,
+    CASE WHEN direction = 'outbound'
+      THEN COALESCE(to_number_e164, to_number)
+      ELSE COALESCE(from_number_e164, from_number)
+    END AS external_number
+  FROM messages
+  WHERE conversation_id IS NULL AND direction IS NOT NULL
+),
+keyed AS (
+  SELECT *,
+    CASE WHEN dialpad_user_id IS NOT NULL
+      THEN 'user:' || dialpad_user_id
+      ELSE 'line:' || line_number
+    END AS owner_key
+  FROM threaded
+  WHERE external_number IS NOT NULL
+    AND (dialpad_user_id IS NOT NULL OR line_number IS NOT NULL)
+)
+INSERT INTO conversations (app_id, owner_key, dialpad_user_id, line_number, external_number)
+SELECT DISTINCT ON (app_id, owner_key, external_number)
+  app_id, owner_key, dialpad_user_id,
+  CASE WHEN dialpad_user_id IS NULL THEN line_number END,
+  external_number
+FROM keyed
+ON CONFLICT (app_id, owner_key, external_number) DO NOTHING;
+
+-- Backfill 2/3: link the messages
+WITH threaded AS (
+  SELECT
+    id,
+    app_id,
+    dialpad_user_id,
+    CASE WHEN direction = 'outbound'
+      THEN COALESCE(from_number_e164, from_number)
+      ELSE COALESCE(to_number_e164, to_number)
+    END AS line_number,
+    CASE WHEN direction = 'outbound'
+      THEN COALESCE(to_number_e164, to_number)
+      ELSE COALESCE(from_number_e164, from_number)
+    END AS external_number
+  FROM messages
+  WHERE conversation_id IS NULL AND direction IS NOT NULL
+),
+keyed AS (
+  SELECT *,
+    CASE WHEN dialpad_user_id IS NOT NULL
+      THEN 'user:' || dialpad_user_id
+      ELSE 'line:' || line_number
+    END AS owner_key
+  FROM threaded
+  WHERE external_number IS NOT NULL
+    AND (dialpad_user_id IS NOT NULL OR line_number IS NOT NULL)
+)
+UPDATE messages m
+SET conversation_id = c.id
+FROM keyed k
+JOIN conversations c
+  ON c.app_id = k.app_id
+ AND c.owner_key = k.owner_key
+ AND c.external_number = k.external_number
+WHERE m.id = k.id;
+
+-- Backfill 3/3: counters and last message
+UPDATE conversations c
+SET message_count = stats.message_count,
+    last_message_id = last.id,
+    last_message_at = last.occurred_at,
+    last_message_direction = last.direction,
+    last_message_preview = left(last.text, 160),
+    last_read_at = last.occurred_at
+FROM (
+  SELECT conversation_id, COUNT(*)::int AS message_count
+  FROM messages
+  WHERE conversation_id IS NOT NULL
+  GROUP BY conversation_id
+) stats
+JOIN LATERAL (
+  SELECT id, COALESCE(sent_at, created_at) AS occurred_at, direction, text
+  FROM messages
+  WHERE conversation_id = stats.conversation_id
+  ORDER BY COALESCE(sent_at, created_at) DESC, id DESC
+  LIMIT 1
+) last ON true
+WHERE c.id = stats.conversation_id
+  AND c.message_count = 0;
+
+COMMENT ON TABLE conversations IS 'SMS threads per (app, owner, external number), maintained by handleMessageEvent.';
+COMMENT ON COLUMN conversations.owner_key IS 'user:<dialpad_user_id>, or line:<our number> for messages without a Dialpad user.';
+COMMENT ON COLUMN conversations.external_number IS 'The other party: E.164 when normalizable, else the raw number.';
+COMMENT ON COLUMN conversations.unread_count IS 'Inbound messages since the conversation was last read or replied to.';
+COMMENT ON COLUMN messages.conversation_id IS 'Conversation the message belongs to (NULL if its numbers are missing).';
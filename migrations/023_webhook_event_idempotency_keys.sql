@@ -0,0 +1,68 @@
+-- Migration 023: Per-event idempotency keys for webhook events
+-- Purpose: dialpad_event_id used to hold the call id, so ON CONFLICT dropped
+-- every event after the first one of a call (call.started, call.ended, ...).
+-- It now holds one key per event (see buildEventIdempotencyKey in
+-- utils/callHelpers.js):
+--   dialpad:<event_id>   Dialpad's own event id
+--   sha256:<hex>         hash of app|call or message id|event type|event timestamp
+-- This backfills existing rows with the same formula so redeliveries of
+-- already stored events are still rejected. Rows the formula cannot key
+-- (no id or timestamp; the app hashes their whole payload) and duplicates
+-- get 'legacy:<row id>'.
+-- Date: 2026-10-19
+
+WITH keyed AS (
+  SELECT
+    id,
+    received_at,
+    CASE
+      WHEN payload->>'event_id' IS NOT NULL
+        THEN 'dialpad:' || (payload->>'event_id')
+      WHEN ids.entity_id IS NOT NULL AND ids.raw_timestamp IS NOT NULL
+        THEN 'sha256:' || encode(sha256(convert_to(
+          app_id::text || '|' || ids.entity_id || '|' ||
+          COALESCE(event_type, '') || '|' || ids.raw_timestamp,
+          'UTF8')), 'hex')
+    END AS idempotency_key
+  FROM webhook_events,
+  LATERAL (
+    SELECT
+      COALESCE(
+        payload->>'call_id',
+        payload->'call'->>'id',
+        payload->'call'->>'call_id',
+        payload->'data'->'call'->>'id',
+        payload->'recording'->>'call_id',
+        payload->'voicemail'->>'call_id',
+        payload->'message'->>'id',
+        payload->>'message_id',
+        payload->>'id'
+      ) AS entity_id,
+      COALESCE(
+        payload->>'event_timestamp',
+        payload->'call'->>'event_timestamp',
+        payload->'data'->'call'->>'event_timestamp',
+        payload->>'timestamp',
+        payload->'data'->>'event_timestamp'
+      ) AS raw_timestamp
+  ) ids
+),
+ranked AS (
+  SELECT
+    id,
+    idempotency_key,
+    ROW_NUMBER() OVER (
+      PARTITION BY idempotency_key
+      ORDER BY received_at, id
+    ) AS n
+  FROM keyed
+)
+UPDATE webhook_events e
+SET dialpad_event_id = CASE
+    WHEN r.idempotency_key IS NOT NULL AND r.n = 1 THEN r.idempotency_key
+    ELSE 'legacy:' || e.id
+  END
+FROM ranked r
+WHERE e.id = r.id;
+
+COMMENT ON COLUMN webhook_events.dialpad_event_id IS 'Per-event idempotency key (dialpad:<event id>, sha256:<hash> or legacy:<row id>). Unique; redelivered events are dropped.';
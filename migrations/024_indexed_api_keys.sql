@@ -0,0 +1,19 @@
+-- Migration 024: Indexed API key lookup
+-- Purpose: authenticate an API key with one indexed lookup and one bcrypt
+-- check instead of comparing it against every app's hash. New keys are
+-- `<key_id>.<secret>`: api_key_id holds the public key id, api_key the
+-- bcrypt hash of the secret.
+-- Existing keys (`raw_<hex>`, api_key_id NULL) keep working through the
+-- legacy path until the app's key is rotated. Apps still to rotate:
+--   SELECT id, name FROM apps WHERE api_key IS NOT NULL AND api_key_id IS NULL;
+-- Then set LEGACY_API_KEYS_ENABLED=false.
+-- Date: 2026-10-19
+
+ALTER TABLE apps
+ADD COLUMN IF NOT EXISTS api_key_id TEXT DEFAULT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_apps_api_key_id
+ON apps(api_key_id)
+WHERE api_key_id IS NOT NULL;
+
+COMMENT ON COLUMN apps.api_key_id IS 'Public key id of the API key (<key_id>.<secret>). NULL for legacy keys.';
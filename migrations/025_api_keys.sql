@@ -0,0 +1,78 @@
+-- Migration 025: Multiple named, scoped API keys per app
+-- Purpose: apps.api_key held exactly one key, so replacing it broke every
+-- integration of the app at once. api_keys holds any number of keys per
+-- app, each with a label, scopes, an optional expiry and last use.
+-- Existing keys are copied with label 'default' and all scopes, so they
+-- keep working unchanged (legacy `raw_` keys keep key_id NULL).
+-- apps.api_key / apps.api_key_id are no longer read or written.
+-- Date: 2026-10-19
+
+CREATE TABLE IF NOT EXISTS api_keys (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  app_id UUID NOT NULL REFERENCES apps(id) ON DELETE CASCADE,
+  key_id TEXT,
+  secret_hash TEXT NOT NULL,
+  label TEXT NOT NULL,
+  scopes TEXT[] NOT NULL DEFAULT '{}',
+  expires_at TIMESTAMP DEFAULT NULL,
+  last_used_at TIMESTAMP DEFAULT NULL,
+  last_used_ip TEXT DEFAULT NULL,
+  revoked_at TIMESTAMP DEFAULT NULL,
+  created_at TIMESTAMP DEFAULT now(),
+  updated_at TIMESTAMP DEFAULT now()
+);
+
+-- Authentication by public key id
+CREATE UNIQUE INDEX IF NOT EXISTS idx_api_keys_key_id
+ON api_keys(key_id)
+WHERE key_id IS NOT NULL;
+
+-- Keys of an app (management endpoints) and the legacy key scan
+CREATE INDEX IF NOT EXISTS idx_api_keys_app
+ON api_keys(app_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_legacy
+ON api_keys(app_id)
+WHERE key_id IS NULL AND revoked_at IS NULL;
+
+INSERT INTO api_keys (app_id, key_id, secret_hash, label, scopes, created_at)
+SELECT
+  a.id,
+  a.api_key_id,
+  a.api_key,
+  'default',
+  ARRAY['calls:read', 'calls:write', 'messages:read', 'messages:write',
+        'voicemails:read', 'voicemails:write', 'webhooks:write', 'ws:connect'],
+  COALESCE(a.api_key_rotated_at, a.created_at, now())
+FROM apps a
+WHERE a.api_key IS NOT NULL
+  AND NOT EXISTS (
+    SELECT 1 FROM api_keys k
+    WHERE k.app_id = a.id AND k.secret_hash = a.api_key
+  );
+
+-- Audit log: per-key entries and key updates
+ALTER TABLE api_key_audit_log
+ADD COLUMN IF NOT EXISTS api_key_id UUID REFERENCES api_keys(id) ON DELETE SET NULL;
+
+ALTER TABLE api_key_audit_log
+ADD COLUMN IF NOT EXISTS details JSONB DEFAULT NULL;
+
+ALTER TABLE api_key_audit_log
+DROP CONSTRAINT IF EXISTS api_key_audit_log_action_check;
+
+ALTER TABLE api_key_audit_log
+ADD CONSTRAINT api_key_audit_log_action_check
+CHECK (action IN ('created', 'rotated', 'updated', 'revoked'));
+
+COMMENT ON TABLE api_keys IS 'API keys of apps. Many per app, each with its own scopes and expiry.';
+COMMENT ON COLUMN api_keys.key_id IS 'Public key id (<key_id>.<secret>), indexed for lookup. NULL for legacy raw_ keys.';
+COMMENT ON COLUMN api_keys.secret_hash IS 'Bcrypt hash of the secret (of the whole key for legacy keys).';
+COMMENT ON COLUMN api_keys.scopes IS 'Granted scopes: calls:read, calls:write, messages:read, messages:write, voicemails:read, voicemails:write, webhooks:write, ws:connect.';
+COMMENT ON COLUMN api_keys.expires_at IS 'Key stops working after this time. NULL = never.';
+COMMENT ON COLUMN api_keys.last_used_ip IS 'Client IP of the last authenticated request (updated at most once a minute).';
+COMMENT ON COLUMN api_keys.revoked_at IS 'Set when the key is revoked. Revoked keys are kept for the audit trail.';
+COMMENT ON COLUMN api_key_audit_log.api_key_id IS 'Key the entry is about (NULL for entries before migration 025).';
+COMMENT ON COLUMN api_key_audit_log.details IS 'Label, scopes and expiry on create; changed fields on update.';
+COMMENT ON COLUMN apps.api_key IS 'Superseded by api_keys (migration 025). No longer read.';
+COMMENT ON COLUMN apps.api_key_id IS 'Superseded by api_keys (migration 025). No longer read.';
@@ -0,0 +1,28 @@
+-- Migration 026: API key rotation with a grace period
+-- Purpose: a rotated key can keep working next to its replacement until
+-- grace_expires_at, so clients can switch keys without downtime. The expiry
+-- scheduler revokes it afterwards and logs grace_expired.
+-- Date: 2026-10-19
+
+ALTER TABLE api_keys
+ADD COLUMN IF NOT EXISTS grace_expires_at TIMESTAMP DEFAULT NULL;
+
+ALTER TABLE api_keys
+ADD COLUMN IF NOT EXISTS replaced_by UUID REFERENCES api_keys(id) ON DELETE SET NULL;
+
+-- Keys still in their grace period (expiry scheduler)
+CREATE INDEX IF NOT EXISTS idx_api_keys_grace
+ON api_keys(grace_expires_at)
+WHERE grace_expires_at IS NOT NULL AND revoked_at IS NULL;
+
+ALTER TABLE api_key_audit_log
+DROP CONSTRAINT IF EXISTS api_key_audit_log_action_check;
+
+ALTER TABLE api_key_audit_log
+ADD CONSTRAINT api_key_audit_log_action_check
+CHECK (action IN (
+  'created', 'rotated', 'rotated_with_grace', 'grace_expired', 'updated', 'revoked'
+));
+
+COMMENT ON COLUMN api_keys.grace_expires_at IS 'Set on rotation with a grace period: the key works until then, next to its replacement.';
+COMMENT ON COLUMN api_keys.replaced_by IS 'Key that replaced this one on rotation.';
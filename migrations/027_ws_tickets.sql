@@ -0,0 +1,19 @@
+-- Migration 027: Single-use WebSocket tickets
+-- Purpose: browser clients connect to /ws with a short-lived signed ticket
+-- (POST /api/ws/ticket) instead of the app's API key. Tickets are
+-- stateless; this table records redeemed ticket ids so each one opens at
+-- most one connection. Rows are purged once the ticket has expired.
+-- Date: 2026-10-19
+
+CREATE TABLE IF NOT EXISTS ws_ticket_redemptions (
+  ticket_id UUID PRIMARY KEY,
+  app_id UUID NOT NULL REFERENCES apps(id) ON DELETE CASCADE,
+  expires_at TIMESTAMP NOT NULL,
+  redeemed_at TIMESTAMP DEFAULT now()
+);
+
+-- Purge of expired redemptions
+CREATE INDEX IF NOT EXISTS idx_ws_ticket_redemptions_expires
+ON ws_ticket_redemptions(expires_at);
+
+COMMENT ON TABLE ws_ticket_redemptions IS 'Redeemed WebSocket tickets (replay protection). Purged after expires_at.';
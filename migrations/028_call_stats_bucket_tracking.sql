@@ -0,0 +1,16 @@
+-- Migration 028: Track the stats bucket each call is counted in
+-- Purpose: a call's hour bucket follows COALESCE(started_at, created_at),
+-- which changes when a later event sets or corrects started_at. The call
+-- handlers record the bucket the call was last marked under, so the old
+-- bucket is rebuilt too and stops counting the call.
+-- Date: 2026-10-19
+
+ALTER TABLE calls
+ADD COLUMN IF NOT EXISTS stats_bucket_start TIMESTAMP DEFAULT NULL;
+
+-- Existing rollups counted each call in its current bucket
+UPDATE calls
+SET stats_bucket_start = date_trunc('hour', COALESCE(started_at, created_at))
+WHERE stats_bucket_start IS NULL;
+
+COMMENT ON COLUMN calls.stats_bucket_start IS 'call_stats_hourly bucket the call was last counted in; marked dirty with the new bucket when the call moves.';
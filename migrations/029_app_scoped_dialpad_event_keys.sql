@@ -0,0 +1,15 @@
+-- Migration 029: App-scoped Dialpad event ids in idempotency keys
+-- Purpose: migration 023 keyed events carrying Dialpad's event id as
+-- dialpad:<event_id>, which is unique across all apps, so an event delivered
+-- to two connected apps was dropped for the second one. Keys are now
+-- dialpad:<app_id>:<event_id> (see buildEventIdempotencyKey in
+-- utils/callHelpers.js); this rewrites rows keyed the old way.
+-- Date: 2026-10-19
+
+UPDATE webhook_events
+SET dialpad_event_id = 'dialpad:' || app_id::text || ':' || (payload->>'event_id')
+WHERE app_id IS NOT NULL
+  AND payload->>'event_id' IS NOT NULL
+  AND dialpad_event_id = 'dialpad:' || (payload->>'event_id');
+
+COMMENT ON COLUMN webhook_events.dialpad_event_id IS 'Per-event idempotency key (dialpad:<app id>:<event id>, sha256:<hash> or legacy:<row id>). Unique; redelivered events are dropped.';
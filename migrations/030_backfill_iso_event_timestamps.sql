@@ -0,0 +1,50 @@
+-- Migration 030: Backfill ISO-8601 webhook event timestamps
+-- Purpose: migration 009 only backfilled event_timestamp from 10- and
+-- 13-digit epoch values of payload.event_timestamp, so events whose payload
+-- carries an ISO-8601 timestamp (or the timestamp in another field) were
+-- left NULL and ordered by received_at. This parses them the way
+-- parseDialpadTimestamp / getRawEventTimestamp in utils/callHelpers.js do:
+-- epoch seconds below 1e12, epoch milliseconds otherwise, or an ISO string
+-- (UTC unless it carries an offset). Unparseable values stay NULL.
+-- Date: 2026-10-19
+
+DO $$
+DECLARE
+  r RECORD;
+BEGIN
+  FOR r IN
+    SELECT id, raw
+    FROM (
+      SELECT id, COALESCE(
+               NULLIF(payload->>'event_timestamp', ''),
+               NULLIF(payload->'call'->>'event_timestamp', ''),
+               NULLIF(payload->'data'->'call'->>'event_timestamp', ''),
+               NULLIF(payload->>'timestamp', ''),
+               NULLIF(payload->'data'->>'event_timestamp', '')
+             ) AS raw
+      FROM webhook_events
+      WHERE event_timestamp IS NULL
+    ) candidates
+    WHERE raw IS NOT NULL
+  LOOP
+    BEGIN
+      UPDATE webhook_events
+      SET event_timestamp = CASE
+            WHEN r.raw ~ '^\d{1,15}$' AND r.raw::numeric < 1e12
+              THEN to_timestamp(r.raw::numeric) AT TIME ZONE 'UTC'
+            WHEN r.raw ~ '^\d{1,15}$'
+              THEN to_timestamp(r.raw::numeric / 1000) AT TIME ZONE 'UTC'
+            WHEN r.raw ~ '^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?)?(Z|[+-]\d{2}(:?\d{2})?)$'
+              THEN r.raw::timestamptz AT TIME ZONE 'UTC'
+            WHEN r.raw ~ '^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?)?$'
+              THEN r.raw::timestamp
+          END
+      WHERE id = r.id;
+    EXCEPTION WHEN invalid_datetime_format
+                OR datetime_field_overflow
+                OR invalid_parameter_value THEN
+      -- e.g. 2026-02-30: leave NULL, received_at stays the fallback
+      NULL;
+    END;
+  END LOOP;
+END $$;
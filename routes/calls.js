@@ -1,5 +1,5 @@
 import express from "express";
-import { apiKeyAuth } from "../middleware/apiKeyAuth.js";
+import { apiKeyAuth, requireScope } from "../middleware/apiKeyAuth.js";
 import * as callsController from "../controllers/callsController.js";
 
 const router = express.Router();
@@ -7,7 +7,8 @@ const router = express.Router();
 /**
  * Calls API Routes
  *
- * All routes require API key authentication via x-app-api-key header.
+ * All routes require API key authentication via x-app-api-key header
+ * and the calls:read scope.
  * Tenant isolation is enforced at the service layer.
  *
  * Base path: /api/calls
@@ -15,39 +16,78 @@ const router = express.Router();
 
 /**
  * GET /api/calls/active
- * Get active calls (ringing or active status)
+ * Get active calls (in-progress: ringing, queued, active, hold, transferring, parked)
  *
  * Query params:
- *   - direction: inbound | outbound
- *   - from: phone number
- *   - to: phone number
- *   - limit: max 100, default 50
- *   - offset: default 0
+ *   - Same filters as GET /api/calls, except status
  *
  * Note: This must come BEFORE /api/calls/:id to avoid "active" being treated as an ID
  */
-router.get("/active", apiKeyAuth, callsController.getActive);
+router.get(
+  "/active",
+  apiKeyAuth,
+  requireScope("calls:read"),
+  callsController.getActive,
+);
+
+/**
+ * GET /api/calls/stats
+ * Aggregated call stats from the hourly rollups (a few seconds behind the
+ * event processor)
+ *
+ * Query params:
+ *   - interval: hour | day | week (default day)
+ *   - from / to: ISO dates (default: last 7 days, last 24h for hour)
+ *     Max range: 31 days (hour), 366 days (day), 731 days (week)
+ *   - group_by: direction | status | dialpad_user_id | crm_user
+ *   - direction: inbound | outbound
+ *
+ * Response:
+ *   {
+ *     success: true,
+ *     data: { interval, group_by, from, to, totals, buckets: [...],
+ *             busiest_hours: [{ hour, call_count }] }
+ *   }
+ *
+ * Note: This must come BEFORE /api/calls/:id to avoid "stats" being treated as an ID
+ */
+router.get(
+  "/stats",
+  apiKeyAuth,
+  requireScope("calls:read"),
+  callsController.getStats,
+);
 
 /**
  * GET /api/calls
  * List calls with optional filters
  *
  * Query params:
- *   - status: ringing | active | ended | missed | rejected | voicemail
+ *   - status: ringing | queued | active | hold | transferring | parked |
+ *             ended | missed | rejected | voicemail (comma-separated for several)
  *   - direction: inbound | outbound
  *   - from: phone number
  *   - to: phone number
+ *   - started_after / started_before: ISO date or epoch ms
+ *   - min_duration / max_duration: seconds
+ *   - dialpad_user_id: Dialpad user ID
+ *   - crm_user_id: CRM user (resolved through dialpad_user_mappings)
+ *   - has_recording: true | false
+ *   - sort: started_at (default) | ended_at | duration_seconds | created_at
+ *   - order: desc (default) | asc
  *   - limit: max 100, default 50
- *   - offset: default 0
+ *   - offset: default 0 (ignored with cursor)
+ *   - cursor: pagination.next_cursor of the previous page
+ *   - include_total: true | false (default true with offset, false with cursor)
  *
  * Response:
  *   {
  *     success: true,
  *     data: [...calls],
- *     pagination: { limit, offset, total, has_more }
+ *     pagination: { limit, has_more, next_cursor, offset?, total? }
  *   }
  */
-router.get("/", apiKeyAuth, callsController.list);
+router.get("/", apiKeyAuth, requireScope("calls:read"), callsController.list);
 
 /**
  * GET /api/calls/:id
@@ -66,6 +106,42 @@ router.get("/", apiKeyAuth, callsController.list);
  *   - 400: Invalid UUID format
  *   - 404: Call not found or doesn't belong to app
  */
-router.get("/:id", apiKeyAuth, callsController.getById);
+router.get(
+  "/:id",
+  apiKeyAuth,
+  requireScope("calls:read"),
+  callsController.getById,
+);
+
+/**
+ * GET /api/calls/:id/timeline
+ * Status history of a call, oldest first
+ *
+ * Every transition evaluated by the webhook handlers is listed, including
+ * transitions rejected by the status state machine (applied: false).
+ *
+ * Params:
+ *   - id: UUID of the call
+ *
+ * Response:
+ *   {
+ *     success: true,
+ *     data: {
+ *       call_id, dialpad_call_id, status,
+ *       entries: [{ from_status, to_status, applied, rejection_reason,
+ *                   event_type, webhook_event_id, occurred_at, recorded_at }]
+ *     }
+ *   }
+ *
+ * Errors:
+ *   - 400: Invalid UUID format
+ *   - 404: Call not found or doesn't belong to app
+ */
+router.get(
+  "/:id/timeline",
+  apiKeyAuth,
+  requireScope("calls:read"),
+  callsController.getTimeline,
+);
 
 export default router;
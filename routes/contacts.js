@@ -0,0 +1,34 @@
+import express from "express";
+import { apiKeyAuth } from "../middleware/apiKeyAuth.js";
+import * as contactsController from "../controllers/contactsController.js";
+
+const router = express.Router();
+
+/**
+ * Contacts API Routes
+ * Base path: /api/contacts
+ */
+
+/**
+ * GET /api/contacts/:phone/timeline
+ * Calls, messages and voicemails with a phone number (any format, URL
+ * encoded), newest first
+ *
+ * Query params:
+ *   - types: call | message | voicemail (comma-separated, default all)
+ *     Types the API key has no read scope for (calls:read, messages:read,
+ *     voicemails:read) are skipped; 403 if it can read none.
+ *   - limit: max 100, default 50
+ *   - cursor: pagination.next_cursor of the previous page
+ *
+ * Response:
+ *   {
+ *     success: true,
+ *     contact: { phone_number, phone_number_e164 },
+ *     data: [{ type, id, occurred_at, data }],
+ *     pagination: { limit, has_more, next_cursor }
+ *   }
+ */
+router.get("/:phone/timeline", apiKeyAuth, contactsController.getTimeline);
+
+export default router;
@@ -0,0 +1,66 @@
+import express from "express";
+import { apiKeyAuth, requireScope } from "../middleware/apiKeyAuth.js";
+import * as conversationsController from "../controllers/conversationsController.js";
+
+const router = express.Router();
+
+/**
+ * Conversations API Routes
+ * Base path: /api/conversations
+ *
+ * SMS threads per (Dialpad user or line number, external number). Updates
+ * are pushed over WebSocket as conversation.updated.
+ */
+
+/**
+ * GET /api/conversations
+ * List conversations, most recent message first
+ *
+ * Query params:
+ *   - dialpad_user_id: Dialpad user ID
+ *   - external_number: the other party, any format
+ *   - unread: true (only conversations with unread messages)
+ *   - limit / offset / cursor / include_total: as /api/messages
+ */
+router.get(
+  "/",
+  apiKeyAuth,
+  requireScope("messages:read"),
+  conversationsController.list,
+);
+
+/**
+ * GET /api/conversations/:id
+ * Get a single conversation by UUID
+ */
+router.get(
+  "/:id",
+  apiKeyAuth,
+  requireScope("messages:read"),
+  conversationsController.getById,
+);
+
+/**
+ * GET /api/conversations/:id/messages
+ * Messages of a conversation, newest first
+ * Query params: direction, limit / offset / cursor / include_total
+ */
+router.get(
+  "/:id/messages",
+  apiKeyAuth,
+  requireScope("messages:read"),
+  conversationsController.getMessages,
+);
+
+/**
+ * POST /api/conversations/:id/read
+ * Mark a conversation read (unread_count = 0)
+ */
+router.post(
+  "/:id/read",
+  apiKeyAuth,
+  requireScope("messages:write"),
+  conversationsController.markRead,
+);
+
+export default router;
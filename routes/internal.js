@@ -5,6 +5,9 @@
  * - API key management
  * - Voicemail operations
  * - User mapping synchronization
+ * - Webhook event queue / dead-letter management
+ * - Retention policies and runs
+ * - Health detail
  *
  * SECURITY: All routes are protected by internalAuth middleware
  * which requires INTERNAL_API_SECRET in Authorization header.
@@ -20,6 +23,9 @@ import * as apiKeyController from "../controllers/apiKeyController.js";
 import * as voicemailController from "../controllers/voicemailController.js";
 import * as userMappingController from "../controllers/userMappingController.js";
 import * as webhookManagementController from "../controllers/webhookManagementController.js";
+import * as webhookEventsController from "../controllers/webhookEventsController.js";
+import * as retentionController from "../controllers/retentionController.js";
+import * as healthController from "../controllers/healthController.js";
 
 const router = express.Router();
 
@@ -48,14 +54,16 @@ router.post("/apps", apiKeyController.createApp_handler);
 
 /**
  * POST /internal/apps/:app_id/api-key
- * Generate a new API key (creates or rotates existing)
+ * Replace all keys of the app with one new key (all scopes by default)
+ * Body (optional): { label, scopes, expires_at, grace_period_seconds }
+ * Old keys keep working for the grace period (0 = revoked at once)
  * Returns the key ONCE - never logged or retrievable again
  */
 router.post("/apps/:app_id/api-key", apiKeyController.generateApiKey_handler);
 
 /**
  * POST /internal/apps/:app_id/api-key/revoke
- * Revoke the current API key - prevents all API access
+ * Revoke all API keys of the app - prevents all API access
  */
 router.post(
   "/apps/:app_id/api-key/revoke",
@@ -80,6 +88,59 @@ router.get(
   apiKeyController.getKeyAuditLog_handler,
 );
 
+/**
+ * GET /internal/apps/:app_id/api-keys
+ * List the app's keys (label, scopes, expiry, last use; never secrets)
+ * Query: include_revoked=true
+ */
+router.get("/apps/:app_id/api-keys", apiKeyController.listApiKeys_handler);
+
+/**
+ * POST /internal/apps/:app_id/api-keys
+ * Add a named, scoped key; other keys keep working
+ * Body: { "label": "CRM sync", "scopes": ["calls:read"], "expires_at": null }
+ * Returns the key ONCE
+ */
+router.post("/apps/:app_id/api-keys", apiKeyController.createApiKey_handler);
+
+/**
+ * GET /internal/apps/:app_id/api-keys/:api_key_id
+ * Get one key
+ */
+router.get(
+  "/apps/:app_id/api-keys/:api_key_id",
+  apiKeyController.getApiKey_handler,
+);
+
+/**
+ * PATCH /internal/apps/:app_id/api-keys/:api_key_id
+ * Change label, scopes or expires_at of a key
+ */
+router.patch(
+  "/apps/:app_id/api-keys/:api_key_id",
+  apiKeyController.updateApiKey_handler,
+);
+
+/**
+ * POST /internal/apps/:app_id/api-keys/:api_key_id/rotate
+ * Replace a key; the old one keeps working for the grace period
+ * Body: { "grace_period_seconds": 3600 } (optional, 0 = revoke at once)
+ * Returns the new key ONCE
+ */
+router.post(
+  "/apps/:app_id/api-keys/:api_key_id/rotate",
+  apiKeyController.rotateApiKey_handler,
+);
+
+/**
+ * DELETE /internal/apps/:app_id/api-keys/:api_key_id
+ * Revoke one key
+ */
+router.delete(
+  "/apps/:app_id/api-keys/:api_key_id",
+  apiKeyController.deleteApiKey_handler,
+);
+
 // =============================================================================
 // VOICEMAIL MANAGEMENT ENDPOINTS
 // =============================================================================
@@ -241,4 +302,175 @@ router.delete(
   webhookManagementController.removeWebhook,
 );
 
+// =============================================================================
+// WEBHOOK EVENT QUEUE ENDPOINTS
+// =============================================================================
+
+/**
+ * GET /internal/events/dead-letter
+ * List events that exhausted their retries
+ * Query params:
+ * - app_id (optional filter)
+ * - event_type (optional filter)
+ * - limit (default 50, max 100)
+ * - offset (default 0)
+ *
+ * Note: This and the other /events/<name> routes must come BEFORE
+ * /events/:event_id
+ */
+router.get(
+  "/events/dead-letter",
+  webhookEventsController.listDeadLetters_handler,
+);
+
+/**
+ * POST /internal/events/dead-letter/requeue
+ * Requeue all dead-lettered events (optionally filtered)
+ *
+ * Request body (optional):
+ * {
+ *   "app_id": "<uuid>",
+ *   "event_type": "call.ended"
+ * }
+ */
+router.post(
+  "/events/dead-letter/requeue",
+  webhookEventsController.requeueDeadLetters_handler,
+);
+
+/**
+ * GET /internal/events/unhandled
+ * List events no handler matched, with a per-event_type summary
+ * Query params: app_id, event_type, limit, offset
+ */
+router.get("/events/unhandled", webhookEventsController.listUnhandled_handler);
+
+/**
+ * POST /internal/events/unhandled/requeue
+ * Requeue unhandled events (e.g. after a handler was added for them)
+ *
+ * Request body (optional):
+ * {
+ *   "app_id": "<uuid>",
+ *   "event_type": "call.transferred"
+ * }
+ */
+router.post(
+  "/events/unhandled/requeue",
+  webhookEventsController.requeueUnhandled_handler,
+);
+
+/**
+ * GET /internal/events/handlers
+ * List registered event handlers (pattern, priority, success/failure stats)
+ */
+router.get("/events/handlers", webhookEventsController.listHandlers_handler);
+
+/**
+ * POST /internal/events/replay
+ * Re-run handlers for stored (processed) events, e.g. after a handler fix.
+ * Broadcasts are suppressed. With dry_run, changes are rolled back and the
+ * response lists the calls rows that would be inserted or updated.
+ *
+ * Request body (at least one filter required; dialpad_event_id is Dialpad's
+ * event id from the payload, not the stored idempotency key):
+ * {
+ *   "app_id": "<uuid>",
+ *   "event_type": "call.ended",
+ *   "from": "2026-10-01T00:00:00Z",
+ *   "to": "2026-10-02T00:00:00Z",
+ *   "dialpad_event_id": "123456",
+ *   "after_id": "<next_after_id of a truncated replay>",
+ *   "dry_run": true,
+ *   "limit": 100
+ * }
+ */
+router.post("/events/replay", webhookEventsController.replay_handler);
+
+/**
+ * GET /internal/events/:event_id
+ * Inspect an event: payload, attempts, last_error, next_attempt_at
+ */
+router.get("/events/:event_id", webhookEventsController.getEvent_handler);
+
+/**
+ * POST /internal/events/:event_id/requeue
+ * Requeue a dead-lettered event (resets attempts)
+ */
+router.post(
+  "/events/:event_id/requeue",
+  webhookEventsController.requeueEvent_handler,
+);
+
+/**
+ * DELETE /internal/events/:event_id
+ * Discard a dead-lettered event permanently
+ */
+router.delete(
+  "/events/:event_id",
+  webhookEventsController.discardEvent_handler,
+);
+
+// =============================================================================
+// RETENTION ENDPOINTS
+// =============================================================================
+
+/**
+ * GET /internal/apps/:app_id/retention
+ * Get the effective retention policy (source: "app" or "default")
+ */
+router.get("/apps/:app_id/retention", retentionController.getPolicy_handler);
+
+/**
+ * PUT /internal/apps/:app_id/retention
+ * Create or replace an app's retention policy
+ *
+ * Request body (days: positive integer, or null to keep forever):
+ * {
+ *   "webhook_events_days": 30,
+ *   "raw_payload_days": 90,
+ *   "archive_enabled": true
+ * }
+ */
+router.put("/apps/:app_id/retention", retentionController.putPolicy_handler);
+
+/**
+ * DELETE /internal/apps/:app_id/retention
+ * Remove an app's policy (falls back to RETENTION_* env defaults)
+ */
+router.delete(
+  "/apps/:app_id/retention",
+  retentionController.deletePolicy_handler,
+);
+
+/**
+ * POST /internal/retention/run
+ * Run the retention job now (also runs on a schedule)
+ *
+ * Request body (optional):
+ * {
+ *   "app_id": "<uuid>",
+ *   "dry_run": true
+ * }
+ */
+router.post("/retention/run", retentionController.run_handler);
+
+/**
+ * GET /internal/retention/runs
+ * List retention runs with counts removed and archive files written
+ * Query params: app_id, limit (default 50), offset (default 0)
+ */
+router.get("/retention/runs", retentionController.listRuns_handler);
+
+// =============================================================================
+// HEALTH ENDPOINTS
+// =============================================================================
+
+/**
+ * GET /internal/health
+ * Readiness checks with per-app detail (apps whose Dialpad OAuth token
+ * expires soon). The public /health and /health/ready report counts only.
+ */
+router.get("/health", healthController.getHealth_handler);
+
 export default router;
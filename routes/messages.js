@@ -1,5 +1,5 @@
 import express from "express";
-import { apiKeyAuth } from "../middleware/apiKeyAuth.js";
+import { apiKeyAuth, requireScope } from "../middleware/apiKeyAuth.js";
 import * as messagesController from "../controllers/messagesController.js";
 
 const router = express.Router();
@@ -11,14 +11,25 @@ const router = express.Router();
 
 /**
  * GET /api/messages
- * List messages with optional filters
+ * List messages with optional filters, newest first
+ * Pagination: limit/offset, or cursor (pagination.next_cursor); include_total
  */
-router.get("/", apiKeyAuth, messagesController.list);
+router.get(
+  "/",
+  apiKeyAuth,
+  requireScope("messages:read"),
+  messagesController.list,
+);
 
 /**
  * GET /api/messages/:id
  * Get a single message by UUID
  */
-router.get("/:id", apiKeyAuth, messagesController.getById);
+router.get(
+  "/:id",
+  apiKeyAuth,
+  requireScope("messages:read"),
+  messagesController.getById,
+);
 
 export default router;
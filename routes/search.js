@@ -0,0 +1,33 @@
+import express from "express";
+import { apiKeyAuth } from "../middleware/apiKeyAuth.js";
+import * as searchController from "../controllers/searchController.js";
+
+const router = express.Router();
+
+/**
+ * Search API Routes
+ * Base path: /api/search
+ */
+
+/**
+ * GET /api/search
+ * Full-text search over SMS text and voicemail transcripts, best match first
+ *
+ * Query params:
+ *   - q: search terms, web search syntax ("phrase", or, -word); required
+ *   - types: message | voicemail (comma-separated, default all)
+ *     Types the API key has no read scope for (messages:read,
+ *     voicemails:read) are skipped; 403 if it can read none.
+ *   - limit: max 100, default 20
+ *   - offset: default 0
+ *
+ * Response:
+ *   {
+ *     success: true,
+ *     data: [{ type, id, rank, occurred_at, snippet, data }],
+ *     pagination: { limit, offset, has_more }
+ *   }
+ */
+router.get("/", apiKeyAuth, searchController.search);
+
+export default router;
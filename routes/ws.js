@@ -0,0 +1,34 @@
+import express from "express";
+import { apiKeyAuth, requireScope } from "../middleware/apiKeyAuth.js";
+import * as wsTicketController from "../controllers/wsTicketController.js";
+
+const router = express.Router();
+
+/**
+ * WebSocket API Routes
+ * Base path: /api/ws
+ */
+
+/**
+ * POST /api/ws/ticket
+ * Issue a single-use ticket for connecting to /ws?ticket=<ticket>
+ * Call this from your backend and hand the ticket to the browser, so the
+ * browser never holds the API key.
+ *
+ * Body (optional):
+ *   - crm_user_id: CRM user the connection belongs to
+ *
+ * Response (201):
+ *   {
+ *     success: true,
+ *     data: { ticket, expires_at, crm_user_id }
+ *   }
+ */
+router.post(
+  "/ticket",
+  apiKeyAuth,
+  requireScope("ws:connect"),
+  wsTicketController.createTicket,
+);
+
+export default router;
@@ -1,11 +1,20 @@
 /**
  * Manual Event Processing Script
  *
- * Use this script to manually process webhook events or check processing statistics.
+ * Use this script to manually process webhook events, check processing
+ * statistics, or replay stored events after a handler fix.
  *
  * Usage:
  *   node scripts/processEvents.js          # Process all unprocessed events once
  *   node scripts/processEvents.js stats    # Show processing statistics
+ *   node scripts/processEvents.js replay [options]
+ *
+ * Replay options (at least one filter required):
+ *   --app-id=<uuid>  --event-type=<type>  --dialpad-event-id=<id>
+ *   --from=<date>  --to=<date>            # received_at range
+ *   --after-id=<uuid>                     # resume a truncated replay
+ *   --limit=<n>                           # default 100, max 1000
+ *   --dry-run                             # report calls diffs, change nothing
  */
 
 import "dotenv/config";
@@ -14,9 +23,24 @@ import {
   getProcessingStats,
 } from "../services/dialpadEventProcessor.js";
 import { registerCallHandlers } from "../services/callEventHandlers.js";
+import { replayEvents } from "../services/eventReplayService.js";
 
 const command = process.argv[2] || "process";
 
+/**
+ * Parse --key=value / --flag arguments into an object (keys snake_cased)
+ */
+function parseOptions(args) {
+  const options = {};
+  for (const arg of args) {
+    const match = arg.match(/^--([a-z-]+)(?:=(.*))?$/);
+    if (match) {
+      options[match[1].replace(/-/g, "_")] = match[2] ?? true;
+    }
+  }
+  return options;
+}
+
 async function main() {
   // Register handlers first
   registerCallHandlers();
@@ -30,6 +54,10 @@ async function main() {
     console.log("─".repeat(50));
     console.log(`Unprocessed events:  ${stats.unprocessed}`);
     console.log(`Processed events:    ${stats.processed}`);
+    console.log(`Retrying events:     ${stats.retrying}`);
+    console.log(`Dead-lettered:       ${stats.dead_lettered}`);
+    console.log(`Claimed (in flight): ${stats.claimed}`);
+    console.log(`Unhandled events:    ${stats.unhandled}`);
     console.log(`Event types:         ${stats.event_types}`);
     console.log(`Oldest unprocessed:  ${stats.oldest_unprocessed || "N/A"}`);
     console.log("─".repeat(50));
@@ -47,11 +75,51 @@ async function main() {
     console.log("─".repeat(50));
     console.log(`Processed:  ${stats.processed} events`);
     console.log(`Failed:     ${stats.failed} events`);
+    console.log(`Dead-lettered: ${stats.dead_lettered} events`);
     console.log(`Duration:   ${duration}ms`);
     console.log(`Success:    ${stats.success ? "✓" : "✗"}`);
     console.log("─".repeat(50));
+  } else if (command === "replay") {
+    const options = parseOptions(process.argv.slice(3));
+
+    console.log(
+      `Replaying webhook events${options.dry_run ? " (dry run)" : ""}...\n`,
+    );
+
+    const result = await replayEvents(options);
+
+    for (const event of result.events) {
+      console.log(
+        `${event.status.padEnd(10)} ${event.event_type} ${event.id}` +
+          (event.error ? ` - ${event.error}` : ""),
+      );
+    }
+
+    console.log("\nCalls changes:");
+    console.log("─".repeat(50));
+    for (const diff of result.calls) {
+      if (diff.action === "none") continue;
+      console.log(`${diff.action} call ${diff.dialpad_call_id}`);
+      for (const [column, change] of Object.entries(diff.changes)) {
+        console.log(
+          `  ${column}: ${JSON.stringify(change.before)} -> ${JSON.stringify(change.after)}`,
+        );
+      }
+    }
+
+    console.log("─".repeat(50));
+    console.log(`Matched:    ${result.matched} events`);
+    console.log(`Replayed:   ${result.replayed} events`);
+    console.log(`Failed:     ${result.failed} events`);
+    if (result.truncated) {
+      console.log(
+        `Limit reached: more events match, rerun with --after-id=${result.next_after_id}`,
+      );
+    }
+    console.log(`Dry run:    ${result.dry_run ? "yes (rolled back)" : "no"}`);
+    console.log("─".repeat(50));
   } else {
-    console.log("Unknown command. Use: process, stats");
+    console.log("Unknown command. Use: process, stats, replay");
     process.exit(1);
   }
 
@@ -51,6 +51,13 @@ const transitions = [
   ["ringing", "missed"],
   ["active", "ended"],
   ["active", "voicemail"],
+  ["active", "hold"],
+  ["hold", "active"],
+  ["active", "transferring"],
+  ["transferring", "ringing"],
+  ["queued", "active"],
+  ["parked", "active"],
+  ["hold", "ringing"], // Invalid
   ["ended", "active"], // Invalid
   ["ended", "ringing"], // Invalid
   ["missed", "active"], // Invalid
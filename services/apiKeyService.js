@@ -0,0 +1,793 @@
+import crypto from "node:crypto";
+import bcrypt from "bcrypt";
+import pool from "../db.js";
+import { logger } from "../utils/logger.js";
+import { readIntEnv } from "../utils/env.js";
+
+/**
+ * API Key Service
+ * Issues, manages and authenticates app API keys (table api_keys).
+ *
+ * An app can have many keys, each with a label, scopes and an optional
+ * expiry. Keys have the form `<key_id>.<secret>`. The key id is public and
+ * indexed, so authentication is one lookup and a single bcrypt check.
+ * Results are cached in-process for a short TTL.
+ *
+ * Rotation can keep the old key working for a grace period next to its
+ * replacement (grace_expires_at); the expiry scheduler then revokes it and
+ * logs grace_expired.
+ *
+ * Legacy keys (`raw_<hex>`, issued before migration 024) have no key id, so
+ * checking one means a bcrypt comparison against every key without one.
+ * That lookup is off unless LEGACY_API_KEYS_ENABLED=true, and is capped at
+ * LEGACY_API_KEY_COMPARISONS_PER_MINUTE comparisons per process (default
+ * 100) so made-up keys cannot tie up the CPU. Replace legacy keys and leave
+ * it off.
+ */
+
+/**
+ * Scopes a key can be granted
+ * Keys migrated from apps.api_key (migration 025) have all of them.
+ */
+const API_KEY_SCOPES = [
+  "calls:read",
+  "calls:write",
+  "messages:read",
+  "messages:write",
+  "voicemails:read",
+  "voicemails:write",
+  "webhooks:write",
+  "ws:connect",
+];
+
+const KEY_ID_PREFIX = "ak_";
+const KEY_ID_PATTERN = /^ak_[0-9a-f]{16}$/;
+const LEGACY_KEY_PATTERN = /^raw_[0-9a-f]{64}$/;
+
+const MAX_LABEL_LENGTH = 100;
+
+const BCRYPT_COST = 10; // Standard cost factor for bcrypt
+
+const LEGACY_API_KEYS_ENABLED = process.env.LEGACY_API_KEYS_ENABLED === "true";
+const LEGACY_COMPARISONS_PER_MINUTE =
+  parseInt(process.env.LEGACY_API_KEY_COMPARISONS_PER_MINUTE, 10) || 100;
+
+// Verification cache: hash of the presented key -> result (valid or not)
+const CACHE_TTL_MS = process.env.API_KEY_CACHE_TTL_MS
+  ? parseInt(process.env.API_KEY_CACHE_TTL_MS, 10)
+  : 30000;
+const CACHE_MAX_ENTRIES = 10000;
+
+// Grace period of rotated keys unless the request sets one (0 = revoke at once)
+const MAX_ROTATION_GRACE_SECONDS = 7 * 24 * 60 * 60;
+const DEFAULT_ROTATION_GRACE_SECONDS = readIntEnv(
+  "API_KEY_ROTATION_GRACE_SECONDS",
+  3600,
+  { max: MAX_ROTATION_GRACE_SECONDS },
+);
+
+// last_used_at / last_used_ip are written at most this often per key and IP
+const LAST_USED_RESOLUTION_MS = 60000;
+
+const verificationCache = new Map();
+const lastUsed = new Map();
+
+// Legacy bcrypt comparisons in the current one-minute window
+const legacyBudget = { window_start: 0, used: 0 };
+
+const API_KEY_COLUMNS = `id, app_id, key_id, label, scopes, expires_at,
+       grace_expires_at, replaced_by, last_used_at, last_used_ip, revoked_at,
+       created_at, updated_at`;
+
+/**
+ * Generate a new API key
+ * Only the secret is hashed: bcrypt ignores input past 72 bytes.
+ *
+ * @returns {Object} - { key (shown once), key_id, secret }
+ */
+export function generateApiKey() {
+  const key_id = `${KEY_ID_PREFIX}${crypto.randomBytes(8).toString("hex")}`;
+  const secret = crypto.randomBytes(32).toString("hex");
+  return { key: `${key_id}.${secret}`, key_id, secret };
+}
+
+/**
+ * Split a presented key into key id and secret
+ * @param {string} apiKey - Key from the request
+ * @returns {Object|null} - { key_id, secret }, or null if not `<key_id>.<secret>`
+ */
+export function parseApiKey(apiKey) {
+  const dot = apiKey.indexOf(".");
+  if (dot === -1) return null;
+
+  const key_id = apiKey.slice(0, dot);
+  const secret = apiKey.slice(dot + 1);
+  if (!KEY_ID_PATTERN.test(key_id) || !secret) return null;
+
+  return { key_id, secret };
+}
+
+/**
+ * Extract first 8 and last 4 chars of key for audit logging
+ * @param {string} key - Full API key
+ * @returns {string} - Redacted key hint
+ */
+export function getKeyHint(key) {
+  if (!key || key.length < 12) return "***";
+  return `${key.substring(0, 8)}...${key.substring(key.length - 4)}`;
+}
+
+/**
+ * Validate the label, scopes and expiry of a key
+ * Fields that are undefined are left out (partial updates).
+ *
+ * @param {Object} input - { label, scopes, expires_at }
+ * @returns {Object} - Validated fields, or { error }
+ */
+export function validateApiKeyInput(input = {}) {
+  const validated = {};
+
+  if (input.label !== undefined) {
+    const label = typeof input.label === "string" ? input.label.trim() : "";
+    if (!label || label.length > MAX_LABEL_LENGTH) {
+      return {
+        error: `label must be a non-empty string of at most ${MAX_LABEL_LENGTH} characters`,
+      };
+    }
+    validated.label = label;
+  }
+
+  if (input.scopes !== undefined) {
+    if (!Array.isArray(input.scopes) || input.scopes.length === 0) {
+      return { error: "scopes must be a non-empty array" };
+    }
+    const unknown = input.scopes.filter((s) => !API_KEY_SCOPES.includes(s));
+    if (unknown.length > 0) {
+      return {
+        error: `Unknown scopes: ${unknown.join(", ")}. Valid scopes: ${API_KEY_SCOPES.join(", ")}`,
+      };
+    }
+    validated.scopes = [...new Set(input.scopes)];
+  }
+
+  if (input.expires_at !== undefined) {
+    if (input.expires_at === null) {
+      validated.expires_at = null;
+    } else {
+      const expiresAt = new Date(input.expires_at);
+      if (Number.isNaN(expiresAt.getTime()) || expiresAt <= new Date()) {
+        return { error: "expires_at must be a future ISO 8601 date or null" };
+      }
+      validated.expires_at = expiresAt;
+    }
+  }
+
+  return validated;
+}
+
+function formatApiKeyRecord(apiKey) {
+  return {
+    id: apiKey.id,
+    app_id: apiKey.app_id,
+    key_id: apiKey.key_id,
+    key_format: apiKey.key_id ? "indexed" : "legacy",
+    label: apiKey.label,
+    scopes: apiKey.scopes,
+    expires_at: apiKey.expires_at,
+    grace_expires_at: apiKey.grace_expires_at,
+    replaced_by: apiKey.replaced_by,
+    last_used_at: apiKey.last_used_at,
+    last_used_ip: apiKey.last_used_ip,
+    revoked_at: apiKey.revoked_at,
+    created_at: apiKey.created_at,
+    updated_at: apiKey.updated_at,
+  };
+}
+
+/**
+ * Write an api_key_audit_log entry
+ * @param {Object} client - pg client (inside the caller's transaction)
+ * @param {Object} entry - { app_id, api_key_id, action, old_key_hint, new_key_hint, details }
+ */
+async function writeAuditEntry(client, entry) {
+  await client.query(
+    `INSERT INTO api_key_audit_log (
+       app_id, api_key_id, action, old_key_hint, new_key_hint, details
+     ) VALUES ($1, $2, $3, $4, $5, $6)`,
+    [
+      entry.app_id,
+      entry.api_key_id ?? null,
+      entry.action,
+      entry.old_key_hint ?? null,
+      entry.new_key_hint ?? null,
+      entry.details ?? null,
+    ],
+  );
+}
+
+function getStoredKeyHint(apiKey) {
+  return apiKey.key_id ? `${apiKey.key_id}...` : "***";
+}
+
+/**
+ * Create an API key for an app
+ * @param {Object} client - pg client (inside the caller's transaction)
+ * @param {string} app_id - Application ID
+ * @param {Object} input - Validated { label, scopes, expires_at }
+ * @param {Object} options - { action } audit action ("created" or "rotated")
+ * @returns {Promise<Object>} - { api_key (formatted), key (plaintext, shown once) }
+ */
+export async function createApiKey(
+  client,
+  app_id,
+  input,
+  { action = "created" } = {},
+) {
+  const generated = generateApiKey();
+  const secretHash = await bcrypt.hash(generated.secret, BCRYPT_COST);
+
+  const result = await client.query(
+    `INSERT INTO api_keys (app_id, key_id, secret_hash, label, scopes, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING ${API_KEY_COLUMNS}`,
+    [
+      app_id,
+      generated.key_id,
+      secretHash,
+      input.label,
+      input.scopes,
+      input.expires_at ?? null,
+    ],
+  );
+  const apiKey = formatApiKeyRecord(result.rows[0]);
+
+  await writeAuditEntry(client, {
+    app_id,
+    api_key_id: apiKey.id,
+    action,
+    new_key_hint: getKeyHint(generated.key),
+    details: {
+      label: apiKey.label,
+      scopes: apiKey.scopes,
+      expires_at: apiKey.expires_at,
+    },
+  });
+
+  return { api_key: apiKey, key: generated.key };
+}
+
+/**
+ * List the keys of an app, newest first (secrets are never returned)
+ * @param {string} app_id - Application ID
+ * @param {Object} options - { include_revoked }
+ * @returns {Promise<Array<Object>>} - Formatted keys
+ */
+export async function listApiKeys(app_id, { include_revoked = false } = {}) {
+  const result = await pool.query(
+    `SELECT ${API_KEY_COLUMNS}
+     FROM api_keys
+     WHERE app_id = $1 ${include_revoked ? "" : "AND revoked_at IS NULL"}
+     ORDER BY created_at DESC, id DESC`,
+    [app_id],
+  );
+
+  return result.rows.map(formatApiKeyRecord);
+}
+
+export async function getApiKeyById(app_id, api_key_id) {
+  const result = await pool.query(
+    `SELECT ${API_KEY_COLUMNS}
+     FROM api_keys
+     WHERE id = $1 AND app_id = $2
+     LIMIT 1`,
+    [api_key_id, app_id],
+  );
+
+  return result.rowCount > 0 ? formatApiKeyRecord(result.rows[0]) : null;
+}
+
+/**
+ * Update the label, scopes or expiry of an active key
+ * @param {string} app_id - Application ID
+ * @param {string} api_key_id - api_keys.id
+ * @param {Object} changes - Validated { label, scopes, expires_at } (partial)
+ * @returns {Promise<Object|null>} - Updated key, or null if not found / revoked
+ */
+export async function updateApiKey(app_id, api_key_id, changes) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const result = await client.query(
+      `UPDATE api_keys SET
+         label = CASE WHEN $3 THEN $4 ELSE label END,
+         scopes = CASE WHEN $5 THEN $6::text[] ELSE scopes END,
+         expires_at = CASE WHEN $7 THEN $8::timestamp ELSE expires_at END,
+         updated_at = now()
+       WHERE id = $1 AND app_id = $2 AND revoked_at IS NULL
+       RETURNING ${API_KEY_COLUMNS}`,
+      [
+        api_key_id,
+        app_id,
+        changes.label !== undefined,
+        changes.label ?? null,
+        changes.scopes !== undefined,
+        changes.scopes ?? null,
+        changes.expires_at !== undefined,
+        changes.expires_at ?? null,
+      ],
+    );
+
+    if (result.rowCount === 0) {
+      await client.query("ROLLBACK");
+      return null;
+    }
+
+    const apiKey = formatApiKeyRecord(result.rows[0]);
+    await writeAuditEntry(client, {
+      app_id,
+      api_key_id,
+      action: "updated",
+      old_key_hint: getStoredKeyHint(apiKey),
+      details: changes,
+    });
+
+    await client.query("COMMIT");
+    invalidateApiKeyCache(app_id);
+    return apiKey;
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Revoke active keys of an app
+ * Call invalidateApiKeyCache after the transaction commits.
+ *
+ * @param {Object} client - pg client (inside the caller's transaction)
+ * @param {string} app_id - Application ID
+ * @param {string|null} api_key_id - Key to revoke, or null for all keys
+ * @returns {Promise<Array<Object>>} - Revoked keys
+ */
+export async function revokeApiKeys(client, app_id, api_key_id = null) {
+  const result = await client.query(
+    `UPDATE api_keys SET revoked_at = now(), updated_at = now()
+     WHERE app_id = $1 AND revoked_at IS NULL
+       AND ($2::uuid IS NULL OR id = $2)
+     RETURNING ${API_KEY_COLUMNS}`,
+    [app_id, api_key_id],
+  );
+
+  for (const row of result.rows) {
+    await writeAuditEntry(client, {
+      app_id,
+      api_key_id: row.id,
+      action: "revoked",
+      old_key_hint: getStoredKeyHint(row),
+    });
+  }
+
+  return result.rows.map(formatApiKeyRecord);
+}
+
+/**
+ * Validate the grace period of a rotation
+ * @param {*} value - Seconds (request input); undefined = default
+ * @returns {Object} - { grace_period_seconds } or { error }
+ */
+export function validateGracePeriod(value) {
+  if (value === undefined || value === null) {
+    return { grace_period_seconds: DEFAULT_ROTATION_GRACE_SECONDS };
+  }
+
+  const seconds = Number(value);
+  if (
+    !Number.isInteger(seconds) ||
+    seconds < 0 ||
+    seconds > MAX_ROTATION_GRACE_SECONDS
+  ) {
+    return {
+      error: `grace_period_seconds must be an integer from 0 to ${MAX_ROTATION_GRACE_SECONDS}`,
+    };
+  }
+
+  return { grace_period_seconds: seconds };
+}
+
+/**
+ * Replace active keys with a new key
+ *
+ * With a grace period the old keys keep authenticating until
+ * grace_expires_at (a later rotation never extends it) and are logged as
+ * rotated_with_grace; without one they are revoked at once.
+ * Call invalidateApiKeyCache after the transaction commits.
+ *
+ * @param {Object} client - pg client (inside the caller's transaction)
+ * @param {string} app_id - Application ID
+ * @param {Object} options
+ * @param {string|null} options.api_key_id - Key to rotate, or null for all keys
+ * @param {Object|null} options.input - Validated { label, scopes, expires_at }
+ *   of the new key; null = copy them from the rotated key
+ * @param {number} options.grace_period_seconds - Overlap (0 = none)
+ * @returns {Promise<Object|null>} - { api_key, key, replaced, grace_expires_at },
+ *   or null when api_key_id is not an active key
+ */
+export async function rotateApiKeys(
+  client,
+  app_id,
+  { api_key_id = null, input = null, grace_period_seconds = 0 },
+) {
+  const current = await client.query(
+    `SELECT ${API_KEY_COLUMNS}
+     FROM api_keys
+     WHERE app_id = $1 AND revoked_at IS NULL
+       AND ($2::uuid IS NULL OR id = $2)
+     ORDER BY created_at DESC
+     FOR UPDATE`,
+    [app_id, api_key_id],
+  );
+
+  if (api_key_id && current.rowCount === 0) return null;
+
+  const newKeyInput = input || {
+    label: current.rows[0].label,
+    scopes: current.rows[0].scopes,
+    expires_at: current.rows[0].expires_at,
+  };
+  const action = current.rowCount > 0 ? "rotated" : "created";
+
+  if (grace_period_seconds <= 0) {
+    const replaced = await revokeApiKeys(client, app_id, api_key_id);
+    const created = await createApiKey(client, app_id, newKeyInput, {
+      action,
+    });
+    return { ...created, replaced, grace_expires_at: null };
+  }
+
+  const created = await createApiKey(client, app_id, newKeyInput, { action });
+
+  const result = await client.query(
+    `UPDATE api_keys SET
+       grace_expires_at = LEAST(grace_expires_at, now() + ($4::int * interval '1 second')),
+       replaced_by = COALESCE(replaced_by, $3),
+       updated_at = now()
+     WHERE app_id = $1 AND revoked_at IS NULL AND id <> $3
+       AND ($2::uuid IS NULL OR id = $2)
+     RETURNING ${API_KEY_COLUMNS}`,
+    [app_id, api_key_id, created.api_key.id, grace_period_seconds],
+  );
+
+  for (const row of result.rows) {
+    await writeAuditEntry(client, {
+      app_id,
+      api_key_id: row.id,
+      action: "rotated_with_grace",
+      old_key_hint: getStoredKeyHint(row),
+      new_key_hint: getStoredKeyHint(created.api_key),
+      details: {
+        grace_period_seconds,
+        grace_expires_at: row.grace_expires_at,
+        replaced_by: created.api_key.id,
+      },
+    });
+  }
+
+  return {
+    ...created,
+    replaced: result.rows.map(formatApiKeyRecord),
+    grace_expires_at: result.rows[0]?.grace_expires_at ?? null,
+  };
+}
+
+/**
+ * Revoke keys whose rotation grace period has ended
+ * Logs one grace_expired entry per key. Authentication already rejects
+ * them once grace_expires_at passes; this makes the revocation explicit.
+ *
+ * @returns {Promise<number>} - Number of keys revoked
+ */
+export async function expireGracePeriods() {
+  const result = await pool.query(
+    `WITH expired AS (
+       UPDATE api_keys SET revoked_at = grace_expires_at, updated_at = now()
+       WHERE grace_expires_at <= now() AND revoked_at IS NULL
+       RETURNING id, app_id, key_id, grace_expires_at, replaced_by
+     )
+     INSERT INTO api_key_audit_log (
+       app_id, api_key_id, action, old_key_hint, details
+     )
+     SELECT app_id, id, 'grace_expired',
+       COALESCE(key_id || '...', '***'),
+       jsonb_build_object(
+         'grace_expires_at', grace_expires_at,
+         'replaced_by', replaced_by
+       )
+     FROM expired
+     RETURNING app_id, api_key_id`,
+  );
+
+  for (const row of result.rows) {
+    invalidateApiKeyCache(row.app_id);
+    logger.info("API key grace period expired", {
+      app_id: row.app_id,
+      api_key_id: row.api_key_id,
+    });
+  }
+
+  return result.rowCount;
+}
+
+/**
+ * Start the periodic grace period expiry
+ * @param {Object} options - { intervalMs }
+ * @returns {Function} - Async stop function (waits for a running pass)
+ */
+export function startApiKeyExpiryScheduler(options = {}) {
+  const { intervalMs = 60000 } = options;
+
+  let isRunning = true;
+  let timer = null;
+  let currentRun = null;
+
+  const run = async () => {
+    if (!isRunning) return;
+
+    currentRun = expireGracePeriods().catch((err) => {
+      logger.error("API key expiry run failed", { error: err.message });
+    });
+    await currentRun;
+    currentRun = null;
+
+    if (isRunning) {
+      timer = setTimeout(run, intervalMs);
+    }
+  };
+
+  timer = setTimeout(run, intervalMs);
+
+  return async () => {
+    isRunning = false;
+    clearTimeout(timer);
+    if (currentRun) {
+      await currentRun;
+    }
+  };
+}
+
+function cacheKey(apiKey) {
+  return crypto.createHash("sha256").update(apiKey).digest("hex");
+}
+
+function getCached(key) {
+  const entry = verificationCache.get(key);
+  if (!entry) return undefined;
+  if (
+    entry.expires_at <= Date.now() ||
+    (entry.identity?.expires_at && entry.identity.expires_at <= new Date())
+  ) {
+    verificationCache.delete(key);
+    return undefined;
+  }
+  return entry.identity;
+}
+
+function setCached(key, identity) {
+  if (CACHE_TTL_MS <= 0) return;
+
+  // Map keeps insertion order: evict the oldest entry when full
+  if (verificationCache.size >= CACHE_MAX_ENTRIES) {
+    verificationCache.delete(verificationCache.keys().next().value);
+  }
+  verificationCache.set(key, {
+    identity,
+    expires_at: Date.now() + CACHE_TTL_MS,
+  });
+}
+
+/**
+ * Drop cached verifications of an app (after a key changed)
+ * Other processes keep theirs until the TTL expires.
+ * @param {string} app_id - Application ID
+ */
+export function invalidateApiKeyCache(app_id) {
+  for (const [key, entry] of verificationCache) {
+    if (entry.identity?.app_id === app_id) {
+      verificationCache.delete(key);
+    }
+  }
+}
+
+async function compareSafely(plain, hash) {
+  try {
+    return await bcrypt.compare(plain, hash);
+  } catch (err) {
+    logger.error("API key validation error", { error: err.message });
+    return false;
+  }
+}
+
+// Usable keys of active apps
+// (expires_at is the earlier of the key's expiry and its rotation grace end)
+const USABLE_KEYS_QUERY = `SELECT k.id, k.app_id, k.label, k.scopes,
+         LEAST(k.expires_at, k.grace_expires_at) AS expires_at,
+         k.secret_hash, a.name AS app_name
+       FROM api_keys k
+       JOIN apps a ON a.id = k.app_id
+       WHERE k.revoked_at IS NULL
+         AND (k.expires_at IS NULL OR k.expires_at > now())
+         AND (k.grace_expires_at IS NULL OR k.grace_expires_at > now())
+         AND a.is_active = true`;
+
+function toIdentity(row) {
+  return {
+    app_id: row.app_id,
+    app_name: row.app_name,
+    api_key_id: row.id,
+    label: row.label,
+    scopes: row.scopes,
+    expires_at: row.expires_at,
+  };
+}
+
+async function findKeyByKeyId({ key_id, secret }) {
+  const result = await pool.query(
+    `${USABLE_KEYS_QUERY}
+       AND k.key_id = $1
+     LIMIT 1`,
+    [key_id],
+  );
+
+  if (result.rowCount === 0) return null;
+
+  const row = result.rows[0];
+  return (await compareSafely(secret, row.secret_hash))
+    ? toIdentity(row)
+    : null;
+}
+
+/**
+ * Take comparisons from the legacy lookup budget
+ * @param {number} count - Comparisons needed
+ * @returns {boolean} - False if the budget of the current minute is spent
+ */
+function takeLegacyBudget(count) {
+  const now = Date.now();
+  if (now - legacyBudget.window_start >= 60000) {
+    legacyBudget.window_start = now;
+    legacyBudget.used = 0;
+  }
+
+  if (legacyBudget.used + count > LEGACY_COMPARISONS_PER_MINUTE) {
+    return false;
+  }
+  legacyBudget.used += count;
+  return true;
+}
+
+/**
+ * Check a legacy key against every key without a key id
+ * @returns {Promise<Object|null|undefined>} - Identity, null if no key
+ *   matches, undefined if the comparison budget is spent
+ */
+async function findLegacyKey(apiKey) {
+  const result = await pool.query(
+    `${USABLE_KEYS_QUERY}
+       AND k.key_id IS NULL`,
+  );
+
+  if (result.rowCount === 0) return null;
+
+  if (!takeLegacyBudget(result.rowCount)) {
+    logger.warn("Legacy API key lookup skipped - comparison budget spent", {
+      legacy_keys: result.rowCount,
+      per_minute: LEGACY_COMPARISONS_PER_MINUTE,
+    });
+    return undefined;
+  }
+
+  for (const row of result.rows) {
+    if (await compareSafely(apiKey, row.secret_hash)) {
+      logger.warn("Legacy API key used - replace it with a new key", {
+        app_id: row.app_id,
+        api_key_id: row.id,
+      });
+      return toIdentity(row);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Record that a key was used (last_used_at / last_used_ip)
+ * Throttled per key and IP; failures are logged, never thrown.
+ */
+function recordApiKeyUse(identity, ip) {
+  const previous = lastUsed.get(identity.api_key_id);
+  if (
+    previous &&
+    previous.ip === ip &&
+    Date.now() - previous.at < LAST_USED_RESOLUTION_MS
+  ) {
+    return;
+  }
+
+  if (lastUsed.size >= CACHE_MAX_ENTRIES) {
+    lastUsed.delete(lastUsed.keys().next().value);
+  }
+  lastUsed.set(identity.api_key_id, { ip, at: Date.now() });
+
+  pool
+    .query(
+      `UPDATE api_keys SET last_used_at = now(), last_used_ip = $2
+       WHERE id = $1`,
+      [identity.api_key_id, ip ?? null],
+    )
+    .catch((err) => {
+      logger.warn("Could not record API key use", {
+        api_key_id: identity.api_key_id,
+        error: err.message,
+      });
+    });
+}
+
+/**
+ * Resolve the app and key of a presented API key
+ * @param {string} apiKey - Key from the request
+ * @param {Object} options - { ip } of the caller, recorded as last_used_ip
+ * @returns {Promise<Object|null>} - { app_id, app_name, api_key_id, label,
+ *   scopes, expires_at }, or null if the key is invalid, revoked or expired
+ */
+export async function authenticateApiKey(apiKey, { ip } = {}) {
+  if (!apiKey || typeof apiKey !== "string") return null;
+
+  const key = cacheKey(apiKey);
+  let identity = getCached(key);
+
+  if (identity === undefined) {
+    const parsed = parseApiKey(apiKey);
+    identity = null;
+
+    if (parsed) {
+      identity = await findKeyByKeyId(parsed);
+    } else if (LEGACY_API_KEYS_ENABLED && LEGACY_KEY_PATTERN.test(apiKey)) {
+      identity = await findLegacyKey(apiKey);
+      // Over budget: not checked, so not cached as invalid either
+      if (identity === undefined) return null;
+    }
+
+    setCached(key, identity);
+  }
+
+  if (identity) {
+    recordApiKeyUse(identity, ip);
+  }
+  return identity;
+}
+
+/**
+ * Whether an authenticated key has a scope
+ * @param {Object} identity - Result of authenticateApiKey
+ * @param {string} scope - e.g. "calls:read"
+ * @returns {boolean}
+ */
+export function hasScope(identity, scope) {
+  return Boolean(identity?.scopes?.includes(scope));
+}
+
+/**
+ * Record types (call, message, voicemail) a key can read
+ * Type "call" needs scope "calls:read", and so on.
+ *
+ * @param {Object} identity - Key with scopes (req.api_key)
+ * @param {Array<string>} types - Candidate types
+ * @returns {Array<string>} - Readable types
+ */
+export function getReadableTypes(identity, types) {
+  return types.filter((type) => hasScope(identity, `${type}s:read`));
+}
+
+export { API_KEY_SCOPES };
@@ -1,13 +1,26 @@
-import pool from "../db.js";
+import { query } from "../db.js";
 import { registerEventHandler } from "./dialpadEventProcessor.js";
 import {
   normalizeCallDirection,
   isValidStatusTransition,
   sanitizeCallPayload,
   getStatusTransitionError,
+  extractEventOrderingKeys,
+  classifyCallOutcome,
+  getRingSeconds,
+  ANSWERED_CALL_STATUSES,
+  CALL_OUTCOMES,
+  TERMINAL_CALL_EVENT_TYPES,
+  computeCallDurations,
 } from "../utils/callHelpers.js";
 import { broadcastToApp, broadcastToUser } from "./websocketManager.js";
 import * as voicemailService from "./voicemailService.js";
+import { markCallStatsDirty } from "./callStatsService.js";
+import { normalizePhoneNumber } from "../utils/phone.js";
+import {
+  assignMessageToConversation,
+  broadcastConversationUpdated,
+} from "./conversationsService.js";
 
 /**
  * Call Event Handlers
@@ -15,7 +28,12 @@ import * as voicemailService from "./voicemailService.js";
  * Implements handlers for Dialpad call-related webhook events:
  * - call.started: New call initiated
  * - call.ring: Call is ringing
- * - call.ended: Call completed
+ * - call.ended / call.missed: Call completed; classified as answered,
+ *   missed, abandoned, rejected, answered elsewhere or no answer
+ * - call.hold / call.unhold: Call put on / taken off hold
+ * - call.transfer: Call is being transferred
+ * - call.queued: Call is waiting in a call center queue
+ * - call.parked: Call is parked
  * - call.recording.completed: Recording is available
  *
  * All handlers use UPSERT logic (ON CONFLICT) for idempotency
@@ -26,7 +44,44 @@ import * as voicemailService from "./voicemailService.js";
  * - Status transition validation
  * - Payload sanitization for storage
  * - Concurrency-safe with row locking
+ *
+ * ORDERING: The event processor hands over a call's events one at a time in
+ * Dialpad event-timestamp order. Events that still arrive late (after the
+ * call reached a state they cannot transition from) are merged with
+ * mergeLateCallEvent: they fill in missing fields but never change status.
+ *
+ * HISTORY: Every status change a handler evaluates is written to
+ * call_state_history (recordStatusTransition), including transitions
+ * rejected by isValidStatusTransition, with the source webhook_event id.
+ *
+ * OUTCOMES: call.ended sets calls.outcome (see classifyCallOutcome) and
+ * broadcasts call.missed / call.abandoned / call.rejected /
+ * call.answered_elsewhere in addition to call.ended.
+ *
+ * DURATIONS: answered_at and ring / talk / hold durations are recomputed
+ * from call_state_history when a call is answered and when it ends
+ * (updateCallDurations).
+ *
+ * STATS: Every status / duration change marks the call's hour dirty for the
+ * call_stats_hourly rollups (markCallStatsDirty in callStatsService.js).
+ */
+
+/**
+ * Outcomes that get their own WebSocket event
  */
+const OUTCOME_EVENT_OUTCOMES = [
+  CALL_OUTCOMES.MISSED,
+  CALL_OUTCOMES.ABANDONED,
+  CALL_OUTCOMES.REJECTED,
+  CALL_OUTCOMES.ANSWERED_ELSEWHERE,
+];
+
+/**
+ * ON CONFLICT expression for calls.status_changed_at: only moves when the
+ * status actually changes (repeated events for the same status keep it)
+ */
+const STATUS_CHANGED_AT_ON_CONFLICT =
+  "CASE WHEN calls.status IS DISTINCT FROM EXCLUDED.status THEN now() ELSE calls.status_changed_at END";
 
 /**
  * Extract call details from Dialpad webhook payload
@@ -42,19 +97,138 @@ function extractCallDetails(payload) {
   const rawDirection = call.direction;
   const normalizedDirection = normalizeCallDirection(rawDirection);
 
+  const fromNumber = call.from || call.from_number || call.caller;
+  const toNumber = call.to || call.to_number || call.callee;
+
   return {
     dialpad_call_id: call.id || call.call_id,
     direction: normalizedDirection, // Normalized: 'inbound' or 'outbound'
-    from_number: call.from || call.from_number || call.caller,
-    to_number: call.to || call.to_number || call.callee,
+    from_number: fromNumber, // Raw, as sent by Dialpad
+    to_number: toNumber,
+    from_number_e164: normalizePhoneNumber(fromNumber),
+    to_number_e164: normalizePhoneNumber(toNumber),
     dialpad_user_id: call.user_id || call.dialpad_user_id || call.owner?.id,
     duration_seconds: call.duration || call.duration_seconds,
     recording_url: call.recording_url || call.recording?.url,
     started_at: call.started_at || call.start_time || call.created_at,
     ended_at: call.ended_at || call.end_time,
+    // First leg of the call; shared by all legs of a group / call center ring
+    entry_point_call_id: call.entry_point_call_id || call.master_call_id,
   };
 }
 
+/**
+ * Merge a late event into a call whose status it may not change
+ *
+ * Merge policy: the current status and any field already set are kept; the
+ * late event only fills fields that are still NULL (e.g. from/to, user and
+ * start time when call.ended was processed before call.started).
+ *
+ * @param {string} app_id - Application ID
+ * @param {Object} details - Call details from extractCallDetails
+ * @param {string} eventType - Event type being merged (for logging)
+ */
+async function mergeLateCallEvent(app_id, details, eventType) {
+  const result = await query(
+    `UPDATE calls SET
+       direction = COALESCE(direction, $1),
+       from_number = COALESCE(from_number, $2),
+       to_number = COALESCE(to_number, $3),
+       dialpad_user_id = COALESCE(dialpad_user_id, $4),
+       started_at = COALESCE(started_at, $5),
+       ended_at = COALESCE(ended_at, $6),
+       duration_seconds = COALESCE(duration_seconds, $7),
+       recording_url = COALESCE(recording_url, $8),
+       entry_point_call_id = COALESCE(entry_point_call_id, $11),
+       from_number_e164 = COALESCE(from_number_e164, $12),
+       to_number_e164 = COALESCE(to_number_e164, $13)
+     WHERE dialpad_call_id = $9 AND app_id = $10
+     RETURNING id`,
+    [
+      details.direction,
+      details.from_number,
+      details.to_number,
+      details.dialpad_user_id,
+      details.started_at,
+      details.ended_at,
+      details.duration_seconds,
+      details.recording_url,
+      details.dialpad_call_id,
+      app_id,
+      details.entry_point_call_id,
+      details.from_number_e164,
+      details.to_number_e164,
+    ],
+  );
+
+  if (result.rowCount > 0) {
+    // started_at may have been filled in, moving the call to another hour
+    await markCallStatsDirty(app_id, details.dialpad_call_id);
+    console.log(
+      `[CallHandler] ${eventType} merged into call ${details.dialpad_call_id} (late event, status unchanged)`,
+    );
+  }
+}
+
+/**
+ * Record a status transition in call_state_history
+ *
+ * Called for applied transitions and for transitions rejected by
+ * isValidStatusTransition. Applied "transitions" to the status the call
+ * already had (repeated events) are not recorded. Entries are keyed by
+ * (webhook_event_id, to_status), so replaying an event updates its entry.
+ *
+ * @param {string} app_id - Application ID
+ * @param {Object} payload - Dialpad webhook payload (for the event timestamp)
+ * @param {Object} transition - { dialpad_call_id, from_status, to_status,
+ *   applied, event_type, eventContext }
+ */
+async function recordStatusTransition(app_id, payload, transition) {
+  if (transition.applied && transition.from_status === transition.to_status) {
+    // Nothing to record, but the upsert may have set started_at
+    await markCallStatsDirty(app_id, transition.dialpad_call_id);
+    return;
+  }
+
+  const { event_timestamp } = extractEventOrderingKeys(payload);
+  const rejectionReason = transition.applied
+    ? null
+    : getStatusTransitionError(transition.from_status, transition.to_status);
+
+  await query(
+    `INSERT INTO call_state_history (
+       app_id, call_id, dialpad_call_id, from_status, to_status, applied,
+       rejection_reason, event_type, webhook_event_id, occurred_at
+     )
+     VALUES (
+       $1,
+       (SELECT id FROM calls WHERE dialpad_call_id = $2 AND app_id = $1),
+       $2, $3, $4, $5, $6, $7, $8, COALESCE($9, now())
+     )
+     ON CONFLICT (webhook_event_id, to_status) WHERE webhook_event_id IS NOT NULL
+     DO UPDATE SET
+       from_status = EXCLUDED.from_status,
+       applied = EXCLUDED.applied,
+       rejection_reason = EXCLUDED.rejection_reason,
+       recorded_at = now()`,
+    [
+      app_id,
+      transition.dialpad_call_id,
+      transition.from_status,
+      transition.to_status,
+      transition.applied,
+      rejectionReason,
+      transition.event_type,
+      transition.eventContext?.id || null,
+      event_timestamp,
+    ],
+  );
+
+  if (transition.applied) {
+    await markCallStatsDirty(app_id, transition.dialpad_call_id);
+  }
+}
+
 /**
  * Normalize message direction from raw value or event type
  * @param {string|null} direction
@@ -90,14 +264,19 @@ function extractMessageDetails(payload, eventType) {
     eventType,
   );
 
+  const fromNumber =
+    message.from || message.from_number || message.sender || payload.from;
+  const toNumber =
+    message.to || message.to_number || message.recipient || payload.to;
+
   return {
     dialpad_message_id:
       message.id || message.message_id || payload.message_id || payload.id,
     direction: normalizedDirection,
-    from_number:
-      message.from || message.from_number || message.sender || payload.from,
-    to_number:
-      message.to || message.to_number || message.recipient || payload.to,
+    from_number: fromNumber, // Raw, as sent by Dialpad
+    to_number: toNumber,
+    from_number_e164: normalizePhoneNumber(fromNumber),
+    to_number_e164: normalizePhoneNumber(toNumber),
     text: message.text || message.body || message.message || payload.text,
     dialpad_user_id:
       message.user_id || message.dialpad_user_id || message.owner?.id,
@@ -111,7 +290,8 @@ function extractMessageDetails(payload, eventType) {
 
 /**
  * Handler: sms/message events
- * Creates or updates a message record
+ * Creates or updates a message record and threads it into its conversation
+ * (conversation.updated is broadcast when the message is first threaded)
  */
 async function handleMessageEvent(payload, app_id, eventType) {
   const details = extractMessageDetails(payload, eventType);
@@ -121,18 +301,23 @@ async function handleMessageEvent(payload, app_id, eventType) {
     return;
   }
 
-  await pool.query(
+  const stored = await query(
     `INSERT INTO messages (
        app_id, dialpad_message_id, direction, from_number,
-       to_number, text, dialpad_user_id, sent_at
-     ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       to_number, text, dialpad_user_id, sent_at,
+       from_number_e164, to_number_e164
+     ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
      ON CONFLICT (dialpad_message_id) DO UPDATE SET
        direction = COALESCE(EXCLUDED.direction, messages.direction),
        from_number = COALESCE(EXCLUDED.from_number, messages.from_number),
        to_number = COALESCE(EXCLUDED.to_number, messages.to_number),
+       from_number_e164 = COALESCE(EXCLUDED.from_number_e164, messages.from_number_e164),
+       to_number_e164 = COALESCE(EXCLUDED.to_number_e164, messages.to_number_e164),
        text = COALESCE(EXCLUDED.text, messages.text),
        dialpad_user_id = COALESCE(EXCLUDED.dialpad_user_id, messages.dialpad_user_id),
-       sent_at = COALESCE(EXCLUDED.sent_at, messages.sent_at)`,
+       sent_at = COALESCE(EXCLUDED.sent_at, messages.sent_at)
+     RETURNING id, direction, from_number, to_number, from_number_e164,
+       to_number_e164, dialpad_user_id, conversation_id`,
     [
       app_id,
       details.dialpad_message_id,
@@ -142,9 +327,27 @@ async function handleMessageEvent(payload, app_id, eventType) {
       details.text,
       details.dialpad_user_id,
       details.sent_at,
+      details.from_number_e164,
+      details.to_number_e164,
     ],
   );
 
+  // Thread with the stored (merged) fields: an update event may omit some
+  const message = stored.rows[0];
+  if (!message.conversation_id) {
+    const conversation = await assignMessageToConversation(
+      app_id,
+      message.id,
+      message,
+    );
+    if (conversation) {
+      broadcastConversationUpdated(app_id, conversation, {
+        message_id: message.id,
+        dialpad_message_id: details.dialpad_message_id,
+      });
+    }
+  }
+
   console.log(
     `[MessageHandler] ${eventType} processed: ${details.dialpad_message_id}`,
   );
@@ -156,7 +359,7 @@ async function handleMessageEvent(payload, app_id, eventType) {
  *
  * PRODUCTION: Validates status transitions before updating
  */
-async function handleCallStarted(payload, app_id) {
+async function handleCallStarted(payload, app_id, eventContext = {}) {
   const details = extractCallDetails(payload);
 
   if (!details.dialpad_call_id) {
@@ -169,7 +372,7 @@ async function handleCallStarted(payload, app_id) {
   const nextStatus = "active";
 
   // Check if call exists and validate status transition
-  const existingCall = await pool.query(
+  const existingCall = await query(
     `SELECT status FROM calls WHERE dialpad_call_id = $1`,
     [details.dialpad_call_id],
   );
@@ -181,24 +384,38 @@ async function handleCallStarted(payload, app_id) {
       console.warn(
         `[CallHandler] ${getStatusTransitionError(currentStatus, nextStatus)} for call ${details.dialpad_call_id}`,
       );
-      // Don't fail - just skip the update to preserve terminal state
+      // Don't fail - preserve the current state but keep the late details
+      await recordStatusTransition(app_id, payload, {
+        dialpad_call_id: details.dialpad_call_id,
+        from_status: currentStatus,
+        to_status: nextStatus,
+        applied: false,
+        event_type: "call.started",
+        eventContext,
+      });
+      await mergeLateCallEvent(app_id, details, "call.started");
       return;
     }
   }
 
-  await pool.query(
+  await query(
     `INSERT INTO calls (
        app_id, dialpad_call_id, direction, from_number, to_number,
-       status, dialpad_user_id, started_at, raw_payload
+       status, dialpad_user_id, started_at, entry_point_call_id, raw_payload,
+       status_changed_at, from_number_e164, to_number_e164
      )
-     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, now(), $11, $12)
      ON CONFLICT (dialpad_call_id) DO UPDATE SET
        status = EXCLUDED.status,
+       status_changed_at = ${STATUS_CHANGED_AT_ON_CONFLICT},
        direction = COALESCE(EXCLUDED.direction, calls.direction),
        from_number = COALESCE(EXCLUDED.from_number, calls.from_number),
        to_number = COALESCE(EXCLUDED.to_number, calls.to_number),
+       from_number_e164 = COALESCE(EXCLUDED.from_number_e164, calls.from_number_e164),
+       to_number_e164 = COALESCE(EXCLUDED.to_number_e164, calls.to_number_e164),
        dialpad_user_id = COALESCE(EXCLUDED.dialpad_user_id, calls.dialpad_user_id),
        started_at = COALESCE(EXCLUDED.started_at, calls.started_at),
+       entry_point_call_id = COALESCE(calls.entry_point_call_id, EXCLUDED.entry_point_call_id),
        raw_payload = EXCLUDED.raw_payload`,
     [
       app_id,
@@ -209,10 +426,23 @@ async function handleCallStarted(payload, app_id) {
       nextStatus,
       details.dialpad_user_id,
       details.started_at,
+      details.entry_point_call_id,
       sanitizedPayload,
+      details.from_number_e164,
+      details.to_number_e164,
     ],
   );
 
+  await recordStatusTransition(app_id, payload, {
+    dialpad_call_id: details.dialpad_call_id,
+    from_status: existingCall.rows[0]?.status ?? null,
+    to_status: nextStatus,
+    applied: true,
+    event_type: "call.started",
+    eventContext,
+  });
+  await updateCallDurations(app_id, payload, details.dialpad_call_id);
+
   console.log(
     `[CallHandler] call.started processed: ${details.dialpad_call_id}`,
   );
@@ -249,7 +479,7 @@ async function handleCallStarted(payload, app_id) {
  *
  * PRODUCTION: Validates status transitions before updating
  */
-async function handleCallRing(payload, app_id) {
+async function handleCallRing(payload, app_id, eventContext = {}) {
   const details = extractCallDetails(payload);
 
   if (!details.dialpad_call_id) {
@@ -262,7 +492,7 @@ async function handleCallRing(payload, app_id) {
   const nextStatus = "ringing";
 
   // Check if call exists and validate status transition
-  const existingCall = await pool.query(
+  const existingCall = await query(
     `SELECT status FROM calls WHERE dialpad_call_id = $1`,
     [details.dialpad_call_id],
   );
@@ -274,23 +504,37 @@ async function handleCallRing(payload, app_id) {
       console.warn(
         `[CallHandler] ${getStatusTransitionError(currentStatus, nextStatus)} for call ${details.dialpad_call_id}`,
       );
-      // Don't update - preserve current state
+      // Don't change status - preserve current state, fill missing details
+      await recordStatusTransition(app_id, payload, {
+        dialpad_call_id: details.dialpad_call_id,
+        from_status: currentStatus,
+        to_status: nextStatus,
+        applied: false,
+        event_type: "call.ring",
+        eventContext,
+      });
+      await mergeLateCallEvent(app_id, details, "call.ring");
       return;
     }
   }
 
-  await pool.query(
+  await query(
     `INSERT INTO calls (
        app_id, dialpad_call_id, direction, from_number, to_number,
-       status, dialpad_user_id, raw_payload
+       status, dialpad_user_id, entry_point_call_id, raw_payload,
+       status_changed_at, from_number_e164, to_number_e164
      )
-     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, now(), $10, $11)
      ON CONFLICT (dialpad_call_id) DO UPDATE SET
        status = EXCLUDED.status,
+       status_changed_at = ${STATUS_CHANGED_AT_ON_CONFLICT},
        direction = COALESCE(EXCLUDED.direction, calls.direction),
        from_number = COALESCE(EXCLUDED.from_number, calls.from_number),
        to_number = COALESCE(EXCLUDED.to_number, calls.to_number),
+       from_number_e164 = COALESCE(EXCLUDED.from_number_e164, calls.from_number_e164),
+       to_number_e164 = COALESCE(EXCLUDED.to_number_e164, calls.to_number_e164),
        dialpad_user_id = COALESCE(EXCLUDED.dialpad_user_id, calls.dialpad_user_id),
+       entry_point_call_id = COALESCE(calls.entry_point_call_id, EXCLUDED.entry_point_call_id),
        raw_payload = EXCLUDED.raw_payload`,
     [
       app_id,
@@ -300,10 +544,22 @@ async function handleCallRing(payload, app_id) {
       details.to_number,
       nextStatus,
       details.dialpad_user_id,
+      details.entry_point_call_id,
       sanitizedPayload,
+      details.from_number_e164,
+      details.to_number_e164,
     ],
   );
 
+  await recordStatusTransition(app_id, payload, {
+    dialpad_call_id: details.dialpad_call_id,
+    from_status: existingCall.rows[0]?.status ?? null,
+    to_status: nextStatus,
+    applied: true,
+    event_type: "call.ring",
+    eventContext,
+  });
+
   console.log(`[CallHandler] call.ring processed: ${details.dialpad_call_id}`);
 
   // Broadcast WebSocket event to app
@@ -333,68 +589,245 @@ async function handleCallRing(payload, app_id) {
 }
 
 /**
- * Handler: call.ended
- * Updates existing call record with status = 'ended', ended_at, and duration
+ * Recompute answered_at and ring / talk / hold durations from the applied
+ * call_state_history entries (see computeCallDurations)
+ *
+ * @param {string} app_id - Application ID
+ * @param {Object} payload - Dialpad webhook payload (date_connected fallback)
+ * @param {string} dialpad_call_id - Dialpad call ID
+ */
+async function updateCallDurations(app_id, payload, dialpad_call_id) {
+  const call = payload.call || payload.data?.call || payload;
+  const history = await query(
+    `SELECT h.to_status, h.occurred_at
+     FROM call_state_history h
+     JOIN calls c ON c.id = h.call_id
+     WHERE c.dialpad_call_id = $1 AND c.app_id = $2 AND h.applied
+     ORDER BY h.occurred_at ASC, h.recorded_at ASC`,
+    [dialpad_call_id, app_id],
+  );
+
+  const durations = computeCallDurations(history.rows, {
+    answered_at: call.date_connected,
+  });
+
+  await query(
+    `UPDATE calls SET
+       answered_at = $1,
+       ring_duration_seconds = $2,
+       talk_duration_seconds = $3,
+       hold_duration_seconds = $4
+     WHERE dialpad_call_id = $5 AND app_id = $6`,
+    [
+      durations.answered_at,
+      durations.ring_duration_seconds,
+      durations.talk_duration_seconds,
+      durations.hold_duration_seconds,
+      dialpad_call_id,
+      app_id,
+    ],
+  );
+  await markCallStatsDirty(app_id, dialpad_call_id);
+}
+
+/**
+ * Whether the call was ever active, according to call_state_history
+ * (the current status alone misses e.g. active -> transferring -> ended)
+ */
+async function callReachedActive(app_id, dialpad_call_id) {
+  const result = await query(
+    `SELECT 1
+     FROM call_state_history
+     WHERE call_id = (
+         SELECT id FROM calls WHERE dialpad_call_id = $2 AND app_id = $1
+       )
+       AND to_status = 'active' AND applied
+     LIMIT 1`,
+    [app_id, dialpad_call_id],
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Whether another leg of the same inbound call (same entry point call, e.g.
+ * a group or call center ring) was answered
+ */
+async function otherLegAnswered(app_id, details) {
+  if (
+    !details.entry_point_call_id ||
+    String(details.entry_point_call_id) === String(details.dialpad_call_id)
+  ) {
+    return false;
+  }
+
+  const result = await query(
+    `SELECT 1
+     FROM calls
+     WHERE app_id = $1 AND entry_point_call_id = $2 AND dialpad_call_id <> $3
+       AND (outcome = $4 OR status = ANY($5))
+     LIMIT 1`,
+    [
+      app_id,
+      details.entry_point_call_id,
+      details.dialpad_call_id,
+      CALL_OUTCOMES.ANSWERED,
+      ANSWERED_CALL_STATUSES,
+    ],
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Broadcast the outcome-specific event (call.missed, call.abandoned,
+ * call.rejected, call.answered_elsewhere) so clients can e.g. create
+ * callback tasks. Answered / no-answer calls only get call.ended.
+ */
+function broadcastCallOutcome(app_id, details, outcome) {
+  if (!OUTCOME_EVENT_OUTCOMES.includes(outcome)) return;
+
+  const event = {
+    event: `call.${outcome}`,
+    call_id: details.dialpad_call_id,
+    direction: details.direction,
+    from_number: details.from_number,
+    to_number: details.to_number,
+    outcome,
+    timestamp: new Date().toISOString(),
+  };
+
+  broadcastToApp(app_id, { ...event, user_id: details.dialpad_user_id });
+
+  if (details.dialpad_user_id) {
+    broadcastToUser(app_id, details.dialpad_user_id, event);
+  }
+}
+
+/**
+ * Handler: call.ended (also Dialpad's missed state)
+ * Updates existing call record with the final status, outcome, ended_at and
+ * duration
+ *
+ * The final status and outcome come from classifyCallOutcome: an inbound
+ * call that never went active ends as missed (outcome missed / abandoned),
+ * a declined call as rejected, everything else as ended.
  *
  * PRODUCTION: Validates status transitions before updating
  */
-async function handleCallEnded(payload, app_id) {
+async function handleCallEnded(payload, app_id, eventContext = {}) {
   const details = extractCallDetails(payload);
+  const eventType = eventContext.event_type || "call.ended";
 
   if (!details.dialpad_call_id) {
-    console.warn("call.ended event missing dialpad_call_id");
+    console.warn(`${eventType} event missing dialpad_call_id`);
     return;
   }
 
   // Sanitize payload for storage
   const sanitizedPayload = sanitizeCallPayload(payload);
-  const nextStatus = "ended";
 
   // Check if call exists and validate status transition
-  const existingCall = await pool.query(
-    `SELECT status FROM calls WHERE dialpad_call_id = $1`,
+  const existingCall = await query(
+    `SELECT status, direction, started_at, created_at
+     FROM calls WHERE dialpad_call_id = $1`,
     [details.dialpad_call_id],
   );
+  const existing = existingCall.rows[0];
+  const currentStatus = existing?.status ?? null;
+  const call = payload.call || payload.data?.call || payload;
 
-  if (existingCall.rowCount > 0) {
-    const currentStatus = existingCall.rows[0].status;
+  const classification = classifyCallOutcome({
+    call,
+    direction: details.direction || existing?.direction || null,
+    previousStatus: currentStatus,
+    reachedActive: existing
+      ? await callReachedActive(app_id, details.dialpad_call_id)
+      : false,
+    answeredElsewhere: await otherLegAnswered(app_id, details),
+    ringSeconds: getRingSeconds(call, {
+      rang_at:
+        details.started_at || existing?.started_at || existing?.created_at,
+      ended_at: details.ended_at,
+      duration_seconds: details.duration_seconds,
+    }),
+  });
+  const { outcome } = classification;
+  let nextStatus = classification.status;
+
+  // e.g. queued -> rejected is not a valid transition: end the call instead
+  if (
+    currentStatus &&
+    !isValidStatusTransition(currentStatus, nextStatus) &&
+    isValidStatusTransition(currentStatus, "ended")
+  ) {
+    nextStatus = "ended";
+  }
 
+  if (existing) {
     if (!isValidStatusTransition(currentStatus, nextStatus)) {
       console.warn(
         `[CallHandler] ${getStatusTransitionError(currentStatus, nextStatus)} for call ${details.dialpad_call_id}`,
       );
-      // Don't update if already in a terminal state
+      // Don't change status if already in a terminal state, but record
+      // end time / duration if still missing
+      await recordStatusTransition(app_id, payload, {
+        dialpad_call_id: details.dialpad_call_id,
+        from_status: currentStatus,
+        to_status: nextStatus,
+        applied: false,
+        event_type: eventType,
+        eventContext,
+      });
+      await mergeLateCallEvent(app_id, details, eventType);
       return;
     }
 
     // For call.ended, we prefer to UPDATE rather than INSERT
     // to avoid overwriting richer data from call.started
-    const result = await pool.query(
+    await query(
       `UPDATE calls
        SET 
          status = $1,
-         ended_at = COALESCE($2, now()),
-         duration_seconds = COALESCE($3, duration_seconds),
-         direction = COALESCE($4, direction),
-         from_number = COALESCE($5, from_number),
-         to_number = COALESCE($6, to_number),
-         raw_payload = COALESCE($7, raw_payload)
-       WHERE dialpad_call_id = $8
+         status_changed_at = CASE WHEN status IS DISTINCT FROM $1 THEN now() ELSE status_changed_at END,
+         outcome = COALESCE($2, outcome),
+         ended_at = COALESCE($3, now()),
+         duration_seconds = COALESCE($4, duration_seconds),
+         direction = COALESCE($5, direction),
+         from_number = COALESCE($6, from_number),
+         to_number = COALESCE($7, to_number),
+         entry_point_call_id = COALESCE(entry_point_call_id, $8),
+         raw_payload = COALESCE($9, raw_payload),
+         from_number_e164 = COALESCE($11, from_number_e164),
+         to_number_e164 = COALESCE($12, to_number_e164)
+       WHERE dialpad_call_id = $10
        RETURNING id`,
       [
         nextStatus,
+        outcome,
         details.ended_at,
         details.duration_seconds,
         details.direction,
         details.from_number,
         details.to_number,
+        details.entry_point_call_id,
         sanitizedPayload,
         details.dialpad_call_id,
+        details.from_number_e164,
+        details.to_number_e164,
       ],
     );
 
+    await recordStatusTransition(app_id, payload, {
+      dialpad_call_id: details.dialpad_call_id,
+      from_status: currentStatus,
+      to_status: nextStatus,
+      applied: true,
+      event_type: eventType,
+      eventContext,
+    });
+    await updateCallDurations(app_id, payload, details.dialpad_call_id);
+
     console.log(
-      `[CallHandler] call.ended processed: ${details.dialpad_call_id}`,
+      `[CallHandler] ${eventType} processed: ${details.dialpad_call_id} (${nextStatus}, outcome: ${outcome || "unknown"})`,
     );
 
     // Broadcast WebSocket event to app
@@ -404,7 +837,8 @@ async function handleCallEnded(payload, app_id) {
       direction: details.direction,
       from_number: details.from_number,
       to_number: details.to_number,
-      status: "ended",
+      status: nextStatus,
+      outcome,
       duration_seconds: details.duration_seconds,
       user_id: details.dialpad_user_id,
       timestamp: new Date().toISOString(),
@@ -418,20 +852,26 @@ async function handleCallEnded(payload, app_id) {
         direction: details.direction,
         from_number: details.from_number,
         to_number: details.to_number,
-        status: "ended",
+        status: nextStatus,
+        outcome,
         duration_seconds: details.duration_seconds,
         timestamp: new Date().toISOString(),
       });
     }
+
+    broadcastCallOutcome(app_id, details, outcome);
   } else {
     // If call doesn't exist yet (edge case: ended event arrived first),
-    // create it with ended status
-    await pool.query(
+    // create it with its final status
+    // Late call.started / call.ring events are merged in by mergeLateCallEvent
+    await query(
       `INSERT INTO calls (
          app_id, dialpad_call_id, direction, from_number, to_number,
-         status, dialpad_user_id, ended_at, duration_seconds, raw_payload
+         status, outcome, dialpad_user_id, started_at, ended_at,
+         duration_seconds, entry_point_call_id, raw_payload, status_changed_at,
+         from_number_e164, to_number_e164
        )
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, now(), $14, $15)
        ON CONFLICT (dialpad_call_id) DO NOTHING`,
       [
         app_id,
@@ -440,15 +880,30 @@ async function handleCallEnded(payload, app_id) {
         details.from_number,
         details.to_number,
         nextStatus,
+        outcome,
         details.dialpad_user_id,
+        details.started_at,
         details.ended_at || new Date(),
         details.duration_seconds,
+        details.entry_point_call_id,
         sanitizedPayload,
+        details.from_number_e164,
+        details.to_number_e164,
       ],
     );
 
+    await recordStatusTransition(app_id, payload, {
+      dialpad_call_id: details.dialpad_call_id,
+      from_status: null,
+      to_status: nextStatus,
+      applied: true,
+      event_type: eventType,
+      eventContext,
+    });
+    await updateCallDurations(app_id, payload, details.dialpad_call_id);
+
     console.log(
-      `[CallHandler] call.ended processed (new): ${details.dialpad_call_id}`,
+      `[CallHandler] ${eventType} processed (new): ${details.dialpad_call_id} (${nextStatus}, outcome: ${outcome || "unknown"})`,
     );
 
     // Broadcast WebSocket event for new call that ended
@@ -458,13 +913,228 @@ async function handleCallEnded(payload, app_id) {
       direction: details.direction,
       from_number: details.from_number,
       to_number: details.to_number,
-      status: "ended",
+      status: nextStatus,
+      outcome,
       duration_seconds: details.duration_seconds,
       timestamp: new Date().toISOString(),
     });
+
+    broadcastCallOutcome(app_id, details, outcome);
   }
 }
 
+/**
+ * Apply a mid-call status change (hold, unhold, transfer, queued, parked)
+ *
+ * Shared by the handlers below: validates the transition, upserts the call
+ * with the new status (stamping status_changed_at) and broadcasts the change
+ * with the previous status, so clients can render e.g. "on hold" instead of
+ * "active".
+ *
+ * @param {Object} payload - Dialpad webhook payload
+ * @param {string} app_id - Application ID
+ * @param {Object} change - { eventType, nextStatus, includeTarget }
+ * @param {Object} eventContext - Source webhook event (for call_state_history)
+ */
+async function applyCallStatusChange(
+  payload,
+  app_id,
+  change,
+  eventContext = {},
+) {
+  const { eventType, nextStatus } = change;
+  const details = extractCallDetails(payload);
+
+  if (!details.dialpad_call_id) {
+    console.warn(`${eventType} event missing dialpad_call_id`);
+    return;
+  }
+
+  const sanitizedPayload = sanitizeCallPayload(payload);
+
+  const existingCall = await query(
+    `SELECT status FROM calls WHERE dialpad_call_id = $1`,
+    [details.dialpad_call_id],
+  );
+  const previousStatus =
+    existingCall.rowCount > 0 ? existingCall.rows[0].status : null;
+
+  if (!isValidStatusTransition(previousStatus, nextStatus)) {
+    console.warn(
+      `[CallHandler] ${getStatusTransitionError(previousStatus, nextStatus)} for call ${details.dialpad_call_id}`,
+    );
+    await recordStatusTransition(app_id, payload, {
+      dialpad_call_id: details.dialpad_call_id,
+      from_status: previousStatus,
+      to_status: nextStatus,
+      applied: false,
+      event_type: eventType,
+      eventContext,
+    });
+    await mergeLateCallEvent(app_id, details, eventType);
+    return;
+  }
+
+  await query(
+    `INSERT INTO calls (
+       app_id, dialpad_call_id, direction, from_number, to_number,
+       status, dialpad_user_id, started_at, entry_point_call_id, raw_payload,
+       status_changed_at, from_number_e164, to_number_e164
+     )
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, now(), $11, $12)
+     ON CONFLICT (dialpad_call_id) DO UPDATE SET
+       status = EXCLUDED.status,
+       status_changed_at = ${STATUS_CHANGED_AT_ON_CONFLICT},
+       direction = COALESCE(calls.direction, EXCLUDED.direction),
+       from_number = COALESCE(calls.from_number, EXCLUDED.from_number),
+       to_number = COALESCE(calls.to_number, EXCLUDED.to_number),
+       from_number_e164 = COALESCE(calls.from_number_e164, EXCLUDED.from_number_e164),
+       to_number_e164 = COALESCE(calls.to_number_e164, EXCLUDED.to_number_e164),
+       dialpad_user_id = COALESCE(EXCLUDED.dialpad_user_id, calls.dialpad_user_id),
+       started_at = COALESCE(calls.started_at, EXCLUDED.started_at),
+       entry_point_call_id = COALESCE(calls.entry_point_call_id, EXCLUDED.entry_point_call_id),
+       raw_payload = EXCLUDED.raw_payload`,
+    [
+      app_id,
+      details.dialpad_call_id,
+      details.direction,
+      details.from_number,
+      details.to_number,
+      nextStatus,
+      details.dialpad_user_id,
+      details.started_at,
+      details.entry_point_call_id,
+      sanitizedPayload,
+      details.from_number_e164,
+      details.to_number_e164,
+    ],
+  );
+
+  await recordStatusTransition(app_id, payload, {
+    dialpad_call_id: details.dialpad_call_id,
+    from_status: previousStatus,
+    to_status: nextStatus,
+    applied: true,
+    event_type: eventType,
+    eventContext,
+  });
+
+  console.log(
+    `[CallHandler] ${eventType} processed: ${details.dialpad_call_id} (${previousStatus || "new"} -> ${nextStatus})`,
+  );
+
+  const event = {
+    event: eventType,
+    call_id: details.dialpad_call_id,
+    direction: details.direction,
+    from_number: details.from_number,
+    to_number: details.to_number,
+    status: nextStatus,
+    previous_status: previousStatus,
+    timestamp: new Date().toISOString(),
+  };
+
+  // Transfer / queue target (user, department, call center) when provided
+  const target = payload.target || payload.call?.target;
+  if (target && change.includeTarget) {
+    event.target = {
+      id: target.id,
+      type: target.type,
+      name: target.name,
+      phone: target.phone,
+    };
+  }
+
+  broadcastToApp(app_id, { ...event, user_id: details.dialpad_user_id });
+
+  if (details.dialpad_user_id) {
+    broadcastToUser(app_id, details.dialpad_user_id, event);
+  }
+}
+
+/**
+ * Handler: call.hold
+ * Call was put on hold (active -> hold)
+ */
+async function handleCallHold(payload, app_id, eventContext = {}) {
+  await applyCallStatusChange(
+    payload,
+    app_id,
+    {
+      eventType: "call.hold",
+      nextStatus: "hold",
+    },
+    eventContext,
+  );
+}
+
+/**
+ * Handler: call.unhold
+ * Call was taken off hold (hold -> active)
+ */
+async function handleCallUnhold(payload, app_id, eventContext = {}) {
+  await applyCallStatusChange(
+    payload,
+    app_id,
+    {
+      eventType: "call.unhold",
+      nextStatus: "active",
+    },
+    eventContext,
+  );
+}
+
+/**
+ * Handler: call.transfer
+ * Call is being transferred; the next ring / connect event for the call
+ * moves it on from transferring
+ */
+async function handleCallTransfer(payload, app_id, eventContext = {}) {
+  await applyCallStatusChange(
+    payload,
+    app_id,
+    {
+      eventType: "call.transfer",
+      nextStatus: "transferring",
+      includeTarget: true,
+    },
+    eventContext,
+  );
+}
+
+/**
+ * Handler: call.queued
+ * Call is waiting in a call center queue
+ */
+async function handleCallQueued(payload, app_id, eventContext = {}) {
+  await applyCallStatusChange(
+    payload,
+    app_id,
+    {
+      eventType: "call.queued",
+      nextStatus: "queued",
+      includeTarget: true,
+    },
+    eventContext,
+  );
+}
+
+/**
+ * Handler: call.parked
+ * Call was parked (picked up again via call.unhold / call.started)
+ */
+async function handleCallParked(payload, app_id, eventContext = {}) {
+  await applyCallStatusChange(
+    payload,
+    app_id,
+    {
+      eventType: "call.parked",
+      nextStatus: "parked",
+    },
+    eventContext,
+  );
+}
+
 /**
  * Handler: call.recording.completed
  * Updates existing call with recording URL
@@ -492,7 +1162,7 @@ async function handleCallRecordingCompleted(payload, app_id) {
 
   // Recording events don't change status, only add recording URL
   // No status transition validation needed
-  const result = await pool.query(
+  const result = await query(
     `UPDATE calls
      SET recording_url = $1
      WHERE dialpad_call_id = $2
@@ -516,7 +1186,7 @@ async function handleCallRecordingCompleted(payload, app_id) {
  *
  * Supports voicemail as first-class entity independent of calls
  */
-async function handleVoicemailReceived(payload, app_id) {
+async function handleVoicemailReceived(payload, app_id, eventContext = {}) {
   try {
     const voicemail = payload.voicemail || payload.data?.voicemail || payload;
 
@@ -525,11 +1195,17 @@ async function handleVoicemailReceived(payload, app_id) {
       return;
     }
 
+    const fromNumber =
+      voicemail.from || voicemail.from_number || voicemail.caller;
+    const toNumber = voicemail.to || voicemail.to_number || voicemail.callee;
+
     const voicemailData = {
       dialpad_call_id: voicemail.call_id || voicemail.dialpad_call_id || null,
       dialpad_user_id: voicemail.user_id || voicemail.dialpad_user_id,
-      from_number: voicemail.from || voicemail.from_number || voicemail.caller,
-      to_number: voicemail.to || voicemail.to_number || voicemail.callee,
+      from_number: fromNumber,
+      to_number: toNumber,
+      from_number_e164: normalizePhoneNumber(fromNumber),
+      to_number_e164: normalizePhoneNumber(toNumber),
       recording_url: voicemail.recording_url || voicemail.audio_url,
       transcript: voicemail.transcript || null,
       duration_seconds: voicemail.duration || voicemail.duration_seconds || 0,
@@ -555,7 +1231,7 @@ async function handleVoicemailReceived(payload, app_id) {
     // Update call status to voicemail when possible
     if (voicemailData.dialpad_call_id) {
       const nextStatus = "voicemail";
-      const existingCall = await pool.query(
+      const existingCall = await query(
         `SELECT status FROM calls WHERE dialpad_call_id = $1 AND app_id = $2`,
         [voicemailData.dialpad_call_id, app_id],
       );
@@ -566,10 +1242,19 @@ async function handleVoicemailReceived(payload, app_id) {
           console.warn(
             `[CallHandler] ${getStatusTransitionError(currentStatus, nextStatus)} for call ${voicemailData.dialpad_call_id}`,
           );
+          await recordStatusTransition(app_id, payload, {
+            dialpad_call_id: voicemailData.dialpad_call_id,
+            from_status: currentStatus,
+            to_status: nextStatus,
+            applied: false,
+            event_type: eventContext.event_type || "voicemail.received",
+            eventContext,
+          });
         } else {
-          await pool.query(
+          await query(
             `UPDATE calls SET
                status = $1,
+               status_changed_at = CASE WHEN status IS DISTINCT FROM $1 THEN now() ELSE status_changed_at END,
                is_voicemail = true,
                voicemail_audio_url = $2,
                voicemail_transcript = $3
@@ -582,17 +1267,32 @@ async function handleVoicemailReceived(payload, app_id) {
               app_id,
             ],
           );
+          await recordStatusTransition(app_id, payload, {
+            dialpad_call_id: voicemailData.dialpad_call_id,
+            from_status: currentStatus,
+            to_status: nextStatus,
+            applied: true,
+            event_type: eventContext.event_type || "voicemail.received",
+            eventContext,
+          });
+          await updateCallDurations(
+            app_id,
+            payload,
+            voicemailData.dialpad_call_id,
+          );
         }
       } else {
         const sanitizedPayload = sanitizeCallPayload(payload);
-        await pool.query(
+        await query(
           `INSERT INTO calls (
              app_id, dialpad_call_id, direction, from_number, to_number,
              status, dialpad_user_id, is_voicemail, voicemail_audio_url,
-             voicemail_transcript, raw_payload
-           ) VALUES ($1, $2, $3, $4, $5, $6, $7, true, $8, $9, $10)
+             voicemail_transcript, raw_payload, status_changed_at,
+             from_number_e164, to_number_e164
+           ) VALUES ($1, $2, $3, $4, $5, $6, $7, true, $8, $9, $10, now(), $11, $12)
            ON CONFLICT (dialpad_call_id) DO UPDATE SET
              status = EXCLUDED.status,
+             status_changed_at = ${STATUS_CHANGED_AT_ON_CONFLICT},
              is_voicemail = true,
              voicemail_audio_url = COALESCE(EXCLUDED.voicemail_audio_url, calls.voicemail_audio_url),
              voicemail_transcript = COALESCE(EXCLUDED.voicemail_transcript, calls.voicemail_transcript),
@@ -608,8 +1308,18 @@ async function handleVoicemailReceived(payload, app_id) {
             voicemailData.recording_url,
             voicemailData.transcript,
             sanitizedPayload,
+            voicemailData.from_number_e164,
+            voicemailData.to_number_e164,
           ],
         );
+        await recordStatusTransition(app_id, payload, {
+          dialpad_call_id: voicemailData.dialpad_call_id,
+          from_status: null,
+          to_status: nextStatus,
+          applied: true,
+          event_type: eventContext.event_type || "voicemail.received",
+          eventContext,
+        });
       }
     }
 
@@ -648,7 +1358,23 @@ async function handleVoicemailReceived(payload, app_id) {
 export function registerCallHandlers() {
   registerEventHandler("call.started", handleCallStarted);
   registerEventHandler("call.ring", handleCallRing);
-  registerEventHandler("call.ended", handleCallEnded);
+  // call.ended, call.missed, missed (also held for the reorder window)
+  for (const eventType of TERMINAL_CALL_EVENT_TYPES) {
+    registerEventHandler(eventType, handleCallEnded);
+  }
+
+  // Mid-call state changes (Dialpad JWT webhooks use the bare state names)
+  registerEventHandler("call.hold", handleCallHold);
+  registerEventHandler("hold", handleCallHold);
+  registerEventHandler("call.unhold", handleCallUnhold);
+  registerEventHandler("unhold", handleCallUnhold);
+  registerEventHandler("call.transfer", handleCallTransfer);
+  registerEventHandler("call.transferred", handleCallTransfer);
+  registerEventHandler("transfer", handleCallTransfer);
+  registerEventHandler("call.queued", handleCallQueued);
+  registerEventHandler("queued", handleCallQueued);
+  registerEventHandler("call.parked", handleCallParked);
+  registerEventHandler("parked", handleCallParked);
   registerEventHandler(
     "call.recording.completed",
     handleCallRecordingCompleted,
@@ -669,8 +1395,10 @@ export function registerCallHandlers() {
   ];
 
   messageEvents.forEach((eventType) => {
-    registerEventHandler(eventType, (payload, app_id) =>
-      handleMessageEvent(payload, app_id, eventType),
+    registerEventHandler(
+      eventType,
+      (payload, app_id) => handleMessageEvent(payload, app_id, eventType),
+      { name: `${eventType}:handleMessageEvent` },
     );
   });
 
@@ -0,0 +1,437 @@
+/**
+ * Call Stats Service
+ *
+ * Call analytics for /api/calls/stats, served from hourly rollups instead of
+ * scanning calls:
+ * - call_stats_hourly: per app, hour (by call start), direction, status and
+ *   Dialpad user: counts, duration sums and duration histograms
+ * - call_stats_dirty: (app, hour) buckets whose calls changed since their
+ *   rollup was computed
+ *
+ * The call handlers mark a call's bucket dirty whenever its status,
+ * durations or start time change (markCallStatsDirty), together with the
+ * bucket it was counted in before if the call moved to another hour. The
+ * event processor recomputes dirty buckets from calls after each run
+ * (refreshCallStats), so a bucket is always rebuilt from scratch and
+ * replayed events cannot double count.
+ *
+ * Percentiles are estimated from the histograms (linear interpolation
+ * within a histogram bucket), so they are approximate.
+ *
+ * Config (env):
+ * - CALL_STATS_REFRESH_BATCH: dirty buckets recomputed per refresh (default 200)
+ */
+
+import pool, { query } from "../db.js";
+import { CALL_STATUSES, TERMINAL_CALL_STATUSES } from "../utils/callHelpers.js";
+
+const REFRESH_BATCH = parseInt(process.env.CALL_STATS_REFRESH_BATCH, 10) || 200;
+
+/**
+ * Upper bounds (seconds) of the duration histogram buckets; one more bucket
+ * holds everything above the last bound
+ */
+const DURATION_BUCKETS = [
+  5, 10, 15, 20, 30, 45, 60, 90, 120, 180, 300, 600, 900, 1800, 3600,
+];
+
+/**
+ * Supported bucket sizes and groupings
+ */
+export const STATS_INTERVALS = ["hour", "day", "week"];
+export const STATS_GROUP_BY = [
+  "direction",
+  "status",
+  "dialpad_user_id",
+  "crm_user",
+];
+
+/**
+ * Longest range (days) per interval, to bound the number of buckets
+ */
+export const MAX_RANGE_DAYS = { hour: 31, day: 366, week: 731 };
+
+/**
+ * Percentiles reported for talk time and speed to answer
+ */
+const PERCENTILES = [50, 90, 95];
+
+/**
+ * Rollup grouping expression per group_by option
+ */
+const GROUP_EXPRESSIONS = {
+  direction: "s.direction",
+  status: "s.status",
+  dialpad_user_id: "s.dialpad_user_id::text",
+  crm_user: "m.crm_user_id",
+};
+
+const ANSWERED_SQL = `(c.answered_at IS NOT NULL OR c.outcome = 'answered')`;
+const TERMINAL_STATUS_SQL = TERMINAL_CALL_STATUSES.map((s) => `'${s}'`).join(
+  ", ",
+);
+
+/**
+ * SQL building a histogram array of a duration column
+ * @param {string} column - Duration column (seconds)
+ * @param {string} filter - Extra condition for the rows to count
+ */
+function histogramSql(column, filter) {
+  const counts = DURATION_BUCKETS.map((bound, i) => {
+    const lower = i === 0 ? "" : ` AND ${column} > ${DURATION_BUCKETS[i - 1]}`;
+    return `COUNT(*) FILTER (WHERE ${filter} AND ${column} <= ${bound}${lower})`;
+  });
+  counts.push(
+    `COUNT(*) FILTER (WHERE ${filter} AND ${column} > ${DURATION_BUCKETS.at(-1)})`,
+  );
+  return `ARRAY[${counts.join(", ")}]::int[]`;
+}
+
+/**
+ * SQL summing a histogram array column element-wise
+ * @param {string} column - Histogram column
+ */
+function sumHistogramSql(column) {
+  const sums = [...DURATION_BUCKETS, null].map(
+    (_, i) => `COALESCE(SUM(s.${column}[${i + 1}]), 0)`,
+  );
+  return `ARRAY[${sums.join(", ")}]::bigint[]`;
+}
+
+/**
+ * Mark the stats bucket of a call dirty (call created, status, durations or
+ * start time changed). Runs on the handler's connection, so it is rolled
+ * back with a dry-run replay.
+ *
+ * When the call moved to another hour (started_at set or corrected), the
+ * bucket it was counted in before (calls.stats_bucket_start) is marked too,
+ * so its rebuild drops the call.
+ *
+ * @param {string} app_id - Application ID
+ * @param {string|number} dialpad_call_id - Dialpad call ID
+ */
+export async function markCallStatsDirty(app_id, dialpad_call_id) {
+  // DO UPDATE (not DO NOTHING) waits for a refresh holding the bucket, so a
+  // change committed during the refresh is marked again afterwards
+  await query(
+    `WITH target AS (
+       SELECT id, app_id, stats_bucket_start AS previous_bucket,
+         date_trunc('hour', COALESCE(started_at, created_at)) AS bucket
+       FROM calls
+       WHERE dialpad_call_id = $1 AND app_id = $2
+       FOR UPDATE
+     ),
+     moved AS (
+       UPDATE calls SET stats_bucket_start = target.bucket
+       FROM target
+       WHERE calls.id = target.id
+         AND calls.stats_bucket_start IS DISTINCT FROM target.bucket
+     )
+     INSERT INTO call_stats_dirty (app_id, bucket_start)
+     SELECT app_id, bucket FROM target
+     UNION
+     SELECT app_id, previous_bucket FROM target
+     WHERE previous_bucket IS NOT NULL
+     ON CONFLICT (app_id, bucket_start) DO UPDATE SET marked_at = now()`,
+    [dialpad_call_id, app_id],
+  );
+}
+
+/**
+ * Recompute the rollups of dirty buckets
+ * Buckets are claimed with SKIP LOCKED, so several processors can refresh
+ * concurrently.
+ *
+ * @param {Object} options - { limit } max buckets to refresh
+ * @returns {Promise<number>} - Number of buckets refreshed
+ */
+export async function refreshCallStats(options = {}) {
+  const limit = options.limit || REFRESH_BATCH;
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+
+    const claimed = await client.query(
+      `SELECT app_id, bucket_start
+       FROM call_stats_dirty
+       ORDER BY marked_at
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED`,
+      [limit],
+    );
+
+    if (claimed.rowCount === 0) {
+      await client.query("COMMIT");
+      return 0;
+    }
+
+    const appIds = claimed.rows.map((row) => row.app_id);
+    const buckets = claimed.rows.map((row) => row.bucket_start);
+
+    await client.query(
+      `DELETE FROM call_stats_hourly s
+       USING unnest($1::uuid[], $2::timestamp[]) AS d(app_id, bucket_start)
+       WHERE s.app_id = d.app_id AND s.bucket_start = d.bucket_start`,
+      [appIds, buckets],
+    );
+
+    await client.query(
+      `INSERT INTO call_stats_hourly (
+         app_id, bucket_start, direction, status, dialpad_user_id,
+         call_count, completed_count, answered_count, missed_count,
+         abandoned_count,
+         talk_count, talk_seconds_sum, talk_histogram,
+         answer_count, answer_seconds_sum, answer_histogram,
+         hold_seconds_sum
+       )
+       SELECT
+         d.app_id, d.bucket_start, c.direction, c.status, c.dialpad_user_id,
+         COUNT(*),
+         COUNT(*) FILTER (WHERE c.status IN (${TERMINAL_STATUS_SQL})),
+         COUNT(*) FILTER (WHERE ${ANSWERED_SQL}),
+         COUNT(*) FILTER (WHERE c.status = '${CALL_STATUSES.MISSED}'),
+         COUNT(*) FILTER (WHERE c.outcome = 'abandoned'),
+         COUNT(c.talk_duration_seconds) FILTER (WHERE ${ANSWERED_SQL}),
+         COALESCE(SUM(c.talk_duration_seconds) FILTER (WHERE ${ANSWERED_SQL}), 0),
+         ${histogramSql("c.talk_duration_seconds", ANSWERED_SQL)},
+         COUNT(c.ring_duration_seconds) FILTER (WHERE ${ANSWERED_SQL}),
+         COALESCE(SUM(c.ring_duration_seconds) FILTER (WHERE ${ANSWERED_SQL}), 0),
+         ${histogramSql("c.ring_duration_seconds", ANSWERED_SQL)},
+         COALESCE(SUM(c.hold_duration_seconds), 0)
+       FROM unnest($1::uuid[], $2::timestamp[]) AS d(app_id, bucket_start)
+       JOIN calls c
+         ON c.app_id = d.app_id
+        AND COALESCE(c.started_at, c.created_at) >= d.bucket_start
+        AND COALESCE(c.started_at, c.created_at) < d.bucket_start + interval '1 hour'
+       GROUP BY d.app_id, d.bucket_start, c.direction, c.status, c.dialpad_user_id`,
+      [appIds, buckets],
+    );
+
+    await client.query(
+      `DELETE FROM call_stats_dirty s
+       USING unnest($1::uuid[], $2::timestamp[]) AS d(app_id, bucket_start)
+       WHERE s.app_id = d.app_id AND s.bucket_start = d.bucket_start`,
+      [appIds, buckets],
+    );
+
+    await client.query("COMMIT");
+    return claimed.rowCount;
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Estimate a percentile from a duration histogram
+ * @param {Array<number>} histogram - Counts per DURATION_BUCKETS bucket
+ * @param {number} percentile - 0-100
+ * @returns {number|null} - Seconds (rounded), or null for an empty histogram
+ */
+function estimatePercentile(histogram, percentile) {
+  const total = histogram.reduce((sum, count) => sum + count, 0);
+  if (total === 0) return null;
+
+  const rank = (percentile / 100) * total;
+  let seen = 0;
+  for (let i = 0; i < histogram.length; i++) {
+    if (histogram[i] === 0) continue;
+    if (seen + histogram[i] >= rank) {
+      const lower = i === 0 ? 0 : DURATION_BUCKETS[i - 1];
+      // Overflow bucket has no upper bound: report its lower bound
+      if (i >= DURATION_BUCKETS.length) return lower;
+      const upper = DURATION_BUCKETS[i];
+      return Math.round(
+        lower + ((rank - seen) / histogram[i]) * (upper - lower),
+      );
+    }
+    seen += histogram[i];
+  }
+  return DURATION_BUCKETS.at(-1);
+}
+
+/**
+ * Turn summed rollup values into the reported metrics
+ */
+function formatMetrics(row) {
+  const ratio = (num, den) =>
+    den > 0 ? Math.round((num / den) * 10000) / 10000 : null;
+  const average = (sum, count) => (count > 0 ? Math.round(sum / count) : null);
+  const percentiles = (histogram) =>
+    Object.fromEntries(
+      PERCENTILES.map((p) => [`p${p}`, estimatePercentile(histogram, p)]),
+    );
+
+  return {
+    call_count: row.call_count,
+    completed_count: row.completed_count,
+    answered_count: row.answered_count,
+    missed_count: row.missed_count,
+    abandoned_count: row.abandoned_count,
+    answer_rate: ratio(row.answered_count, row.completed_count),
+    missed_rate: ratio(row.missed_count, row.completed_count),
+    talk_seconds: {
+      avg: average(row.talk_seconds_sum, row.talk_count),
+      ...percentiles(row.talk_histogram),
+    },
+    speed_to_answer_seconds: {
+      avg: average(row.answer_seconds_sum, row.answer_count),
+      ...percentiles(row.answer_histogram),
+    },
+    avg_hold_seconds: average(row.hold_seconds_sum, row.answered_count),
+    avg_handle_seconds: average(
+      row.talk_seconds_sum + row.hold_seconds_sum,
+      row.talk_count,
+    ),
+  };
+}
+
+/**
+ * Convert a stats row from SQL (bigint strings) to numbers
+ */
+function toNumbers(row) {
+  const converted = { ...row };
+  for (const [key, value] of Object.entries(row)) {
+    if (key === "bucket_start" || key === "group_key") continue;
+    converted[key] = Array.isArray(value)
+      ? value.map(Number)
+      : Number(value || 0);
+  }
+  return converted;
+}
+
+/**
+ * Add the summed values of one stats row into another
+ */
+function mergeInto(target, row) {
+  for (const [key, value] of Object.entries(row)) {
+    if (key === "bucket_start" || key === "group_key") continue;
+    target[key] = Array.isArray(value)
+      ? target[key].map((count, i) => count + value[i])
+      : target[key] + value;
+  }
+  return target;
+}
+
+/**
+ * Stats row with no calls (totals of an empty range)
+ */
+function emptyStatsRow() {
+  const emptyHistogram = [...DURATION_BUCKETS, null].map(() => 0);
+  return {
+    call_count: 0,
+    completed_count: 0,
+    answered_count: 0,
+    missed_count: 0,
+    abandoned_count: 0,
+    talk_count: 0,
+    talk_seconds_sum: 0,
+    talk_histogram: emptyHistogram,
+    answer_count: 0,
+    answer_seconds_sum: 0,
+    answer_histogram: emptyHistogram,
+    hold_seconds_sum: 0,
+  };
+}
+
+/**
+ * Get call stats for an app
+ *
+ * @param {string} app_id - UUID of the app (tenant)
+ * @param {Object} params
+ * @param {string} params.interval - hour | day | week
+ * @param {Date} params.from - Range start (inclusive)
+ * @param {Date} params.to - Range end (exclusive)
+ * @param {string} params.group_by - Optional, see STATS_GROUP_BY
+ * @param {string} params.direction - Optional direction filter
+ * @returns {Promise<Object>} - { interval, group_by, from, to, totals,
+ *   buckets, busiest_hours }
+ */
+export async function getCallStats(app_id, params) {
+  const { interval, from, to, group_by: groupBy, direction } = params;
+
+  // Both end up in the SQL text
+  if (!STATS_INTERVALS.includes(interval)) {
+    throw new Error(`Invalid interval: ${interval}`);
+  }
+  if (groupBy && !STATS_GROUP_BY.includes(groupBy)) {
+    throw new Error(`Invalid group_by: ${groupBy}`);
+  }
+
+  const conditions = [
+    "s.app_id = $1",
+    "s.bucket_start >= $2",
+    "s.bucket_start < $3",
+  ];
+  const values = [app_id, from, to];
+  if (direction) {
+    values.push(direction);
+    conditions.push(`s.direction = $${values.length}`);
+  }
+  const whereClause = conditions.join(" AND ");
+
+  const join =
+    groupBy === "crm_user"
+      ? `LEFT JOIN dialpad_user_mappings m
+           ON m.app_id = s.app_id AND m.dialpad_user_id = s.dialpad_user_id`
+      : "";
+  const groupExpression = groupBy ? GROUP_EXPRESSIONS[groupBy] : "NULL";
+
+  const result = await pool.query(
+    `SELECT
+       date_trunc('${interval}', s.bucket_start) AS bucket_start,
+       ${groupExpression} AS group_key,
+       SUM(s.call_count) AS call_count,
+       SUM(s.completed_count) AS completed_count,
+       SUM(s.answered_count) AS answered_count,
+       SUM(s.missed_count) AS missed_count,
+       SUM(s.abandoned_count) AS abandoned_count,
+       SUM(s.talk_count) AS talk_count,
+       SUM(s.talk_seconds_sum) AS talk_seconds_sum,
+       ${sumHistogramSql("talk_histogram")} AS talk_histogram,
+       SUM(s.answer_count) AS answer_count,
+       SUM(s.answer_seconds_sum) AS answer_seconds_sum,
+       ${sumHistogramSql("answer_histogram")} AS answer_histogram,
+       SUM(s.hold_seconds_sum) AS hold_seconds_sum
+     FROM call_stats_hourly s
+     ${join}
+     WHERE ${whereClause}
+     GROUP BY 1, 2
+     ORDER BY 1, 2`,
+    values,
+  );
+
+  const busiest = await pool.query(
+    `SELECT EXTRACT(HOUR FROM s.bucket_start)::int AS hour,
+            SUM(s.call_count)::int AS call_count
+     FROM call_stats_hourly s
+     WHERE ${whereClause}
+     GROUP BY 1
+     ORDER BY 2 DESC, 1
+     LIMIT 5`,
+    values,
+  );
+
+  const rows = result.rows.map(toNumbers);
+  const totals = rows.reduce(
+    (sum, row) => mergeInto(sum, row),
+    emptyStatsRow(),
+  );
+
+  return {
+    interval,
+    group_by: groupBy || null,
+    from,
+    to,
+    totals: formatMetrics(totals),
+    buckets: rows.map((row) => ({
+      bucket_start: row.bucket_start,
+      ...(groupBy ? { group: row.group_key } : {}),
+      ...formatMetrics(row),
+    })),
+    busiest_hours: busiest.rows,
+  };
+}
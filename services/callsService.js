@@ -1,4 +1,14 @@
 import pool from "../db.js";
+import {
+  CALL_STATUSES,
+  IN_PROGRESS_CALL_STATUSES,
+} from "../utils/callHelpers.js";
+import {
+  buildKeysetCondition,
+  finishPage,
+  isValidCursorValue,
+} from "../utils/pagination.js";
+import { normalizePhoneNumber } from "../utils/phone.js";
 
 /**
  * Calls Service
@@ -12,31 +22,88 @@ import pool from "../db.js";
 /**
  * Valid call status values for filtering
  */
-const VALID_STATUSES = [
-  "ringing",
-  "active",
-  "ended",
-  "missed",
-  "rejected",
-  "voicemail",
-];
+const VALID_STATUSES = Object.values(CALL_STATUSES);
+
+/**
+ * SQL list of in-progress statuses (matches the idx_calls_active predicate)
+ */
+const IN_PROGRESS_STATUS_SQL = IN_PROGRESS_CALL_STATUSES.map(
+  (status) => `'${status}'`,
+).join(", ");
 
 /**
  * Valid direction values for filtering
  */
 const VALID_DIRECTIONS = ["inbound", "outbound"];
 
+/**
+ * Sortable columns (sort=<column>, order=asc|desc) and their Postgres types
+ * (cursor values are cast back to these)
+ */
+const SORT_COLUMNS = {
+  started_at: "timestamp",
+  ended_at: "timestamp",
+  duration_seconds: "integer",
+  created_at: "timestamp",
+};
+
+/**
+ * Columns returned by the list queries
+ */
+const CALL_COLUMNS = `id, dialpad_call_id, direction, from_number, to_number,
+       from_number_e164, to_number_e164, status, dialpad_user_id, started_at, ended_at,
+       duration_seconds, recording_url, status_changed_at, outcome,
+       answered_at, ring_duration_seconds, talk_duration_seconds,
+       hold_duration_seconds, created_at`;
+
+/**
+ * Split a multi-value query param (?status=a,b or ?status=a&status=b)
+ */
+function parseList(value) {
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .flatMap((v) => String(v).split(","))
+    .map((v) => v.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Parse a date filter (ISO string or epoch ms), null if invalid
+ */
+function parseDateFilter(value) {
+  const date = /^\d+$/.test(String(value))
+    ? new Date(Number(value))
+    : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Check that a decoded cursor belongs to the calls lists
+ * @param {Object} cursor - Decoded cursor
+ * @returns {boolean} - True if its sort column and value fit SORT_COLUMNS
+ */
+export function isCallsCursor(cursor) {
+  return (
+    !!cursor &&
+    Object.hasOwn(SORT_COLUMNS, cursor.s) &&
+    isValidCursorValue(cursor.v, SORT_COLUMNS[cursor.s])
+  );
+}
+
 /**
  * Sanitize and validate query parameters
+ * Invalid values are ignored (the filter is not applied)
  */
 function validateFilters(filters = {}) {
   const validated = {};
 
-  // Status filter
+  // Status filter (one or more statuses)
   if (filters.status) {
-    const status = String(filters.status).toLowerCase();
-    if (VALID_STATUSES.includes(status)) {
-      validated.status = status;
+    const statuses = parseList(filters.status).filter((status) =>
+      VALID_STATUSES.includes(status),
+    );
+    if (statuses.length > 0) {
+      validated.statuses = statuses;
     }
   }
 
@@ -57,24 +124,93 @@ function validateFilters(filters = {}) {
     validated.to = String(filters.to).trim();
   }
 
-  // Pagination
+  // Start time range
+  if (filters.started_after) {
+    const date = parseDateFilter(filters.started_after);
+    if (date) validated.started_after = date;
+  }
+
+  if (filters.started_before) {
+    const date = parseDateFilter(filters.started_before);
+    if (date) validated.started_before = date;
+  }
+
+  // Duration range (seconds)
+  for (const key of ["min_duration", "max_duration"]) {
+    if (filters[key] === undefined || filters[key] === "") continue;
+    const seconds = Number(filters[key]);
+    if (Number.isInteger(seconds) && seconds >= 0) {
+      validated[key] = seconds;
+    }
+  }
+
+  // Agent filters
+  if (
+    filters.dialpad_user_id &&
+    /^\d+$/.test(String(filters.dialpad_user_id))
+  ) {
+    validated.dialpad_user_id = String(filters.dialpad_user_id);
+  }
+
+  if (filters.crm_user_id) {
+    validated.crm_user_id = String(filters.crm_user_id).trim();
+  }
+
+  // Recording filter
+  if (filters.has_recording === "true" || filters.has_recording === true) {
+    validated.has_recording = true;
+  } else if (
+    filters.has_recording === "false" ||
+    filters.has_recording === false
+  ) {
+    validated.has_recording = false;
+  }
+
+  // Sorting (default: newest first). A cursor carries the sort it was
+  // issued for, which takes precedence. Controllers reject cursors that do
+  // not fit (isCallsCursor).
+  const cursor = filters.cursor;
+  if (isCallsCursor(cursor)) {
+    validated.cursor = cursor;
+    validated.sort = cursor.s;
+    validated.order = cursor.o;
+  } else {
+    const sort = String(filters.sort || "").toLowerCase();
+    validated.sort = Object.hasOwn(SORT_COLUMNS, sort) ? sort : "started_at";
+    validated.order =
+      String(filters.order || "").toLowerCase() === "asc" ? "ASC" : "DESC";
+  }
+
+  // Pagination (offset is ignored in cursor mode)
   validated.limit = Math.min(parseInt(filters.limit) || 50, 100); // Max 100
-  validated.offset = Math.max(parseInt(filters.offset) || 0, 0);
+  validated.offset = validated.cursor
+    ? 0
+    : Math.max(parseInt(filters.offset) || 0, 0);
+
+  // Total count: on by default in offset mode, off in cursor mode
+  validated.include_total =
+    filters.include_total === undefined
+      ? !validated.cursor
+      : filters.include_total === true || filters.include_total === "true";
 
   return validated;
 }
 
 /**
  * Build WHERE clause and params for call filters
+ *
+ * @param {string} app_id - UUID of the app (tenant)
+ * @param {Object} filters - Output of validateFilters
+ * @param {Array<string>} extraConditions - Fixed conditions without params
  */
-function buildWhereClause(app_id, filters) {
-  const conditions = ["app_id = $1"]; // Tenant isolation
+function buildWhereClause(app_id, filters, extraConditions = []) {
+  const conditions = ["app_id = $1", ...extraConditions]; // Tenant isolation
   const params = [app_id];
   let paramIndex = 2;
 
-  if (filters.status) {
-    conditions.push(`status = $${paramIndex}`);
-    params.push(filters.status);
+  if (filters.statuses) {
+    conditions.push(`status = ANY($${paramIndex})`);
+    params.push(filters.statuses);
     paramIndex++;
   }
 
@@ -85,17 +221,72 @@ function buildWhereClause(app_id, filters) {
   }
 
   if (filters.from) {
-    conditions.push(`from_number = $${paramIndex}`);
-    params.push(filters.from);
-    paramIndex++;
+    // E.164 match, or exact raw match for numbers that cannot be normalized
+    conditions.push(
+      `(from_number_e164 = $${paramIndex} OR from_number = $${paramIndex + 1})`,
+    );
+    params.push(normalizePhoneNumber(filters.from), filters.from);
+    paramIndex += 2;
   }
 
   if (filters.to) {
-    conditions.push(`to_number = $${paramIndex}`);
-    params.push(filters.to);
+    conditions.push(
+      `(to_number_e164 = $${paramIndex} OR to_number = $${paramIndex + 1})`,
+    );
+    params.push(normalizePhoneNumber(filters.to), filters.to);
+    paramIndex += 2;
+  }
+
+  if (filters.started_after) {
+    conditions.push(`started_at >= $${paramIndex}`);
+    params.push(filters.started_after);
+    paramIndex++;
+  }
+
+  if (filters.started_before) {
+    conditions.push(`started_at < $${paramIndex}`);
+    params.push(filters.started_before);
+    paramIndex++;
+  }
+
+  if (filters.min_duration !== undefined) {
+    conditions.push(`duration_seconds >= $${paramIndex}`);
+    params.push(filters.min_duration);
+    paramIndex++;
+  }
+
+  if (filters.max_duration !== undefined) {
+    conditions.push(`duration_seconds <= $${paramIndex}`);
+    params.push(filters.max_duration);
+    paramIndex++;
+  }
+
+  if (filters.dialpad_user_id) {
+    conditions.push(`dialpad_user_id = $${paramIndex}`);
+    params.push(filters.dialpad_user_id);
+    paramIndex++;
+  }
+
+  // CRM user: all Dialpad users mapped to it in this app
+  if (filters.crm_user_id) {
+    conditions.push(
+      `dialpad_user_id IN (
+         SELECT dialpad_user_id FROM dialpad_user_mappings
+         WHERE app_id = $1 AND crm_user_id = $${paramIndex}
+       )`,
+    );
+    params.push(filters.crm_user_id);
     paramIndex++;
   }
 
+  if (filters.has_recording !== undefined) {
+    conditions.push(
+      filters.has_recording
+        ? "recording_url IS NOT NULL"
+        : "recording_url IS NULL",
+    );
+  }
+
   return {
     whereClause: conditions.join(" AND "),
     params,
@@ -103,6 +294,85 @@ function buildWhereClause(app_id, filters) {
   };
 }
 
+/**
+ * ORDER BY clause for validated sort options (id breaks ties so pages are
+ * stable)
+ */
+function buildOrderBy(filters) {
+  return `${filters.sort} ${filters.order} NULLS LAST, id ${filters.order}`;
+}
+
+/**
+ * Fetch one page of calls (offset or cursor mode) and optionally the total
+ *
+ * @param {Object} where - Output of buildWhereClause
+ * @param {Object} validated - Output of validateFilters
+ * @returns {Promise<Object>} - { calls, pagination }
+ */
+async function fetchCallsPage(where, validated) {
+  const { whereClause, params } = where;
+  let pageWhere = whereClause;
+  const pageParams = [...params];
+
+  if (validated.cursor) {
+    const keyset = buildKeysetCondition({
+      cursor: validated.cursor,
+      column: validated.sort,
+      type: SORT_COLUMNS[validated.sort],
+      paramIndex: pageParams.length + 1,
+    });
+    pageWhere += ` AND ${keyset.condition}`;
+    pageParams.push(...keyset.params);
+  }
+
+  // One extra row tells whether there is a next page without counting
+  const limitParam = `$${pageParams.length + 1}`;
+  const offsetParam = `$${pageParams.length + 2}`;
+  pageParams.push(validated.limit + 1, validated.offset);
+
+  const result = await pool.query(
+    `SELECT 
+       ${CALL_COLUMNS},
+       ${validated.sort}::text AS cursor_value
+     FROM calls
+     WHERE ${pageWhere}
+     ORDER BY ${buildOrderBy(validated)}
+     LIMIT ${limitParam} OFFSET ${offsetParam}`,
+    pageParams,
+  );
+
+  const page = finishPage(result.rows, validated.limit, {
+    column: validated.sort,
+    order: validated.order,
+  });
+
+  const pagination = {
+    limit: validated.limit,
+    has_more: page.has_more,
+    next_cursor: page.next_cursor,
+  };
+  if (!validated.cursor) {
+    pagination.offset = validated.offset;
+  }
+
+  // Get total count for pagination (optional: a COUNT(*) per request is
+  // expensive on large tenants)
+  if (validated.include_total) {
+    const countResult = await pool.query(
+      `SELECT COUNT(*) as total
+       FROM calls
+       WHERE ${whereClause}`,
+      params,
+    );
+    pagination.total = parseInt(countResult.rows[0].total);
+  }
+
+  return {
+    calls: page.rows.map(formatCallRecord),
+    pagination,
+  };
+}
+
 /**
  * Format call record for API response
  * Removes internal fields and raw payloads
@@ -114,12 +384,20 @@ function formatCallRecord(call) {
     direction: call.direction,
     from_number: call.from_number,
     to_number: call.to_number,
+    from_number_e164: call.from_number_e164,
+    to_number_e164: call.to_number_e164,
     status: call.status,
+    outcome: call.outcome,
     dialpad_user_id: call.dialpad_user_id,
     started_at: call.started_at,
     ended_at: call.ended_at,
     duration_seconds: call.duration_seconds,
+    answered_at: call.answered_at,
+    ring_duration_seconds: call.ring_duration_seconds,
+    talk_duration_seconds: call.talk_duration_seconds,
+    hold_duration_seconds: call.hold_duration_seconds,
     recording_url: call.recording_url,
+    status_changed_at: call.status_changed_at,
     created_at: call.created_at,
   };
 }
@@ -133,49 +411,7 @@ function formatCallRecord(call) {
  */
 export async function listCalls(app_id, filters = {}) {
   const validated = validateFilters(filters);
-  const { whereClause, params, paramIndex } = buildWhereClause(
-    app_id,
-    validated,
-  );
-
-  // Add limit and offset to params
-  const limitParam = `$${paramIndex}`;
-  const offsetParam = `$${paramIndex + 1}`;
-  params.push(validated.limit, validated.offset);
-
-  // Execute query
-  const result = await pool.query(
-    `SELECT 
-       id, dialpad_call_id, direction, from_number, to_number,
-       status, dialpad_user_id, started_at, ended_at,
-       duration_seconds, recording_url, created_at
-     FROM calls
-     WHERE ${whereClause}
-     ORDER BY started_at DESC NULLS LAST
-     LIMIT ${limitParam} OFFSET ${offsetParam}`,
-    params,
-  );
-
-  // Get total count for pagination
-  const countResult = await pool.query(
-    `SELECT COUNT(*) as total
-     FROM calls
-     WHERE ${whereClause}`,
-    params.slice(0, -2), // Exclude limit and offset
-  );
-
-  const total = parseInt(countResult.rows[0].total);
-  const calls = result.rows.map(formatCallRecord);
-
-  return {
-    calls,
-    pagination: {
-      limit: validated.limit,
-      offset: validated.offset,
-      total,
-      has_more: validated.offset + validated.limit < total,
-    },
-  };
+  return fetchCallsPage(buildWhereClause(app_id, validated), validated);
 }
 
 /**
@@ -188,10 +424,7 @@ export async function listCalls(app_id, filters = {}) {
 export async function getCallById(app_id, call_id) {
   // Tenant isolation: app_id must match
   const result = await pool.query(
-    `SELECT 
-       id, dialpad_call_id, direction, from_number, to_number,
-       status, dialpad_user_id, started_at, ended_at,
-       duration_seconds, recording_url, created_at
+    `SELECT ${CALL_COLUMNS}
      FROM calls
      WHERE id = $1 AND app_id = $2
      LIMIT 1`,
@@ -205,9 +438,52 @@ export async function getCallById(app_id, call_id) {
   return formatCallRecord(result.rows[0]);
 }
 
+/**
+ * Get the status timeline of a call (call_state_history)
+ * Includes transitions rejected by isValidStatusTransition (applied = false)
+ *
+ * @param {string} app_id - UUID of the app (tenant)
+ * @param {string} call_id - UUID of the call
+ * @returns {Promise<Object|null>} - { call_id, status, entries } or null
+ */
+export async function getCallTimeline(app_id, call_id) {
+  // Tenant isolation: app_id must match
+  const callResult = await pool.query(
+    `SELECT id, dialpad_call_id, status, outcome
+     FROM calls
+     WHERE id = $1 AND app_id = $2
+     LIMIT 1`,
+    [call_id, app_id],
+  );
+
+  if (callResult.rowCount === 0) {
+    return null;
+  }
+
+  const historyResult = await pool.query(
+    `SELECT
+       from_status, to_status, applied, rejection_reason, event_type,
+       webhook_event_id, occurred_at, recorded_at
+     FROM call_state_history
+     WHERE call_id = $1 AND app_id = $2
+     ORDER BY occurred_at ASC, recorded_at ASC`,
+    [call_id, app_id],
+  );
+
+  const call = callResult.rows[0];
+
+  return {
+    call_id: call.id,
+    dialpad_call_id: call.dialpad_call_id,
+    status: call.status,
+    outcome: call.outcome,
+    entries: historyResult.rows,
+  };
+}
+
 /**
  * Get active calls for an app
- * Shortcut for status IN ('ringing', 'active')
+ * Shortcut for status IN (ringing, queued, active, hold, transferring, parked)
  *
  * @param {string} app_id - UUID of the app (tenant)
  * @param {Object} filters - Optional additional filters
@@ -216,67 +492,58 @@ export async function getCallById(app_id, call_id) {
 export async function getActiveCalls(app_id, filters = {}) {
   const validated = validateFilters(filters);
 
-  // Build WHERE clause for active calls
-  const conditions = ["app_id = $1", `status IN ('ringing', 'active')`];
-  const params = [app_id];
-  let paramIndex = 2;
-
-  if (validated.direction) {
-    conditions.push(`direction = $${paramIndex}`);
-    params.push(validated.direction);
-    paramIndex++;
-  }
+  // Build WHERE clause for active calls (status is fixed to in-progress)
+  const where = buildWhereClause(
+    app_id,
+    { ...validated, statuses: undefined },
+    [`status IN (${IN_PROGRESS_STATUS_SQL})`],
+  );
 
-  if (validated.from) {
-    conditions.push(`from_number = $${paramIndex}`);
-    params.push(validated.from);
-    paramIndex++;
-  }
+  return fetchCallsPage(where, validated);
+}
 
-  if (validated.to) {
-    conditions.push(`to_number = $${paramIndex}`);
-    params.push(validated.to);
-    paramIndex++;
+/**
+ * Calls to or from a phone number, newest first (contact timeline)
+ * Keyed on (COALESCE(started_at, created_at), id) so calls without a start
+ * time still interleave with messages and voicemails.
+ *
+ * @param {string} app_id - Application ID (tenant isolation)
+ * @param {Object} phone - { e164, raw } (e164 may be null)
+ * @param {Object} options - { cursor (decoded, optional), limit }
+ * @returns {Promise<Array<Object>>} - Up to limit formatted calls, each with cursor_value
+ */
+export async function listCallsForNumber(app_id, phone, { cursor, limit }) {
+  const occurredAt = "COALESCE(started_at, created_at)";
+  const params = [app_id, phone.e164, phone.raw];
+  let keysetCondition = "";
+
+  if (cursor) {
+    const keyset = buildKeysetCondition({
+      cursor,
+      column: occurredAt,
+      type: "timestamp",
+      paramIndex: params.length + 1,
+    });
+    keysetCondition = `AND ${keyset.condition}`;
+    params.push(...keyset.params);
   }
 
-  const whereClause = conditions.join(" AND ");
+  params.push(limit);
 
-  // Add limit and offset
-  const limitParam = `$${paramIndex}`;
-  const offsetParam = `$${paramIndex + 1}`;
-  params.push(validated.limit, validated.offset);
-
-  // Execute query
   const result = await pool.query(
-    `SELECT 
-       id, dialpad_call_id, direction, from_number, to_number,
-       status, dialpad_user_id, started_at, ended_at,
-       duration_seconds, recording_url, created_at
+    `SELECT ${CALL_COLUMNS}, ${occurredAt}::text AS cursor_value
      FROM calls
-     WHERE ${whereClause}
-     ORDER BY started_at DESC NULLS LAST
-     LIMIT ${limitParam} OFFSET ${offsetParam}`,
+     WHERE app_id = $1
+       AND (from_number_e164 = $2 OR to_number_e164 = $2
+            OR from_number = $3 OR to_number = $3)
+       ${keysetCondition}
+     ORDER BY ${occurredAt} DESC, id DESC
+     LIMIT $${params.length}`,
     params,
   );
 
-  // Get total count
-  const countResult = await pool.query(
-    `SELECT COUNT(*) as total
-     FROM calls
-     WHERE ${whereClause}`,
-    params.slice(0, -2),
-  );
-
-  const total = parseInt(countResult.rows[0].total);
-  const calls = result.rows.map(formatCallRecord);
-
-  return {
-    calls,
-    pagination: {
-      limit: validated.limit,
-      offset: validated.offset,
-      total,
-      has_more: validated.offset + validated.limit < total,
-    },
-  };
+  return result.rows.map((row) => ({
+    ...formatCallRecord(row),
+    cursor_value: row.cursor_value,
+  }));
 }
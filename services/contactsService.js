@@ -0,0 +1,126 @@
+import { listCallsForNumber } from "./callsService.js";
+import { listMessagesForNumber } from "./messagesService.js";
+import { getVoicemailsForNumber } from "./voicemailService.js";
+import { finishPage } from "../utils/pagination.js";
+import { normalizePhoneNumber } from "../utils/phone.js";
+
+/**
+ * Contacts Service
+ * Contact timeline: every call, message and voicemail with one phone number,
+ * newest first. Each source returns its next page for the same cursor and
+ * the pages are merged on (occurred_at, id).
+ */
+
+const TIMELINE_TYPES = ["call", "message", "voicemail"];
+
+// Sort key carried in timeline cursors (see utils/pagination.js)
+const TIMELINE_CURSOR_COLUMN = "occurred_at";
+
+const TIMELINE_SOURCES = {
+  call: {
+    fetch: listCallsForNumber,
+    occurredAt: (call) => call.started_at ?? call.created_at,
+  },
+  message: {
+    fetch: listMessagesForNumber,
+    occurredAt: (message) => message.sent_at ?? message.created_at,
+  },
+  voicemail: {
+    fetch: getVoicemailsForNumber,
+    occurredAt: (voicemail) => voicemail.created_at,
+  },
+};
+
+/**
+ * Parse the phone number of a timeline request
+ * @param {string} value - Phone number in any format
+ * @returns {Object|null} - { raw, e164 }, or null if it has no digits
+ */
+export function parseContactPhone(value) {
+  const raw = String(value || "").trim();
+  if (!/\d/.test(raw)) return null;
+  return { raw, e164: normalizePhoneNumber(raw) };
+}
+
+/**
+ * Validate timeline options
+ * options.allowed_types limits the types (those the API key can read).
+ * Unknown and not allowed types are ignored; none left means all allowed.
+ */
+function validateTimelineOptions(options = {}) {
+  const allowed = options.allowed_types || TIMELINE_TYPES;
+  const requested = String(options.types || "")
+    .split(",")
+    .map((type) => type.trim().toLowerCase())
+    .filter((type) => TIMELINE_TYPES.includes(type) && allowed.includes(type));
+
+  return {
+    types: requested.length > 0 ? [...new Set(requested)] : allowed,
+    limit: Math.min(parseInt(options.limit) || 50, 100),
+    cursor: options.cursor || null,
+  };
+}
+
+/**
+ * Compare timeline items newest first
+ * cursor_value is Postgres timestamp text, which sorts chronologically as a
+ * string; ids break ties like `id DESC` does in SQL.
+ */
+function compareTimelineItems(a, b) {
+  if (a.cursor_value !== b.cursor_value) {
+    return a.cursor_value < b.cursor_value ? 1 : -1;
+  }
+  if (a.id === b.id) return 0;
+  return a.id < b.id ? 1 : -1;
+}
+
+/**
+ * Get the interaction timeline of a phone number
+ *
+ * @param {string} app_id - Application ID (tenant isolation)
+ * @param {Object} phone - Output of parseContactPhone
+ * @param {Object} options - { types, allowed_types, limit, cursor (decoded) }
+ * @returns {Promise<Object>} - { items, pagination }
+ */
+export async function getContactTimeline(app_id, phone, options = {}) {
+  const validated = validateTimelineOptions(options);
+
+  // limit + 1 from each source: enough to fill the page and detect has_more
+  const pages = await Promise.all(
+    validated.types.map(async (type) => {
+      const records = await TIMELINE_SOURCES[type].fetch(app_id, phone, {
+        cursor: validated.cursor,
+        limit: validated.limit + 1,
+      });
+
+      return records.map(({ cursor_value, ...record }) => ({
+        type,
+        id: record.id,
+        occurred_at: TIMELINE_SOURCES[type].occurredAt(record),
+        cursor_value,
+        data: record,
+      }));
+    }),
+  );
+
+  const merged = pages.flat().sort(compareTimelineItems);
+  const page = finishPage(
+    merged.slice(0, validated.limit + 1),
+    validated.limit,
+    {
+      column: TIMELINE_CURSOR_COLUMN,
+      order: "DESC",
+    },
+  );
+
+  return {
+    items: page.rows.map(({ cursor_value, ...item }) => item),
+    pagination: {
+      limit: validated.limit,
+      has_more: page.has_more,
+      next_cursor: page.next_cursor,
+    },
+  };
+}
+
+export { TIMELINE_TYPES, TIMELINE_CURSOR_COLUMN };
@@ -0,0 +1,362 @@
+import pool, { query } from "../db.js";
+import { broadcastToApp, broadcastToUser } from "./websocketManager.js";
+import {
+  buildKeysetCondition,
+  finishPage,
+  isCursorFor,
+} from "../utils/pagination.js";
+import { normalizePhoneNumber } from "../utils/phone.js";
+
+/**
+ * Conversations Service
+ * SMS threads per (app, owner, external party). The owner is the Dialpad
+ * user of the message or, without one, our line number; the external party
+ * is the other side of the message.
+ *
+ * handleMessageEvent calls assignMessageToConversation for every message;
+ * a message is counted once (when it is linked to its conversation), so
+ * replayed events do not change the counters.
+ */
+
+const VALID_DIRECTIONS = ["inbound", "outbound"];
+
+// Characters of the last message kept as preview
+const PREVIEW_LENGTH = 160;
+
+// Sort key carried in conversation list cursors (see utils/pagination.js)
+const CONVERSATIONS_CURSOR_COLUMN = "last_message_at";
+
+const CONVERSATION_COLUMNS = `id, dialpad_user_id, line_number, external_number,
+       message_count, unread_count, last_message_id, last_message_at,
+       last_message_direction, last_message_preview, last_read_at,
+       created_at, updated_at`;
+
+/**
+ * Thread key of a message
+ * Numbers are compared in E.164 when they can be normalized.
+ *
+ * @param {Object} details - Message fields (direction, from/to numbers and
+ *   their E.164 forms, dialpad_user_id)
+ * @returns {Object|null} - { owner_key, dialpad_user_id, line_number, external_number },
+ *   or null when the message cannot be threaded (unknown direction or numbers)
+ */
+export function getConversationKey(details) {
+  if (!VALID_DIRECTIONS.includes(details.direction)) return null;
+
+  const from = details.from_number_e164 || details.from_number || null;
+  const to = details.to_number_e164 || details.to_number || null;
+  const inbound = details.direction === "inbound";
+  const lineNumber = inbound ? to : from;
+  const externalNumber = inbound ? from : to;
+
+  if (!externalNumber) return null;
+
+  if (details.dialpad_user_id) {
+    return {
+      owner_key: `user:${details.dialpad_user_id}`,
+      dialpad_user_id: details.dialpad_user_id,
+      line_number: null,
+      external_number: externalNumber,
+    };
+  }
+
+  if (!lineNumber) return null;
+
+  return {
+    owner_key: `line:${lineNumber}`,
+    dialpad_user_id: null,
+    line_number: lineNumber,
+    external_number: externalNumber,
+  };
+}
+
+/**
+ * Link a stored message to its conversation and update the conversation
+ *
+ * The message is claimed with conversation_id IS NULL, so only the first
+ * call for a message updates the counters. Inbound messages after the last
+ * read add to unread_count; an outbound message (a reply) marks the
+ * conversation read. Preview fields follow the newest message.
+ *
+ * Uses query() so it runs in the handler's execution context.
+ *
+ * @param {string} app_id - Application ID
+ * @param {string} message_id - messages.id
+ * @param {Object} details - Message fields (see getConversationKey)
+ * @returns {Promise<Object|null>} - Updated conversation, or null when the
+ *   message cannot be threaded or was already linked
+ */
+export async function assignMessageToConversation(app_id, message_id, details) {
+  const key = getConversationKey(details);
+  if (!key) return null;
+
+  // DO UPDATE (a no-op) so RETURNING yields the existing conversation too
+  const conversation = await query(
+    `INSERT INTO conversations (
+       app_id, owner_key, dialpad_user_id, line_number, external_number
+     ) VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (app_id, owner_key, external_number) DO UPDATE SET
+       updated_at = conversations.updated_at
+     RETURNING id`,
+    [
+      app_id,
+      key.owner_key,
+      key.dialpad_user_id,
+      key.line_number,
+      key.external_number,
+    ],
+  );
+  const conversation_id = conversation.rows[0].id;
+
+  const result = await query(
+    `WITH claimed AS (
+       UPDATE messages SET conversation_id = $1
+       WHERE id = $2 AND app_id = $3 AND conversation_id IS NULL
+       RETURNING id, direction, text,
+         COALESCE(sent_at, created_at) AS occurred_at
+     ),
+     m AS (
+       SELECT claimed.*,
+         (c.last_message_at IS NULL OR claimed.occurred_at >= c.last_message_at) AS is_newest
+       FROM claimed, conversations c
+       WHERE c.id = $1
+     )
+     UPDATE conversations c SET
+       message_count = c.message_count + 1,
+       unread_count = CASE
+         WHEN m.direction = 'outbound' AND m.is_newest THEN 0
+         WHEN m.direction = 'inbound'
+           AND (c.last_read_at IS NULL OR m.occurred_at > c.last_read_at)
+           THEN c.unread_count + 1
+         ELSE c.unread_count
+       END,
+       last_read_at = CASE
+         WHEN m.direction = 'outbound' AND m.is_newest THEN m.occurred_at
+         ELSE c.last_read_at
+       END,
+       last_message_id = CASE WHEN m.is_newest THEN m.id ELSE c.last_message_id END,
+       last_message_at = CASE WHEN m.is_newest THEN m.occurred_at ELSE c.last_message_at END,
+       last_message_direction = CASE WHEN m.is_newest THEN m.direction ELSE c.last_message_direction END,
+       last_message_preview = CASE WHEN m.is_newest THEN left(m.text, $4) ELSE c.last_message_preview END,
+       updated_at = now()
+     FROM m
+     WHERE c.id = $1
+     RETURNING c.*`,
+    [conversation_id, message_id, app_id, PREVIEW_LENGTH],
+  );
+
+  return result.rowCount > 0 ? formatConversationRecord(result.rows[0]) : null;
+}
+
+/**
+ * Push a conversation.updated event to the app and the conversation's user
+ * @param {string} app_id - Application ID
+ * @param {Object} conversation - Formatted conversation
+ * @param {Object} extra - Extra event fields (e.g. message_id)
+ */
+export function broadcastConversationUpdated(app_id, conversation, extra = {}) {
+  const event = {
+    event: "conversation.updated",
+    conversation,
+    ...extra,
+    timestamp: new Date().toISOString(),
+  };
+
+  broadcastToApp(app_id, event);
+  if (conversation.dialpad_user_id) {
+    broadcastToUser(app_id, conversation.dialpad_user_id, event);
+  }
+}
+
+function validateFilters(filters = {}) {
+  const validated = {};
+
+  if (filters.dialpad_user_id) {
+    const userId = parseInt(filters.dialpad_user_id, 10);
+    if (!isNaN(userId)) validated.dialpad_user_id = userId;
+  }
+
+  // External party in any format
+  if (filters.external_number) {
+    const raw = String(filters.external_number).trim();
+    validated.external_number = {
+      raw,
+      e164: normalizePhoneNumber(raw),
+    };
+  }
+
+  if (filters.unread === true || filters.unread === "true") {
+    validated.unread = true;
+  }
+
+  // Controllers reject cursors of other lists (CONVERSATIONS_CURSOR_COLUMN)
+  if (isCursorFor(filters.cursor, CONVERSATIONS_CURSOR_COLUMN, "timestamp")) {
+    validated.cursor = filters.cursor;
+  }
+
+  validated.limit = Math.min(parseInt(filters.limit) || 50, 100);
+  validated.offset = validated.cursor
+    ? 0
+    : Math.max(parseInt(filters.offset) || 0, 0);
+  validated.include_total =
+    filters.include_total === undefined
+      ? !validated.cursor
+      : filters.include_total === true || filters.include_total === "true";
+
+  return validated;
+}
+
+function buildWhereClause(app_id, filters) {
+  const conditions = ["app_id = $1"];
+  const params = [app_id];
+  let paramIndex = 2;
+
+  if (filters.dialpad_user_id) {
+    conditions.push(`dialpad_user_id = $${paramIndex}`);
+    params.push(filters.dialpad_user_id);
+    paramIndex++;
+  }
+
+  if (filters.external_number) {
+    conditions.push(`external_number IN ($${paramIndex}, $${paramIndex + 1})`);
+    params.push(
+      filters.external_number.e164 || filters.external_number.raw,
+      filters.external_number.raw,
+    );
+    paramIndex += 2;
+  }
+
+  if (filters.unread) {
+    conditions.push("unread_count > 0");
+  }
+
+  return {
+    whereClause: conditions.join(" AND "),
+    params,
+    paramIndex,
+  };
+}
+
+function formatConversationRecord(conversation) {
+  return {
+    id: conversation.id,
+    dialpad_user_id: conversation.dialpad_user_id,
+    line_number: conversation.line_number,
+    external_number: conversation.external_number,
+    message_count: conversation.message_count,
+    unread_count: conversation.unread_count,
+    last_message_id: conversation.last_message_id,
+    last_message_at: conversation.last_message_at,
+    last_message_direction: conversation.last_message_direction,
+    last_message_preview: conversation.last_message_preview,
+    last_read_at: conversation.last_read_at,
+    created_at: conversation.created_at,
+    updated_at: conversation.updated_at,
+  };
+}
+
+/**
+ * List conversations, most recent message first
+ * @param {string} app_id - Application ID (tenant isolation)
+ * @param {Object} filters - { dialpad_user_id, external_number, unread, limit, offset, cursor, include_total }
+ * @returns {Promise<Object>} - { conversations, pagination }
+ */
+export async function listConversations(app_id, filters = {}) {
+  const validated = validateFilters(filters);
+  const { whereClause, params } = buildWhereClause(app_id, validated);
+
+  let pageWhere = whereClause;
+  const pageParams = [...params];
+
+  if (validated.cursor) {
+    const keyset = buildKeysetCondition({
+      cursor: validated.cursor,
+      column: "last_message_at",
+      type: "timestamp",
+      paramIndex: pageParams.length + 1,
+    });
+    pageWhere += ` AND ${keyset.condition}`;
+    pageParams.push(...keyset.params);
+  }
+
+  const limitParam = `$${pageParams.length + 1}`;
+  const offsetParam = `$${pageParams.length + 2}`;
+  pageParams.push(validated.limit + 1, validated.offset);
+
+  const result = await pool.query(
+    `SELECT ${CONVERSATION_COLUMNS},
+       last_message_at::text AS cursor_value
+     FROM conversations
+     WHERE ${pageWhere}
+     ORDER BY last_message_at DESC NULLS LAST, id DESC
+     LIMIT ${limitParam} OFFSET ${offsetParam}`,
+    pageParams,
+  );
+
+  const page = finishPage(result.rows, validated.limit, {
+    column: "last_message_at",
+    order: "DESC",
+  });
+
+  const pagination = {
+    limit: validated.limit,
+    has_more: page.has_more,
+    next_cursor: page.next_cursor,
+  };
+  if (!validated.cursor) {
+    pagination.offset = validated.offset;
+  }
+
+  if (validated.include_total) {
+    const countResult = await pool.query(
+      `SELECT COUNT(*) as total
+       FROM conversations
+       WHERE ${whereClause}`,
+      params,
+    );
+    pagination.total = parseInt(countResult.rows[0].total, 10);
+  }
+
+  return {
+    conversations: page.rows.map(formatConversationRecord),
+    pagination,
+  };
+}
+
+export async function getConversationById(app_id, conversation_id) {
+  const result = await pool.query(
+    `SELECT ${CONVERSATION_COLUMNS}
+     FROM conversations
+     WHERE id = $1 AND app_id = $2
+     LIMIT 1`,
+    [conversation_id, app_id],
+  );
+
+  return result.rowCount > 0 ? formatConversationRecord(result.rows[0]) : null;
+}
+
+/**
+ * Mark a conversation read up to its last message
+ * @param {string} app_id - Application ID (tenant isolation)
+ * @param {string} conversation_id - Conversation UUID
+ * @returns {Promise<Object|null>} - Updated conversation, or null if not found
+ */
+export async function markConversationRead(app_id, conversation_id) {
+  const result = await pool.query(
+    `UPDATE conversations SET
+       unread_count = 0,
+       last_read_at = COALESCE(last_message_at, now()),
+       updated_at = now()
+     WHERE id = $1 AND app_id = $2
+     RETURNING ${CONVERSATION_COLUMNS}`,
+    [conversation_id, app_id],
+  );
+
+  if (result.rowCount === 0) return null;
+
+  const conversation = formatConversationRecord(result.rows[0]);
+  broadcastConversationUpdated(app_id, conversation);
+  return conversation;
+}
+
+export { CONVERSATIONS_CURSOR_COLUMN };
@@ -1,72 +1,548 @@
-import pool from "../db.js";
+import os from "node:os";
+import crypto from "node:crypto";
+import pool, { createDedicatedClient } from "../db.js";
+import { createCounter, createHistogram } from "../utils/metrics.js";
+import { refreshCallStats } from "./callStatsService.js";
+import { readIntEnv } from "../utils/env.js";
 
 /**
  * Webhook Event Processor Service
  *
  * Processes webhook events from the webhook_events table by:
- * 1. Fetching unprocessed events
- * 2. Routing them to type-specific handlers
- * 3. Marking them as processed
+ * 1. Fetching unprocessed events that are due for an attempt
+ * 2. Routing them to every matching registered handler
+ * 3. Marking them as processed, or scheduling a retry on failure
  *
  * Design principles:
  * - Idempotent processing (safe to re-run)
  * - Easy to extend with new event types
  * - Separated concerns from webhook ingestion
+ * - Failed events back off exponentially and are dead-lettered
+ *   after EVENT_MAX_ATTEMPTS failures instead of retrying forever
+ * - Multiple instances can run concurrently: events are claimed per worker
+ *   with a lease, so each event is handled by exactly one worker at a time
+ * - Events of the same call are processed one at a time, in Dialpad
+ *   event-timestamp order (see claimEvents)
  */
 
+/**
+ * Retry configuration
+ * - EVENT_MAX_ATTEMPTS: failures before an event is dead-lettered (default 5)
+ * - EVENT_RETRY_BASE_MS: delay after the first failure (default 30s)
+ * - EVENT_RETRY_MAX_MS: upper bound for the backoff delay (default 1h)
+ */
+const MAX_ATTEMPTS = readIntEnv("EVENT_MAX_ATTEMPTS", 5, { min: 1 });
+const RETRY_BASE_MS = readIntEnv("EVENT_RETRY_BASE_MS", 30000, { min: 1 });
+const RETRY_MAX_MS = readIntEnv("EVENT_RETRY_MAX_MS", 60 * 60 * 1000, {
+  min: 1,
+});
+
+/**
+ * Maximum length of last_error stored per event
+ */
+const MAX_ERROR_LENGTH = 2000;
+
+/**
+ * Claim configuration
+ * - EVENT_WORKER_ID: identifies this processor instance (default host:pid:random)
+ * - EVENT_CLAIM_LEASE_MS: how long a claim is honoured before other workers
+ *   may reclaim the event (default 5 min). Must exceed the time needed to
+ *   process one batch.
+ * - EVENT_STOP_TIMEOUT_MS: how long stopping waits for the batch in progress
+ *   (default 30s). Claims are only released once it has finished; after the
+ *   timeout they are left to expire with the lease.
+ */
+const WORKER_ID =
+  process.env.EVENT_WORKER_ID ||
+  `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString("hex")}`;
+const CLAIM_LEASE_MS =
+  parseInt(process.env.EVENT_CLAIM_LEASE_MS, 10) || 5 * 60 * 1000;
+const STOP_TIMEOUT_MS =
+  parseInt(process.env.EVENT_STOP_TIMEOUT_MS, 10) || 30000;
+
+/**
+ * Upper bound on call stats buckets refreshed per processing run, so a large
+ * backlog (e.g. right after the rollup migration) does not hold up events
+ */
+const MAX_STATS_REFRESH_PER_RUN = 2000;
+
+/**
+ * Postgres NOTIFY channel signalled when a webhook event is inserted
+ */
+export const EVENTS_CHANNEL = "webhook_events_inserted";
+
+/**
+ * Processing metrics (exposed on /metrics)
+ */
+const eventsProcessedTotal = createCounter(
+  "cti_webhook_events_processed_total",
+  "Webhook events processed successfully",
+  ["event_type"],
+);
+const eventsFailedTotal = createCounter(
+  "cti_webhook_events_failed_total",
+  "Failed webhook event processing attempts",
+  ["event_type"],
+);
+const eventsDeadLetteredTotal = createCounter(
+  "cti_webhook_events_dead_lettered_total",
+  "Webhook events dead-lettered after exhausting retries",
+  ["event_type"],
+);
+const eventsUnhandledTotal = createCounter(
+  "cti_webhook_events_unhandled_total",
+  "Webhook events with no matching handler",
+  ["event_type"],
+);
+const handlerDurationSeconds = createHistogram(
+  "cti_event_handler_duration_seconds",
+  "Event handler execution time",
+  ["handler", "event_type", "status"],
+);
+
+/**
+ * Processor heartbeat (read by the readiness check)
+ * last_beat_at is refreshed at the start of every run and every claimed
+ * batch, so a stalled loop shows up as a stale heartbeat.
+ */
+const heartbeat = {
+  running: false,
+  interval_ms: null,
+  started_at: null,
+  last_beat_at: null,
+  last_run_at: null,
+  last_error: null,
+  last_error_at: null,
+  listening: false,
+};
+
+function touchHeartbeat() {
+  heartbeat.last_beat_at = new Date();
+}
+
+/**
+ * Get the processor heartbeat state
+ * @returns {Object} - Copy of the heartbeat (running=false if never started)
+ */
+export function getProcessorHeartbeat() {
+  return { ...heartbeat };
+}
+
+/**
+ * Get the worker id used by this process when claiming events
+ * @returns {string} - Worker id
+ */
+export function getWorkerId() {
+  return WORKER_ID;
+}
+
 /**
  * Event handler registry
- * Maps event_type strings to handler functions
+ *
+ * Each registration subscribes one handler to an event type pattern:
+ * - Exact event types ('call.started')
+ * - Glob patterns, where '*' matches any sequence of characters
+ *   ('call.*', 'sms.*', '*')
+ *
+ * Several handlers may match the same event (e.g. persistence, CRM sync,
+ * analytics). They run in descending priority order (ties keep registration
+ * order). Every matching handler runs even if an earlier one fails; the
+ * event is retried if any handler failed, and handlers that already
+ * succeeded for that event are skipped on retry (see handler_results).
+ *
+ * Events with no matching handler are marked processed with unhandled_at
+ * set, so they stay queryable instead of silently disappearing.
  */
-const eventHandlers = {};
+const handlerRegistry = [];
 
 /**
- * Register a handler for a specific event type
- * @param {string} eventType - The event type (e.g., 'call.started')
+ * Convert a glob pattern into an anchored RegExp
+ * @param {string} pattern - Event type or glob pattern
+ * @returns {RegExp} - Matcher
+ */
+function globToRegExp(pattern) {
+  const escaped = String(pattern)
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${escaped}$`);
+}
+
+/**
+ * Register a handler for an event type or glob pattern
+ *
+ * Handlers are called as handler(payload, app_id, event), where event carries
+ * { id, event_type, dialpad_event_id, received_at } of the webhook_event.
+ *
+ * @param {string} pattern - Event type (e.g., 'call.started') or glob (e.g., 'call.*')
  * @param {Function} handler - Async function that processes the event
+ * @param {Object} options - Registration options
+ * @param {string} options.name - Stable handler name, used for per-handler
+ *   tracking and retries (default: '<pattern>:<function name>')
+ * @param {number} options.priority - Higher runs first (default: 0)
+ * @returns {Function} - Unregister function
+ */
+export function registerEventHandler(pattern, handler, options = {}) {
+  if (typeof handler !== "function") {
+    throw new TypeError(`Handler for "${pattern}" must be a function`);
+  }
+
+  const name = options.name || `${pattern}:${handler.name || "anonymous"}`;
+
+  if (handlerRegistry.some((reg) => reg.name === name)) {
+    throw new Error(`Event handler "${name}" is already registered`);
+  }
+
+  const registration = {
+    name,
+    pattern,
+    matcher: globToRegExp(pattern),
+    handler,
+    priority: options.priority || 0,
+    order: handlerRegistry.length,
+    stats: {
+      succeeded: 0,
+      failed: 0,
+      total_duration_ms: 0,
+      last_success_at: null,
+      last_failure_at: null,
+      last_error: null,
+    },
+  };
+
+  handlerRegistry.push(registration);
+
+  return () => {
+    const index = handlerRegistry.indexOf(registration);
+    if (index !== -1) handlerRegistry.splice(index, 1);
+  };
+}
+
+/**
+ * Get the registrations matching an event type, in execution order
+ * @param {string} eventType - Event type
+ * @returns {Array} - Matching registrations (highest priority first)
  */
-export function registerEventHandler(eventType, handler) {
-  eventHandlers[eventType] = handler;
+function getHandlersForEventType(eventType) {
+  return handlerRegistry
+    .filter((reg) => reg.matcher.test(String(eventType)))
+    .sort((a, b) => b.priority - a.priority || a.order - b.order);
+}
+
+/**
+ * List registered handlers with their in-process success/failure stats
+ * @returns {Array<Object>} - Registrations (without the handler functions)
+ */
+export function getRegisteredHandlers() {
+  return handlerRegistry
+    .slice()
+    .sort((a, b) => b.priority - a.priority || a.order - b.order)
+    .map((reg) => ({
+      name: reg.name,
+      pattern: reg.pattern,
+      priority: reg.priority,
+      stats: {
+        ...reg.stats,
+        avg_duration_ms:
+          reg.stats.succeeded + reg.stats.failed > 0
+            ? Math.round(
+                reg.stats.total_duration_ms /
+                  (reg.stats.succeeded + reg.stats.failed),
+              )
+            : null,
+      },
+    }));
 }
 
 /**
  * Process a single webhook event
+ *
+ * Runs every matching handler in priority order. Handlers recorded as
+ * succeeded in a previous attempt (event.handler_results) are skipped unless
+ * options.rerunSucceeded is set (replay re-applies every handler).
+ *
  * @param {Object} event - Event row from webhook_events table
- * @returns {Promise<boolean>} - True if processed successfully
+ * @param {Object} options - { rerunSucceeded }
+ * @returns {Promise<Object>} - { success, unhandled, error, handlerResults }
  */
-async function processSingleEvent(event) {
+export async function processSingleEvent(event, options = {}) {
   const { id, event_type, payload, app_id } = event;
 
-  // Find handler for this event type
-  const handler = eventHandlers[event_type];
+  const handlers = getHandlersForEventType(event_type);
 
-  if (!handler) {
+  if (handlers.length === 0) {
     console.warn(`No handler registered for event type: ${event_type}`);
-    // Still mark as processed to avoid reprocessing unknown events
-    return true;
+    // Marked processed + unhandled so it is not retried but stays queryable
+    return { success: true, unhandled: true, error: null, handlerResults: {} };
   }
 
+  const previousResults = event.handler_results || {};
+  const handlerResults = { ...previousResults };
+  const eventContext = {
+    id,
+    event_type,
+    dialpad_event_id: event.dialpad_event_id,
+    received_at: event.received_at,
+  };
+  let firstError = null;
+
+  for (const reg of handlers) {
+    if (
+      !options.rerunSucceeded &&
+      previousResults[reg.name]?.status === "succeeded"
+    ) {
+      continue;
+    }
+
+    const startedAt = Date.now();
+    try {
+      await reg.handler(payload, app_id, eventContext);
+
+      handlerDurationSeconds.observe(
+        { handler: reg.name, event_type, status: "succeeded" },
+        (Date.now() - startedAt) / 1000,
+      );
+      reg.stats.succeeded++;
+      reg.stats.total_duration_ms += Date.now() - startedAt;
+      reg.stats.last_success_at = new Date().toISOString();
+      handlerResults[reg.name] = {
+        status: "succeeded",
+        at: reg.stats.last_success_at,
+      };
+    } catch (err) {
+      handlerDurationSeconds.observe(
+        { handler: reg.name, event_type, status: "failed" },
+        (Date.now() - startedAt) / 1000,
+      );
+      reg.stats.failed++;
+      reg.stats.total_duration_ms += Date.now() - startedAt;
+      reg.stats.last_failure_at = new Date().toISOString();
+      reg.stats.last_error = err.message;
+      handlerResults[reg.name] = {
+        status: "failed",
+        at: reg.stats.last_failure_at,
+        error: String(err.message).slice(0, MAX_ERROR_LENGTH),
+      };
+
+      console.error(
+        `Error processing event ${id} (${event_type}) in handler ${reg.name}:`,
+        err,
+      );
+      firstError = firstError || err;
+    }
+  }
+
+  return {
+    success: firstError === null,
+    unhandled: false,
+    error: firstError,
+    handlerResults,
+  };
+}
+
+/**
+ * Compute the backoff delay before the next attempt
+ * Doubles with every failure (base, 2x base, 4x base, ...) up to RETRY_MAX_MS,
+ * with up to 10% jitter so retries from a burst of failures spread out.
+ * @param {number} attempts - Number of failed attempts so far (>= 1)
+ * @returns {number} - Delay in milliseconds
+ */
+export function computeRetryDelay(attempts) {
+  const exponential = RETRY_BASE_MS * Math.pow(2, Math.max(attempts - 1, 0));
+  const capped = Math.min(exponential, RETRY_MAX_MS);
+  const jitter = Math.floor(Math.random() * capped * 0.1);
+  return capped + jitter;
+}
+
+/**
+ * Mark an event as processed in the database and release the claim
+ *
+ * Only succeeds while this worker still owns the claim. If the lease expired
+ * and another worker reclaimed the event, the update is a no-op.
+ *
+ * @param {string} eventId - UUID of the webhook_event
+ * @param {Object} outcome - Processing outcome
+ * @param {Object} outcome.handlerResults - Per-handler results
+ * @param {boolean} outcome.unhandled - True if no handler matched
+ * @returns {Promise<boolean>} - False if the claim was lost
+ */
+async function markEventProcessed(eventId, outcome = {}) {
+  const result = await pool.query(
+    `UPDATE webhook_events
+     SET processed_at = now(),
+         handler_results = $3,
+         unhandled_at = CASE WHEN $4::boolean THEN now() ELSE NULL END,
+         claimed_by = NULL,
+         claimed_at = NULL
+     WHERE id = $1 AND claimed_by = $2`,
+    [
+      eventId,
+      WORKER_ID,
+      outcome.handlerResults || {},
+      outcome.unhandled === true,
+    ],
+  );
+
+  if (result.rowCount === 0) {
+    console.warn(
+      `[EventProcessor] Lost claim on event ${eventId} before completion (lease expired?)`,
+    );
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Claim a batch of due events for this worker
+ *
+ * CONCURRENCY SAFETY: the checkout runs in its own transaction. Rows are
+ * selected with FOR UPDATE SKIP LOCKED, so concurrent workers skip rows
+ * another transaction is claiming, and are stamped with claimed_by /
+ * claimed_at before COMMIT. Once committed, the claim (not the row lock)
+ * keeps other workers away while handlers run outside the transaction.
+ *
+ * Events whose claim is older than CLAIM_LEASE_MS belong to a worker that
+ * crashed or stalled, and are reclaimed here.
+ *
+ * PER-CALL ORDERING: events are partitioned by dialpad_call_id. Only the head
+ * of each partition (no earlier pending event for the same call, ordered by
+ * Dialpad's event_timestamp) is eligible, so a call's events are never
+ * handled concurrently or out of order. A head that is backing off after a
+ * failure holds back the rest of its call until it succeeds or is
+ * dead-lettered.
+ *
+ * @param {number} limit - Maximum number of events to claim
+ * @returns {Promise<Array>} - Claimed event rows, oldest first
+ */
+async function claimEvents(limit) {
+  const client = await pool.connect();
   try {
-    // Call the handler with payload and app_id
-    await handler(payload, app_id);
-    return true;
+    await client.query("BEGIN");
+
+    const result = await client.query(
+      `WITH candidates AS (
+         SELECT e.id, e.claimed_by AS previous_claim
+         FROM webhook_events e
+         WHERE e.processed_at IS NULL
+           AND e.dead_lettered_at IS NULL
+           AND (e.next_attempt_at IS NULL OR e.next_attempt_at <= now())
+           AND (e.claimed_at IS NULL
+                OR e.claimed_at < now() - ($2 * interval '1 millisecond'))
+           AND (e.dialpad_call_id IS NULL OR NOT EXISTS (
+             SELECT 1
+             FROM webhook_events earlier
+             WHERE earlier.dialpad_call_id = e.dialpad_call_id
+               AND earlier.id <> e.id
+               AND earlier.processed_at IS NULL
+               AND earlier.dead_lettered_at IS NULL
+               AND (COALESCE(earlier.event_timestamp, earlier.received_at), earlier.received_at)
+                 < (COALESCE(e.event_timestamp, e.received_at), e.received_at)
+           ))
+         ORDER BY e.received_at ASC
+         LIMIT $1
+         FOR UPDATE OF e SKIP LOCKED
+       )
+       UPDATE webhook_events e
+       SET claimed_by = $3,
+           claimed_at = now()
+       FROM candidates c
+       WHERE e.id = c.id
+       RETURNING e.id, e.app_id, e.event_type, e.dialpad_event_id, e.payload,
+                 e.received_at, e.attempts, e.handler_results,
+                 c.previous_claim`,
+      [limit, CLAIM_LEASE_MS, WORKER_ID],
+    );
+
+    await client.query("COMMIT");
+
+    const reclaimed = result.rows.filter((row) => row.previous_claim);
+    if (reclaimed.length > 0) {
+      console.warn(
+        `[EventProcessor] Reclaimed ${reclaimed.length} events with expired leases from: ${[...new Set(reclaimed.map((r) => r.previous_claim))].join(", ")}`,
+      );
+    }
+
+    // UPDATE ... RETURNING does not preserve the CTE ordering
+    return result.rows.sort((a, b) => a.received_at - b.received_at);
   } catch (err) {
-    console.error(`Error processing event ${id} (${event_type}):`, err);
-    return false;
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
   }
 }
 
 /**
- * Mark an event as processed in the database
- * @param {string} eventId - UUID of the webhook_event
+ * Release every claim held by this worker
+ * Called on shutdown so other instances can pick the events up immediately
+ * instead of waiting for the lease to expire.
+ * @returns {Promise<number>} - Number of claims released
+ */
+export async function releaseClaims() {
+  const result = await pool.query(
+    `UPDATE webhook_events
+     SET claimed_by = NULL,
+         claimed_at = NULL
+     WHERE claimed_by = $1 AND processed_at IS NULL`,
+    [WORKER_ID],
+  );
+  return result.rowCount;
+}
+
+/**
+ * Record a failed attempt for an event
+ * Increments attempts and stores the error. Schedules the next attempt with
+ * exponential backoff, or moves the event to the dead-letter queue once
+ * MAX_ATTEMPTS is reached.
+ * @param {Object} event - Event row from webhook_events table
+ * @param {Error} error - Error thrown by the handler
+ * @param {Object} handlerResults - Per-handler results of this attempt
+ * @returns {Promise<boolean>} - True if the event was dead-lettered
  */
-async function markEventProcessed(eventId) {
+async function recordEventFailure(event, error, handlerResults = {}) {
+  const attempts = (event.attempts || 0) + 1;
+  const message = String(error?.message || error || "Unknown error").slice(
+    0,
+    MAX_ERROR_LENGTH,
+  );
+
+  if (attempts >= MAX_ATTEMPTS) {
+    await pool.query(
+      `UPDATE webhook_events
+       SET attempts = $1,
+           last_error = $2,
+           next_attempt_at = NULL,
+           dead_lettered_at = now(),
+           handler_results = $5,
+           claimed_by = NULL,
+           claimed_at = NULL
+       WHERE id = $3 AND claimed_by = $4`,
+      [attempts, message, event.id, WORKER_ID, handlerResults],
+    );
+
+    console.error(
+      `[EventProcessor] Event ${event.id} (${event.event_type}) dead-lettered after ${attempts} attempts: ${message}`,
+    );
+    return true;
+  }
+
+  const delayMs = computeRetryDelay(attempts);
   await pool.query(
     `UPDATE webhook_events
-     SET processed_at = now()
-     WHERE id = $1`,
-    [eventId],
+     SET attempts = $1,
+         last_error = $2,
+         next_attempt_at = now() + ($3 * interval '1 millisecond'),
+         handler_results = $6,
+         claimed_by = NULL,
+         claimed_at = NULL
+     WHERE id = $4 AND claimed_by = $5`,
+    [attempts, message, delayMs, event.id, WORKER_ID, handlerResults],
   );
+
+  console.warn(
+    `[EventProcessor] Event ${event.id} (${event.event_type}) failed (attempt ${attempts}/${MAX_ATTEMPTS}), retrying in ${Math.round(delayMs / 1000)}s`,
+  );
+  return false;
 }
 
 /**
@@ -74,16 +550,32 @@ async function markEventProcessed(eventId) {
  * @param {Object} options - Processing options
  * @param {number} options.batchSize - Number of events to process per batch (default: 50)
  * @param {number} options.maxEvents - Maximum total events to process (default: unlimited)
+ * @param {Function} options.isStopping - () => true once the caller is stopping;
+ *   no further batch is claimed and stats are not refreshed
  * @returns {Promise<Object>} - Statistics about processed events
+ *
+ * Also refreshes dirty call stats rollups (see callStatsService.js) once the
+ * queue is drained.
  */
 export async function processWebhookEvents(options = {}) {
-  const { batchSize = 50, maxEvents = null } = options;
+  const {
+    batchSize = 50,
+    maxEvents = null,
+    isStopping = () => false,
+  } = options;
 
   let totalProcessed = 0;
   let totalFailed = 0;
+  let totalDeadLettered = 0;
+  let totalUnhandled = 0;
   let hasMore = true;
 
   while (hasMore) {
+    // Stopping: finish only the batch already claimed
+    if (isStopping()) {
+      break;
+    }
+
     // Check if we've hit the max events limit
     if (maxEvents !== null && totalProcessed >= maxEvents) {
       break;
@@ -96,30 +588,15 @@ export async function processWebhookEvents(options = {}) {
         : batchSize;
 
     /**
-     * CONCURRENCY SAFETY: Use FOR UPDATE SKIP LOCKED
-     *
-     * - FOR UPDATE: Locks the rows for this transaction
-     * - SKIP LOCKED: Skips rows already locked by other workers
-     *
-     * This ensures that if multiple processor instances are running,
-     * each event is only processed by one worker at a time.
+     * Claim the batch for this worker (see claimEvents).
      *
      * Critical for production deployments with:
      * - Horizontal scaling (multiple server instances)
      * - Load balancers
      * - Container orchestration (K8s, ECS, etc.)
      */
-    const result = await pool.query(
-      `SELECT id, app_id, event_type, dialpad_event_id, payload, received_at
-       FROM webhook_events
-       WHERE processed_at IS NULL
-       ORDER BY received_at ASC
-       LIMIT $1
-       FOR UPDATE SKIP LOCKED`,
-      [limit],
-    );
-
-    const events = result.rows;
+    const events = await claimEvents(limit);
+    touchHeartbeat();
 
     if (events.length === 0) {
       hasMore = false;
@@ -128,72 +605,341 @@ export async function processWebhookEvents(options = {}) {
 
     // Process each event in the batch
     for (const event of events) {
-      const success = await processSingleEvent(event);
+      const { success, unhandled, error, handlerResults } =
+        await processSingleEvent(event);
 
       if (success) {
-        await markEventProcessed(event.id);
-        totalProcessed++;
+        if (await markEventProcessed(event.id, { handlerResults, unhandled })) {
+          totalProcessed++;
+          eventsProcessedTotal.inc({ event_type: event.event_type });
+          if (unhandled) {
+            totalUnhandled++;
+            eventsUnhandledTotal.inc({ event_type: event.event_type });
+          }
+        }
       } else {
         totalFailed++;
-        // Note: Failed events are NOT marked as processed
-        // They will be retried on the next run
+        eventsFailedTotal.inc({ event_type: event.event_type });
+        // Failed events are NOT marked as processed. They are rescheduled
+        // with backoff (next_attempt_at) or dead-lettered after MAX_ATTEMPTS.
+        const deadLettered = await recordEventFailure(
+          event,
+          error,
+          handlerResults,
+        );
+        if (deadLettered) {
+          totalDeadLettered++;
+          eventsDeadLetteredTotal.inc({ event_type: event.event_type });
+        }
       }
     }
 
-    // If we got fewer events than requested, we've processed everything
-    if (events.length < limit) {
-      hasMore = false;
+    // Fewer events than requested does not mean the queue is drained:
+    // processing a call's head event makes its next event eligible, so keep
+    // claiming until nothing is left.
+  }
+
+  // Rebuild the call stats rollups of calls changed by this run (and by
+  // replays / other tools since the last run). A failure here must not fail
+  // event processing: the buckets stay dirty and are retried next run.
+  let statsBucketsRefreshed = 0;
+  try {
+    let refreshed = 0;
+    while (!isStopping() && statsBucketsRefreshed < MAX_STATS_REFRESH_PER_RUN) {
+      refreshed = await refreshCallStats();
+      statsBucketsRefreshed += refreshed;
+      if (refreshed === 0) break;
     }
+  } catch (err) {
+    console.error("[EventProcessor] Failed to refresh call stats:", err);
   }
 
   return {
     processed: totalProcessed,
     failed: totalFailed,
+    dead_lettered: totalDeadLettered,
+    unhandled: totalUnhandled,
+    stats_buckets_refreshed: statsBucketsRefreshed,
     success: totalProcessed > 0 && totalFailed === 0,
   };
 }
 
 /**
- * Process webhook events continuously with a polling interval
- * @param {Object} options - Polling options
- * @param {number} options.intervalMs - Polling interval in milliseconds (default: 5000)
+ * Milliseconds until the earliest scheduled (backing-off or reorder-delayed)
+ * event becomes due
+ * @returns {Promise<number|null>} - Delay in ms, or null if nothing is scheduled
+ */
+async function getNextDueDelay() {
+  const result = await pool.query(
+    `SELECT EXTRACT(EPOCH FROM (MIN(next_attempt_at) - now())) * 1000 AS delay_ms
+     FROM webhook_events
+     WHERE processed_at IS NULL
+       AND dead_lettered_at IS NULL
+       AND next_attempt_at > now()`,
+  );
+  const delay = result.rows[0]?.delay_ms;
+  return delay === null || delay === undefined ? null : Number(delay);
+}
+
+/**
+ * Notify listening processors that a new event was inserted
+ *
+ * Called by the webhook ingestion path right after persisting an event.
+ * Failure to notify is not fatal: the fallback poll will still pick the
+ * event up, only later.
+ *
+ * @param {string} eventId - UUID of the inserted webhook_event
+ */
+export async function notifyEventInserted(eventId) {
+  try {
+    await pool.query(`SELECT pg_notify($1, $2)`, [
+      EVENTS_CHANNEL,
+      String(eventId),
+    ]);
+  } catch (err) {
+    console.error("[EventProcessor] Failed to send NOTIFY:", err.message);
+  }
+}
+
+/**
+ * Process webhook events continuously
+ *
+ * Wakes immediately on NOTIFY from the webhook ingestion path (LISTEN on
+ * EVENTS_CHANNEL) and also polls every intervalMs as a low-frequency
+ * fallback (covers missed notifications and events inserted by other
+ * tools). When an event is scheduled for later (retry backoff, reorder
+ * window) the processor wakes when it comes due instead of waiting a full
+ * interval.
+ *
+ * The LISTEN connection is a dedicated client; when it drops it is
+ * re-established with exponential backoff and a catch-up run is triggered.
+ *
+ * @param {Object} options - Processing options
+ * @param {number} options.intervalMs - Fallback polling interval in milliseconds (default: 30000)
  * @param {number} options.batchSize - Events per batch (default: 50)
- * @returns {Function} - Stop function to halt polling
+ * @param {boolean} options.listen - Use LISTEN/NOTIFY wakeups (default: true)
+ * @returns {Function} - Stop function to halt processing (returns a Promise that
+ *   resolves once the listener is closed, the run in progress has finished and
+ *   this worker's claims are released)
  */
 export function startEventProcessor(options = {}) {
-  const { intervalMs = 5000, batchSize = 50 } = options;
+  const { intervalMs = 30000, batchSize = 50, listen = true } = options;
 
   let isRunning = true;
+  let isProcessing = false;
+  let currentRun = null;
+  let wakeRequested = false;
+  let pollTimer = null;
+
+  let listener = null;
+  let reconnectTimer = null;
+  let reconnectAttempts = 0;
 
-  const poll = async () => {
+  const run = async () => {
     if (!isRunning) return;
 
+    // Coalesce wakeups that arrive while a run is in progress into one more run
+    if (isProcessing) {
+      wakeRequested = true;
+      return;
+    }
+
+    clearTimeout(pollTimer);
+    isProcessing = true;
+    touchHeartbeat();
+
+    currentRun = processBatch();
+    const sleepMs = await currentRun;
+    currentRun = null;
+
+    isProcessing = false;
+    if (!isRunning) return;
+
+    if (wakeRequested) {
+      wakeRequested = false;
+      setImmediate(run);
+    } else {
+      pollTimer = setTimeout(run, sleepMs);
+    }
+  };
+
+  // One processing pass; resolves with the delay until the next run
+  const processBatch = async () => {
     try {
-      const stats = await processWebhookEvents({ batchSize });
+      const stats = await processWebhookEvents({
+        batchSize,
+        isStopping: () => !isRunning,
+      });
       if (stats.processed > 0 || stats.failed > 0) {
         console.log(
-          `[EventProcessor] Processed: ${stats.processed}, Failed: ${stats.failed}`,
+          `[EventProcessor] Processed: ${stats.processed}, Failed: ${stats.failed}, Dead-lettered: ${stats.dead_lettered}`,
         );
       }
+      heartbeat.last_run_at = new Date();
     } catch (err) {
-      console.error("[EventProcessor] Error during polling:", err);
+      console.error("[EventProcessor] Error during processing:", err);
+      heartbeat.last_error = err.message;
+      heartbeat.last_error_at = new Date();
     }
 
-    if (isRunning) {
-      setTimeout(poll, intervalMs);
+    // Sleep until the next poll, or earlier if a scheduled event (retry
+    // backoff, reorder window) comes due before then
+    let sleepMs = intervalMs;
+    try {
+      const nextDueMs = await getNextDueDelay();
+      if (nextDueMs !== null) {
+        sleepMs = Math.max(Math.min(sleepMs, Math.ceil(nextDueMs)), 100);
+      }
+    } catch (err) {
+      console.error("[EventProcessor] Error checking scheduled events:", err);
     }
+
+    return sleepMs;
   };
 
-  // Start polling
-  poll();
+  const scheduleReconnect = () => {
+    if (!isRunning || reconnectTimer) return;
+
+    const delayMs = Math.min(1000 * Math.pow(2, reconnectAttempts), 30000);
+    reconnectAttempts++;
+    console.warn(
+      `[EventProcessor] LISTEN connection lost, reconnecting in ${delayMs}ms`,
+    );
+
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      connectListener();
+    }, delayMs);
+  };
+
+  const connectListener = async () => {
+    if (!isRunning) return;
+
+    const client = createDedicatedClient();
+    listener = client;
+
+    client.on("notification", () => run());
+    client.on("error", (err) => {
+      console.error("[EventProcessor] LISTEN connection error:", err.message);
+      client.end().catch(() => {});
+      scheduleReconnect();
+    });
+    client.on("end", () => {
+      heartbeat.listening = false;
+      if (listener === client) listener = null;
+      scheduleReconnect();
+    });
+
+    try {
+      await client.connect();
+      await client.query(`LISTEN ${EVENTS_CHANNEL}`);
+      reconnectAttempts = 0;
+      heartbeat.listening = true;
+      console.log(`[EventProcessor] Listening on channel "${EVENTS_CHANNEL}"`);
+
+      // Catch up on anything inserted while we were not listening
+      run();
+    } catch (err) {
+      console.error(
+        "[EventProcessor] Failed to start LISTEN connection:",
+        err.message,
+      );
+      client.end().catch(() => {});
+      scheduleReconnect();
+    }
+  };
+
+  // Start processing
+  heartbeat.running = true;
+  heartbeat.interval_ms = intervalMs;
+  heartbeat.started_at = new Date();
+
+  if (listen) {
+    connectListener();
+  }
+  run();
+
+  console.log(`[EventProcessor] Worker id: ${WORKER_ID}`);
 
   // Return stop function
-  return () => {
+  return async () => {
     isRunning = false;
+    heartbeat.running = false;
+    clearTimeout(pollTimer);
+    clearTimeout(reconnectTimer);
+
+    if (listener) {
+      const client = listener;
+      listener = null;
+      await client.end().catch(() => {});
+    }
+
+    // Events of the batch in progress are still claimed by this worker:
+    // releasing them now would let another worker process them again
+    if (currentRun) {
+      let timer;
+      const finished = await Promise.race([
+        currentRun.then(() => true),
+        new Promise((resolve) => {
+          timer = setTimeout(() => resolve(false), STOP_TIMEOUT_MS);
+        }),
+      ]);
+      clearTimeout(timer);
+
+      if (!finished) {
+        console.warn(
+          `[EventProcessor] Run still in progress after ${STOP_TIMEOUT_MS}ms; leaving its claims to expire`,
+        );
+        console.log("[EventProcessor] Stopped");
+        return;
+      }
+    }
+
+    try {
+      const released = await releaseClaims();
+      if (released > 0) {
+        console.log(`[EventProcessor] Released ${released} claimed events`);
+      }
+    } catch (err) {
+      console.error("[EventProcessor] Error releasing claims:", err);
+    }
     console.log("[EventProcessor] Stopped");
   };
 }
 
+/**
+ * Get queue depth per event type (for metrics scraping)
+ *
+ * Only scans unprocessed rows (processed_at IS NULL), so it stays cheap as
+ * processed events accumulate.
+ *
+ * @returns {Promise<Array<Object>>} - [{ event_type, pending, retrying, claimed,
+ *   dead_lettered, oldest_pending_age_seconds }]
+ */
+export async function getQueueDepth() {
+  const result = await pool.query(
+    `SELECT
+       COALESCE(event_type, 'unknown') AS event_type,
+       COUNT(*) FILTER (WHERE dead_lettered_at IS NULL)::int AS pending,
+       COUNT(*) FILTER (WHERE dead_lettered_at IS NULL AND attempts > 0)::int AS retrying,
+       COUNT(*) FILTER (WHERE dead_lettered_at IS NULL AND claimed_by IS NOT NULL)::int AS claimed,
+       COUNT(*) FILTER (WHERE dead_lettered_at IS NOT NULL)::int AS dead_lettered,
+       EXTRACT(EPOCH FROM now() - MIN(received_at) FILTER (WHERE dead_lettered_at IS NULL))
+         AS oldest_pending_age_seconds
+     FROM webhook_events
+     WHERE processed_at IS NULL
+     GROUP BY 1`,
+  );
+
+  return result.rows.map((row) => ({
+    ...row,
+    oldest_pending_age_seconds:
+      row.oldest_pending_age_seconds === null
+        ? null
+        : Number(row.oldest_pending_age_seconds),
+  }));
+}
+
 /**
  * Get processing statistics
  * @returns {Promise<Object>} - Statistics about webhook event processing
@@ -201,10 +947,14 @@ export function startEventProcessor(options = {}) {
 export async function getProcessingStats() {
   const result = await pool.query(
     `SELECT 
-       COUNT(*) FILTER (WHERE processed_at IS NULL) as unprocessed,
+       COUNT(*) FILTER (WHERE processed_at IS NULL AND dead_lettered_at IS NULL) as unprocessed,
        COUNT(*) FILTER (WHERE processed_at IS NOT NULL) as processed,
+       COUNT(*) FILTER (WHERE unhandled_at IS NOT NULL) as unhandled,
+       COUNT(*) FILTER (WHERE processed_at IS NULL AND dead_lettered_at IS NULL AND attempts > 0) as retrying,
+       COUNT(*) FILTER (WHERE dead_lettered_at IS NOT NULL) as dead_lettered,
+       COUNT(*) FILTER (WHERE processed_at IS NULL AND claimed_by IS NOT NULL) as claimed,
        COUNT(DISTINCT event_type) as event_types,
-       MIN(received_at) FILTER (WHERE processed_at IS NULL) as oldest_unprocessed
+       MIN(received_at) FILTER (WHERE processed_at IS NULL AND dead_lettered_at IS NULL) as oldest_unprocessed
      FROM webhook_events`,
   );
 
@@ -0,0 +1,333 @@
+/**
+ * Event Replay Service
+ *
+ * Re-runs the registered handlers for webhook events already stored in
+ * webhook_events, so calls / messages / voicemails can be rebuilt from the
+ * raw payloads after a handler bug is fixed.
+ *
+ * - Events are selected by filter (app_id, event_type, received_at range,
+ *   dialpad_event_id) and replayed in Dialpad event order
+ * - Only processed events are replayed; pending ones are left to the processor
+ * - WebSocket broadcasts are suppressed (historical events must not reach
+ *   live clients)
+ * - Dry run: everything runs inside one transaction that is rolled back; the
+ *   report shows the calls rows that would be inserted or changed
+ *
+ * Handlers write through query() in db.js, which uses the transaction client
+ * bound via utils/executionContext.js.
+ */
+
+import pool from "../db.js";
+import { processSingleEvent } from "./dialpadEventProcessor.js";
+import { runWithContext } from "../utils/executionContext.js";
+import { logger } from "../utils/logger.js";
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+// Columns left out of the calls diff (large, or changed on every write)
+const DIFF_IGNORED_COLUMNS = ["raw_payload"];
+
+/**
+ * Validate replay filters and build the event selection query
+ * @param {Object} filters - Replay filters
+ * @returns {Object} - { conditions, params }
+ */
+function buildReplayFilters(filters) {
+  const conditions = ["processed_at IS NOT NULL"];
+  const params = [];
+
+  if (
+    !filters.app_id &&
+    !filters.event_type &&
+    !filters.from &&
+    !filters.to &&
+    !filters.dialpad_event_id
+  ) {
+    throw new Error(
+      "At least one filter is required: app_id, event_type, from, to, dialpad_event_id",
+    );
+  }
+
+  if (filters.app_id) {
+    params.push(filters.app_id);
+    conditions.push(`app_id = $${params.length}`);
+  }
+
+  if (filters.event_type) {
+    params.push(filters.event_type);
+    conditions.push(`event_type = $${params.length}`);
+  }
+
+  // dialpad_event_id holds the idempotency key (dialpad:<app_id>:<event_id>
+  // or a hash), so match Dialpad's event id in the payload
+  if (filters.dialpad_event_id) {
+    params.push(String(filters.dialpad_event_id));
+    conditions.push(`payload->>'event_id' = $${params.length}`);
+  }
+
+  for (const [key, operator] of [
+    ["from", ">="],
+    ["to", "<="],
+  ]) {
+    if (!filters[key]) continue;
+
+    const date = new Date(filters[key]);
+    if (Number.isNaN(date.getTime())) {
+      throw new Error(`${key} must be a valid date`);
+    }
+    params.push(date);
+    conditions.push(`received_at ${operator} $${params.length}`);
+  }
+
+  // Resume a truncated replay after its last event, in replay order
+  if (filters.after_id) {
+    params.push(filters.after_id);
+    conditions.push(
+      `(COALESCE(event_timestamp, received_at), received_at, id) >
+       (SELECT COALESCE(event_timestamp, received_at), received_at, id
+        FROM webhook_events WHERE id = $${params.length})`,
+    );
+  }
+
+  return { conditions, params };
+}
+
+/**
+ * Snapshot calls rows for the given Dialpad call ids
+ * @param {Object} db - pool or client
+ * @param {string} app_id - Restrict to this app (optional)
+ * @param {Array<string>} callIds - Dialpad call ids
+ * @returns {Promise<Map>} - Map<dialpad_call_id, row>
+ */
+async function snapshotCalls(db, app_id, callIds) {
+  const snapshot = new Map();
+  if (callIds.length === 0) {
+    return snapshot;
+  }
+
+  const params = [callIds];
+  let appCondition = "";
+  if (app_id) {
+    params.push(app_id);
+    appCondition = "AND app_id = $2";
+  }
+
+  const result = await db.query(
+    `SELECT * FROM calls
+     WHERE dialpad_call_id::text = ANY($1::text[]) ${appCondition}`,
+    params,
+  );
+
+  for (const row of result.rows) {
+    snapshot.set(String(row.dialpad_call_id), row);
+  }
+  return snapshot;
+}
+
+/**
+ * Compare two calls snapshots
+ * @param {Array<string>} callIds - Dialpad call ids touched by the replay
+ * @param {Map} before - Snapshot before replay
+ * @param {Map} after - Snapshot after replay
+ * @returns {Array<Object>} - [{ dialpad_call_id, action, changes }]
+ */
+function diffCalls(callIds, before, after) {
+  const diffs = [];
+
+  for (const callId of callIds) {
+    const oldRow = before.get(callId) || null;
+    const newRow = after.get(callId) || null;
+
+    if (!oldRow && !newRow) continue;
+
+    const changes = {};
+    const columns = new Set([
+      ...Object.keys(oldRow || {}),
+      ...Object.keys(newRow || {}),
+    ]);
+
+    for (const column of columns) {
+      if (DIFF_IGNORED_COLUMNS.includes(column)) continue;
+
+      const oldValue = oldRow ? (oldRow[column] ?? null) : null;
+      const newValue = newRow ? (newRow[column] ?? null) : null;
+      if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+        changes[column] = { before: oldValue, after: newValue };
+      }
+    }
+
+    let action = "none";
+    if (!oldRow) action = "insert";
+    else if (!newRow) action = "delete";
+    else if (Object.keys(changes).length > 0) action = "update";
+
+    diffs.push({ dialpad_call_id: callId, action, changes });
+  }
+
+  return diffs;
+}
+
+/**
+ * Check that the transaction can still commit
+ * A handler that catches its own SQL error returns normally inside an
+ * aborted transaction; every later statement then fails.
+ * @param {Object} client - Connected client
+ * @returns {Promise<boolean>} - False if the transaction is aborted
+ */
+async function isTransactionUsable(client) {
+  try {
+    await client.query("SELECT 1");
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Summarise a processSingleEvent outcome for the replay report
+ * @param {Object} event - Event row
+ * @param {Object} outcome - processSingleEvent result
+ * @returns {Object} - Report entry
+ */
+function toReportEntry(event, outcome) {
+  let status = "succeeded";
+  if (outcome.unhandled) status = "unhandled";
+  else if (!outcome.success) status = "failed";
+
+  return {
+    id: event.id,
+    event_type: event.event_type,
+    dialpad_event_id: event.dialpad_event_id,
+    dialpad_call_id: event.dialpad_call_id,
+    status,
+    error: outcome.error ? outcome.error.message : null,
+    handlers: outcome.handlerResults,
+  };
+}
+
+/**
+ * Replay stored webhook events through the registered handlers
+ *
+ * Each event runs in its own transaction (its own savepoint in a dry run),
+ * so a failing event is rolled back without affecting the others.
+ *
+ * @param {Object} options - Replay options
+ * @param {string} options.app_id - Filter by app (optional)
+ * @param {string} options.event_type - Filter by event type (optional)
+ * @param {string} options.from - received_at lower bound (optional)
+ * @param {string} options.to - received_at upper bound (optional)
+ * @param {string} options.dialpad_event_id - Filter by Dialpad event id, the payload's event_id (optional)
+ * @param {string} options.after_id - Resume after this event (next_after_id of a truncated replay)
+ * @param {boolean} options.dry_run - Roll back instead of committing
+ * @param {number} options.limit - Max events (default 100, max 1000)
+ * @returns {Promise<Object>} - { dry_run, matched, truncated, next_after_id, replayed, failed, events, calls }
+ */
+export async function replayEvents(options = {}) {
+  const dryRun = Boolean(options.dry_run);
+  const limit = Math.min(
+    Math.max(parseInt(options.limit, 10) || DEFAULT_LIMIT, 1),
+    MAX_LIMIT,
+  );
+  const { conditions, params } = buildReplayFilters(options);
+
+  const eventsResult = await pool.query(
+    `SELECT id, app_id, event_type, dialpad_event_id, payload, received_at,
+            dialpad_call_id, handler_results
+     FROM webhook_events
+     WHERE ${conditions.join(" AND ")}
+     ORDER BY COALESCE(event_timestamp, received_at), received_at, id
+     LIMIT $${params.length + 1}`,
+    [...params, limit + 1],
+  );
+
+  const truncated = eventsResult.rows.length > limit;
+  const events = eventsResult.rows.slice(0, limit);
+  const callIds = [
+    ...new Set(events.map((e) => e.dialpad_call_id).filter(Boolean)),
+  ];
+
+  logger.info("Replaying webhook events", {
+    count: events.length,
+    dry_run: dryRun,
+    app_id: options.app_id || null,
+    event_type: options.event_type || null,
+  });
+
+  const client = await pool.connect();
+  const report = [];
+  let before;
+  let after;
+
+  try {
+    before = await snapshotCalls(client, options.app_id, callIds);
+
+    if (dryRun) {
+      await client.query("BEGIN");
+    }
+
+    for (const event of events) {
+      await client.query(dryRun ? "SAVEPOINT replay_event" : "BEGIN");
+
+      let outcome = await runWithContext(
+        { client, suppressBroadcasts: true },
+        () => processSingleEvent(event, { rerunSucceeded: true }),
+      );
+
+      // Committing an aborted transaction silently rolls it back
+      if (outcome.success && !(await isTransactionUsable(client))) {
+        outcome = {
+          ...outcome,
+          success: false,
+          unhandled: false,
+          error: new Error(
+            "Transaction aborted by a failed statement in a handler",
+          ),
+        };
+      }
+
+      if (outcome.success) {
+        await client.query(
+          dryRun ? "RELEASE SAVEPOINT replay_event" : "COMMIT",
+        );
+      } else {
+        await client.query(
+          dryRun ? "ROLLBACK TO SAVEPOINT replay_event" : "ROLLBACK",
+        );
+      }
+
+      report.push(toReportEntry(event, outcome));
+    }
+
+    after = await snapshotCalls(client, options.app_id, callIds);
+
+    if (dryRun) {
+      await client.query("ROLLBACK");
+    }
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    logger.error("Event replay failed", { error: err.message });
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  const failed = report.filter((entry) => entry.status === "failed").length;
+
+  logger.info("Event replay complete", {
+    dry_run: dryRun,
+    replayed: report.length - failed,
+    failed,
+  });
+
+  return {
+    dry_run: dryRun,
+    matched: events.length,
+    truncated,
+    next_after_id: truncated ? events[events.length - 1].id : null,
+    replayed: report.length - failed,
+    failed,
+    events: report,
+    calls: diffCalls(callIds, before, after),
+  };
+}
@@ -0,0 +1,215 @@
+/**
+ * Health Service
+ *
+ * Liveness vs readiness:
+ * - Liveness: the process is up and its event loop responds. No
+ *   dependencies are checked, so a database outage does not get the
+ *   instance restarted.
+ * - Readiness: the instance can do useful work. Checks the database, the
+ *   event processor heartbeat, the webhook backlog age and OAuth tokens close
+ *   to expiry. Load balancers should stop routing to an instance that is
+ *   not ready.
+ *
+ * Every check reports { status: "pass" | "warn" | "fail", ... }. Readiness
+ * fails if any check fails; "warn" is reported but keeps the instance ready.
+ * The backlog is shared by all instances, so its age only warns: failing it
+ * would take every instance out of rotation at once, including those
+ * receiving webhooks. This instance's own processor is the processor check.
+ *
+ * The public probes report counts only; per-app detail (which apps' tokens
+ * expire) is served on /internal/health.
+ *
+ * Thresholds (env):
+ * - HEALTH_CHECK_TIMEOUT_MS: per-check timeout (default 2000)
+ * - HEALTH_PROCESSOR_STALE_MS: heartbeat age that fails readiness
+ *   (default 3x the processor poll interval, at least 60s)
+ * - HEALTH_BACKLOG_WARN_SECONDS: oldest pending event age that warns
+ *   (default 300)
+ * - HEALTH_TOKEN_EXPIRY_WARN_SECONDS: warn when an app's Dialpad access
+ *   token expires within this window (default 600)
+ */
+
+import pool, { testConnection } from "../db.js";
+import {
+  getProcessorHeartbeat,
+  getQueueDepth,
+} from "./dialpadEventProcessor.js";
+
+const CHECK_TIMEOUT_MS =
+  parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS, 10) || 2000;
+const PROCESSOR_STALE_MS =
+  parseInt(process.env.HEALTH_PROCESSOR_STALE_MS, 10) || null;
+const BACKLOG_WARN_SECONDS =
+  parseInt(process.env.HEALTH_BACKLOG_WARN_SECONDS, 10) || 300;
+const TOKEN_EXPIRY_WARN_SECONDS =
+  parseInt(process.env.HEALTH_TOKEN_EXPIRY_WARN_SECONDS, 10) || 600;
+
+/**
+ * Run a check with a timeout, timing it and turning errors into "fail"
+ * @param {Function} check - Async function returning { status, ... }
+ * @returns {Promise<Object>} - Check result with duration_ms
+ */
+async function runCheck(check) {
+  const startedAt = Date.now();
+  let timer;
+
+  try {
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(
+        () => reject(new Error(`Timed out after ${CHECK_TIMEOUT_MS}ms`)),
+        CHECK_TIMEOUT_MS,
+      );
+    });
+    const result = await Promise.race([check(), timeout]);
+    return { ...result, duration_ms: Date.now() - startedAt };
+  } catch (err) {
+    return {
+      status: "fail",
+      error: err.message,
+      duration_ms: Date.now() - startedAt,
+    };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Database connectivity
+ */
+async function checkDatabase() {
+  await testConnection({ silent: true });
+  return {
+    status: "pass",
+    pool: {
+      total: pool.totalCount,
+      idle: pool.idleCount,
+      waiting: pool.waitingCount,
+    },
+  };
+}
+
+/**
+ * Event processor loop is running and its heartbeat is recent
+ */
+async function checkProcessor() {
+  const heartbeat = getProcessorHeartbeat();
+
+  if (!heartbeat.running) {
+    return { status: "fail", error: "Event processor is not running" };
+  }
+
+  const staleAfterMs =
+    PROCESSOR_STALE_MS || Math.max(heartbeat.interval_ms * 3, 60000);
+  const lastBeat = heartbeat.last_beat_at || heartbeat.started_at;
+  const ageMs = Date.now() - lastBeat.getTime();
+
+  return {
+    status: ageMs > staleAfterMs ? "fail" : "pass",
+    last_beat_at: lastBeat.toISOString(),
+    heartbeat_age_ms: ageMs,
+    stale_after_ms: staleAfterMs,
+    last_run_at: heartbeat.last_run_at?.toISOString() || null,
+    last_error: heartbeat.last_error,
+    last_error_at: heartbeat.last_error_at?.toISOString() || null,
+    listening: heartbeat.listening,
+  };
+}
+
+/**
+ * Age of the oldest pending webhook event
+ */
+async function checkBacklog() {
+  const rows = await getQueueDepth();
+
+  let pending = 0;
+  let deadLettered = 0;
+  let oldestAge = 0;
+  for (const row of rows) {
+    pending += row.pending;
+    deadLettered += row.dead_lettered;
+    if (row.oldest_pending_age_seconds !== null) {
+      oldestAge = Math.max(oldestAge, row.oldest_pending_age_seconds);
+    }
+  }
+
+  return {
+    status: oldestAge > BACKLOG_WARN_SECONDS ? "warn" : "pass",
+    pending,
+    dead_lettered: deadLettered,
+    oldest_pending_age_seconds: Math.round(oldestAge),
+    warn_after_seconds: BACKLOG_WARN_SECONDS,
+  };
+}
+
+/**
+ * Dialpad OAuth tokens expiring soon (or already expired)
+ * Tokens are refreshed on demand, so this only warns: an expired token that
+ * cannot be refreshed affects one app, not this instance's readiness.
+ *
+ * @param {boolean} detail - Include the affected apps (internal only)
+ */
+async function checkOAuthTokens(detail) {
+  const result = await pool.query(
+    `SELECT app_id, token_expires_at,
+            token_expires_at <= now() AS expired
+     FROM dialpad_connections
+     WHERE token_expires_at <= now() + make_interval(secs => $1)
+     ORDER BY token_expires_at`,
+    [TOKEN_EXPIRY_WARN_SECONDS],
+  );
+
+  const check = {
+    status: result.rows.length > 0 ? "warn" : "pass",
+    expiring_within_seconds: TOKEN_EXPIRY_WARN_SECONDS,
+    expiring: result.rows.filter((row) => !row.expired).length,
+    expired: result.rows.filter((row) => row.expired).length,
+  };
+
+  if (detail) {
+    check.apps = result.rows.map((row) => ({
+      app_id: row.app_id,
+      token_expires_at: row.token_expires_at,
+      expired: row.expired,
+    }));
+  }
+
+  return check;
+}
+
+/**
+ * Liveness: process is up (no dependency checks)
+ * @returns {Object} - { status, timestamp, uptime_seconds }
+ */
+export function checkLiveness() {
+  return {
+    status: "pass",
+    timestamp: new Date().toISOString(),
+    uptime_seconds: process.uptime(),
+  };
+}
+
+/**
+ * Readiness: all dependency checks
+ * @param {Object} options - { detail: include per-app detail (internal only) }
+ * @returns {Promise<Object>} - { status, timestamp, checks }
+ */
+export async function checkReadiness({ detail = false } = {}) {
+  const [database, processor, backlog, oauth_tokens] = await Promise.all([
+    runCheck(checkDatabase),
+    runCheck(checkProcessor),
+    runCheck(checkBacklog),
+    runCheck(() => checkOAuthTokens(detail)),
+  ]);
+  const checks = { database, processor, backlog, oauth_tokens };
+
+  const statuses = Object.values(checks).map((check) => check.status);
+  let status = "pass";
+  if (statuses.includes("fail")) status = "fail";
+  else if (statuses.includes("warn")) status = "warn";
+
+  return {
+    status,
+    timestamp: new Date().toISOString(),
+    checks,
+  };
+}
@@ -1,13 +1,25 @@
 import pool from "../db.js";
+import {
+  buildKeysetCondition,
+  finishPage,
+  isCursorFor,
+} from "../utils/pagination.js";
+import { normalizePhoneNumber } from "../utils/phone.js";
 
 /**
  * Messages Service
  *
  * Read-only queries for SMS/message data with tenant isolation.
+ *
+ * Lists are ordered newest first by (sent_at, id) and support offset or
+ * cursor pagination (see utils/pagination.js).
  */
 
 const VALID_DIRECTIONS = ["inbound", "outbound"];
 
+// Sort key carried in message list cursors (see utils/pagination.js)
+const MESSAGES_CURSOR_COLUMN = "sent_at";
+
 function validateFilters(filters = {}) {
   const validated = {};
 
@@ -33,8 +45,24 @@ function validateFilters(filters = {}) {
     }
   }
 
+  // Set by the conversations API (already validated there)
+  if (filters.conversation_id) {
+    validated.conversation_id = filters.conversation_id;
+  }
+
+  // Controllers reject cursors of other lists (MESSAGES_CURSOR_COLUMN)
+  if (isCursorFor(filters.cursor, MESSAGES_CURSOR_COLUMN, "timestamp")) {
+    validated.cursor = filters.cursor;
+  }
+
   validated.limit = Math.min(parseInt(filters.limit) || 50, 100);
-  validated.offset = Math.max(parseInt(filters.offset) || 0, 0);
+  validated.offset = validated.cursor
+    ? 0
+    : Math.max(parseInt(filters.offset) || 0, 0);
+  validated.include_total =
+    filters.include_total === undefined
+      ? !validated.cursor
+      : filters.include_total === true || filters.include_total === "true";
 
   return validated;
 }
@@ -51,15 +79,20 @@ function buildWhereClause(app_id, filters) {
   }
 
   if (filters.from) {
-    conditions.push(`from_number = $${paramIndex}`);
-    params.push(filters.from);
-    paramIndex++;
+    // E.164 match, or exact raw match for numbers that cannot be normalized
+    conditions.push(
+      `(from_number_e164 = $${paramIndex} OR from_number = $${paramIndex + 1})`,
+    );
+    params.push(normalizePhoneNumber(filters.from), filters.from);
+    paramIndex += 2;
   }
 
   if (filters.to) {
-    conditions.push(`to_number = $${paramIndex}`);
-    params.push(filters.to);
-    paramIndex++;
+    conditions.push(
+      `(to_number_e164 = $${paramIndex} OR to_number = $${paramIndex + 1})`,
+    );
+    params.push(normalizePhoneNumber(filters.to), filters.to);
+    paramIndex += 2;
   }
 
   if (filters.dialpad_user_id) {
@@ -68,6 +101,12 @@ function buildWhereClause(app_id, filters) {
     paramIndex++;
   }
 
+  if (filters.conversation_id) {
+    conditions.push(`conversation_id = $${paramIndex}`);
+    params.push(filters.conversation_id);
+    paramIndex++;
+  }
+
   return {
     whereClause: conditions.join(" AND "),
     params,
@@ -82,8 +121,11 @@ function formatMessageRecord(message) {
     direction: message.direction,
     from_number: message.from_number,
     to_number: message.to_number,
+    from_number_e164: message.from_number_e164,
+    to_number_e164: message.to_number_e164,
     text: message.text,
     dialpad_user_id: message.dialpad_user_id,
+    conversation_id: message.conversation_id,
     sent_at: message.sent_at,
     created_at: message.created_at,
   };
@@ -91,44 +133,66 @@ function formatMessageRecord(message) {
 
 export async function listMessages(app_id, filters = {}) {
   const validated = validateFilters(filters);
-  const { whereClause, params, paramIndex } = buildWhereClause(
-    app_id,
-    validated,
-  );
+  const { whereClause, params } = buildWhereClause(app_id, validated);
 
-  const limitParam = `$${paramIndex}`;
-  const offsetParam = `$${paramIndex + 1}`;
-  params.push(validated.limit, validated.offset);
+  let pageWhere = whereClause;
+  const pageParams = [...params];
+
+  if (validated.cursor) {
+    const keyset = buildKeysetCondition({
+      cursor: validated.cursor,
+      column: "sent_at",
+      type: "timestamp",
+      paramIndex: pageParams.length + 1,
+    });
+    pageWhere += ` AND ${keyset.condition}`;
+    pageParams.push(...keyset.params);
+  }
+
+  const limitParam = `$${pageParams.length + 1}`;
+  const offsetParam = `$${pageParams.length + 2}`;
+  pageParams.push(validated.limit + 1, validated.offset);
 
   const result = await pool.query(
     `SELECT
        id, dialpad_message_id, direction, from_number, to_number,
-       text, dialpad_user_id, sent_at, created_at
+       from_number_e164, to_number_e164,
+       text, dialpad_user_id, conversation_id, sent_at, created_at,
+       sent_at::text AS cursor_value
      FROM messages
-     WHERE ${whereClause}
-     ORDER BY sent_at DESC NULLS LAST, created_at DESC
+     WHERE ${pageWhere}
+     ORDER BY sent_at DESC NULLS LAST, id DESC
      LIMIT ${limitParam} OFFSET ${offsetParam}`,
-    params,
+    pageParams,
   );
 
-  const countResult = await pool.query(
-    `SELECT COUNT(*) as total
-     FROM messages
-     WHERE ${whereClause}`,
-    params.slice(0, -2),
-  );
+  const page = finishPage(result.rows, validated.limit, {
+    column: "sent_at",
+    order: "DESC",
+  });
+
+  const pagination = {
+    limit: validated.limit,
+    has_more: page.has_more,
+    next_cursor: page.next_cursor,
+  };
+  if (!validated.cursor) {
+    pagination.offset = validated.offset;
+  }
 
-  const total = parseInt(countResult.rows[0].total, 10);
-  const messages = result.rows.map(formatMessageRecord);
+  if (validated.include_total) {
+    const countResult = await pool.query(
+      `SELECT COUNT(*) as total
+       FROM messages
+       WHERE ${whereClause}`,
+      params,
+    );
+    pagination.total = parseInt(countResult.rows[0].total, 10);
+  }
 
   return {
-    messages,
-    pagination: {
-      limit: validated.limit,
-      offset: validated.offset,
-      total,
-      has_more: validated.offset + validated.limit < total,
-    },
+    messages: page.rows.map(formatMessageRecord),
+    pagination,
   };
 }
 
@@ -136,7 +200,8 @@ export async function getMessageById(app_id, message_id) {
   const result = await pool.query(
     `SELECT
        id, dialpad_message_id, direction, from_number, to_number,
-       text, dialpad_user_id, sent_at, created_at
+       from_number_e164, to_number_e164,
+       text, dialpad_user_id, conversation_id, sent_at, created_at
      FROM messages
      WHERE id = $1 AND app_id = $2
      LIMIT 1`,
@@ -145,3 +210,76 @@ export async function getMessageById(app_id, message_id) {
 
   return result.rowCount > 0 ? formatMessageRecord(result.rows[0]) : null;
 }
+
+/**
+ * Get several messages by UUID (e.g. search hits), in no particular order
+ * @param {string} app_id - Application ID (tenant isolation)
+ * @param {Array<string>} message_ids - Message UUIDs
+ * @returns {Promise<Array<Object>>} - Formatted messages found
+ */
+export async function getMessagesByIds(app_id, message_ids) {
+  if (message_ids.length === 0) return [];
+
+  const result = await pool.query(
+    `SELECT
+       id, dialpad_message_id, direction, from_number, to_number,
+       from_number_e164, to_number_e164,
+       text, dialpad_user_id, conversation_id, sent_at, created_at
+     FROM messages
+     WHERE app_id = $1 AND id = ANY($2::uuid[])`,
+    [app_id, message_ids],
+  );
+
+  return result.rows.map(formatMessageRecord);
+}
+
+/**
+ * Messages to or from a phone number, newest first (contact timeline)
+ * Keyed on (COALESCE(sent_at, created_at), id).
+ *
+ * @param {string} app_id - Application ID (tenant isolation)
+ * @param {Object} phone - { e164, raw } (e164 may be null)
+ * @param {Object} options - { cursor (decoded, optional), limit }
+ * @returns {Promise<Array<Object>>} - Up to limit formatted messages, each with cursor_value
+ */
+export async function listMessagesForNumber(app_id, phone, { cursor, limit }) {
+  const occurredAt = "COALESCE(sent_at, created_at)";
+  const params = [app_id, phone.e164, phone.raw];
+  let keysetCondition = "";
+
+  if (cursor) {
+    const keyset = buildKeysetCondition({
+      cursor,
+      column: occurredAt,
+      type: "timestamp",
+      paramIndex: params.length + 1,
+    });
+    keysetCondition = `AND ${keyset.condition}`;
+    params.push(...keyset.params);
+  }
+
+  params.push(limit);
+
+  const result = await pool.query(
+    `SELECT
+       id, dialpad_message_id, direction, from_number, to_number,
+       from_number_e164, to_number_e164,
+       text, dialpad_user_id, conversation_id, sent_at, created_at,
+       ${occurredAt}::text AS cursor_value
+     FROM messages
+     WHERE app_id = $1
+       AND (from_number_e164 = $2 OR to_number_e164 = $2
+            OR from_number = $3 OR to_number = $3)
+       ${keysetCondition}
+     ORDER BY ${occurredAt} DESC, id DESC
+     LIMIT $${params.length}`,
+    params,
+  );
+
+  return result.rows.map((row) => ({
+    ...formatMessageRecord(row),
+    cursor_value: row.cursor_value,
+  }));
+}
+
+export { MESSAGES_CURSOR_COLUMN };
@@ -0,0 +1,110 @@
+/**
+ * Metrics Service
+ *
+ * Collects point-in-time gauges (queue depth, backlog age, WebSocket
+ * connections, DB pool, process memory) and renders them together with the
+ * counters / histograms recorded by the event processor, in the Prometheus
+ * text format served on /metrics.
+ *
+ * The queue query only touches unprocessed rows; if it fails, the rest of
+ * the metrics are still returned and cti_webhook_queue_scrape_success is 0.
+ */
+
+import pool from "../db.js";
+import { getQueueDepth } from "./dialpadEventProcessor.js";
+import { getConnectionCountsByApp } from "./websocketManager.js";
+import { createGauge, renderMetrics } from "../utils/metrics.js";
+import { logger } from "../utils/logger.js";
+
+const queueDepth = createGauge(
+  "cti_webhook_events_queue_depth",
+  "Unprocessed webhook events by event type and state",
+  ["event_type", "state"],
+);
+const oldestPendingAge = createGauge(
+  "cti_webhook_events_oldest_pending_age_seconds",
+  "Age of the oldest pending (not dead-lettered) webhook event, 0 when empty",
+);
+const queueScrapeSuccess = createGauge(
+  "cti_webhook_queue_scrape_success",
+  "1 if the queue depth query succeeded on this scrape",
+);
+const wsConnections = createGauge(
+  "cti_websocket_connections",
+  "Open WebSocket connections per app",
+  ["app_id"],
+);
+const dbPoolConnections = createGauge(
+  "cti_db_pool_connections",
+  "Database pool clients by state",
+  ["state"],
+);
+const processMemoryBytes = createGauge(
+  "cti_process_memory_bytes",
+  "Process memory usage",
+  ["type"],
+);
+const processUptime = createGauge(
+  "cti_process_uptime_seconds",
+  "Process uptime",
+);
+
+/**
+ * Refresh queue depth gauges from the database
+ */
+async function collectQueueMetrics() {
+  queueDepth.reset();
+
+  try {
+    const rows = await getQueueDepth();
+    let oldest = 0;
+
+    for (const row of rows) {
+      for (const state of ["pending", "retrying", "claimed", "dead_lettered"]) {
+        queueDepth.set({ event_type: row.event_type, state }, row[state]);
+      }
+      if (row.oldest_pending_age_seconds !== null) {
+        oldest = Math.max(oldest, row.oldest_pending_age_seconds);
+      }
+    }
+
+    oldestPendingAge.set({}, oldest);
+    queueScrapeSuccess.set({}, 1);
+  } catch (err) {
+    logger.error("Failed to collect queue metrics", { error: err.message });
+    oldestPendingAge.reset();
+    queueScrapeSuccess.set({}, 0);
+  }
+}
+
+/**
+ * Refresh in-process gauges (WebSocket, DB pool, memory, uptime)
+ */
+function collectProcessMetrics() {
+  wsConnections.reset();
+  for (const [app_id, count] of Object.entries(getConnectionCountsByApp())) {
+    wsConnections.set({ app_id }, count);
+  }
+
+  dbPoolConnections.set({ state: "total" }, pool.totalCount);
+  dbPoolConnections.set({ state: "idle" }, pool.idleCount);
+  dbPoolConnections.set({ state: "waiting" }, pool.waitingCount);
+
+  const memUsage = process.memoryUsage();
+  processMemoryBytes.set({ type: "rss" }, memUsage.rss);
+  processMemoryBytes.set({ type: "heap_used" }, memUsage.heapUsed);
+  processMemoryBytes.set({ type: "heap_total" }, memUsage.heapTotal);
+  processMemoryBytes.set({ type: "external" }, memUsage.external);
+
+  processUptime.set({}, process.uptime());
+}
+
+/**
+ * Collect all metrics and render them for a scrape
+ * @returns {Promise<string>} - Prometheus text exposition
+ */
+export async function collectMetrics() {
+  collectProcessMetrics();
+  await collectQueueMetrics();
+  return renderMetrics();
+}
@@ -0,0 +1,497 @@
+/**
+ * Retention Service
+ *
+ * Enforces per-app retention policies:
+ * - Deletes processed webhook_events older than webhook_events_days
+ * - Clears calls.raw_payload for calls older than raw_payload_days
+ * - Optionally archives the removed data to gzipped NDJSON files on local
+ *   disk (RETENTION_ARCHIVE_DIR) before deleting it
+ *
+ * Apps without a retention_policies row fall back to the RETENTION_* env
+ * defaults; with neither set, nothing is removed. Pending, claimed and
+ * dead-lettered events are never purged.
+ *
+ * The job runs on a scheduler inside the server (startRetentionScheduler)
+ * and can be triggered manually from the internal API. Each run records one
+ * retention_runs row per app with what it removed.
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import zlib from "node:zlib";
+import { Readable } from "node:stream";
+import { pipeline } from "node:stream/promises";
+import pool from "../db.js";
+import { logger } from "../utils/logger.js";
+
+/**
+ * Parse a positive day count from the environment (null when unset/invalid)
+ */
+function parseDays(value) {
+  const days = parseInt(value, 10);
+  return Number.isInteger(days) && days > 0 ? days : null;
+}
+
+// Defaults for apps without their own policy
+const DEFAULT_POLICY = {
+  webhook_events_days: parseDays(process.env.RETENTION_EVENTS_DAYS),
+  raw_payload_days: parseDays(process.env.RETENTION_RAW_PAYLOAD_DAYS),
+  archive_enabled: process.env.RETENTION_ARCHIVE === "true",
+};
+
+const ARCHIVE_DIR = path.resolve(
+  process.env.RETENTION_ARCHIVE_DIR || "archive",
+);
+
+// Rows deleted / archived per statement (and per archive file)
+const BATCH_SIZE = parseInt(process.env.RETENTION_BATCH_SIZE, 10) || 1000;
+
+// Advisory lock so only one server instance runs the job at a time
+const RETENTION_LOCK_KEY = "cti_retention_job";
+
+/**
+ * Get the effective retention policy for an app
+ * @param {string} app_id - UUID of the app
+ * @returns {Promise<Object>} - { app_id, webhook_events_days, raw_payload_days, archive_enabled, source }
+ */
+export async function getRetentionPolicy(app_id) {
+  const result = await pool.query(
+    `SELECT app_id, webhook_events_days, raw_payload_days, archive_enabled,
+            created_at, updated_at
+     FROM retention_policies
+     WHERE app_id = $1`,
+    [app_id],
+  );
+
+  if (result.rows.length === 0) {
+    return { app_id, ...DEFAULT_POLICY, source: "default" };
+  }
+
+  return { ...result.rows[0], source: "app" };
+}
+
+/**
+ * Create or replace an app's retention policy
+ * @param {string} app_id - UUID of the app
+ * @param {Object} policy - { webhook_events_days, raw_payload_days, archive_enabled }
+ *   (days: positive integer, or null to keep forever)
+ * @returns {Promise<Object>} - Stored policy
+ */
+export async function upsertRetentionPolicy(app_id, policy) {
+  const result = await pool.query(
+    `INSERT INTO retention_policies
+       (app_id, webhook_events_days, raw_payload_days, archive_enabled)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (app_id) DO UPDATE
+     SET webhook_events_days = EXCLUDED.webhook_events_days,
+         raw_payload_days = EXCLUDED.raw_payload_days,
+         archive_enabled = EXCLUDED.archive_enabled,
+         updated_at = now()
+     RETURNING app_id, webhook_events_days, raw_payload_days, archive_enabled,
+               created_at, updated_at`,
+    [
+      app_id,
+      policy.webhook_events_days ?? null,
+      policy.raw_payload_days ?? null,
+      Boolean(policy.archive_enabled),
+    ],
+  );
+
+  logger.info("Retention policy updated", {
+    app_id,
+    webhook_events_days: result.rows[0].webhook_events_days,
+    raw_payload_days: result.rows[0].raw_payload_days,
+    archive_enabled: result.rows[0].archive_enabled,
+  });
+
+  return { ...result.rows[0], source: "app" };
+}
+
+/**
+ * Delete an app's retention policy (the app falls back to the env defaults)
+ * @param {string} app_id - UUID of the app
+ * @returns {Promise<boolean>} - True if a policy was deleted
+ */
+export async function deleteRetentionPolicy(app_id) {
+  const result = await pool.query(
+    `DELETE FROM retention_policies WHERE app_id = $1`,
+    [app_id],
+  );
+
+  if (result.rowCount > 0) {
+    logger.info("Retention policy removed", { app_id });
+  }
+
+  return result.rowCount > 0;
+}
+
+/**
+ * List recorded retention runs, most recent first
+ * @param {Object} options - { app_id, limit (default 50, max 100), offset }
+ * @returns {Promise<Object>} - { runs, total, limit, offset }
+ */
+export async function listRetentionRuns(options = {}) {
+  const limit = Math.min(parseInt(options.limit, 10) || 50, 100);
+  const offset = Math.max(parseInt(options.offset, 10) || 0, 0);
+  const params = [];
+  let whereClause = "";
+
+  if (options.app_id) {
+    params.push(options.app_id);
+    whereClause = "WHERE app_id = $1";
+  }
+
+  const [runsResult, countResult] = await Promise.all([
+    pool.query(
+      `SELECT * FROM retention_runs
+       ${whereClause}
+       ORDER BY started_at DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset],
+    ),
+    pool.query(`SELECT COUNT(*) FROM retention_runs ${whereClause}`, params),
+  ]);
+
+  return {
+    runs: runsResult.rows,
+    total: parseInt(countResult.rows[0].count, 10),
+    limit,
+    offset,
+  };
+}
+
+/**
+ * Write rows to a gzipped NDJSON file
+ * Resolves only after the file is fully written, so callers can delete the
+ * source rows afterwards.
+ * @param {string} app_id - UUID of the app (archive subdirectory)
+ * @param {string} prefix - File name prefix (webhook_events, calls_raw_payload)
+ * @param {Array<Object>} rows - Rows to archive
+ * @returns {Promise<string>} - Path of the written file
+ */
+async function writeArchiveFile(app_id, prefix, rows) {
+  const dir = path.join(ARCHIVE_DIR, app_id);
+  await fs.promises.mkdir(dir, { recursive: true });
+
+  const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+  const file = path.join(dir, `${prefix}-${stamp}-${rows.length}.ndjson.gz`);
+
+  await pipeline(
+    Readable.from(rows.map((row) => `${JSON.stringify(row)}\n`)),
+    zlib.createGzip(),
+    fs.createWriteStream(file, { flags: "wx" }),
+  );
+
+  return file;
+}
+
+/**
+ * Purge processed webhook_events older than the policy allows
+ * Adds to report.events_deleted / report.archive_files as each batch
+ * finishes, so a run failing partway still reports what it removed.
+ * @param {Object} report - Per-app report (see applyPolicy)
+ */
+async function purgeWebhookEvents(app_id, days, archive, dryRun, report) {
+  if (dryRun) {
+    const result = await pool.query(
+      `SELECT COUNT(*)::int AS count
+       FROM webhook_events
+       WHERE app_id = $1
+         AND processed_at IS NOT NULL
+         AND processed_at < now() - make_interval(days => $2)`,
+      [app_id, days],
+    );
+    report.events_deleted = result.rows[0].count;
+    return;
+  }
+
+  for (;;) {
+    const batch = await pool.query(
+      `SELECT id, event_type, dialpad_event_id, dialpad_call_id,
+              received_at, processed_at, unhandled_at
+              ${archive ? ", payload, handler_results" : ""}
+       FROM webhook_events
+       WHERE app_id = $1
+         AND processed_at IS NOT NULL
+         AND processed_at < now() - make_interval(days => $2)
+       ORDER BY processed_at
+       LIMIT $3`,
+      [app_id, days, BATCH_SIZE],
+    );
+
+    if (batch.rows.length === 0) break;
+
+    if (archive) {
+      report.archive_files.push(
+        await writeArchiveFile(app_id, "webhook_events", batch.rows),
+      );
+    }
+
+    const result = await pool.query(
+      `DELETE FROM webhook_events WHERE id = ANY($1::uuid[])`,
+      [batch.rows.map((row) => row.id)],
+    );
+    report.events_deleted += result.rowCount;
+
+    if (batch.rows.length < BATCH_SIZE) break;
+  }
+}
+
+/**
+ * Clear calls.raw_payload for calls older than the policy allows
+ * Adds to report.payloads_cleared / report.archive_files batch by batch.
+ * @param {Object} report - Per-app report (see applyPolicy)
+ */
+async function clearRawPayloads(app_id, days, archive, dryRun, report) {
+  if (dryRun) {
+    const result = await pool.query(
+      `SELECT COUNT(*)::int AS count
+       FROM calls
+       WHERE app_id = $1
+         AND raw_payload IS NOT NULL
+         AND created_at < now() - make_interval(days => $2)`,
+      [app_id, days],
+    );
+    report.payloads_cleared = result.rows[0].count;
+    return;
+  }
+
+  for (;;) {
+    const batch = await pool.query(
+      `SELECT id, dialpad_call_id, created_at
+              ${archive ? ", raw_payload" : ""}
+       FROM calls
+       WHERE app_id = $1
+         AND raw_payload IS NOT NULL
+         AND created_at < now() - make_interval(days => $2)
+       ORDER BY created_at
+       LIMIT $3`,
+      [app_id, days, BATCH_SIZE],
+    );
+
+    if (batch.rows.length === 0) break;
+
+    if (archive) {
+      report.archive_files.push(
+        await writeArchiveFile(app_id, "calls_raw_payload", batch.rows),
+      );
+    }
+
+    const result = await pool.query(
+      `UPDATE calls SET raw_payload = NULL WHERE id = ANY($1::uuid[])`,
+      [batch.rows.map((row) => row.id)],
+    );
+    report.payloads_cleared += result.rowCount;
+
+    if (batch.rows.length < BATCH_SIZE) break;
+  }
+}
+
+/**
+ * Load the effective policy of every app that has something to enforce
+ * @param {string} app_id - Restrict to one app (optional)
+ * @returns {Promise<Array<Object>>} - Effective policies
+ */
+async function getEffectivePolicies(app_id) {
+  const params = [];
+  let whereClause = "";
+  if (app_id) {
+    params.push(app_id);
+    whereClause = "WHERE a.id = $1";
+  }
+
+  const result = await pool.query(
+    `SELECT a.id AS app_id,
+            rp.app_id IS NOT NULL AS has_policy,
+            rp.webhook_events_days,
+            rp.raw_payload_days,
+            rp.archive_enabled
+     FROM apps a
+     LEFT JOIN retention_policies rp ON rp.app_id = a.id
+     ${whereClause}`,
+    params,
+  );
+
+  return result.rows
+    .map((row) =>
+      row.has_policy
+        ? {
+            app_id: row.app_id,
+            webhook_events_days: row.webhook_events_days,
+            raw_payload_days: row.raw_payload_days,
+            archive_enabled: row.archive_enabled,
+          }
+        : { app_id: row.app_id, ...DEFAULT_POLICY },
+    )
+    .filter((policy) => policy.webhook_events_days || policy.raw_payload_days);
+}
+
+/**
+ * Apply one app's policy and record the run
+ * @returns {Promise<Object>} - Per-app report
+ */
+async function applyPolicy(policy, dryRun) {
+  const { app_id, webhook_events_days, raw_payload_days } = policy;
+  const archive = Boolean(policy.archive_enabled);
+  const startedAt = new Date();
+  const report = {
+    app_id,
+    webhook_events_days,
+    raw_payload_days,
+    events_deleted: 0,
+    payloads_cleared: 0,
+    archive_files: [],
+    error: null,
+  };
+
+  try {
+    if (webhook_events_days) {
+      await purgeWebhookEvents(
+        app_id,
+        webhook_events_days,
+        archive,
+        dryRun,
+        report,
+      );
+    }
+
+    if (raw_payload_days) {
+      await clearRawPayloads(app_id, raw_payload_days, archive, dryRun, report);
+    }
+  } catch (err) {
+    report.error = err.message;
+    logger.error("Retention failed for app", { app_id, error: err.message });
+  }
+
+  if (!dryRun) {
+    await pool.query(
+      `INSERT INTO retention_runs
+         (app_id, started_at, finished_at, webhook_events_days, raw_payload_days,
+          events_deleted, payloads_cleared, archive_files, error)
+       VALUES ($1, $2, now(), $3, $4, $5, $6, $7, $8)`,
+      [
+        app_id,
+        startedAt,
+        webhook_events_days,
+        raw_payload_days,
+        report.events_deleted,
+        report.payloads_cleared,
+        JSON.stringify(report.archive_files),
+        report.error,
+      ],
+    );
+  }
+
+  return report;
+}
+
+/**
+ * Run the retention job once
+ *
+ * Only one instance runs the job at a time (Postgres advisory lock); when
+ * another instance holds the lock the run is skipped.
+ *
+ * @param {Object} options - Run options
+ * @param {string} options.app_id - Only enforce this app's policy (optional)
+ * @param {boolean} options.dry_run - Count what would be removed, change nothing
+ * @returns {Promise<Object>} - { skipped, dry_run, apps, events_deleted, payloads_cleared }
+ */
+export async function runRetention(options = {}) {
+  const dryRun = Boolean(options.dry_run);
+  const lockClient = await pool.connect();
+
+  try {
+    const lock = await lockClient.query(
+      `SELECT pg_try_advisory_lock(hashtext($1)) AS locked`,
+      [RETENTION_LOCK_KEY],
+    );
+
+    if (!lock.rows[0].locked) {
+      logger.info("Retention run skipped: already running on another instance");
+      return {
+        skipped: true,
+        dry_run: dryRun,
+        apps: [],
+        events_deleted: 0,
+        payloads_cleared: 0,
+      };
+    }
+
+    try {
+      const policies = await getEffectivePolicies(options.app_id);
+      const apps = [];
+
+      for (const policy of policies) {
+        apps.push(await applyPolicy(policy, dryRun));
+      }
+
+      const summary = {
+        skipped: false,
+        dry_run: dryRun,
+        apps,
+        events_deleted: apps.reduce((sum, a) => sum + a.events_deleted, 0),
+        payloads_cleared: apps.reduce((sum, a) => sum + a.payloads_cleared, 0),
+      };
+
+      logger.info("Retention run complete", {
+        dry_run: dryRun,
+        apps: apps.length,
+        events_deleted: summary.events_deleted,
+        payloads_cleared: summary.payloads_cleared,
+        errors: apps.filter((a) => a.error).length,
+      });
+
+      return summary;
+    } finally {
+      await lockClient.query(`SELECT pg_advisory_unlock(hashtext($1))`, [
+        RETENTION_LOCK_KEY,
+      ]);
+    }
+  } finally {
+    lockClient.release();
+  }
+}
+
+/**
+ * Run the retention job on a fixed interval
+ *
+ * The first run happens initialDelayMs after start so it does not compete
+ * with server startup.
+ *
+ * @param {Object} options - Scheduler options
+ * @param {number} options.intervalMs - Time between runs (default: 6 hours)
+ * @param {number} options.initialDelayMs - Delay before the first run (default: 60000)
+ * @returns {Function} - Stop function (returns a Promise that resolves once
+ *   any in-progress run has finished)
+ */
+export function startRetentionScheduler(options = {}) {
+  const { intervalMs = 6 * 60 * 60 * 1000, initialDelayMs = 60000 } = options;
+
+  let isRunning = true;
+  let timer = null;
+  let currentRun = null;
+
+  const run = async () => {
+    if (!isRunning) return;
+
+    currentRun = runRetention().catch((err) => {
+      logger.error("Retention run failed", { error: err.message });
+    });
+    await currentRun;
+    currentRun = null;
+
+    if (isRunning) {
+      timer = setTimeout(run, intervalMs);
+    }
+  };
+
+  timer = setTimeout(run, initialDelayMs);
+
+  return async () => {
+    isRunning = false;
+    clearTimeout(timer);
+    if (currentRun) {
+      await currentRun;
+    }
+  };
+}
@@ -0,0 +1,170 @@
+import pool from "../db.js";
+import { getMessagesByIds } from "./messagesService.js";
+import { getVoicemailsByIds } from "./voicemailService.js";
+
+/**
+ * Search Service
+ * Full-text search over SMS text and voicemail transcripts, ranked with
+ * ts_rank_cd. Uses the generated tsvector columns and GIN indexes of
+ * migration 021; queries use websearch syntax ("quoted phrases", OR, -word).
+ */
+
+// Must match the configuration of the generated tsvector columns
+const SEARCH_CONFIG = "english";
+
+const SEARCH_TYPES = ["message", "voicemail"];
+
+const MAX_QUERY_LENGTH = 200;
+
+// Snippet highlighting: matches are wrapped in <mark>...</mark>
+const HEADLINE_OPTIONS =
+  'StartSel=<mark>, StopSel=</mark>, MaxWords=25, MinWords=8, MaxFragments=2, FragmentDelimiter=" ... "';
+
+/**
+ * SQL HTML-escaping a text expression
+ * Snippets are rendered as HTML (for the <mark> highlights), and the text
+ * comes from anyone who can send an SMS or leave a voicemail. The parser
+ * reads the entities as single tokens, so highlighting is unaffected.
+ * @param {string} expression - Text expression (trusted, not a param)
+ */
+function escapeHtmlSql(expression) {
+  return [
+    ["&", "&amp;"],
+    ["<", "&lt;"],
+    [">", "&gt;"],
+    ['"', "&quot;"],
+    ["''", "&#39;"],
+  ].reduce(
+    (sql, [char, entity]) => `replace(${sql}, '${char}', '${entity}')`,
+    expression,
+  );
+}
+
+/**
+ * Searchable sources: table, search vector and searched text per type
+ */
+const SEARCH_SOURCES = {
+  message: {
+    table: "messages",
+    vector: "text_search",
+    text: "text",
+    occurredAt: "COALESCE(sent_at, created_at)",
+    load: getMessagesByIds,
+  },
+  voicemail: {
+    table: "voicemails",
+    vector: "transcript_search",
+    text: "transcript",
+    occurredAt: "created_at",
+    load: getVoicemailsByIds,
+  },
+};
+
+/**
+ * Validate search options
+ * options.allowed_types limits the types (those the API key can read).
+ * @returns {Object} - { q, types, limit, offset } or { error }
+ */
+export function validateSearchOptions(options = {}) {
+  const q = String(options.q || "").trim();
+  if (!q) {
+    return { error: "q is required" };
+  }
+  if (q.length > MAX_QUERY_LENGTH) {
+    return { error: `q must be at most ${MAX_QUERY_LENGTH} characters` };
+  }
+
+  // Unknown and not allowed types are ignored; none left means all allowed
+  const allowed = options.allowed_types || SEARCH_TYPES;
+  const requested = String(options.types || "")
+    .split(",")
+    .map((type) => type.trim().toLowerCase())
+    .filter((type) => SEARCH_TYPES.includes(type) && allowed.includes(type));
+
+  return {
+    q,
+    types: requested.length > 0 ? [...new Set(requested)] : allowed,
+    limit: Math.min(parseInt(options.limit) || 20, 100),
+    offset: Math.max(parseInt(options.offset) || 0, 0),
+  };
+}
+
+/**
+ * Search messages and voicemail transcripts
+ * Best match first; ties newest first.
+ *
+ * @param {string} app_id - Application ID (tenant isolation)
+ * @param {Object} validated - Output of validateSearchOptions
+ * @returns {Promise<Object>} - { results, pagination }
+ */
+export async function search(app_id, validated) {
+  const branches = validated.types.map((type) => {
+    const source = SEARCH_SOURCES[type];
+    return `SELECT '${type}' AS type, id,
+         ts_rank_cd(${source.vector}, q.query) AS rank,
+         ${source.occurredAt} AS occurred_at,
+         ${source.text} AS body
+       FROM ${source.table}, q
+       WHERE app_id = $1 AND ${source.vector} @@ q.query`;
+  });
+
+  // Headlines are computed for the page only (ts_headline re-parses the text)
+  const result = await pool.query(
+    `WITH q AS (
+       SELECT websearch_to_tsquery('${SEARCH_CONFIG}', $2) AS query
+     ),
+     hits AS (
+       ${branches.join("\n       UNION ALL\n       ")}
+     ),
+     page AS (
+       SELECT * FROM hits
+       ORDER BY rank DESC, occurred_at DESC, id DESC
+       LIMIT $3 OFFSET $4
+     )
+     SELECT page.type, page.id, page.rank, page.occurred_at,
+       ts_headline('${SEARCH_CONFIG}', ${escapeHtmlSql("page.body")}, q.query, $5) AS snippet
+     FROM page, q
+     ORDER BY page.rank DESC, page.occurred_at DESC, page.id DESC`,
+    [
+      app_id,
+      validated.q,
+      validated.limit + 1,
+      validated.offset,
+      HEADLINE_OPTIONS,
+    ],
+  );
+
+  const hasMore = result.rows.length > validated.limit;
+  const hits = result.rows.slice(0, validated.limit);
+
+  // Load the matched records through their services
+  const records = new Map();
+  await Promise.all(
+    validated.types.map(async (type) => {
+      const ids = hits.filter((hit) => hit.type === type).map((hit) => hit.id);
+      for (const record of await SEARCH_SOURCES[type].load(app_id, ids)) {
+        records.set(`${type}:${record.id}`, record);
+      }
+    }),
+  );
+
+  return {
+    results: hits
+      .filter((hit) => records.has(`${hit.type}:${hit.id}`))
+      .map((hit) => ({
+        type: hit.type,
+        id: hit.id,
+        rank: Number(hit.rank),
+        occurred_at: hit.occurred_at,
+        snippet: hit.snippet,
+        data: records.get(`${hit.type}:${hit.id}`),
+      })),
+    pagination: {
+      limit: validated.limit,
+      offset: validated.offset,
+      has_more: hasMore,
+    },
+  };
+}
+
+export { SEARCH_TYPES };
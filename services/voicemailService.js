@@ -6,8 +6,26 @@
  * Integrates with WebSocket broadcasting for real-time updates
  */
 
-import pool from "../db.js";
+import { query } from "../db.js";
 import { broadcastToApp, broadcastToUser } from "./websocketManager.js";
+import {
+  buildKeysetCondition,
+  finishPage,
+  isCursorFor,
+} from "../utils/pagination.js";
+import { normalizePhoneNumber } from "../utils/phone.js";
+
+/**
+ * Columns returned for voicemail records (everything but the search vector)
+ */
+const VOICEMAIL_COLUMNS = `id, app_id, dialpad_call_id, dialpad_user_id,
+  from_number, to_number, from_number_e164, to_number_e164,
+  recording_url, transcript, duration_seconds, created_at, updated_at`;
+
+/**
+ * Sort key carried in voicemail list cursors (see utils/pagination.js)
+ */
+export const VOICEMAILS_CURSOR_COLUMN = "created_at";
 
 /**
  * Create or update a voicemail record
@@ -19,6 +37,8 @@ import { broadcastToApp, broadcastToUser } from "./websocketManager.js";
  * @param {number} voicemailData.dialpad_user_id - Dialpad user ID (recipient)
  * @param {string} voicemailData.from_number - Caller number
  * @param {string} voicemailData.to_number - Recipient number
+ * @param {string} voicemailData.from_number_e164 - Caller number in E.164 (default: normalized from_number)
+ * @param {string} voicemailData.to_number_e164 - Recipient number in E.164 (default: normalized to_number)
  * @param {string} voicemailData.recording_url - URL to voicemail recording
  * @param {string} voicemailData.transcript - Voicemail transcript (optional)
  * @param {number} voicemailData.duration_seconds - Duration in seconds
@@ -30,6 +50,8 @@ export async function upsertVoicemail(app_id, voicemailData) {
     dialpad_user_id,
     from_number,
     to_number,
+    from_number_e164 = normalizePhoneNumber(from_number),
+    to_number_e164 = normalizePhoneNumber(to_number),
     recording_url,
     transcript,
     duration_seconds,
@@ -38,7 +60,7 @@ export async function upsertVoicemail(app_id, voicemailData) {
   try {
     // If dialpad_call_id provided, check if voicemail exists
     if (dialpad_call_id) {
-      const existing = await pool.query(
+      const existing = await query(
         `SELECT id FROM voicemails 
          WHERE app_id = $1 AND dialpad_call_id = $2 LIMIT 1`,
         [app_id, dialpad_call_id],
@@ -46,14 +68,14 @@ export async function upsertVoicemail(app_id, voicemailData) {
 
       if (existing.rowCount > 0) {
         // Update existing
-        const result = await pool.query(
+        const result = await query(
           `UPDATE voicemails SET
              recording_url = $1,
              transcript = $2,
              duration_seconds = $3,
              updated_at = now()
            WHERE app_id = $4 AND dialpad_call_id = $5
-           RETURNING *`,
+           RETURNING ${VOICEMAIL_COLUMNS}`,
           [
             recording_url,
             transcript,
@@ -72,14 +94,14 @@ export async function upsertVoicemail(app_id, voicemailData) {
     // For standalone voicemails (no dialpad_call_id), check for recent duplicates
     // within the last minute to prevent duplicate creations from retries
     if (!dialpad_call_id && dialpad_user_id && from_number) {
-      const recentDuplicate = await pool.query(
+      const recentDuplicate = await query(
         `SELECT id FROM voicemails 
          WHERE app_id = $1 
          AND dialpad_user_id = $2 
-         AND from_number = $3 
+         AND (from_number = $3 OR from_number_e164 = $4)
          AND created_at > now() - interval '1 minute'
          LIMIT 1`,
-        [app_id, dialpad_user_id, from_number],
+        [app_id, dialpad_user_id, from_number, from_number_e164],
       );
 
       if (recentDuplicate.rowCount > 0) {
@@ -91,12 +113,13 @@ export async function upsertVoicemail(app_id, voicemailData) {
     }
 
     // Create new voicemail
-    const result = await pool.query(
+    const result = await query(
       `INSERT INTO voicemails (
         app_id, dialpad_call_id, dialpad_user_id, 
-        from_number, to_number, recording_url, transcript, duration_seconds
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-      RETURNING *`,
+        from_number, to_number, recording_url, transcript, duration_seconds,
+        from_number_e164, to_number_e164
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      RETURNING ${VOICEMAIL_COLUMNS}`,
       [
         app_id,
         dialpad_call_id || null,
@@ -106,6 +129,8 @@ export async function upsertVoicemail(app_id, voicemailData) {
         recording_url,
         transcript || null,
         duration_seconds,
+        from_number_e164,
+        to_number_e164,
       ],
     );
 
@@ -153,8 +178,8 @@ export async function upsertVoicemail(app_id, voicemailData) {
  */
 export async function getVoicemailById(app_id, voicemail_id) {
   try {
-    const result = await pool.query(
-      `SELECT * FROM voicemails WHERE id = $1 AND app_id = $2 LIMIT 1`,
+    const result = await query(
+      `SELECT ${VOICEMAIL_COLUMNS} FROM voicemails WHERE id = $1 AND app_id = $2 LIMIT 1`,
       [voicemail_id, app_id],
     );
     return result.rowCount > 0 ? result.rows[0] : null;
@@ -164,40 +189,104 @@ export async function getVoicemailById(app_id, voicemail_id) {
   }
 }
 
+/**
+ * Get several voicemails by UUID (e.g. search hits), in no particular order
+ * @param {string} app_id - Application ID
+ * @param {Array<string>} voicemail_ids - Voicemail UUIDs
+ * @returns {Promise<Array<object>>} - Voicemail records found
+ */
+export async function getVoicemailsByIds(app_id, voicemail_ids) {
+  if (voicemail_ids.length === 0) return [];
+
+  try {
+    const result = await query(
+      `SELECT ${VOICEMAIL_COLUMNS} FROM voicemails
+       WHERE app_id = $1 AND id = ANY($2::uuid[])`,
+      [app_id, voicemail_ids],
+    );
+    return result.rows;
+  } catch (err) {
+    console.error("[Voicemail] Error fetching voicemails:", err);
+    throw err;
+  }
+}
+
 /**
  * Get all voicemails for an app with pagination
+ * Ordered newest first by (created_at, id). Pass a decoded cursor for
+ * keyset pagination; offset is ignored when a cursor is given.
+ *
  * @param {string} app_id - Application ID
  * @param {object} options - Query options
  * @param {number} options.limit - Result limit (default 50)
  * @param {number} options.offset - Result offset (default 0)
+ * @param {object} options.cursor - Decoded cursor (optional)
+ * @param {boolean} options.include_total - Run the COUNT query (default true without a cursor)
  * @param {number} options.dialpad_user_id - Filter by user ID (optional)
- * @returns {Promise<object>} - { voicemails, total }
+ * @returns {Promise<object>} - { voicemails, total, has_more, next_cursor }
  */
 export async function getVoicemails(app_id, options = {}) {
-  const { limit = 50, offset = 0, dialpad_user_id } = options;
+  const { limit = 50, dialpad_user_id } = options;
+  // The controller rejects cursors of other lists (VOICEMAILS_CURSOR_COLUMN)
+  const cursor = isCursorFor(
+    options.cursor,
+    VOICEMAILS_CURSOR_COLUMN,
+    "timestamp",
+  )
+    ? options.cursor
+    : null;
+  const offset = cursor ? 0 : options.offset || 0;
+  const includeTotal = options.include_total ?? !cursor;
 
   try {
-    let query = `SELECT * FROM voicemails WHERE app_id = $1`;
-    let countQuery = `SELECT COUNT(*) FROM voicemails WHERE app_id = $1`;
-    let params = [app_id];
+    let where = `app_id = $1`;
+    const params = [app_id];
 
     if (dialpad_user_id) {
-      query += ` AND dialpad_user_id = $2`;
-      countQuery += ` AND dialpad_user_id = $2`;
+      where += ` AND dialpad_user_id = $2`;
       params.push(dialpad_user_id);
     }
 
-    query += ` ORDER BY created_at DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`;
-    params.push(limit, offset);
+    let pageWhere = where;
+    const pageParams = [...params];
+
+    if (cursor) {
+      const keyset = buildKeysetCondition({
+        cursor,
+        column: "created_at",
+        type: "timestamp",
+        paramIndex: pageParams.length + 1,
+      });
+      pageWhere += ` AND ${keyset.condition}`;
+      pageParams.push(...keyset.params);
+    }
+
+    pageParams.push(limit + 1, offset);
 
     const [voicemailsResult, countResult] = await Promise.all([
-      pool.query(query, params),
-      pool.query(countQuery, params.slice(0, -2)),
+      query(
+        `SELECT ${VOICEMAIL_COLUMNS}, created_at::text AS cursor_value
+         FROM voicemails
+         WHERE ${pageWhere}
+         ORDER BY created_at DESC, id DESC
+         LIMIT $${pageParams.length - 1} OFFSET $${pageParams.length}`,
+        pageParams,
+      ),
+      includeTotal
+        ? query(`SELECT COUNT(*) FROM voicemails WHERE ${where}`, params)
+        : null,
     ]);
 
+    const page = finishPage(voicemailsResult.rows, limit, {
+      column: "created_at",
+      order: "DESC",
+    });
+
     return {
-      voicemails: voicemailsResult.rows,
-      total: parseInt(countResult.rows[0].count, 10),
+      voicemails: page.rows.map(({ cursor_value, ...voicemail }) => voicemail),
+      total: countResult ? parseInt(countResult.rows[0].count, 10) : null,
+      has_more: page.has_more,
+      next_cursor: page.next_cursor,
     };
   } catch (err) {
     console.error("[Voicemail] Error fetching voicemails:", err);
@@ -205,6 +294,52 @@ export async function getVoicemails(app_id, options = {}) {
   }
 }
 
+/**
+ * Get voicemails from or to a phone number, newest first (contact timeline)
+ * Keyed on (created_at, id).
+ *
+ * @param {string} app_id - Application ID
+ * @param {object} phone - { e164, raw } (e164 may be null)
+ * @param {object} options - { cursor (decoded, optional), limit }
+ * @returns {Promise<Array<object>>} - Up to limit voicemails, each with cursor_value
+ */
+export async function getVoicemailsForNumber(app_id, phone, { cursor, limit }) {
+  try {
+    const params = [app_id, phone.e164, phone.raw];
+    let keysetCondition = "";
+
+    if (cursor) {
+      const keyset = buildKeysetCondition({
+        cursor,
+        column: "created_at",
+        type: "timestamp",
+        paramIndex: params.length + 1,
+      });
+      keysetCondition = `AND ${keyset.condition}`;
+      params.push(...keyset.params);
+    }
+
+    params.push(limit);
+
+    const result = await query(
+      `SELECT ${VOICEMAIL_COLUMNS}, created_at::text AS cursor_value
+       FROM voicemails
+       WHERE app_id = $1
+         AND (from_number_e164 = $2 OR to_number_e164 = $2
+              OR from_number = $3 OR to_number = $3)
+         ${keysetCondition}
+       ORDER BY created_at DESC, id DESC
+       LIMIT $${params.length}`,
+      params,
+    );
+
+    return result.rows;
+  } catch (err) {
+    console.error("[Voicemail] Error fetching voicemails for number:", err);
+    throw err;
+  }
+}
+
 /**
  * Link voicemail to a call (if voicemail was left on unanswered call)
  * @param {string} app_id - Application ID
@@ -218,7 +353,7 @@ export async function linkVoicemailToCall(
   voicemail_id,
 ) {
   try {
-    await pool.query(
+    await query(
       `UPDATE voicemails SET dialpad_call_id = $1 
        WHERE id = $2 AND app_id = $3`,
       [dialpad_call_id, voicemail_id, app_id],
@@ -240,7 +375,7 @@ export async function linkVoicemailToCall(
  */
 export async function deleteVoicemail(app_id, voicemail_id) {
   try {
-    const result = await pool.query(
+    const result = await query(
       `DELETE FROM voicemails WHERE id = $1 AND app_id = $2 RETURNING id`,
       [voicemail_id, app_id],
     );
@@ -0,0 +1,301 @@
+/**
+ * Webhook Events Service
+ *
+ * Administrative queries over the webhook_events processing queue:
+ * - Inspecting individual events (payload, attempts, last error)
+ * - Listing the dead-letter queue
+ * - Requeueing dead-lettered events for another round of attempts
+ * - Discarding dead-lettered events that should never be processed
+ * - Listing and requeueing events no handler was registered for
+ *
+ * Used by internal (admin) endpoints only. The processing loop itself lives
+ * in dialpadEventProcessor.js.
+ */
+
+import pool from "../db.js";
+import { logger } from "../utils/logger.js";
+
+/**
+ * Columns returned for event listings (payload omitted to keep lists small)
+ */
+const EVENT_SUMMARY_COLUMNS = `id, app_id, event_type, dialpad_event_id,
+  received_at, processed_at, attempts, last_error, next_attempt_at,
+  dead_lettered_at, claimed_by, claimed_at, dialpad_call_id, event_timestamp,
+  handler_results, unhandled_at`;
+
+/**
+ * Build WHERE conditions shared by list and bulk requeue queries
+ * @param {string} baseCondition - State condition (dead-lettered, unhandled)
+ * @param {Object} filters - { app_id, event_type }
+ * @returns {Object} - { conditions, params }
+ */
+function buildStateFilters(baseCondition, filters = {}) {
+  const conditions = [baseCondition];
+  const params = [];
+
+  if (filters.app_id) {
+    params.push(filters.app_id);
+    conditions.push(`app_id = $${params.length}`);
+  }
+
+  if (filters.event_type) {
+    params.push(filters.event_type);
+    conditions.push(`event_type = $${params.length}`);
+  }
+
+  return { conditions, params };
+}
+
+/**
+ * List dead-lettered events, most recently dead-lettered first
+ * @param {Object} options - Query options
+ * @param {string} options.app_id - Filter by app (optional)
+ * @param {string} options.event_type - Filter by event type (optional)
+ * @param {number} options.limit - Result limit (default 50, max 100)
+ * @param {number} options.offset - Result offset (default 0)
+ * @returns {Promise<Object>} - { events, total }
+ */
+export async function listDeadLetteredEvents(options = {}) {
+  const limit = Math.min(parseInt(options.limit, 10) || 50, 100);
+  const offset = Math.max(parseInt(options.offset, 10) || 0, 0);
+  const { conditions, params } = buildStateFilters(
+    "dead_lettered_at IS NOT NULL",
+    options,
+  );
+  const whereClause = conditions.join(" AND ");
+
+  try {
+    const [eventsResult, countResult] = await Promise.all([
+      pool.query(
+        `SELECT ${EVENT_SUMMARY_COLUMNS}
+         FROM webhook_events
+         WHERE ${whereClause}
+         ORDER BY dead_lettered_at DESC
+         LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, offset],
+      ),
+      pool.query(
+        `SELECT COUNT(*) FROM webhook_events WHERE ${whereClause}`,
+        params,
+      ),
+    ]);
+
+    return {
+      events: eventsResult.rows,
+      total: parseInt(countResult.rows[0].count, 10),
+      limit,
+      offset,
+    };
+  } catch (err) {
+    logger.error("Failed to list dead-lettered events", {
+      error: err.message,
+    });
+    throw err;
+  }
+}
+
+/**
+ * Get a single webhook event including its full payload
+ * @param {string} event_id - UUID of the webhook_event
+ * @returns {Promise<Object|null>} - Event row or null
+ */
+export async function getWebhookEventById(event_id) {
+  try {
+    const result = await pool.query(
+      `SELECT ${EVENT_SUMMARY_COLUMNS}, payload
+       FROM webhook_events
+       WHERE id = $1
+       LIMIT 1`,
+      [event_id],
+    );
+    return result.rows[0] || null;
+  } catch (err) {
+    logger.error("Failed to retrieve webhook event", {
+      error: err.message,
+      event_id,
+    });
+    throw err;
+  }
+}
+
+/**
+ * Requeue a dead-lettered event
+ * Clears the dead-letter state and resets attempts so the processor picks it
+ * up on its next run. last_error is kept for reference until the next attempt.
+ * @param {string} event_id - UUID of the webhook_event
+ * @returns {Promise<Object|null>} - Updated event, or null if not dead-lettered
+ */
+export async function requeueDeadLetteredEvent(event_id) {
+  try {
+    const result = await pool.query(
+      `UPDATE webhook_events
+       SET dead_lettered_at = NULL,
+           next_attempt_at = NULL,
+           attempts = 0
+       WHERE id = $1 AND dead_lettered_at IS NOT NULL
+       RETURNING ${EVENT_SUMMARY_COLUMNS}`,
+      [event_id],
+    );
+
+    if (result.rowCount > 0) {
+      logger.info("Dead-lettered event requeued", { event_id });
+    }
+
+    return result.rows[0] || null;
+  } catch (err) {
+    logger.error("Failed to requeue event", { error: err.message, event_id });
+    throw err;
+  }
+}
+
+/**
+ * Requeue all dead-lettered events matching the filters
+ * @param {Object} filters - { app_id, event_type } (both optional)
+ * @returns {Promise<number>} - Number of events requeued
+ */
+export async function requeueDeadLetteredEvents(filters = {}) {
+  const { conditions, params } = buildStateFilters(
+    "dead_lettered_at IS NOT NULL",
+    filters,
+  );
+
+  try {
+    const result = await pool.query(
+      `UPDATE webhook_events
+       SET dead_lettered_at = NULL,
+           next_attempt_at = NULL,
+           attempts = 0
+       WHERE ${conditions.join(" AND ")}`,
+      params,
+    );
+
+    logger.info("Dead-lettered events requeued", {
+      count: result.rowCount,
+      app_id: filters.app_id || null,
+      event_type: filters.event_type || null,
+    });
+
+    return result.rowCount;
+  } catch (err) {
+    logger.error("Failed to requeue events", { error: err.message });
+    throw err;
+  }
+}
+
+/**
+ * Discard (permanently delete) a dead-lettered event
+ * Only dead-lettered events can be discarded; pending events must be left
+ * to the processor.
+ * @param {string} event_id - UUID of the webhook_event
+ * @returns {Promise<boolean>} - True if deleted
+ */
+export async function discardDeadLetteredEvent(event_id) {
+  try {
+    const result = await pool.query(
+      `DELETE FROM webhook_events
+       WHERE id = $1 AND dead_lettered_at IS NOT NULL`,
+      [event_id],
+    );
+
+    if (result.rowCount > 0) {
+      logger.info("Dead-lettered event discarded", { event_id });
+    }
+
+    return result.rowCount > 0;
+  } catch (err) {
+    logger.error("Failed to discard event", { error: err.message, event_id });
+    throw err;
+  }
+}
+
+/**
+ * List events that no handler was registered for
+ * Also returns a per-event_type summary so unknown Dialpad event types
+ * are easy to spot.
+ * @param {Object} options - Query options
+ * @param {string} options.app_id - Filter by app (optional)
+ * @param {string} options.event_type - Filter by event type (optional)
+ * @param {number} options.limit - Result limit (default 50, max 100)
+ * @param {number} options.offset - Result offset (default 0)
+ * @returns {Promise<Object>} - { events, summary, total, limit, offset }
+ */
+export async function listUnhandledEvents(options = {}) {
+  const limit = Math.min(parseInt(options.limit, 10) || 50, 100);
+  const offset = Math.max(parseInt(options.offset, 10) || 0, 0);
+  const { conditions, params } = buildStateFilters(
+    "unhandled_at IS NOT NULL",
+    options,
+  );
+  const whereClause = conditions.join(" AND ");
+
+  try {
+    const [eventsResult, summaryResult] = await Promise.all([
+      pool.query(
+        `SELECT ${EVENT_SUMMARY_COLUMNS}
+         FROM webhook_events
+         WHERE ${whereClause}
+         ORDER BY unhandled_at DESC
+         LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, offset],
+      ),
+      pool.query(
+        `SELECT event_type, COUNT(*)::int AS count, MAX(unhandled_at) AS last_seen_at
+         FROM webhook_events
+         WHERE ${whereClause}
+         GROUP BY event_type
+         ORDER BY count DESC`,
+        params,
+      ),
+    ]);
+
+    const total = summaryResult.rows.reduce((sum, row) => sum + row.count, 0);
+
+    return {
+      events: eventsResult.rows,
+      summary: summaryResult.rows,
+      total,
+      limit,
+      offset,
+    };
+  } catch (err) {
+    logger.error("Failed to list unhandled events", { error: err.message });
+    throw err;
+  }
+}
+
+/**
+ * Requeue unhandled events (e.g. after registering a handler for them)
+ * Clears processed_at / unhandled_at so the processor picks them up again.
+ * @param {Object} filters - { app_id, event_type } (both optional)
+ * @returns {Promise<number>} - Number of events requeued
+ */
+export async function requeueUnhandledEvents(filters = {}) {
+  const { conditions, params } = buildStateFilters(
+    "unhandled_at IS NOT NULL",
+    filters,
+  );
+
+  try {
+    const result = await pool.query(
+      `UPDATE webhook_events
+       SET processed_at = NULL,
+           unhandled_at = NULL,
+           handler_results = '{}'::jsonb,
+           next_attempt_at = NULL,
+           attempts = 0
+       WHERE ${conditions.join(" AND ")}`,
+      params,
+    );
+
+    logger.info("Unhandled events requeued", {
+      count: result.rowCount,
+      app_id: filters.app_id || null,
+      event_type: filters.event_type || null,
+    });
+
+    return result.rowCount;
+  } catch (err) {
+    logger.error("Failed to requeue unhandled events", { error: err.message });
+    throw err;
+  }
+}
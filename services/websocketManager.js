@@ -3,14 +3,20 @@
  *
  * Features:
  * - Per-app isolated rooms/channels
- * - Authentication via x-app-api-key
+ * - Authentication via single-use ticket (?ticket=, from POST /api/ws/ticket)
+ *   or x-app-api-key header; both need scope ws:connect
+ * - Tickets with a crm_user_id open a user connection, which only receives
+ *   events targeted at that CRM user (broadcastToUser)
  * - Event broadcasting for call and voicemail lifecycle
  * - Graceful disconnect handling
  * - Per-connection event emitter
  */
 
-import { WebSocketServer } from "ws";
+import { WebSocket, WebSocketServer } from "ws";
 import pool from "../db.js";
+import { authenticateApiKey, hasScope } from "./apiKeyService.js";
+import { redeemTicket } from "./wsTicketService.js";
+import { getContext } from "../utils/executionContext.js";
 
 // In-memory store of active connections per app
 const appConnections = new Map(); // Map<app_id, Set<WebSocket>>
@@ -35,38 +41,54 @@ export function initializeWebSocketServer(httpServer) {
     }
 
     try {
-      // Extract and validate API key from query params or headers
-      const urlParams = new URL(request.url, `http://${request.headers.host}`);
-      const apiKey =
-        urlParams.searchParams.get("api_key") ||
-        request.headers["x-app-api-key"];
+      const url = new URL(request.url, `http://${request.headers.host}`);
+      const ticket = url.searchParams.get("ticket");
+      const apiKey = request.headers["x-app-api-key"];
 
-      if (!apiKey) {
+      // Keys in the query string end up in access logs; browsers use tickets
+      if (url.searchParams.has("api_key")) {
+        console.warn("[WS] Rejected API key in query string - use a ticket");
         socket.write("HTTP/1.1 401 Unauthorized\r\n\r\n");
         socket.destroy();
         return;
       }
 
-      // Validate API key and get app_id
-      const appResult = await pool.query(
-        "SELECT id, name, is_active FROM apps WHERE api_key = $1 LIMIT 1",
-        [apiKey],
-      );
+      let identity = null;
 
-      if (appResult.rowCount === 0 || !appResult.rows[0].is_active) {
-        socket.write("HTTP/1.1 403 Forbidden\r\n\r\n");
+      if (ticket) {
+        // Single-use ticket from POST /api/ws/ticket (browser clients)
+        identity = await redeemTicket(ticket);
+      } else if (apiKey) {
+        // Server-side clients can send the key as a header
+        const apiKeyIdentity = await authenticateApiKey(apiKey, {
+          ip: request.socket.remoteAddress,
+        });
+
+        if (apiKeyIdentity && !hasScope(apiKeyIdentity, "ws:connect")) {
+          socket.write("HTTP/1.1 403 Forbidden\r\n\r\n");
+          socket.destroy();
+          return;
+        }
+
+        identity = apiKeyIdentity && { ...apiKeyIdentity, crm_user_id: null };
+      }
+
+      if (!identity) {
+        socket.write("HTTP/1.1 401 Unauthorized\r\n\r\n");
         socket.destroy();
         return;
       }
 
-      const app_id = appResult.rows[0].id;
+      const app_id = identity.app_id;
 
       // Complete WebSocket handshake with error handling
       wss.handleUpgrade(request, socket, head, (ws) => {
         try {
           // Attach app_id to WebSocket object
           ws.app_id = app_id;
-          ws.app_name = appResult.rows[0].name;
+          ws.app_name = identity.app_name;
+          ws.api_key_id = identity.api_key_id;
+          ws.crm_user_id = identity.crm_user_id;
           ws.isAlive = true;
 
           // Add to app's connection set
@@ -76,7 +98,7 @@ export function initializeWebSocketServer(httpServer) {
           appConnections.get(app_id).add(ws);
 
           console.log(
-            `[WS] App "${ws.app_name}" (${app_id}) connected. Total connections: ${appConnections.get(app_id).size}`,
+            `[WS] App "${ws.app_name}" (${app_id}) connected${ws.crm_user_id ? ` as CRM user ${ws.crm_user_id}` : ""}. Total connections: ${appConnections.get(app_id).size}`,
           );
 
           // Handle incoming messages (echo back or reserved for future use)
@@ -147,11 +169,12 @@ export function initializeWebSocketServer(httpServer) {
 }
 
 /**
- * Broadcast an event to all WebSocket clients connected to an app
+ * Send an event to the app's connections that pass a filter
  * @param {string} app_id - Application ID
- * @param {object} eventPayload - Event data to broadcast
+ * @param {object} eventPayload - Event data
+ * @param {Function} accepts - (ws) => whether the connection gets the event
  */
-export function broadcastToApp(app_id, eventPayload) {
+function sendToConnections(app_id, eventPayload, accepts) {
   const connections = appConnections.get(app_id);
 
   if (!connections || connections.size === 0) {
@@ -164,7 +187,7 @@ export function broadcastToApp(app_id, eventPayload) {
   let failureCount = 0;
 
   connections.forEach((ws) => {
-    if (ws.readyState === WebSocket.OPEN) {
+    if (ws.readyState === WebSocket.OPEN && accepts(ws)) {
       ws.send(message, (err) => {
         if (err) {
           console.error(`[WS] Send error to ${app_id}:`, err.message);
@@ -188,13 +211,35 @@ export function broadcastToApp(app_id, eventPayload) {
   }
 }
 
+/**
+ * Broadcast an event to all app-wide WebSocket clients of an app
+ * Connections opened with a CRM user's ticket are skipped: app-wide events
+ * are about every user's calls and messages. They get broadcastToUser events.
+ * @param {string} app_id - Application ID
+ * @param {object} eventPayload - Event data to broadcast
+ */
+export function broadcastToApp(app_id, eventPayload) {
+  // Replays re-apply historical events; never push them to live clients
+  if (getContext().suppressBroadcasts) {
+    return;
+  }
+
+  sendToConnections(app_id, eventPayload, (ws) => !ws.crm_user_id);
+}
+
 /**
  * Broadcast event to specific user within an app (if mapping exists)
+ * App-wide clients get it with target_crm_user set; connections of that CRM
+ * user get it too. Without a mapping it goes to app-wide clients only.
  * @param {string} app_id - Application ID
  * @param {number} dialpad_user_id - Dialpad user ID
  * @param {object} eventPayload - Event data
  */
 export async function broadcastToUser(app_id, dialpad_user_id, eventPayload) {
+  if (getContext().suppressBroadcasts) {
+    return;
+  }
+
   try {
     // Get the CRM user ID from mapping
     const mappingResult = await pool.query(
@@ -210,16 +255,18 @@ export async function broadcastToUser(app_id, dialpad_user_id, eventPayload) {
       return;
     }
 
-    const crm_user_id = mappingResult.rows[0].crm_user_id;
+    const crm_user_id = String(mappingResult.rows[0].crm_user_id);
 
-    // For now, broadcast to entire app (filtering by user could be done client-side)
-    // In the future, you could implement per-user message delivery with metadata
     const enrichedPayload = {
       ...eventPayload,
       target_crm_user: crm_user_id,
     };
 
-    broadcastToApp(app_id, enrichedPayload);
+    sendToConnections(
+      app_id,
+      enrichedPayload,
+      (ws) => !ws.crm_user_id || ws.crm_user_id === crm_user_id,
+    );
   } catch (err) {
     console.error("[WS] Error in broadcastToUser:", err);
     // Fallback to app broadcast
@@ -237,6 +284,18 @@ export function getAppConnectionCount(app_id) {
   return connections ? connections.size : 0;
 }
 
+/**
+ * Get connection counts for every app with open connections (for monitoring)
+ * @returns {Object} - { [app_id]: count }
+ */
+export function getConnectionCountsByApp() {
+  const counts = {};
+  appConnections.forEach((connections, app_id) => {
+    counts[app_id] = connections.size;
+  });
+  return counts;
+}
+
 /**
  * Get total connection count across all apps
  * @returns {number} - Total active connections
@@ -0,0 +1,195 @@
+import crypto from "node:crypto";
+import pool from "../db.js";
+import { logger } from "../utils/logger.js";
+import { readIntEnv } from "../utils/env.js";
+
+/**
+ * WebSocket Ticket Service
+ * Issues and redeems short-lived, single-use tickets for /ws connections,
+ * so browser clients never hold the app's API key.
+ *
+ * A ticket is `<payload>.<signature>`: the base64url JSON payload
+ * { tid, app_id, api_key_id, crm_user_id, exp } and its HMAC-SHA256 under
+ * WS_TICKET_SECRET. Redeeming checks the signature and expiry, that the
+ * issuing key is still usable with ws:connect, and records the ticket id in
+ * ws_ticket_redemptions so it opens at most one connection.
+ *
+ * Without WS_TICKET_SECRET a random per-process secret is used: tickets
+ * then only work on the instance that issued them.
+ */
+
+const TICKET_TTL_SECONDS = readIntEnv("WS_TICKET_TTL_SECONDS", 30, {
+  min: 1,
+});
+
+const MAX_CRM_USER_ID_LENGTH = 255;
+
+// Redemptions are kept this long past expiry (clock skew between instances)
+const PURGE_AFTER_SECONDS = 60;
+
+let ticketSecret = process.env.WS_TICKET_SECRET;
+if (!ticketSecret) {
+  ticketSecret = crypto.randomBytes(32).toString("hex");
+  logger.warn(
+    "WS_TICKET_SECRET is not set - WebSocket tickets only work on the instance that issued them",
+  );
+}
+
+function sign(encodedPayload) {
+  return crypto
+    .createHmac("sha256", ticketSecret)
+    .update(encodedPayload)
+    .digest("base64url");
+}
+
+/**
+ * Validate the ticket request body
+ * @param {Object} input - { crm_user_id (optional) }
+ * @returns {Object} - { crm_user_id } or { error }
+ */
+export function validateTicketInput(input = {}) {
+  if (input.crm_user_id === undefined || input.crm_user_id === null) {
+    return { crm_user_id: null };
+  }
+
+  if (
+    typeof input.crm_user_id !== "string" &&
+    typeof input.crm_user_id !== "number"
+  ) {
+    return { error: "crm_user_id must be a string" };
+  }
+
+  const crm_user_id = String(input.crm_user_id).trim();
+  if (!crm_user_id || crm_user_id.length > MAX_CRM_USER_ID_LENGTH) {
+    return {
+      error: `crm_user_id must be 1-${MAX_CRM_USER_ID_LENGTH} characters`,
+    };
+  }
+
+  return { crm_user_id };
+}
+
+/**
+ * Issue a ticket for an authenticated API key
+ * @param {Object} options - { app_id, api_key_id, crm_user_id }
+ * @returns {Object} - { ticket, expires_at }
+ */
+export function issueTicket({ app_id, api_key_id, crm_user_id = null }) {
+  const exp = Math.floor(Date.now() / 1000) + TICKET_TTL_SECONDS;
+  const payload = Buffer.from(
+    JSON.stringify({
+      tid: crypto.randomUUID(),
+      app_id,
+      api_key_id,
+      crm_user_id,
+      exp,
+    }),
+  ).toString("base64url");
+
+  return {
+    ticket: `${payload}.${sign(payload)}`,
+    expires_at: new Date(exp * 1000),
+  };
+}
+
+/**
+ * Check a ticket's signature and expiry (no database access)
+ * @param {string} ticket - Ticket from the client
+ * @returns {Object|null} - Payload, or null if invalid or expired
+ */
+export function verifyTicket(ticket) {
+  if (typeof ticket !== "string") return null;
+
+  const [payload, signature, ...rest] = ticket.split(".");
+  if (!payload || !signature || rest.length > 0) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (
+    expected.length !== actual.length ||
+    !crypto.timingSafeEqual(expected, actual)
+  ) {
+    return null;
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+  } catch {
+    return null;
+  }
+
+  if (
+    !claims ||
+    !claims.tid ||
+    !claims.app_id ||
+    !Number.isInteger(claims.exp) ||
+    claims.exp <= Date.now() / 1000
+  ) {
+    return null;
+  }
+
+  return claims;
+}
+
+/**
+ * Redeem a ticket (single use)
+ * Fails if the ticket is invalid, expired or already used, or if its API
+ * key was revoked, expired or lost ws:connect since it was issued.
+ *
+ * @param {string} ticket - Ticket from the client
+ * @returns {Promise<Object|null>} - { app_id, app_name, api_key_id, crm_user_id }, or null
+ */
+export async function redeemTicket(ticket) {
+  const claims = verifyTicket(ticket);
+  if (!claims) return null;
+
+  const result = await pool.query(
+    `WITH purged AS (
+       DELETE FROM ws_ticket_redemptions
+       WHERE expires_at < now() - make_interval(secs => $5)
+     ),
+     usable_key AS (
+       SELECT k.app_id, a.name AS app_name
+       FROM api_keys k
+       JOIN apps a ON a.id = k.app_id
+       WHERE k.id = $3 AND k.app_id = $2
+         AND k.revoked_at IS NULL
+         AND (k.expires_at IS NULL OR k.expires_at > now())
+         AND (k.grace_expires_at IS NULL OR k.grace_expires_at > now())
+         AND 'ws:connect' = ANY(k.scopes)
+         AND a.is_active = true
+     ),
+     redeemed AS (
+       INSERT INTO ws_ticket_redemptions (ticket_id, app_id, expires_at)
+       SELECT $1, app_id, to_timestamp($4)
+       FROM usable_key
+       ON CONFLICT (ticket_id) DO NOTHING
+       RETURNING ticket_id
+     )
+     SELECT usable_key.app_name
+     FROM usable_key, redeemed`,
+    [
+      claims.tid,
+      claims.app_id,
+      claims.api_key_id,
+      claims.exp,
+      PURGE_AFTER_SECONDS,
+    ],
+  );
+
+  if (result.rowCount === 0) {
+    logger.warn("WebSocket ticket rejected - already used or key unusable", {
+      app_id: claims.app_id,
+      api_key_id: claims.api_key_id,
+    });
+    return null;
+  }
+
+  return {
+    app_id: claims.app_id,
+    app_name: result.rows[0].app_name,
+    api_key_id: claims.api_key_id,
+    crm_user_id: claims.crm_user_id ?? null,
+  };
+}
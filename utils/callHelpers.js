@@ -5,14 +5,24 @@
  * - Call direction normalization
  * - Status transition validation
  * - Payload sanitization
+ * - Event ordering keys (call id + Dialpad event timestamp)
+ * - Webhook idempotency keys
+ * - Call outcome classification (missed, abandoned, rejected, ...)
+ * - Ring / talk / hold durations from the status history
  */
 
+import crypto from "node:crypto";
+
 /**
  * Valid call status values
  */
 const CALL_STATUSES = {
   RINGING: "ringing",
+  QUEUED: "queued",
   ACTIVE: "active",
+  HOLD: "hold",
+  TRANSFERRING: "transferring",
+  PARKED: "parked",
   ENDED: "ended",
   MISSED: "missed",
   REJECTED: "rejected",
@@ -22,22 +32,151 @@ const CALL_STATUSES = {
 /**
  * Valid status transitions matrix
  * Maps current status -> allowed next statuses
+ *
+ * hold / transferring / parked are mid-call states: the call is still live
+ * and returns to active (unhold, transfer answered, unpark) or ends.
  */
 const STATUS_TRANSITIONS = {
   [CALL_STATUSES.RINGING]: [
     CALL_STATUSES.ACTIVE,
+    CALL_STATUSES.QUEUED,
+    CALL_STATUSES.TRANSFERRING,
     CALL_STATUSES.ENDED,
     CALL_STATUSES.MISSED,
     CALL_STATUSES.REJECTED,
     CALL_STATUSES.VOICEMAIL,
   ],
-  [CALL_STATUSES.ACTIVE]: [CALL_STATUSES.ENDED, CALL_STATUSES.VOICEMAIL],
+  [CALL_STATUSES.QUEUED]: [
+    CALL_STATUSES.RINGING,
+    CALL_STATUSES.ACTIVE,
+    CALL_STATUSES.TRANSFERRING,
+    CALL_STATUSES.ENDED,
+    CALL_STATUSES.MISSED,
+    CALL_STATUSES.VOICEMAIL,
+  ],
+  [CALL_STATUSES.ACTIVE]: [
+    CALL_STATUSES.HOLD,
+    CALL_STATUSES.TRANSFERRING,
+    CALL_STATUSES.PARKED,
+    CALL_STATUSES.ENDED,
+    CALL_STATUSES.VOICEMAIL,
+  ],
+  [CALL_STATUSES.HOLD]: [
+    CALL_STATUSES.ACTIVE,
+    CALL_STATUSES.TRANSFERRING,
+    CALL_STATUSES.PARKED,
+    CALL_STATUSES.ENDED,
+  ],
+  [CALL_STATUSES.TRANSFERRING]: [
+    CALL_STATUSES.RINGING,
+    CALL_STATUSES.QUEUED,
+    CALL_STATUSES.ACTIVE,
+    CALL_STATUSES.HOLD,
+    CALL_STATUSES.ENDED,
+    CALL_STATUSES.MISSED,
+    CALL_STATUSES.VOICEMAIL,
+  ],
+  [CALL_STATUSES.PARKED]: [
+    CALL_STATUSES.ACTIVE,
+    CALL_STATUSES.HOLD,
+    CALL_STATUSES.ENDED,
+  ],
   [CALL_STATUSES.ENDED]: [], // Terminal state
   [CALL_STATUSES.MISSED]: [], // Terminal state
   [CALL_STATUSES.REJECTED]: [], // Terminal state
   [CALL_STATUSES.VOICEMAIL]: [], // Terminal state
 };
 
+/**
+ * Statuses of a finished call (no outgoing transitions)
+ */
+const TERMINAL_CALL_STATUSES = Object.keys(STATUS_TRANSITIONS).filter(
+  (status) => STATUS_TRANSITIONS[status].length === 0,
+);
+
+/**
+ * Statuses of a call that has not finished yet (ringing, queued, active and
+ * the mid-call states). Used by the active calls query.
+ */
+const IN_PROGRESS_CALL_STATUSES = [
+  CALL_STATUSES.RINGING,
+  CALL_STATUSES.QUEUED,
+  CALL_STATUSES.ACTIVE,
+  CALL_STATUSES.HOLD,
+  CALL_STATUSES.TRANSFERRING,
+  CALL_STATUSES.PARKED,
+];
+
+/**
+ * Statuses that mean the call was answered (transferring is excluded: a
+ * call can be transferred before anyone picks up)
+ */
+const ANSWERED_CALL_STATUSES = [
+  CALL_STATUSES.ACTIVE,
+  CALL_STATUSES.HOLD,
+  CALL_STATUSES.PARKED,
+];
+
+/**
+ * How an ended call turned out (calls.outcome)
+ * - answered: connected on this leg
+ * - answered_elsewhere: another leg of the same inbound call (group / call
+ *   center ring) was answered
+ * - missed: inbound, rang out without being answered
+ * - abandoned: inbound, caller hung up within the abandon threshold
+ * - rejected: declined by the callee
+ * - no_answer: outbound, never connected
+ */
+const CALL_OUTCOMES = {
+  ANSWERED: "answered",
+  ANSWERED_ELSEWHERE: "answered_elsewhere",
+  MISSED: "missed",
+  ABANDONED: "abandoned",
+  REJECTED: "rejected",
+  NO_ANSWER: "no_answer",
+};
+
+/**
+ * Call status stored for each outcome
+ */
+const OUTCOME_STATUSES = {
+  [CALL_OUTCOMES.ANSWERED]: CALL_STATUSES.ENDED,
+  [CALL_OUTCOMES.ANSWERED_ELSEWHERE]: CALL_STATUSES.ENDED,
+  [CALL_OUTCOMES.MISSED]: CALL_STATUSES.MISSED,
+  [CALL_OUTCOMES.ABANDONED]: CALL_STATUSES.MISSED,
+  [CALL_OUTCOMES.REJECTED]: CALL_STATUSES.REJECTED,
+  [CALL_OUTCOMES.NO_ANSWER]: CALL_STATUSES.ENDED,
+};
+
+/**
+ * Dialpad end reasons / states that mean the callee declined the call
+ */
+const REJECTED_END_REASONS = ["rejected", "declined", "busy"];
+
+/**
+ * Thresholds for outcome classification (env)
+ * - CALL_ABANDONED_MAX_RING_SECONDS: an unanswered inbound call that ends
+ *   within this many seconds of ringing is abandoned rather than missed
+ *   (default 10, 0 disables)
+ */
+const parsedAbandonedSeconds = parseInt(
+  process.env.CALL_ABANDONED_MAX_RING_SECONDS,
+  10,
+);
+const OUTCOME_THRESHOLDS = {
+  abandonedMaxRingSeconds: Number.isNaN(parsedAbandonedSeconds)
+    ? 10
+    : parsedAbandonedSeconds,
+};
+
+/**
+ * Event types that end a call. These are held back for a short reorder
+ * window at ingestion so that earlier lifecycle events for the same call
+ * that are still in flight can be processed first. registerCallHandlers
+ * registers handleCallEnded for exactly these types.
+ */
+const TERMINAL_CALL_EVENT_TYPES = ["call.ended", "call.missed", "missed"];
+
 /**
  * Normalize call direction from various Dialpad formats
  *
@@ -219,4 +358,312 @@ export function normalizeCallDetails(details) {
   };
 }
 
-export { CALL_STATUSES };
+/**
+ * Parse a Dialpad timestamp into a Date
+ * Accepts epoch milliseconds, epoch seconds, or ISO strings.
+ *
+ * @param {number|string|null} value - Raw timestamp value
+ * @returns {Date|null} - Parsed date or null if missing/invalid
+ */
+export function parseDialpadTimestamp(value) {
+  if (value === null || value === undefined || value === "") return null;
+
+  if (typeof value === "number" || /^\d+$/.test(String(value))) {
+    const num = Number(value);
+    // Values below 1e12 are epoch seconds, otherwise epoch milliseconds
+    const date = new Date(num < 1e12 ? num * 1000 : num);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Extract the keys used to order webhook event processing
+ *
+ * Events are partitioned by dialpad_call_id and processed in order of
+ * Dialpad's own event timestamp within a call, so that out-of-order
+ * deliveries (e.g. call.ended before call.started) are applied in the
+ * order they happened.
+ *
+ * @param {Object} payload - Raw Dialpad webhook payload
+ * @returns {Object} - { dialpad_call_id, event_timestamp } (either may be null)
+ */
+export function extractEventOrderingKeys(payload) {
+  if (!payload || typeof payload !== "object") {
+    return { dialpad_call_id: null, event_timestamp: null };
+  }
+
+  const call = payload.call || payload.data?.call || null;
+
+  const dialpadCallId =
+    payload.call_id ||
+    call?.id ||
+    call?.call_id ||
+    payload.recording?.call_id ||
+    payload.voicemail?.call_id ||
+    null;
+
+  return {
+    dialpad_call_id: dialpadCallId ? String(dialpadCallId) : null,
+    event_timestamp: parseDialpadTimestamp(getRawEventTimestamp(payload)),
+  };
+}
+
+/**
+ * Dialpad's event timestamp as sent (not parsed)
+ */
+function getRawEventTimestamp(payload) {
+  const call = payload.call || payload.data?.call || null;
+
+  return (
+    payload.event_timestamp ||
+    call?.event_timestamp ||
+    payload.timestamp ||
+    payload.data?.event_timestamp ||
+    null
+  );
+}
+
+/**
+ * Stable JSON: object keys sorted, so equal payloads hash equally
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value) ?? "null";
+}
+
+/**
+ * Build the idempotency key of a webhook event (webhook_events.dialpad_event_id)
+ *
+ * One key per event, not per call, so every state change of a call is
+ * stored while a redelivery of the same event is still rejected:
+ * - `dialpad:<app_id>:<event_id>` when Dialpad sends its own event id (the
+ *   same event can be delivered to several connected apps)
+ * - `sha256:` + hash of app, call (or message) id, event type and the raw
+ *   Dialpad event timestamp
+ * - `sha256:` + hash of app and the whole payload when either is missing
+ *
+ * Migration 023 backfills existing rows with the same formula.
+ *
+ * @param {string} app_id - Application ID
+ * @param {string|null} eventType - Event type / call state
+ * @param {Object} payload - Raw Dialpad webhook payload
+ * @returns {string} - Idempotency key
+ */
+export function buildEventIdempotencyKey(app_id, eventType, payload = {}) {
+  if (payload.event_id) {
+    return `dialpad:${app_id}:${payload.event_id}`;
+  }
+
+  const { dialpad_call_id } = extractEventOrderingKeys(payload);
+  const entityId =
+    dialpad_call_id ||
+    payload.message?.id ||
+    payload.message_id ||
+    payload.id ||
+    null;
+  const rawTimestamp = getRawEventTimestamp(payload);
+
+  const material =
+    entityId && rawTimestamp
+      ? [app_id, entityId, eventType || "", rawTimestamp].join("|")
+      : `${app_id}|${stableStringify(payload)}`;
+
+  return `sha256:${crypto.createHash("sha256").update(material).digest("hex")}`;
+}
+
+/**
+ * Seconds between the call starting to ring and ending
+ * Prefers Dialpad's date_rang / date_ended, then the given fallbacks, then
+ * the reported duration (which is ring time for unanswered calls).
+ *
+ * @param {Object} call - Dialpad call object from the payload
+ * @param {Object} fallback - { rang_at, ended_at, duration_seconds }
+ * @returns {number|null} - Ring seconds or null if unknown
+ */
+export function getRingSeconds(call = {}, fallback = {}) {
+  const rangAt =
+    parseDialpadTimestamp(call.date_rang) ||
+    parseDialpadTimestamp(call.date_started) ||
+    parseDialpadTimestamp(fallback.rang_at);
+  const endedAt =
+    parseDialpadTimestamp(call.date_ended) ||
+    parseDialpadTimestamp(fallback.ended_at);
+
+  if (rangAt && endedAt && endedAt >= rangAt) {
+    return (endedAt.getTime() - rangAt.getTime()) / 1000;
+  }
+
+  const duration = Number(fallback.duration_seconds);
+  return Number.isFinite(duration) && duration >= 0 ? duration : null;
+}
+
+/**
+ * Classify how an ended call turned out
+ *
+ * Uses what the handlers observed (previous status, whether the call was
+ * ever active, sibling legs) together with Dialpad's own fields
+ * (date_connected, state, end reason). When nothing indicates whether the
+ * call was answered (e.g. call.ended is the only event seen and carries no
+ * connection data), the outcome is null and the call is simply ended.
+ *
+ * @param {Object} observed
+ * @param {Object} observed.call - Dialpad call object from the payload
+ * @param {string|null} observed.direction - inbound | outbound
+ * @param {string|null} observed.previousStatus - Status before this event
+ * @param {boolean} observed.reachedActive - Call was active at some point
+ * @param {boolean} observed.answeredElsewhere - Another leg was answered
+ * @param {number|null} observed.ringSeconds - See getRingSeconds
+ * @param {Object} thresholds - Defaults to OUTCOME_THRESHOLDS (env)
+ * @returns {Object} - { outcome, status }
+ */
+export function classifyCallOutcome(observed, thresholds = OUTCOME_THRESHOLDS) {
+  const call = observed.call || {};
+  const state = String(call.state || "").toLowerCase();
+  const endReason = String(
+    call.end_reason || call.hangup_reason || call.hangup_cause || "",
+  ).toLowerCase();
+
+  const result = (outcome) => ({
+    outcome,
+    status: outcome ? OUTCOME_STATUSES[outcome] : CALL_STATUSES.ENDED,
+  });
+
+  if (
+    observed.reachedActive ||
+    ANSWERED_CALL_STATUSES.includes(observed.previousStatus) ||
+    call.date_connected ||
+    state === "connected"
+  ) {
+    return result(CALL_OUTCOMES.ANSWERED);
+  }
+
+  if (
+    call.rejected === true ||
+    REJECTED_END_REASONS.includes(state) ||
+    REJECTED_END_REASONS.includes(endReason)
+  ) {
+    return result(CALL_OUTCOMES.REJECTED);
+  }
+
+  // No sign either way: the call may have been answered before we saw it
+  const hasConnectionData = "date_connected" in call || state === "missed";
+  if (!observed.previousStatus && !hasConnectionData) {
+    return result(null);
+  }
+
+  if (observed.direction === "outbound") {
+    return result(CALL_OUTCOMES.NO_ANSWER);
+  }
+
+  if (observed.answeredElsewhere) {
+    return result(CALL_OUTCOMES.ANSWERED_ELSEWHERE);
+  }
+
+  if (
+    observed.ringSeconds !== null &&
+    observed.ringSeconds !== undefined &&
+    observed.ringSeconds < thresholds.abandonedMaxRingSeconds
+  ) {
+    return result(CALL_OUTCOMES.ABANDONED);
+  }
+
+  return result(CALL_OUTCOMES.MISSED);
+}
+
+/**
+ * Statuses counted as hold time (the caller is waiting, nobody is talking)
+ */
+const HOLD_TIME_STATUSES = [CALL_STATUSES.HOLD, CALL_STATUSES.PARKED];
+
+/**
+ * Compute answered_at and ring / talk / hold durations of a call
+ *
+ * Works on the applied entries of call_state_history (oldest first):
+ * - answered_at: first transition to active, else Dialpad's date_connected
+ * - ring: from the first entry until answered (or until the call ended
+ *   unanswered); includes time spent queued. Unknown (null) when the first
+ *   event seen was already the call being answered
+ * - hold: time spent in hold / parked
+ * - talk: from answered until the end, minus hold
+ *
+ * Durations that cannot be known yet (talk / hold while the call is still in
+ * progress) are null.
+ *
+ * @param {Array<Object>} entries - [{ to_status, occurred_at }] oldest first
+ * @param {Object} fallback - { answered_at } from the Dialpad payload
+ * @returns {Object} - { answered_at, ring_duration_seconds,
+ *   talk_duration_seconds, hold_duration_seconds }
+ */
+export function computeCallDurations(entries, fallback = {}) {
+  const seconds = (from, to) =>
+    Math.max(0, Math.round((to.getTime() - from.getTime()) / 1000));
+  const timeline = entries.map((entry) => ({
+    status: entry.to_status,
+    at: new Date(entry.occurred_at),
+  }));
+
+  const first = timeline[0];
+  const answered = timeline.find((e) => e.status === CALL_STATUSES.ACTIVE);
+  const end = timeline.find((e) => TERMINAL_CALL_STATUSES.includes(e.status));
+
+  const answeredAt =
+    answered?.at || parseDialpadTimestamp(fallback.answered_at) || null;
+
+  let ringSeconds = null;
+  if (first && first.status !== CALL_STATUSES.ACTIVE) {
+    const ringEnd = answeredAt || end?.at;
+    if (ringEnd) ringSeconds = seconds(first.at, ringEnd);
+  }
+
+  let holdSeconds = null;
+  let talkSeconds = null;
+  if (end) {
+    holdSeconds = 0;
+    timeline.forEach((entry, i) => {
+      if (!HOLD_TIME_STATUSES.includes(entry.status)) return;
+      const next = timeline[i + 1] || end;
+      holdSeconds += seconds(entry.at, next.at);
+    });
+    talkSeconds = answeredAt
+      ? Math.max(0, seconds(answeredAt, end.at) - holdSeconds)
+      : 0;
+  }
+
+  return {
+    answered_at: answeredAt,
+    ring_duration_seconds: ringSeconds,
+    talk_duration_seconds: talkSeconds,
+    hold_duration_seconds: holdSeconds,
+  };
+}
+
+/**
+ * Check whether an event type ends a call
+ * @param {string} eventType - Webhook event type
+ * @returns {boolean} - True for terminal call events
+ */
+export function isTerminalCallEvent(eventType) {
+  return TERMINAL_CALL_EVENT_TYPES.includes(
+    String(eventType || "").toLowerCase(),
+  );
+}
+
+export {
+  CALL_STATUSES,
+  IN_PROGRESS_CALL_STATUSES,
+  TERMINAL_CALL_STATUSES,
+  ANSWERED_CALL_STATUSES,
+  CALL_OUTCOMES,
+  TERMINAL_CALL_EVENT_TYPES,
+};
@@ -0,0 +1,39 @@
+/**
+ * Environment Settings
+ *
+ * Reads numeric settings from process.env. A value that is not an integer
+ * or is out of range falls back to the default with a warning, so a typo in
+ * the environment never reaches a query or timer as NaN.
+ */
+
+import { logger } from "./logger.js";
+
+/**
+ * Read an integer setting
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Value when unset or invalid
+ * @param {Object} options - { min, max } accepted range (min defaults to 0)
+ * @returns {number}
+ */
+export function readIntEnv(name, fallback, { min = 0, max = null } = {}) {
+  const raw = process.env[name];
+  if (raw === undefined || raw.trim() === "") {
+    return fallback;
+  }
+
+  const value = /^-?\d+$/.test(raw.trim()) ? parseInt(raw, 10) : NaN;
+  if (
+    !Number.isSafeInteger(value) ||
+    value < min ||
+    (max !== null && value > max)
+  ) {
+    logger.warn(`Invalid ${name}, using default ${fallback}`, {
+      value: raw,
+      min,
+      max,
+    });
+    return fallback;
+  }
+
+  return value;
+}
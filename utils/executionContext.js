@@ -0,0 +1,39 @@
+/**
+ * Execution Context Utility
+ *
+ * Carries per-operation settings through async call chains without passing
+ * them through every function signature (built on AsyncLocalStorage).
+ *
+ * Used by event replay to:
+ * - Route handler queries to a transaction client (see query() in db.js),
+ *   so a dry run can be rolled back
+ * - Suppress WebSocket broadcasts while historical events are re-applied
+ *
+ * Usage:
+ *   import { runWithContext } from '../utils/executionContext.js';
+ *   await runWithContext({ client, suppressBroadcasts: true }, () => handler(payload, app_id));
+ */
+
+import { AsyncLocalStorage } from "node:async_hooks";
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function with the given context
+ * @param {Object} context - Context values
+ * @param {Object} context.client - pg client that query() should use (optional)
+ * @param {boolean} context.suppressBroadcasts - Skip WebSocket broadcasts (optional)
+ * @param {Function} fn - Function to run (may be async)
+ * @returns {*} - Return value of fn
+ */
+export function runWithContext(context, fn) {
+  return storage.run({ ...(storage.getStore() || {}), ...context }, fn);
+}
+
+/**
+ * Get the current context
+ * @returns {Object} - Current context (empty object outside runWithContext)
+ */
+export function getContext() {
+  return storage.getStore() || {};
+}
@@ -0,0 +1,215 @@
+/**
+ * Metrics Utility
+ *
+ * Minimal in-process metrics registry rendered in the Prometheus text
+ * exposition format (served on /metrics).
+ *
+ * - Counters and histograms are updated where things happen (e.g. the event
+ *   processor records each processed event and handler run)
+ * - Gauges are set right before rendering (queue depth, pool stats, ...)
+ *
+ * Usage:
+ *   import { createCounter } from '../utils/metrics.js';
+ *   const processed = createCounter('cti_events_processed_total', 'Events processed', ['event_type']);
+ *   processed.inc({ event_type: 'call.ring' });
+ */
+
+const registry = new Map(); // Map<name, metric>
+
+// Default latency buckets in seconds (5ms .. 10s)
+export const DEFAULT_BUCKETS = [
+  0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10,
+];
+
+/**
+ * Escape a label value for the text format
+ */
+function escapeLabelValue(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/\n/g, "\\n")
+    .replace(/"/g, '\\"');
+}
+
+/**
+ * Render a label set as {a="1",b="2"} (empty string for no labels)
+ */
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return "";
+  return `{${entries
+    .map(([key, value]) => `${key}="${escapeLabelValue(value)}"`)
+    .join(",")}}`;
+}
+
+/**
+ * Stable key for a label set (only the metric's declared label names)
+ */
+function labelKey(labelNames, labels = {}) {
+  return JSON.stringify(labelNames.map((name) => String(labels[name] ?? "")));
+}
+
+/**
+ * Register a metric, or return the existing one with the same name
+ * (modules may be imported more than once, e.g. by scripts)
+ */
+function register(name, create) {
+  if (!registry.has(name)) {
+    registry.set(name, create());
+  }
+  return registry.get(name);
+}
+
+/**
+ * Create a monotonically increasing counter
+ * @param {string} name - Metric name
+ * @param {string} help - Description
+ * @param {Array<string>} labelNames - Label names
+ * @returns {Object} - { inc(labels, value) }
+ */
+export function createCounter(name, help, labelNames = []) {
+  return register(name, () => {
+    const values = new Map(); // Map<labelKey, { labels, value }>
+
+    return {
+      name,
+      help,
+      type: "counter",
+      inc(labels = {}, value = 1) {
+        const key = labelKey(labelNames, labels);
+        const entry = values.get(key) || { labels, value: 0 };
+        entry.value += value;
+        values.set(key, entry);
+      },
+      samples() {
+        return [...values.values()].map(({ labels, value }) => ({
+          name,
+          labels,
+          value,
+        }));
+      },
+    };
+  });
+}
+
+/**
+ * Create a gauge (value that can go up and down)
+ * Gauges are usually reset and set from a collector right before rendering.
+ * @param {string} name - Metric name
+ * @param {string} help - Description
+ * @param {Array<string>} labelNames - Label names
+ * @returns {Object} - { set(labels, value), reset() }
+ */
+export function createGauge(name, help, labelNames = []) {
+  return register(name, () => {
+    const values = new Map();
+
+    return {
+      name,
+      help,
+      type: "gauge",
+      set(labels, value) {
+        values.set(labelKey(labelNames, labels), { labels, value });
+      },
+      reset() {
+        values.clear();
+      },
+      samples() {
+        return [...values.values()].map(({ labels, value }) => ({
+          name,
+          labels,
+          value,
+        }));
+      },
+    };
+  });
+}
+
+/**
+ * Create a histogram
+ * @param {string} name - Metric name
+ * @param {string} help - Description
+ * @param {Array<string>} labelNames - Label names
+ * @param {Array<number>} buckets - Upper bounds (ascending)
+ * @returns {Object} - { observe(labels, value) }
+ */
+export function createHistogram(
+  name,
+  help,
+  labelNames = [],
+  buckets = DEFAULT_BUCKETS,
+) {
+  return register(name, () => {
+    const values = new Map(); // Map<labelKey, { labels, counts, sum, count }>
+
+    return {
+      name,
+      help,
+      type: "histogram",
+      observe(labels = {}, value) {
+        const key = labelKey(labelNames, labels);
+        let entry = values.get(key);
+        if (!entry) {
+          entry = {
+            labels,
+            counts: buckets.map(() => 0),
+            sum: 0,
+            count: 0,
+          };
+          values.set(key, entry);
+        }
+
+        buckets.forEach((bound, i) => {
+          if (value <= bound) entry.counts[i]++;
+        });
+        entry.sum += value;
+        entry.count++;
+      },
+      samples() {
+        const samples = [];
+        for (const { labels, counts, sum, count } of values.values()) {
+          buckets.forEach((bound, i) => {
+            samples.push({
+              name: `${name}_bucket`,
+              labels: { ...labels, le: bound },
+              value: counts[i],
+            });
+          });
+          samples.push({
+            name: `${name}_bucket`,
+            labels: { ...labels, le: "+Inf" },
+            value: count,
+          });
+          samples.push({ name: `${name}_sum`, labels, value: sum });
+          samples.push({ name: `${name}_count`, labels, value: count });
+        }
+        return samples;
+      },
+    };
+  });
+}
+
+/**
+ * Render all registered metrics in the Prometheus text format
+ * @returns {string} - Exposition text
+ */
+export function renderMetrics() {
+  const lines = [];
+
+  for (const metric of registry.values()) {
+    lines.push(`# HELP ${metric.name} ${metric.help}`);
+    lines.push(`# TYPE ${metric.name} ${metric.type}`);
+    for (const sample of metric.samples()) {
+      lines.push(
+        `${sample.name}${formatLabels(sample.labels)} ${Number(sample.value)}`,
+      );
+    }
+  }
+
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Content-Type for the text exposition format
+ */
+export const METRICS_CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
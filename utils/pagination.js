@@ -0,0 +1,172 @@
+/**
+ * Pagination Utilities
+ *
+ * Keyset (cursor) pagination for the list endpoints. Pages are ordered by
+ * (sort column, id) and a cursor points just after the last row returned,
+ * so pages do not shift when new rows arrive and no OFFSET scan is needed.
+ *
+ * Cursors are opaque to clients: base64url JSON of
+ *   { s: sort column, o: "ASC" | "DESC", v: sort value as text (or null), id }
+ * The sort value is carried as Postgres text (e.g. timestamps with
+ * microseconds) so it compares exactly when cast back.
+ *
+ * Sort columns may be NULL; lists order them NULLS LAST.
+ *
+ * Decoded cursors are validated (id a UUID, v timestamp or integer text) and
+ * lists reject (400 Invalid cursor) a cursor that is not for their sort
+ * column or whose value does not fit its type (isCursorFor), so a tampered
+ * cursor never reaches a Postgres cast or silently restarts at page 1.
+ */
+
+import { isValidUUID } from "./validators.js";
+
+const TIMESTAMP_TEXT_PATTERN =
+  /^(\d{4})-(\d{2})-(\d{2}) (\d{2}):(\d{2}):(\d{2})(\.\d{1,6})?$/;
+const INTEGER_TEXT_PATTERN = /^-?\d{1,10}$/;
+const MAX_INTEGER = 2147483647;
+
+/**
+ * Whether a cursor value can be cast to a sort column type
+ * @param {string|null} value - Cursor value (Postgres text, or null)
+ * @param {string} type - "timestamp" | "integer"
+ * @returns {boolean}
+ */
+export function isValidCursorValue(value, type) {
+  if (value === null) return true;
+  if (typeof value !== "string") return false;
+
+  if (type === "integer") {
+    return (
+      INTEGER_TEXT_PATTERN.test(value) && Math.abs(Number(value)) <= MAX_INTEGER
+    );
+  }
+
+  if (type === "timestamp") {
+    const match = TIMESTAMP_TEXT_PATTERN.exec(value);
+    if (!match) return false;
+
+    // Reject out-of-range fields (e.g. 2026-02-30) that the cast would reject
+    const [year, month, day, hour, minute, second] = match
+      .slice(1, 7)
+      .map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+    return (
+      date.getUTCFullYear() === year &&
+      date.getUTCMonth() === month - 1 &&
+      date.getUTCDate() === day &&
+      date.getUTCHours() === hour &&
+      date.getUTCMinutes() === minute &&
+      date.getUTCSeconds() === second
+    );
+  }
+
+  return false;
+}
+
+/**
+ * Whether a decoded cursor belongs to a list sorted by column
+ * @param {Object|null} cursor - Decoded cursor
+ * @param {string} column - Sort column of the list
+ * @param {string} type - Postgres type of the column
+ * @returns {boolean}
+ */
+export function isCursorFor(cursor, column, type) {
+  return !!cursor && cursor.s === column && isValidCursorValue(cursor.v, type);
+}
+
+/**
+ * Encode a cursor from the last row of a page
+ * @param {Object} cursor - { s, o, v, id }
+ * @returns {string} - Opaque cursor
+ */
+export function encodeCursor(cursor) {
+  return Buffer.from(JSON.stringify(cursor)).toString("base64url");
+}
+
+/**
+ * Decode a cursor from a query param
+ * @param {string} value - Opaque cursor
+ * @returns {Object|null} - { s, o, v, id }, or null if malformed
+ */
+export function decodeCursor(value) {
+  if (!value || typeof value !== "string") return null;
+
+  try {
+    const cursor = JSON.parse(Buffer.from(value, "base64url").toString());
+    if (
+      !cursor ||
+      typeof cursor.s !== "string" ||
+      !["ASC", "DESC"].includes(cursor.o) ||
+      !(
+        isValidCursorValue(cursor.v, "timestamp") ||
+        isValidCursorValue(cursor.v, "integer")
+      ) ||
+      typeof cursor.id !== "string" ||
+      !isValidUUID(cursor.id)
+    ) {
+      return null;
+    }
+    return cursor;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Build the WHERE condition selecting rows after a cursor
+ * Matches ORDER BY <column> <order> NULLS LAST, id <order>.
+ *
+ * @param {Object} options
+ * @param {Object} options.cursor - Decoded cursor
+ * @param {string} options.column - Sort column (trusted, not a param)
+ * @param {string} options.type - Postgres type of the column (for the cast)
+ * @param {number} options.paramIndex - Next free $n
+ * @returns {Object} - { condition, params }
+ */
+export function buildKeysetCondition({ cursor, column, type, paramIndex }) {
+  const op = cursor.o === "ASC" ? ">" : "<";
+  const valueParam = `$${paramIndex}::${type}`;
+  const idParam = `$${paramIndex + 1}::uuid`;
+
+  if (cursor.v === null) {
+    // Already in the NULLS LAST tail: only rows further along in the tail
+    return {
+      condition: `(${column} IS NULL AND id ${op} $${paramIndex}::uuid)`,
+      params: [cursor.id],
+    };
+  }
+
+  return {
+    condition: `(${column} ${op} ${valueParam} OR ${column} IS NULL OR (${column} = ${valueParam} AND id ${op} ${idParam}))`,
+    params: [cursor.v, cursor.id],
+  };
+}
+
+/**
+ * Trim a page fetched with limit + 1 rows and build its cursor
+ * Rows must include `id` and `cursor_value` (sort column as text).
+ *
+ * @param {Array<Object>} rows - Up to limit + 1 rows
+ * @param {number} limit - Page size
+ * @param {Object} sort - { column, order } the page was sorted by
+ * @returns {Object} - { rows, has_more, next_cursor }
+ */
+export function finishPage(rows, limit, sort) {
+  const hasMore = rows.length > limit;
+  const pageRows = hasMore ? rows.slice(0, limit) : rows;
+  const last = pageRows[pageRows.length - 1];
+
+  return {
+    rows: pageRows,
+    has_more: hasMore,
+    next_cursor:
+      hasMore && last
+        ? encodeCursor({
+            s: sort.column,
+            o: sort.order,
+            v: last.cursor_value ?? null,
+            id: last.id,
+          })
+        : null,
+  };
+}
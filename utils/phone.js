@@ -0,0 +1,125 @@
+/**
+ * Phone Number Utilities
+ *
+ * Normalizes phone numbers to E.164 (+<country code><number>) so numbers
+ * Dialpad sends in different formats ("+1 (555) 123-4567", "15551234567",
+ * "555-123-4567") compare equal. The raw value is always kept alongside.
+ *
+ * Numbers without an international prefix are read as national numbers of
+ * DEFAULT_PHONE_REGION (ISO 3166 alpha-2, default US). This is a
+ * length/prefix normalizer, not a full numbering-plan validator.
+ */
+
+/**
+ * Supported regions
+ * code: country calling code
+ * trunk: national trunk prefix dropped in E.164 (e.g. the 0 of 020 ...)
+ * lengths: [min, max] digits of the national significant number
+ */
+const PHONE_REGIONS = {
+  US: { code: "1", trunk: "1", lengths: [10, 10] },
+  CA: { code: "1", trunk: "1", lengths: [10, 10] },
+  GB: { code: "44", trunk: "0", lengths: [9, 10] },
+  IE: { code: "353", trunk: "0", lengths: [7, 9] },
+  AU: { code: "61", trunk: "0", lengths: [9, 9] },
+  NZ: { code: "64", trunk: "0", lengths: [8, 10] },
+  DE: { code: "49", trunk: "0", lengths: [6, 13] },
+  FR: { code: "33", trunk: "0", lengths: [9, 9] },
+  NL: { code: "31", trunk: "0", lengths: [9, 9] },
+  ES: { code: "34", trunk: null, lengths: [9, 9] },
+  // Italian numbers keep their leading 0
+  IT: { code: "39", trunk: null, lengths: [6, 11] },
+  MX: { code: "52", trunk: null, lengths: [10, 10] },
+  BR: { code: "55", trunk: "0", lengths: [10, 11] },
+  IN: { code: "91", trunk: "0", lengths: [10, 10] },
+  PH: { code: "63", trunk: "0", lengths: [8, 10] },
+  ZA: { code: "27", trunk: "0", lengths: [9, 9] },
+  NG: { code: "234", trunk: "0", lengths: [8, 10] },
+};
+
+// NANP regions dial out with 011, most others with 00
+const NANP_INTERNATIONAL_PREFIX = "011";
+const INTERNATIONAL_PREFIX = "00";
+
+// E.164 allows at most 15 digits; shorter than 7 is a short code / extension
+const E164_MIN_DIGITS = 7;
+const E164_MAX_DIGITS = 15;
+
+const DEFAULT_PHONE_REGION = resolveRegion(process.env.DEFAULT_PHONE_REGION);
+
+function resolveRegion(region) {
+  const key = String(region || "US").toUpperCase();
+  if (!PHONE_REGIONS[key]) {
+    console.warn(
+      `[Phone] Unsupported DEFAULT_PHONE_REGION "${region}", using US`,
+    );
+    return "US";
+  }
+  return key;
+}
+
+function inRange(length, [min, max]) {
+  return length >= min && length <= max;
+}
+
+function toE164Digits(digits) {
+  return digits.length >= E164_MIN_DIGITS && digits.length <= E164_MAX_DIGITS
+    ? `+${digits}`
+    : null;
+}
+
+/**
+ * Normalize a phone number to E.164
+ * @param {string|number} raw - Phone number in any format
+ * @param {string} region - Region for national numbers (default DEFAULT_PHONE_REGION)
+ * @returns {string|null} - E.164 number, or null if it cannot be normalized
+ *   (empty, SIP URI / extension, too short or too long)
+ */
+export function normalizePhoneNumber(raw, region = DEFAULT_PHONE_REGION) {
+  if (raw === null || raw === undefined) return null;
+
+  // Drop extensions ("x123", "ext. 123", ";ext=123")
+  const value = String(raw)
+    .trim()
+    .replace(/\s*(;ext=|ext\.?|x|#).*$/i, "");
+  if (!value || /[a-z@]/i.test(value)) return null;
+
+  const digits = value.replace(/\D/g, "");
+  if (!digits) return null;
+
+  if (value.startsWith("+")) {
+    return toE164Digits(digits);
+  }
+
+  const regionKey = PHONE_REGIONS[region] ? region : DEFAULT_PHONE_REGION;
+  const { code, trunk, lengths } = PHONE_REGIONS[regionKey];
+
+  const internationalPrefix =
+    code === "1" ? NANP_INTERNATIONAL_PREFIX : INTERNATIONAL_PREFIX;
+  if (digits.startsWith(internationalPrefix)) {
+    return toE164Digits(digits.slice(internationalPrefix.length));
+  }
+
+  if (trunk && digits.startsWith(trunk)) {
+    const national = digits.slice(trunk.length);
+    if (inRange(national.length, lengths)) {
+      return toE164Digits(code + national);
+    }
+  }
+
+  // Country code without the "+" (e.g. 447700900123)
+  if (
+    digits.startsWith(code) &&
+    inRange(digits.length - code.length, lengths)
+  ) {
+    return toE164Digits(digits);
+  }
+
+  if (inRange(digits.length, lengths)) {
+    return toE164Digits(code + digits);
+  }
+
+  return null;
+}
+
+export { DEFAULT_PHONE_REGION, PHONE_REGIONS };